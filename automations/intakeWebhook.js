@@ -1,99 +1,176 @@
-const winston = require('winston');
+const { createLogger, describeSubmission, patientRef } = require('../services/logger');
+const { validateIntake } = require('../services/intakeSchema');
+const { combineWithRules } = require('../services/triageEngine');
+const { hasContactConsent } = require('../services/consentService');
 
 class IntakeWebhook {
-  constructor(googleService, aiService, emailService) {
+  constructor(googleService, aiService, emailService, encounterRepository = null, triageEngine = null, patientRepository = null) {
     this.googleService = googleService;
     this.aiService = aiService;
     this.emailService = emailService;
+    this.encounterRepository = encounterRepository;
+    this.triageEngine = triageEngine;
+    this.patientRepository = patientRepository;
     
-    this.logger = winston.createLogger({
-      level: 'info',
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-      ),
-      defaultMeta: { service: 'intake-webhook' },
-      transports: [
-        new winston.transports.Console(),
-        new winston.transports.File({ filename: './logs/intake-webhook.log' })
-      ]
-    });
+    this.logger = createLogger('intake-webhook', { files: './logs/intake-webhook.log' });
   }
 
   /**
-   * Handle form submission from Formspree webhook
+   * Ordered processing steps for an intake form. The job queue runs these one at a
+   * time and saves each result, so a retry picks up at the step that failed.
    */
-  async handleFormSubmission(formData) {
-    try {
-      this.logger.info('Processing intake form submission', {
-        patientName: formData.fullName,
-        email: formData.email
-      });
-
-      // Step 1: Add patient intake data to Google Sheets
-      await this.googleService.addPatientIntake(formData);
-      this.logger.info('Patient intake data added to Google Sheets');
-
-      // Step 2: Generate AI triage summary
-      const triageSummary = await this.aiService.summarizeIntake(formData);
-      this.logger.info('AI triage summary generated', {
-        urgencyLevel: triageSummary.urgencyLevel
-      });
-
-      // Step 3: Add triage summary to Google Sheets
-      const triageData = {
-        patientName: formData.fullName,
-        appointmentDate: formData.appointmentDate,
-        reasonForVisit: formData.reasonForVisit,
-        aiSummary: triageSummary.summary,
-        urgencyLevel: triageSummary.urgencyLevel,
-        riskKeywords: triageSummary.riskKeywords.join(', '),
-        recommendations: triageSummary.recommendations,
-        formId: formData.formId
-      };
-
-      await this.googleService.addTriageSummary(triageData);
-      this.logger.info('Triage summary added to Google Sheets');
-
-      // Step 4: Send triage summary to clinic staff
-      await this.emailService.sendTriageSummary(triageData);
-      this.logger.info('Triage summary sent to clinic staff');
-
-      // Step 5: Send confirmation email to patient
-      const appointmentData = {
-        patientName: formData.fullName,
-        email: formData.email,
-        phone: formData.phone,
-        appointmentDate: formData.appointmentDate,
-        appointmentTime: formData.appointmentTime,
-        visitType: formData.visitType || 'General Consultation'
-      };
+  getFormSubmissionSteps() {
+    return [
+      {
+        // Step 1: Add patient intake data to Google Sheets
+        name: 'sheets_intake',
+        run: async (formData) => {
+          await this.googleService.addPatientIntake(formData);
+          this.logger.info('Patient intake data added to Google Sheets');
+        }
+      },
+      {
+        // Step 2: Generate AI triage summary, checked against the clinic's triage rules
+        name: 'ai_triage',
+        run: async (formData) => {
+          let triageSummary = await this.aiService.summarizeIntake(formData);
+          this.logger.info('AI triage summary generated', {
+            urgencyLevel: triageSummary.urgencyLevel
+          });
 
-      await this.emailService.sendConfirmationEmail(appointmentData, triageSummary);
-      this.logger.info('Confirmation email sent to patient');
+          if (this.triageEngine) {
+            triageSummary = combineWithRules(triageSummary, await this.triageEngine.evaluate(formData));
+          }
 
-      // Step 6: Create Google Calendar event if appointment details are available
-      if (formData.appointmentDate && formData.appointmentTime) {
-        try {
-          const calendarEvent = await this.googleService.createCalendarEvent(appointmentData);
+          // Keep the triage result with the visit it belongs to
+          if (formData.encounterId && this.encounterRepository) {
+            await this.encounterRepository.setTriage(formData.encounterId, triageSummary);
+          }
+          return triageSummary;
+        }
+      },
+      {
+        // Step 3: Add triage summary to Google Sheets
+        name: 'sheets_triage',
+        run: async (formData, results) => {
+          await this.googleService.addTriageSummary(this.buildTriageData(formData, results.ai_triage));
+          this.logger.info('Triage summary added to Google Sheets');
+        }
+      },
+      {
+        // Step 4: Send triage summary to clinic staff
+        name: 'staff_email',
+        run: async (formData, results) => {
+          await this.emailService.sendTriageSummary(this.buildTriageData(formData, results.ai_triage));
+          this.logger.info('Triage summary sent to clinic staff');
+        }
+      },
+      {
+        // Step 5: Send confirmation email to patient, if they agreed to email
+        name: 'patient_email',
+        run: async (formData, results) => {
+          if (!(await hasContactConsent(this.patientRepository, { patientId: formData.patientId }, 'email'))) {
+            this.logger.info('Confirmation email skipped - patient has not consented to email', { patientId: formData.patientId });
+            return { skipped: 'no_email_consent' };
+          }
+
+          await this.emailService.sendConfirmationEmail(this.buildAppointmentData(formData), results.ai_triage);
+          this.logger.info('Confirmation email sent to patient');
+        }
+      },
+      {
+        // Step 6: Create Google Calendar event if appointment details are available
+        name: 'calendar_event',
+        run: async (formData) => {
+          if (!formData.appointmentDate || !formData.appointmentTime) {
+            return { skipped: true };
+          }
+
+          const calendarEvent = await this.googleService.createCalendarEvent(this.buildAppointmentData(formData));
           this.logger.info('Google Calendar event created', {
             eventId: calendarEvent.id
           });
-        } catch (error) {
-          this.logger.error('Error creating Google Calendar event', {
-            error: error.message
+          return { eventId: calendarEvent.id };
+        }
+      },
+      {
+        // Step 7: Log analytics data
+        name: 'analytics',
+        run: async (formData, results) => {
+          await this.logAnalyticsEvent('intake_form_processed', {
+            patientName: formData.fullName,
+            urgencyLevel: results.ai_triage.urgencyLevel,
+            hasAppointment: !!(formData.appointmentDate && formData.appointmentTime)
           });
-          // Don't fail the entire process for calendar errors
         }
       }
+    ];
+  }
+
+  /**
+   * Job queue handler for intake forms: the processing steps, plus an admin
+   * notification once a submission has used up its retries
+   */
+  createJobHandler() {
+    return {
+      steps: this.getFormSubmissionSteps(),
+      onDeadLetter: (job, error) => this.emailService.sendErrorNotification({
+        type: 'intake_form_processing_error',
+        message: `${job.lastError} (job ${job.id} moved to the dead-letter queue after ${job.attempts} attempts)`,
+        stack: error.stack,
+        timestamp: new Date().toISOString(),
+        jobId: job.id,
+        submissionId: job.reference
+      })
+    };
+  }
+
+  /**
+   * Triage row / staff email data
+   */
+  buildTriageData(formData, triageSummary) {
+    return {
+      patientName: formData.fullName,
+      appointmentDate: formData.appointmentDate,
+      reasonForVisit: formData.reasonForVisit,
+      aiSummary: triageSummary.summary,
+      urgencyLevel: triageSummary.urgencyLevel,
+      riskKeywords: triageSummary.riskKeywords.join(', '),
+      recommendations: triageSummary.recommendations,
+      aiOutput: triageSummary.validation,
+      formId: formData.formId
+    };
+  }
+
+  /**
+   * Confirmation email / calendar event data
+   */
+  buildAppointmentData(formData) {
+    return {
+      patientName: formData.fullName,
+      email: formData.email,
+      phone: formData.phone,
+      appointmentDate: formData.appointmentDate,
+      appointmentTime: formData.appointmentTime,
+      visitType: formData.visitType || 'General Consultation'
+    };
+  }
 
-      // Step 7: Log analytics data
-      await this.logAnalyticsEvent('intake_form_processed', {
+  /**
+   * Run every intake step inline (no retries). Webhooks go through the job queue instead.
+   */
+  async handleFormSubmission(formData) {
+    try {
+      this.logger.info('Processing intake form submission', {
         patientName: formData.fullName,
-        urgencyLevel: triageSummary.urgencyLevel,
-        hasAppointment: !!(formData.appointmentDate && formData.appointmentTime)
+        email: formData.email
       });
 
+      const results = {};
+      for (const step of this.getFormSubmissionSteps()) {
+        results[step.name] = await step.run(formData, results);
+      }
+
       this.logger.info('Intake form processing completed successfully', {
         patientName: formData.fullName,
         formId: formData.formId
@@ -102,32 +179,18 @@ class IntakeWebhook {
       return {
         success: true,
         formId: formData.formId,
-        urgencyLevel: triageSummary.urgencyLevel,
-        triageSummary: triageSummary
+        urgencyLevel: results.ai_triage.urgencyLevel,
+        triageSummary: results.ai_triage
       };
 
     } catch (error) {
       this.logger.error('Error processing intake form submission', {
         error: error.message,
         stack: error.stack,
-        formData: formData
+        formId: formData.formId,
+        ...describeSubmission(formData)
       });
 
-      // Send error notification to admin
-      try {
-        await this.emailService.sendErrorNotification({
-          type: 'intake_form_processing_error',
-          message: error.message,
-          stack: error.stack,
-          timestamp: new Date().toISOString(),
-          formData: formData
-        });
-      } catch (emailError) {
-        this.logger.error('Error sending error notification', {
-          error: emailError.message
-        });
-      }
-
       throw error;
     }
   }
@@ -177,7 +240,8 @@ class IntakeWebhook {
       this.logger.error('Error processing appointment booking', {
         error: error.message,
         stack: error.stack,
-        appointmentData: appointmentData
+        calendlyEventId: appointmentData.calendlyEventId,
+        ...describeSubmission(appointmentData)
       });
 
       // Send error notification to admin
@@ -216,7 +280,8 @@ class IntakeWebhook {
         } catch (error) {
           this.logger.error('Error processing form submission in batch', {
             error: error.message,
-            formData: formData
+            formId: formData.formId,
+            patientRef: patientRef(formData)
           });
           errors.push({
             formData: formData,
@@ -246,34 +311,11 @@ class IntakeWebhook {
   }
 
   /**
-   * Validate form data before processing
+   * Validate form data before processing against the shared intake schema.
+   * Throws a ValidationError listing the invalid fields.
    */
   validateFormData(formData) {
-    const requiredFields = ['fullName', 'email', 'dob'];
-    const missingFields = [];
-
-    requiredFields.forEach(field => {
-      if (!formData[field] || formData[field].trim() === '') {
-        missingFields.push(field);
-      }
-    });
-
-    if (missingFields.length > 0) {
-      throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
-    }
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(formData.email)) {
-      throw new Error('Invalid email format');
-    }
-
-    // Validate date of birth
-    const dob = new Date(formData.dob);
-    if (isNaN(dob.getTime())) {
-      throw new Error('Invalid date of birth format');
-    }
-
+    validateIntake(formData);
     return true;
   }
 
@@ -311,39 +353,6 @@ class IntakeWebhook {
     return appointmentInfo;
   }
 
-  /**
-   * Check for high-risk indicators in form data
-   */
-  checkForRiskIndicators(formData) {
-    const riskKeywords = [
-      'chest pain', 'difficulty breathing', 'shortness of breath', 'severe pain',
-      'emergency', 'urgent', 'critical', 'life threatening', 'suicide', 'self harm',
-      'medication reaction', 'allergic reaction', 'anaphylaxis', 'stroke',
-      'heart attack', 'severe bleeding', 'unconscious', 'high fever'
-    ];
-
-    const foundKeywords = [];
-    const textToSearch = [
-      formData.reasonForVisit,
-      formData.currentMedications,
-      formData.allergies,
-      formData.pastConditions,
-      formData.additionalNotes
-    ].join(' ').toLowerCase();
-
-    riskKeywords.forEach(keyword => {
-      if (textToSearch.includes(keyword.toLowerCase())) {
-        foundKeywords.push(keyword);
-      }
-    });
-
-    return {
-      hasRiskIndicators: foundKeywords.length > 0,
-      riskKeywords: foundKeywords,
-      riskLevel: foundKeywords.length > 3 ? 'High' : foundKeywords.length > 1 ? 'Moderate' : 'Low'
-    };
-  }
-
   /**
    * Log analytics event
    */
@@ -411,54 +420,6 @@ class IntakeWebhook {
       throw error;
     }
   }
-
-  /**
-   * Retry failed form processing
-   */
-  async retryFailedProcessing(formData, maxRetries = 3) {
-    let retryCount = 0;
-    let lastError = null;
-
-    while (retryCount < maxRetries) {
-      try {
-        this.logger.info(`Retrying form processing (attempt ${retryCount + 1})`, {
-          formId: formData.formId
-        });
-
-        const result = await this.handleFormSubmission(formData);
-        
-        this.logger.info('Form processing retry successful', {
-          formId: formData.formId,
-          attempt: retryCount + 1
-        });
-
-        return result;
-
-      } catch (error) {
-        lastError = error;
-        retryCount++;
-        
-        this.logger.error(`Form processing retry failed (attempt ${retryCount})`, {
-          error: error.message,
-          formId: formData.formId
-        });
-
-        if (retryCount < maxRetries) {
-          // Wait before retrying (exponential backoff)
-          const waitTime = Math.pow(2, retryCount) * 1000;
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-      }
-    }
-
-    this.logger.error('Form processing retry exhausted', {
-      formId: formData.formId,
-      maxRetries: maxRetries,
-      lastError: lastError.message
-    });
-
-    throw lastError;
-  }
 }
 
 module.exports = IntakeWebhook;
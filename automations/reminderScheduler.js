@@ -1,23 +1,14 @@
-const winston = require('winston');
+const { createLogger } = require('../services/logger');
+const { hasContactConsent } = require('../services/consentService');
 const moment = require('moment');
 
 class ReminderScheduler {
-  constructor(googleService, emailService) {
+  constructor(googleService, emailService, patientRepository = null) {
     this.googleService = googleService;
     this.emailService = emailService;
+    this.patientRepository = patientRepository;
     
-    this.logger = winston.createLogger({
-      level: 'info',
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-      ),
-      defaultMeta: { service: 'reminder-scheduler' },
-      transports: [
-        new winston.transports.Console(),
-        new winston.transports.File({ filename: './logs/reminder-scheduler.log' })
-      ]
-    });
+    this.logger = createLogger('reminder-scheduler', { files: './logs/reminder-scheduler.log' });
 
     this.reminderHoursBefore = parseInt(process.env.REMINDER_HOURS_BEFORE) || 48;
   }
@@ -42,12 +33,17 @@ class ReminderScheduler {
       const results = [];
       let successCount = 0;
       let errorCount = 0;
+      let skippedCount = 0;
 
       // Process each appointment
       for (const appointment of upcomingAppointments) {
         try {
           const result = await this.sendAppointmentReminder(appointment);
           results.push(result);
+          if (result.skipped) {
+            skippedCount++;
+            continue;
+          }
           successCount++;
           
           this.logger.info('Reminder sent successfully', {
@@ -76,12 +72,14 @@ class ReminderScheduler {
       this.logger.info('Reminder processing completed', {
         totalAppointments: upcomingAppointments.length,
         successful: successCount,
+        skipped: skippedCount,
         failed: errorCount
       });
 
       return {
         success: true,
         remindersSent: successCount,
+        skipped: skippedCount,
         errors: errorCount,
         results: results
       };
@@ -105,7 +103,7 @@ class ReminderScheduler {
       // Filter appointments that haven't had reminders sent
       const appointmentsNeedingReminders = appointments.filter(appointment => {
         return appointment.remindersent === 'No' && 
-               appointment.status === 'Scheduled' &&
+               ['Scheduled', 'Rescheduled'].includes(appointment.status) &&
                this.isWithinReminderWindow(appointment.appointmentdate, appointment.appointmenttime);
       });
 
@@ -157,6 +155,11 @@ class ReminderScheduler {
         visitType: appointment.visittype || appointment.visitType || 'General Consultation'
       };
 
+      if (!(await hasContactConsent(this.patientRepository, appointmentData, 'email'))) {
+        this.logger.info('Reminder skipped - patient has not consented to email', { appointmentDate: appointmentData.appointmentDate });
+        return { success: true, skipped: 'no_email_consent', appointment: appointmentData };
+      }
+
       // Send reminder email
       const emailResult = await this.emailService.sendReminderEmail(appointmentData);
 
@@ -204,12 +207,17 @@ class ReminderScheduler {
       const results = [];
       let successCount = 0;
       let errorCount = 0;
+      let skippedCount = 0;
 
       // Process each appointment
       for (const appointment of completedAppointments) {
         try {
           const result = await this.sendFollowUpEmail(appointment);
           results.push(result);
+          if (result.skipped) {
+            skippedCount++;
+            continue;
+          }
           successCount++;
           
           this.logger.info('Follow-up email sent successfully', {
@@ -235,12 +243,14 @@ class ReminderScheduler {
       this.logger.info('Follow-up email processing completed', {
         totalAppointments: completedAppointments.length,
         successful: successCount,
+        skipped: skippedCount,
         failed: errorCount
       });
 
       return {
         success: true,
         followUpsSent: successCount,
+        skipped: skippedCount,
         errors: errorCount,
         results: results
       };
@@ -314,6 +324,11 @@ class ReminderScheduler {
         visitType: appointment.visittype || appointment.visitType || 'General Consultation'
       };
 
+      if (!(await hasContactConsent(this.patientRepository, appointmentData, 'email'))) {
+        this.logger.info('Follow-up skipped - patient has not consented to email', { appointmentDate: appointmentData.appointmentDate });
+        return { success: true, skipped: 'no_email_consent', appointment: appointmentData };
+      }
+
       // Generate follow-up email content
       const emailContent = this.generateFollowUpEmailContent(appointmentData);
 
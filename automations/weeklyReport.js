@@ -1,4 +1,4 @@
-const winston = require('winston');
+const { createLogger } = require('../services/logger');
 const moment = require('moment');
 
 class WeeklyReport {
@@ -7,18 +7,7 @@ class WeeklyReport {
     this.aiService = aiService;
     this.emailService = emailService;
     
-    this.logger = winston.createLogger({
-      level: 'info',
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-      ),
-      defaultMeta: { service: 'weekly-report' },
-      transports: [
-        new winston.transports.Console(),
-        new winston.transports.File({ filename: './logs/weekly-report.log' })
-      ]
-    });
+    this.logger = createLogger('weekly-report', { files: './logs/weekly-report.log' });
   }
 
   /**
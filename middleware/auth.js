@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const { createLogger } = require('../services/logger');
+const { UnauthorizedError, ForbiddenError } = require('./errorHandler');
+const { validateApiKey, findConfiguredApiKey } = require('./validation');
+// Roles live in their own module so validation.js can check API_KEYS without a require cycle
+const { ROLES, ALL_ROLES } = require('./roles');
+
+const logger = createLogger('auth', { files: './logs/auth.log' });
+
+const SESSION_COOKIE = 'mypcp_session';
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 8;
+
+// Sessions are signed tokens so they survive serverless cold starts. Each request
+// still checks the user against the user store (see setSessionResolver), so
+// deactivation, role changes and logout take effect straight away.
+// Without a configured secret, sessions only last for the life of this process.
+let sessionSecret = process.env.SESSION_SECRET || process.env.JWT_SECRET;
+if (!sessionSecret) {
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+  logger.warn('SESSION_SECRET not configured - using a random secret, sessions will not survive a restart');
+}
+
+// Looks up the current user for a verified session payload; set by the server
+let sessionResolver = null;
+
+/**
+ * Set the function that turns a verified session payload into the current user
+ * (`{ username, name, role }`), or null when the session has been revoked or the
+ * user deactivated. Without one, the token payload is trusted as it is.
+ */
+function setSessionResolver(resolver) {
+  sessionResolver = resolver;
+}
+
+/**
+ * Sign a payload with the session secret
+ */
+function sign(value) {
+  return crypto.createHmac('sha256', sessionSecret).update(value).digest('base64url');
+}
+
+/**
+ * Create a signed session token for a user
+ */
+function createSessionToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: user.username,
+    name: user.name || user.username,
+    role: user.role,
+    ver: user.sessionVersion || 0,
+    iat: now,
+    exp: now + SESSION_TTL_HOURS * 3600
+  };
+
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+}
+
+/**
+ * Verify a session token and return its payload, or null if invalid or expired
+ */
+function verifySessionToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse the Cookie header into an object
+ */
+function parseCookies(req) {
+  const cookies = {};
+  const header = req.headers.cookie;
+  if (!header) return cookies;
+
+  header.split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index < 0) return;
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Set the session cookie on a response
+ */
+function setSessionCookie(res, token) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${SESSION_TTL_HOURS * 3600}`
+  ];
+  if (process.env.NODE_ENV === 'production') {
+    parts.push('Secure');
+  }
+  res.append('Set-Cookie', parts.join('; '));
+}
+
+/**
+ * Clear the session cookie
+ */
+function clearSessionCookie(res) {
+  res.append('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+/**
+ * Read the session token from the Authorization header or session cookie
+ */
+function getSessionToken(req) {
+  const authorization = req.headers['authorization'];
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return parseCookies(req)[SESSION_COOKIE];
+}
+
+/**
+ * Whether the client is a browser expecting an HTML page
+ */
+function wantsHTML(req) {
+  return !!(req.headers.accept && req.headers.accept.includes('text/html'));
+}
+
+/**
+ * Authenticate the request from an API key, bearer token or session cookie.
+ * Browsers without a session are redirected to the login page.
+ */
+const authenticate = async (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return validateApiKey(req, res, next);
+  }
+
+  const session = verifySessionToken(getSessionToken(req));
+  let user = session ? { username: session.sub, name: session.name, role: session.role } : null;
+  if (session && sessionResolver) {
+    try {
+      user = await sessionResolver(session);
+    } catch (error) {
+      logger.error('Error checking session against the user store', { error: error.message });
+      return next(error);
+    }
+  }
+
+  if (!user) {
+    if (wantsHTML(req) && req.method === 'GET') {
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+
+    logger.warn('Unauthenticated request rejected', {
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+    return next(new UnauthorizedError('Authentication required'));
+  }
+
+  req.user = user;
+
+  next();
+};
+
+/**
+ * Identify who a request comes from without rejecting it: a configured API key,
+ * a signed-in user, or otherwise the client IP. Unknown API keys and invalid
+ * sessions fall back to the IP so they can't be used to dodge per-client limits.
+ */
+function identifyClient(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    const configuredKey = findConfiguredApiKey(String(apiKey));
+    if (configuredKey) return `key:${configuredKey.name}`;
+  }
+
+  const session = verifySessionToken(getSessionToken(req));
+  if (session) return `user:${session.sub}`;
+
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Require an authenticated user with one of the given roles
+ */
+const requireRole = (...roles) => {
+  const allowed = roles.length > 0 ? roles : ALL_ROLES;
+
+  return [authenticate, (req, res, next) => {
+    if (!req.user || !allowed.includes(req.user.role)) {
+      logger.warn('Forbidden request rejected', {
+        method: req.method,
+        url: req.originalUrl,
+        username: req.user && req.user.username,
+        role: req.user && req.user.role,
+        requiredRoles: allowed,
+        timestamp: new Date().toISOString()
+      });
+      return next(new ForbiddenError(`Requires role: ${allowed.join(' or ')}`));
+    }
+
+    next();
+  }];
+};
+
+/**
+ * Allow a scheduler presenting `Authorization: Bearer <CRON_SECRET>` (how Vercel Cron
+ * calls its paths), or otherwise require an authenticated user with one of the given roles
+ */
+const requireCronOrRole = (...roles) => {
+  const [authenticateUser, checkRole] = requireRole(...roles);
+
+  return (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const actual = Buffer.from(req.headers['authorization'] || '');
+    if (secret && expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+      req.user = { username: 'system:cron', name: 'Scheduler', role: null };
+      return next();
+    }
+
+    authenticateUser(req, res, (error) => (error ? next(error) : checkRole(req, res, next)));
+  };
+};
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  SESSION_COOKIE,
+  setSessionResolver,
+  createSessionToken,
+  verifySessionToken,
+  parseCookies,
+  setSessionCookie,
+  clearSessionCookie,
+  getSessionToken,
+  authenticate,
+  identifyClient,
+  requireRole,
+  requireCronOrRole
+};
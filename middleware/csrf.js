@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { createLogger } = require('../services/logger');
+const { CsrfError } = require('./errorHandler');
+const { parseCookies } = require('./auth');
+
+const logger = createLogger('csrf', { files: './logs/auth.log' });
+
+const CSRF_COOKIE = 'mypcp_csrf';
+const CSRF_FIELD = '_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+let csrfSecret = process.env.CSRF_SECRET || process.env.SESSION_SECRET || process.env.JWT_SECRET;
+if (!csrfSecret) {
+  csrfSecret = crypto.randomBytes(32).toString('hex');
+  logger.warn('CSRF_SECRET not configured - using a random secret, open forms will stop working after a restart');
+}
+
+/**
+ * The token for a browser session: an HMAC of the session's CSRF cookie
+ */
+function tokenFor(sessionId) {
+  return crypto.createHmac('sha256', csrfSecret).update(`csrf:${sessionId}`).digest('base64url');
+}
+
+/**
+ * Get the CSRF token for this browser, starting a CSRF session (a random ID in
+ * an HttpOnly cookie that lasts until the browser closes) if it has none yet
+ */
+function issueCsrfToken(req, res) {
+  if (req.csrfToken) return req.csrfToken;
+
+  let sessionId = parseCookies(req)[CSRF_COOKIE];
+  if (!sessionId) {
+    sessionId = crypto.randomBytes(24).toString('base64url');
+    const parts = [`${CSRF_COOKIE}=${sessionId}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+    if (process.env.NODE_ENV === 'production') {
+      parts.push('Secure');
+    }
+    res.append('Set-Cookie', parts.join('; '));
+    req.headers.cookie = [req.headers.cookie, `${CSRF_COOKIE}=${sessionId}`].filter(Boolean).join('; ');
+  }
+
+  req.csrfToken = tokenFor(sessionId);
+  return req.csrfToken;
+}
+
+/**
+ * Hidden form field carrying the CSRF token
+ */
+function csrfField(token) {
+  return `<input type="hidden" name="${CSRF_FIELD}" value="${token}">`;
+}
+
+/**
+ * Whether a request carries credentials a browser never adds on its own, so
+ * another site can't forge it: a bearer token or an API key
+ */
+function hasExplicitCredentials(req) {
+  const authorization = req.headers['authorization'];
+  return !!req.headers['x-api-key'] || !!(authorization && authorization.startsWith('Bearer '));
+}
+
+/**
+ * Reject state-changing requests from browsers unless they carry the CSRF token
+ * for their session, in the `_csrf` form field or the X-CSRF-Token header. Paths
+ * in `exempt` (signed webhooks) and requests with a bearer token or API key skip
+ * the check.
+ */
+const csrfProtection = ({ exempt = [] } = {}) => (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || hasExplicitCredentials(req)) return next();
+  if (exempt.some(path => (path instanceof RegExp ? path.test(req.path) : path === req.path))) return next();
+
+  const sessionId = parseCookies(req)[CSRF_COOKIE];
+  const submitted = (req.body && req.body[CSRF_FIELD]) || req.headers[CSRF_HEADER];
+  if (req.body && typeof req.body === 'object') {
+    delete req.body[CSRF_FIELD];
+  }
+
+  const expected = Buffer.from(sessionId ? tokenFor(sessionId) : '');
+  const actual = Buffer.from(typeof submitted === 'string' ? submitted : '');
+  if (!sessionId || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    logger.warn('Request without a valid CSRF token rejected', {
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip,
+      origin: req.headers.origin,
+      reason: !sessionId ? 'no CSRF cookie' : submitted ? 'token mismatch' : 'token missing',
+      timestamp: new Date().toISOString()
+    });
+    return next(new CsrfError('Invalid or missing CSRF token - reload the page and try again'));
+  }
+
+  next();
+};
+
+module.exports = {
+  CSRF_COOKIE,
+  CSRF_FIELD,
+  CSRF_HEADER,
+  issueCsrfToken,
+  csrfField,
+  csrfProtection
+};
@@ -1,28 +1,6 @@
-const winston = require('winston');
-
-// Configure logger for middleware
-const transports = [
-  new winston.transports.Console()
-];
-
-// Only add file transport in development (not in Vercel)
-if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
-  try {
-    transports.push(new winston.transports.File({ filename: './logs/middleware.log' }));
-  } catch (error) {
-    // File system not available, continue with console only
-  }
-}
+const { createLogger } = require('../services/logger');
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  defaultMeta: { service: 'middleware' },
-  transports: transports
-});
+const logger = createLogger('middleware', { files: './logs/middleware.log' });
 
 /**
  * Request logging middleware
@@ -62,17 +40,6 @@ const requestLogger = (req, res, next) => {
  * Global error handler middleware
  */
 const errorHandler = (err, req, res, next) => {
-  // Log error
-  logger.error('Unhandled error', {
-    error: err.message,
-    stack: err.stack,
-    method: req.method,
-    url: req.url,
-    ip: req.ip,
-    userAgent: req.get('User-Agent'),
-    timestamp: new Date().toISOString()
-  });
-
   // Determine error type and response
   let statusCode = 500;
   let message = 'Internal Server Error';
@@ -92,9 +59,36 @@ const errorHandler = (err, req, res, next) => {
   } else if (err.name === 'ConflictError') {
     statusCode = 409;
     message = 'Conflict';
+  } else if (err.name === 'CsrfError') {
+    statusCode = 403;
+    // Tells the user to reload the form; nothing internal to hide
+    message = err.message || 'Forbidden';
   } else if (err.name === 'RateLimitError') {
     statusCode = 429;
-    message = 'Too Many Requests';
+    // Says when to retry; nothing internal to hide
+    message = err.message || 'Too Many Requests';
+  }
+
+  // Log error (client errors such as failed auth are expected, so only warn)
+  if (statusCode >= 500) {
+    logger.error('Unhandled error', {
+      error: err.message,
+      stack: err.stack,
+      method: req.method,
+      url: req.url,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      timestamp: new Date().toISOString()
+    });
+  } else {
+    logger.warn('Request error', {
+      error: err.message,
+      statusCode: statusCode,
+      method: req.method,
+      url: req.url,
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
   }
 
   // Send error response
@@ -130,54 +124,6 @@ const notFoundHandler = (req, res, next) => {
   });
 };
 
-/**
- * Rate limiting middleware
- */
-const rateLimiter = (windowMs = 15 * 60 * 1000, maxRequests = 100) => {
-  const requests = new Map();
-
-  return (req, res, next) => {
-    const ip = req.ip;
-    const now = Date.now();
-    const windowStart = now - windowMs;
-
-    // Clean old entries
-    for (const [key, timestamp] of requests.entries()) {
-      if (timestamp < windowStart) {
-        requests.delete(key);
-      }
-    }
-
-    // Check current request count
-    const requestCount = Array.from(requests.values())
-      .filter(timestamp => timestamp > windowStart).length;
-
-    if (requestCount >= maxRequests) {
-      logger.warn('Rate limit exceeded', {
-        ip: ip,
-        requestCount: requestCount,
-        maxRequests: maxRequests,
-        windowMs: windowMs,
-        timestamp: new Date().toISOString()
-      });
-
-      return res.status(429).json({
-        success: false,
-        error: {
-          message: 'Too many requests',
-          retryAfter: Math.ceil(windowMs / 1000),
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    // Record this request
-    requests.set(`${ip}-${now}`, now);
-
-    next();
-  };
-};
-
 /**
  * Security headers middleware
  */
@@ -196,25 +142,33 @@ const securityHeaders = (req, res, next) => {
 };
 
 /**
- * CORS middleware
+ * Origins allowed to call the API from a browser: the clinic website, any in
+ * CORS_ALLOWED_ORIGINS (comma-separated) and the local development servers
+ */
+function allowedOrigins() {
+  return [
+    process.env.CLINIC_WEBSITE,
+    ...String(process.env.CORS_ALLOWED_ORIGINS || '').split(','),
+    ...(process.env.NODE_ENV === 'production' ? [] : ['http://localhost:3000', 'http://localhost:3001'])
+  ].map(origin => (origin || '').trim().replace(/\/+$/, '')).filter(Boolean);
+}
+
+/**
+ * CORS middleware. Only allowlisted origins get CORS headers; other sites can
+ * still link to the app but their scripts can't read its responses.
  */
 const corsHandler = (req, res, next) => {
   const origin = req.headers.origin;
-  const allowedOrigins = [
-    process.env.CLINIC_WEBSITE,
-    'http://localhost:3000',
-    'http://localhost:3001'
-  ].filter(Boolean);
+  res.setHeader('Vary', 'Origin');
 
-  if (allowedOrigins.includes(origin)) {
+  if (origin && allowedOrigins().includes(origin)) {
     res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-CSRF-Token, X-API-Key');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Max-Age', '86400');
   }
 
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  res.setHeader('Access-Control-Max-Age', '86400');
-
   if (req.method === 'OPTIONS') {
     res.status(200).end();
     return;
@@ -408,11 +362,20 @@ class RateLimitError extends Error {
   }
 }
 
+/**
+ * CSRF Error class
+ */
+class CsrfError extends Error {
+  constructor(message = 'Invalid or missing CSRF token') {
+    super(message);
+    this.name = 'CsrfError';
+  }
+}
+
 module.exports = {
   requestLogger,
   errorHandler,
   notFoundHandler,
-  rateLimiter,
   securityHeaders,
   corsHandler,
   requestId,
@@ -425,5 +388,6 @@ module.exports = {
   ForbiddenError,
   NotFoundError,
   ConflictError,
-  RateLimitError
+  RateLimitError,
+  CsrfError
 };
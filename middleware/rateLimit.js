@@ -0,0 +1,166 @@
+const { createLogger } = require('../services/logger');
+const { RateLimitError } = require('./errorHandler');
+const { identifyClient } = require('./auth');
+
+const logger = createLogger('rate-limit', { files: './logs/middleware.log' });
+
+const RATE_LIMIT_STRATEGIES = {
+  SLIDING_WINDOW: 'sliding_window',
+  TOKEN_BUCKET: 'token_bucket'
+};
+
+// Named policies with the clinic's defaults: `limit` requests per `window` seconds.
+// RATE_LIMIT_RULES overrides any of them; `default` covers routes without a policy.
+const DEFAULT_POLICIES = {
+  intake: { strategy: RATE_LIMIT_STRATEGIES.SLIDING_WINDOW, limit: 10, window: 900 },
+  login: { strategy: RATE_LIMIT_STRATEGIES.SLIDING_WINDOW, limit: 10, window: 900 },
+  webhooks: { strategy: RATE_LIMIT_STRATEGIES.TOKEN_BUCKET, limit: 60, window: 60 },
+  dashboard: { strategy: RATE_LIMIT_STRATEGIES.SLIDING_WINDOW, limit: 300, window: 60 },
+  default: { strategy: RATE_LIMIT_STRATEGIES.SLIDING_WINDOW, limit: 120, window: 60 }
+};
+
+/**
+ * Parse RATE_LIMIT_RULES ("policy:strategy:limit:windowSeconds,...") over the
+ * defaults. A limit of "off" turns a policy off.
+ */
+function parsePolicies(value) {
+  const policies = {};
+  Object.entries(DEFAULT_POLICIES).forEach(([name, defaults]) => {
+    policies[name] = { name, ...defaults };
+  });
+
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [name, strategy, limit, window] = entry.split(':').map(part => (part || '').trim().toLowerCase());
+    if (!DEFAULT_POLICIES[name]) {
+      throw new Error(`Unknown rate limit policy "${name}" in RATE_LIMIT_RULES - expected one of: ${Object.keys(DEFAULT_POLICIES).join(', ')}`);
+    }
+    if (!Object.values(RATE_LIMIT_STRATEGIES).includes(strategy)) {
+      throw new Error(`Rate limit policy ${name} must use one of: ${Object.values(RATE_LIMIT_STRATEGIES).join(', ')}`);
+    }
+
+    const parsedLimit = limit === 'off' ? 0 : parseInt(limit);
+    const parsedWindow = parseInt(window);
+    if (isNaN(parsedLimit) || parsedLimit < 0 || (parsedLimit > 0 && !(parsedWindow > 0))) {
+      throw new Error(`Rate limit policy ${name} needs a request limit (or "off") and a window in seconds`);
+    }
+    policies[name] = { name, strategy, limit: parsedLimit, window: parsedWindow || DEFAULT_POLICIES[name].window };
+  });
+
+  return policies;
+}
+
+/**
+ * Count a request against a sliding window. The previous window's count is weighted
+ * by how much of it still overlaps the last `window` seconds.
+ */
+async function slidingWindow(store, key, policy, now) {
+  const windowMs = policy.window * 1000;
+  const index = Math.floor(now / windowMs);
+  const elapsed = now - index * windowMs;
+
+  const current = await store.increment(`${key}:${index}`, { now, ttlMs: 2 * windowMs - elapsed });
+  const previous = await store.get(`${key}:${index - 1}`, { now });
+  const used = previous * ((windowMs - elapsed) / windowMs) + current;
+  const reset = Math.ceil((windowMs - elapsed) / 1000);
+
+  return {
+    allowed: used <= policy.limit,
+    remaining: Math.max(0, Math.floor(policy.limit - used)),
+    reset,
+    retryAfter: reset
+  };
+}
+
+/**
+ * Take a token from a bucket holding `limit` tokens that refills completely over
+ * `window` seconds, so short bursts up to the limit are allowed
+ */
+async function tokenBucket(store, key, policy, now) {
+  const windowMs = policy.window * 1000;
+  const refillPerMs = policy.limit / windowMs;
+
+  const { allowed, tokens } = await store.takeToken(key, { capacity: policy.limit, refillPerMs, now, ttlMs: windowMs });
+
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    reset: Math.ceil((policy.limit - tokens) / refillPerMs / 1000),
+    retryAfter: Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000))
+  };
+}
+
+const STRATEGIES = {
+  [RATE_LIMIT_STRATEGIES.SLIDING_WINDOW]: slidingWindow,
+  [RATE_LIMIT_STRATEGIES.TOKEN_BUCKET]: tokenBucket
+};
+
+/**
+ * Whether a request matches a route entry ({ method, path } where path is an exact
+ * path or a RegExp)
+ */
+function matchesRoute(req, route) {
+  if (route.method && route.method !== req.method) return false;
+  return route.path instanceof RegExp ? route.path.test(req.path) : route.path === req.path;
+}
+
+/**
+ * Per-client rate limiting. Each request is counted once, against the policy of the
+ * first matching route (or `default`), under a key for the client (API key, user or
+ * IP - see identifyClient). Responses carry RateLimit-Limit, -Remaining, -Reset and
+ * -Policy headers; rejected requests get a 429 with Retry-After. If the store fails
+ * the request is let through rather than taking the site down with it.
+ */
+function createRateLimiter(store, {
+  rules = process.env.RATE_LIMIT_RULES,
+  routes = [],
+  now = () => Date.now()
+} = {}) {
+  const policies = parsePolicies(rules);
+
+  const middleware = async (req, res, next) => {
+    const route = routes.find(entry => matchesRoute(req, entry));
+    const policy = policies[route ? route.policy : 'default'];
+    if (!policy) {
+      return next(new Error(`Unknown rate limit policy "${route.policy}"`));
+    }
+    if (policy.limit === 0) return next();
+
+    const client = identifyClient(req);
+    let result;
+    try {
+      result = await STRATEGIES[policy.strategy](store, `${policy.name}:${client}`, policy, now());
+    } catch (error) {
+      logger.error('Rate limit store unavailable - request allowed', { error: error.message, policy: policy.name });
+      return next();
+    }
+
+    res.setHeader('RateLimit-Limit', policy.limit);
+    res.setHeader('RateLimit-Remaining', result.remaining);
+    res.setHeader('RateLimit-Reset', result.reset);
+    res.setHeader('RateLimit-Policy', `${policy.limit};w=${policy.window}`);
+
+    if (!result.allowed) {
+      logger.warn('Rate limit exceeded', {
+        policy: policy.name,
+        client: client,
+        method: req.method,
+        url: req.originalUrl,
+        timestamp: new Date().toISOString()
+      });
+      res.setHeader('Retry-After', result.retryAfter);
+      return next(new RateLimitError(`Too many requests - try again in ${result.retryAfter} seconds`));
+    }
+
+    next();
+  };
+
+  middleware.policies = policies;
+  return middleware;
+}
+
+module.exports = {
+  RATE_LIMIT_STRATEGIES,
+  DEFAULT_POLICIES,
+  parsePolicies,
+  createRateLimiter
+};
@@ -0,0 +1,15 @@
+/**
+ * Staff roles, from least to most privileged
+ */
+const ROLES = {
+  FRONT_DESK: 'front-desk',
+  CLINICIAN: 'clinician',
+  ADMIN: 'admin'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+module.exports = {
+  ROLES,
+  ALL_ROLES
+};
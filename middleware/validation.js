@@ -1,29 +1,9 @@
+const crypto = require('crypto');
 const Joi = require('joi');
-const winston = require('winston');
+const { createLogger } = require('../services/logger');
+const { ALL_ROLES } = require('./roles');
 
-// Configure logger for validation middleware
-const transports = [
-  new winston.transports.Console()
-];
-
-// Only add file transport in development (not in Vercel)
-if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
-  try {
-    transports.push(new winston.transports.File({ filename: './logs/validation.log' }));
-  } catch (error) {
-    // File system not available, continue with console only
-  }
-}
-
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  defaultMeta: { service: 'validation' },
-  transports: transports
-});
+const logger = createLogger('validation', { files: './logs/validation.log' });
 
 /**
  * Validate webhook requests
@@ -74,81 +54,158 @@ const validateWebhook = (req, res, next) => {
 };
 
 /**
- * Validate Formspree form data
+ * Keep the raw request body for webhook signature checks.
+ * Used as the `verify` option of express.json() and express.urlencoded().
  */
-const validateFormspreeData = (req, res, next) => {
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+
+/**
+ * Require a valid webhook signature. `verify(rawBody, signatureHeader)` returns
+ * { valid, reason }; `onFailure(req, reason)` runs before the 401 is sent.
+ */
+const requireWebhookSignature = ({ source, header, verify, onFailure }) => async (req, res, next) => {
   try {
-    const formspreeSchema = Joi.object({
-      fullName: Joi.string().min(2).max(100).required(),
-      email: Joi.string().email().required(),
-      phone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).optional(),
-      dob: Joi.date().max('now').required(),
-      address: Joi.string().max(200).optional(),
-      city: Joi.string().max(50).optional(),
-      state: Joi.string().max(50).optional(),
-      zipCode: Joi.string().pattern(/^\d{5}(-\d{4})?$/).optional(),
-      reasonForVisit: Joi.string().min(10).max(1000).required(),
-      currentMedications: Joi.string().max(500).optional(),
-      allergies: Joi.string().max(500).optional(),
-      pastConditions: Joi.string().max(500).optional(),
-      insuranceProvider: Joi.string().max(100).optional(),
-      insuranceId: Joi.string().max(50).optional(),
-      emergencyContact: Joi.string().max(100).optional(),
-      emergencyPhone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).optional(),
-      appointmentDate: Joi.date().min('now').optional(),
-      appointmentTime: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).optional(),
-      visitType: Joi.string().max(50).optional(),
-      additionalNotes: Joi.string().max(1000).optional()
-    });
+    const result = verify(req.rawBody, req.get(header));
+    if (result.valid) {
+      return next();
+    }
 
-    const { error, value } = formspreeSchema.validate(req.body, {
-      abortEarly: false,
-      stripUnknown: true
+    logger.warn('Webhook signature rejected', {
+      source: source,
+      reason: result.reason,
+      ip: req.ip,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
     });
 
-    if (error) {
-      const errorDetails = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message
-      }));
+    if (onFailure) {
+      await onFailure(req, result.reason);
+    }
 
-      logger.warn('Formspree data validation failed', {
-        errors: errorDetails,
-        ip: req.ip,
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'Invalid webhook signature',
         timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Error verifying webhook signature', {
+      source: source,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+    next(error);
+  }
+};
+
+/**
+ * Process each provider event once. The event key is the Idempotency-Key header,
+ * else `getEventId(req)`, else a hash of the raw body (retries resend the same body).
+ * A repeated delivery gets the original response back without reaching the route.
+ */
+const idempotentWebhook = ({ provider, idempotencyService, getEventId }) => async (req, res, next) => {
+  try {
+    const eventId = req.get('Idempotency-Key') ||
+      (getEventId && getEventId(req)) ||
+      `body-${crypto.createHash('sha256').update(req.rawBody || JSON.stringify(req.body || {})).digest('hex')}`;
+    const key = `${provider}:${eventId}`;
+
+    const claim = await idempotencyService.begin(key, { provider, requestId: req.id });
+
+    if (claim.duplicate) {
+      logger.info('Duplicate webhook delivery', {
+        provider: provider,
+        key: key,
+        originalStatus: claim.record.status,
+        originalRequestId: claim.record.requestId,
+        requestId: req.id,
+        duplicate: true
       });
 
-      return res.status(400).json({
+      if (claim.record.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.record.statusCode).json(claim.record.response);
+      }
+
+      // The first delivery is still being processed; ask the provider to retry later
+      res.set('Retry-After', '30');
+      return res.status(409).json({
         success: false,
         error: {
-          message: 'Form data validation failed',
-          details: errorDetails,
+          message: 'Webhook delivery is already being processed',
           timestamp: new Date().toISOString()
         }
       });
     }
 
-    // Replace req.body with validated and sanitized data
-    req.body = value;
-    
-    logger.info('Formspree data validation successful', {
-      patientName: value.fullName,
-      email: value.email,
+    // Record the route's response once it is sent. Server errors release the
+    // key so the provider's retry is processed again.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const settle = res.statusCode >= 500
+        ? idempotencyService.release(key)
+        : idempotencyService.complete(key, res.statusCode, body);
+
+      settle.catch(error => {
+        logger.error('Error recording webhook idempotency result', { key, error: error.message });
+      });
+      return json(body);
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Error checking webhook idempotency', {
+      provider: provider,
+      error: error.message,
       timestamp: new Date().toISOString()
     });
+    next(error);
+  }
+};
 
+/**
+ * Validate an intake form (our own form or a Formspree submission) against the
+ * form version it was filled in on (see IntakeFormService). The normalized fields,
+ * the form version and the answers to the form's own questions go on req.intake,
+ * leaving req.body with the consent and spam-check fields. Errors list a message
+ * per field so the form can show them inline.
+ */
+const validateIntakeForm = (intakeFormService) => async (req, res, next) => {
+  try {
+    req.intake = await intakeFormService.validateSubmission(req.body || {});
     next();
   } catch (error) {
-    logger.error('Error validating Formspree data', {
-      error: error.message,
+    if (error.name !== 'ValidationError') {
+      logger.error('Error validating intake form', {
+        error: error.message,
+        ip: req.ip,
+        timestamp: new Date().toISOString()
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Form data validation error',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    logger.warn('Intake form validation failed', {
+      fields: error.details.map(detail => detail.field),
+      url: req.originalUrl,
       ip: req.ip,
       timestamp: new Date().toISOString()
     });
 
-    return res.status(500).json({
+    return res.status(400).json({
       success: false,
       error: {
-        message: 'Form data validation error',
+        message: error.message,
+        details: error.details,
         timestamp: new Date().toISOString()
       }
     });
@@ -560,8 +617,29 @@ const validateApiKey = (req, res, next) => {
       });
     }
 
+    const configuredKey = findConfiguredApiKey(apiKey);
+    if (!configuredKey) {
+      logger.warn('Unknown API key rejected', {
+        ip: req.ip,
+        timestamp: new Date().toISOString()
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Invalid API key',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
     // Store API key in request for later use
     req.apiKey = apiKey;
+    req.user = {
+      username: configuredKey.name,
+      name: configuredKey.name,
+      role: configuredKey.role
+    };
 
     next();
   } catch (error) {
@@ -581,13 +659,58 @@ const validateApiKey = (req, res, next) => {
   }
 };
 
+/**
+ * Parse API_KEYS ("key:role" pairs, comma-separated). Every key must name one of the
+ * staff roles; a missing or unknown role is a configuration error, never an admin key.
+ * The error names the entry by position so the key itself isn't logged.
+ */
+function parseApiKeys(value = process.env.API_KEYS) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const separator = entry.lastIndexOf(':');
+      const role = separator > 0 ? entry.slice(separator + 1).trim() : '';
+      if (!ALL_ROLES.includes(role)) {
+        throw new Error(`API_KEYS entry ${index + 1} must be "key:role" with a role of: ${ALL_ROLES.join(', ')}`);
+      }
+      return { name: `api-key-${index + 1}`, key: entry.slice(0, separator).trim(), role };
+    });
+}
+
+// Refuse to start with a misconfigured key rather than guess its role
+parseApiKeys();
+
+/**
+ * Look up an API key in API_KEYS
+ */
+function findConfiguredApiKey(apiKey) {
+  const presented = crypto.createHash('sha256').update(apiKey).digest();
+
+  for (const configured of parseApiKeys()) {
+    const expected = crypto.createHash('sha256').update(configured.key).digest();
+
+    if (crypto.timingSafeEqual(presented, expected)) {
+      return { name: configured.name, role: configured.role };
+    }
+  }
+
+  return null;
+}
+
 module.exports = {
   validateWebhook,
-  validateFormspreeData,
+  captureRawBody,
+  requireWebhookSignature,
+  idempotentWebhook,
+  validateIntakeForm,
   validateCalendlyData,
   validateAppointmentData,
   validateTriageData,
   validateEmailData,
   sanitizeInput,
-  validateApiKey
+  validateApiKey,
+  parseApiKeys,
+  findConfiguredApiKey
 };
@@ -0,0 +1,37 @@
+const dotenv = require('dotenv');
+const { createStore } = require('../services/storage');
+const AuthService = require('../services/authService');
+const { ALL_ROLES } = require('../middleware/auth');
+
+dotenv.config();
+
+// Usage: node scripts/create-user.js <username> <role> <password> [display name]
+async function createUser() {
+  const [username, role, password, ...nameParts] = process.argv.slice(2);
+
+  if (!username || !role || !password) {
+    console.log('👤 Create Staff User');
+    console.log('===================\n');
+    console.log('Usage: npm run create-user -- <username> <role> <password> [display name]');
+    console.log(`Roles: ${ALL_ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    const authService = new AuthService(createStore());
+    const user = await authService.createUser({
+      username,
+      role,
+      password,
+      name: nameParts.join(' ') || undefined
+    });
+
+    console.log(`✅ Created ${user.role} user "${user.username}"`);
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ Could not create user: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+createUser();
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { createStore } = require('../services/storage');
+const PatientRepository = require('../services/patientRepository');
+const AuditService = require('../services/auditService');
+const JobQueue = require('../services/jobQueue');
+const SpamFilter = require('../services/spamFilter');
+const PhiEncryption = require('../services/phiEncryption');
+
+dotenv.config();
+
+// Usage: node scripts/migrate-patients.js [--dry-run]
+// Brings patient records saved by older versions up to date: re-keys colliding IDs,
+// assigns MRNs, stores a timestamp on records that only have createdAt, splits each
+// old submission into a patient plus an encounter, encrypts PHI (re-wrapping it after
+// a key rotation) and rebuilds duplicate-detection match keys.
+// Safe to run more than once.
+async function migratePatients() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const store = createStore();
+    const auditService = new AuditService(store);
+    const encryption = new PhiEncryption();
+    const patientRepository = new PatientRepository(store, auditService, encryption);
+
+    console.log(`🔢 Patient record migration (${store.name} storage${dryRun ? ', dry run' : ''})`);
+    console.log('=========================================\n');
+
+    if (!dryRun) {
+      // Colliding records are deleted and re-inserted, so keep a copy first
+      const backupFile = path.join(__dirname, '..', 'data', `patients-backup-${Date.now()}.json`);
+      const patients = await store.find('patients');
+      fs.mkdirSync(path.dirname(backupFile), { recursive: true });
+      fs.writeFileSync(backupFile, JSON.stringify(patients, null, 2));
+      console.log(`💾 Backed up ${patients.length} patient records to ${backupFile}\n`);
+    }
+
+    const result = await patientRepository.repairIds({
+      dryRun,
+      context: { user: 'system:migrate-patients' }
+    });
+
+    result.rekeyed.forEach(entry => {
+      console.log(`  ${entry.from} → ${entry.to} (${entry.mrn}), submitted ${entry.submittedAt}`);
+    });
+
+    console.log(`\n${dryRun ? 'Would re-key' : '✅ Re-keyed'} ${result.rekeyed.length} colliding records`);
+    console.log(`${dryRun ? 'Would assign' : '✅ Assigned'} ${result.mrnsAssigned} MRNs`);
+
+    if (!dryRun) {
+      const timestamps = await patientRepository.backfillTimestamps();
+      console.log(`✅ Added timestamps to ${timestamps} records that only had createdAt`);
+
+      const encounters = await patientRepository.backfillEncounters();
+      console.log(`✅ Created ${encounters} encounters from earlier intake submissions`);
+
+      if (encryption.enabled) {
+        const encrypted = await patientRepository.encryptStoredRecords();
+        encrypted.jobs = await new JobQueue(store, encryption).encryptStoredRecords();
+        encrypted['quarantined submissions'] = await new SpamFilter(store, patientRepository, auditService, encryption).encryptStoredRecords();
+        console.log(`✅ Encrypted or re-wrapped PHI with key "${encryption.activeKeyId}": ${Object.entries(encrypted).map(([name, count]) => `${count} ${name}`).join(', ')}`);
+      } else {
+        console.log('⚠️  PHI_ENCRYPTION_KEYS not set - records left unencrypted');
+      }
+
+      const backfilled = await patientRepository.backfillMatchKeys();
+      console.log(`✅ Updated duplicate-detection match keys on ${backfilled} records`);
+    }
+
+    if (store.databaseService) {
+      await store.databaseService.disconnect();
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+migratePatients();
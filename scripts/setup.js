@@ -2,22 +2,10 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const { google } = require('googleapis');
-const winston = require('winston');
+const { createLogger } = require('../services/logger');
 
 // Configure logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  defaultMeta: { service: 'setup' },
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.simple()
-    })
-  ]
-});
+const logger = createLogger('setup', { console: 'simple' });
 
 // Create readline interface
 const rl = readline.createInterface({
@@ -263,10 +251,10 @@ async function generateFormHTML() {
     
     const formHTML = formspreeService.generateFormHTML();
     
-    const formPath = path.join(__dirname, '..', 'public', 'intake-form.html');
+    const formPath = path.join(__dirname, '..', 'public', 'formspree-form.html');
     fs.writeFileSync(formPath, formHTML);
     
-    console.log('✅ Patient intake form generated at: public/intake-form.html');
+    console.log('✅ Formspree intake form generated at: public/formspree-form.html');
   } catch (error) {
     console.log('⚠️  Could not generate form HTML automatically');
     logger.error('Form HTML generation error', { error: error.message });
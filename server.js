@@ -1,9 +1,7 @@
 const express = require('express');
-const cors = require('cors');
 const helmet = require('helmet');
 const dotenv = require('dotenv');
 const cron = require('node-cron');
-const winston = require('winston');
 const path = require('path');
 
 // Load environment variables
@@ -15,9 +13,27 @@ const AIService = require('./services/aiService');
 const EmailService = require('./services/emailService');
 const CalendlyService = require('./services/calendlyService');
 const FormspreeService = require('./services/formspreeService');
-const DataService = require('./services/dataService');
-const DatabaseService = require('./services/databaseService');
+const { getClientSchema, fieldsFor } = require('./services/intakeSchema');
+const PatientRepository = require('./services/patientRepository');
+const AppointmentRepository = require('./services/appointmentRepository');
+const { createStore } = require('./services/storage');
 const ExcelService = require('./services/excelService');
+const AuthService = require('./services/authService');
+const AuditService = require('./services/auditService');
+const IdempotencyService = require('./services/idempotencyService');
+const JobQueue = require('./services/jobQueue');
+const RetentionService = require('./services/retentionService');
+const ConsentService = require('./services/consentService');
+const IntakeFormService = require('./services/intakeFormService');
+const { renderIntakeFields } = IntakeFormService;
+const TriageEngine = require('./services/triageEngine');
+const SpamFilter = require('./services/spamFilter');
+const { QUARANTINE_STATUSES, REASON_DESCRIPTIONS } = SpamFilter;
+const TriageReviewService = require('./services/triageReviewService');
+const { URGENCY_LEVELS } = TriageEngine;
+const DiagnosticsService = require('./services/diagnosticsService');
+const PhiEncryption = require('./services/phiEncryption');
+const { createLogger, describeSubmission } = require('./services/logger');
 
 // Import automation modules
 const IntakeWebhook = require('./automations/intakeWebhook');
@@ -25,45 +41,30 @@ const ReminderScheduler = require('./automations/reminderScheduler');
 const WeeklyReport = require('./automations/weeklyReport');
 
 // Import middleware
-const { errorHandler, requestLogger } = require('./middleware/errorHandler');
-const { validateWebhook } = require('./middleware/validation');
+const { errorHandler, requestLogger, requestId, corsHandler } = require('./middleware/errorHandler');
+const { validateWebhook, captureRawBody, requireWebhookSignature, idempotentWebhook, validateIntakeForm } = require('./middleware/validation');
+const { ROLES, requireRole, requireCronOrRole, setSessionResolver, createSessionToken, verifySessionToken, getSessionToken, setSessionCookie, clearSessionCookie } = require('./middleware/auth');
+const { createRateLimiter } = require('./middleware/rateLimit');
+const { issueCsrfToken, csrfField, csrfProtection } = require('./middleware/csrf');
+const { createRateLimitStore } = require('./services/rateLimitStore');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configure Winston logger
-const transports = [
-  new winston.transports.Console({
-    format: winston.format.simple()
-  })
-];
-
-// Only add file transports in development (not in Vercel)
-if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
-  try {
-    transports.push(
-      new winston.transports.File({ 
-        filename: process.env.LOG_FILE || './logs/error.log', 
-        level: 'error' 
-      }),
-      new winston.transports.File({ 
-        filename: process.env.LOG_FILE || './logs/combined.log' 
-      })
-    );
-  } catch (error) {
-    // File system not available, continue with console only
-  }
+// Behind a load balancer or platform proxy, req.ip is only the client's address if
+// the proxy is trusted (hop count, "true", or a list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' ? true : trustProxy);
 }
 
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  defaultMeta: { service: 'clinic-automation' },
-  transports: transports
+// PHI is redacted from every log line (see services/logger)
+const logger = createLogger('clinic-automation', {
+  console: 'simple',
+  files: [
+    { filename: process.env.LOG_FILE || './logs/error.log', level: 'error' },
+    { filename: process.env.LOG_FILE || './logs/combined.log' }
+  ]
 });
 
 // Middleware
@@ -80,22 +81,61 @@ app.use(helmet({
     }
   }
 }));
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+app.use(corsHandler);
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+app.use(requestId);
 app.use(requestLogger);
 
+// The intake form is only served through /patient-form, which signs its spam-check token
+app.get('/intake-form.html', (req, res) => {
+    res.redirect('/patient-form');
+});
+
 // Serve static files
 app.use(express.static('public'));
 
-// Redirect /public/intake-form.html to /intake-form.html
+// Per-client rate limits: strict on the public intake form, login and webhooks,
+// relaxed on staff pages. Counters live in MongoDB when it is configured so every
+// instance shares them.
+app.use(createRateLimiter(createRateLimitStore(), {
+  routes: [
+    { method: 'POST', path: '/test-form', policy: 'intake' },
+    { method: 'POST', path: '/auth/login', policy: 'login' },
+    { path: /^\/webhook\//, policy: 'webhooks' },
+    { path: /^\/(dashboard|patient|admin|quarantine|triage)(\/|$)/, policy: 'dashboard' }
+  ]
+}));
+
+// Browser-submitted POSTs must carry the CSRF token from the page they came from.
+// Webhooks are signed by their senders instead.
+app.use(csrfProtection({ exempt: [/^\/webhook\//] }));
+
+// Old links to the form's template, which now lives in views/ so it is never served raw
 app.get('/public/intake-form.html', (req, res) => {
-    res.redirect('/intake-form.html');
+    res.redirect('/patient-form');
 });
 
-// Serve patient form directly
-app.get('/patient-form', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'intake-form.html'));
+// Serve the patient form, rendered from the current intake form version, with a
+// freshly signed token recording when it was loaded
+let intakeFormTemplate = null;
+app.get('/patient-form', async (req, res) => {
+    try {
+        if (!intakeFormTemplate) {
+            intakeFormTemplate = require('fs').readFileSync(path.join(__dirname, 'views', 'intake-form.html'), 'utf8');
+        }
+        const form = await intakeFormService.getCurrent();
+        const schema = JSON.stringify(getClientSchema(fieldsFor(form))).replace(/</g, '\\u003c');
+        res.set('Cache-Control', 'no-store');
+        res.type('html').send(intakeFormTemplate
+            .replace('{{INTAKE_SCHEMA}}', () => schema)
+            .replace('{{FORM_TOKEN}}', spamFilter.issueFormToken())
+            .replace('{{CSRF_TOKEN}}', issueCsrfToken(req, res))
+            .replace('{{FORM_FIELDS}}', () => renderIntakeFields(form)));
+    } catch (error) {
+        logger.error('Error rendering the patient form', { error: error.message });
+        res.status(500).send('The intake form is unavailable right now. Please try again later.');
+    }
 });
 
 // Redirect root to patient form
@@ -103,26 +143,6 @@ app.get('/', (req, res) => {
     res.redirect('/patient-form');
 });
 
-// Debug route to check if server is working
-app.get('/debug', (req, res) => {
-    res.json({
-        status: 'working',
-        testMode: TEST_MODE,
-        environment: process.env.NODE_ENV,
-        timestamp: new Date().toISOString(),
-        routes: [
-            '/',
-            '/health',
-            '/dashboard',
-            '/patient-form',
-            '/test-form',
-            '/webhook/formspree',
-            '/setup-guide',
-            '/patient/:id'
-        ]
-    });
-});
-
 // OAuth callback route
 app.get('/auth/google/callback', (req, res) => {
     const { code } = req.query;
@@ -155,8 +175,8 @@ app.get('/auth/google/callback', (req, res) => {
     `);
 });
 
-// Setup guide route
-app.get('/setup-guide', (req, res) => {
+// Setup guide route (admins only; linked from the diagnostics console)
+app.get('/setup-guide', requireRole(ROLES.ADMIN), (req, res) => {
     const fs = require('fs');
     const path = require('path');
     
@@ -236,16 +256,34 @@ app.get('/setup-guide', (req, res) => {
     }
 });
 
+// Storage backend is chosen once at startup (see services/storage); patients,
+// staff accounts and the audit log all go through the same store
+const store = createStore();
+// Sensitive patient fields are encrypted before they reach the store (see services/phiEncryption)
+const phiEncryption = new PhiEncryption();
+const auditService = new AuditService(store);
+const patientRepository = new PatientRepository(store, auditService, phiEncryption);
+const appointmentRepository = new AppointmentRepository(store, auditService, phiEncryption);
+const idempotencyService = new IdempotencyService(store, phiEncryption);
+const jobQueue = new JobQueue(store, phiEncryption);
+// Admin-defined intake forms: the patient form, validation and the Sheets/Excel columns follow them
+const intakeFormService = new IntakeFormService(store, auditService);
+// Admin-editable triage rules, checked alongside the AI summary of each intake
+const triageEngine = new TriageEngine(store, auditService);
+logger.info(`Using ${store.name} storage backend`);
+// Older MongoDB records only have createdAt; store a timestamp on them up front
+patientRepository.ensureTimestamps().catch(error => {
+  logger.error('Error backfilling patient timestamps', { error: error.message });
+});
+
 // Initialize services with error handling
-let googleService, aiService, emailService, dataService, databaseService, excelService;
+let googleService, aiService, emailService, excelService;
 try {
   logger.info('Attempting to initialize Google Service...');
-  googleService = new GoogleService();
+  googleService = new GoogleService(intakeFormService);
   logger.info('Google Service initialized successfully');
-  aiService = new AIService();
+  aiService = new AIService({ triageEngine });
   emailService = new EmailService();
-  dataService = new DataService();
-  databaseService = new DatabaseService();
   excelService = new ExcelService();
   logger.info('Excel Service initialized successfully');
 } catch (error) {
@@ -262,53 +300,374 @@ try {
   };
   aiService = { summarizeIntake: () => Promise.resolve('Mock summary') };
   emailService = { sendConfirmation: () => Promise.resolve(), sendReminder: () => Promise.resolve() };
-  dataService = new DataService(); // Always initialize data service
   excelService = new ExcelService(); // Always initialize Excel service
 }
 
+const authService = new AuthService(store);
+// Every signed-in request is checked against the user store, so revoked sessions,
+// deactivated users and role changes apply at once
+setSessionResolver(session => authService.resolveSession(session));
+const retentionService = new RetentionService(store, patientRepository, auditService, emailService);
+const consentService = new ConsentService(store, auditService);
+const spamFilter = new SpamFilter(store, patientRepository, auditService, phiEncryption);
+// Clinician accept/override of each intake's triage, and the accuracy report built on it
+const triageReviewService = new TriageReviewService(patientRepository, auditService);
+
 // Test mode - works without external APIs
 // Enable test mode ONLY if Google APIs are explicitly disabled
 const TEST_MODE = process.env.DISABLE_GOOGLE_APIS === 'true';
 let calendlyService, formspreeService;
 try {
-  calendlyService = new CalendlyService();
+  calendlyService = new CalendlyService(appointmentRepository, TEST_MODE ? null : googleService);
   formspreeService = new FormspreeService();
 } catch (error) {
   logger.error('Error initializing additional services:', error);
-  calendlyService = { getUpcomingEvents: () => Promise.resolve([]) };
-  formspreeService = { processWebhook: () => Promise.resolve() };
+  // Without the real services signatures can't be checked, so webhooks are refused
+  calendlyService = {
+    getUpcomingEvents: () => Promise.resolve([]),
+    validateWebhookSignature: () => ({ valid: false, reason: 'Calendly service unavailable' })
+  };
+  formspreeService = {
+    processWebhook: () => Promise.resolve(),
+    validateWebhookSignature: () => ({ valid: false, reason: 'Formspree service unavailable' })
+  };
 }
 
+const diagnosticsService = new DiagnosticsService(store, googleService, emailService, aiService, calendlyService);
+
 // Initialize automation modules with error handling
 let intakeWebhook, reminderScheduler, weeklyReport;
 try {
-  intakeWebhook = new IntakeWebhook(googleService, aiService, emailService);
-  reminderScheduler = new ReminderScheduler(googleService, emailService);
+  intakeWebhook = new IntakeWebhook(googleService, aiService, emailService, patientRepository.encounters, triageEngine, patientRepository);
+  reminderScheduler = new ReminderScheduler(googleService, emailService, patientRepository);
   weeklyReport = new WeeklyReport(googleService, aiService, emailService);
 } catch (error) {
   logger.error('Error initializing automation modules:', error);
   // Create mock automation modules
-  intakeWebhook = { handleFormSubmission: () => Promise.resolve() };
+  intakeWebhook = { handleFormSubmission: () => Promise.resolve(), createJobHandler: () => ({ steps: [] }) };
   reminderScheduler = { sendReminders: () => Promise.resolve() };
   weeklyReport = { generateReport: () => Promise.resolve() };
 }
 
-// Debug endpoint to check environment variables
-app.get('/debug-env', (req, res) => {
-  const hasServiceAccount = !!(process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL && process.env.GOOGLE_PRIVATE_KEY);
-  const hasSheetId = !!process.env.GOOGLE_SHEET_ID;
-  const hasGmailUser = !!process.env.GMAIL_USER;
-  
-  res.json({
-    hasServiceAccount,
-    hasSheetId,
-    hasGmailUser,
-    serviceAccountEmail: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL ? 'SET' : 'NOT SET',
-    privateKeyLength: process.env.GOOGLE_PRIVATE_KEY ? process.env.GOOGLE_PRIVATE_KEY.length : 0,
-    sheetId: process.env.GOOGLE_SHEET_ID || 'NOT SET',
-    gmailUser: process.env.GMAIL_USER || 'NOT SET',
-    testMode: TEST_MODE
-  });
+// Intake forms are processed in the background so webhooks can answer immediately
+const INTAKE_JOB = 'intake_form';
+jobQueue.register(INTAKE_JOB, intakeWebhook.createJobHandler());
+
+// Login page
+app.get('/login', (req, res) => {
+  res.send(generateLoginHTML({ next: req.query.next, csrfToken: issueCsrfToken(req, res) }));
+});
+
+// CSRF token for scripts and API clients that post with the session cookie
+app.get('/auth/csrf', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ success: true, csrfToken: issueCsrfToken(req, res) });
+});
+
+// Log in with username and password (HTML form or JSON)
+app.post('/auth/login', async (req, res) => {
+  const isJSON = req.is('application/json');
+  const next = typeof req.body.next === 'string' && /^\/(?!\/)/.test(req.body.next) ? req.body.next : '/dashboard';
+
+  try {
+    const user = await authService.authenticate(req.body.username, req.body.password);
+
+    if (!user) {
+      logger.warn('Login failed', { username: req.body.username, ip: req.ip });
+      if (isJSON) {
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+      }
+      return res.status(401).send(generateLoginHTML({ next, error: 'Invalid username or password', csrfToken: issueCsrfToken(req, res) }));
+    }
+
+    const token = createSessionToken(user);
+    setSessionCookie(res, token);
+    logger.info('User logged in', { username: user.username, role: user.role });
+
+    if (isJSON) {
+      return res.json({ success: true, user: { username: user.username, name: user.name, role: user.role }, token });
+    }
+    res.redirect(next);
+  } catch (error) {
+    logger.error('Error during login', { error: error.message });
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+});
+
+// Log out: clears the session cookie and revokes the user's session tokens, bearer tokens included
+app.post('/auth/logout', async (req, res) => {
+  try {
+    const session = verifySessionToken(getSessionToken(req));
+    if (session) {
+      await authService.revokeSessions(session.sub);
+    }
+  } catch (error) {
+    logger.error('Error revoking sessions at logout', { error: error.message });
+    return res.status(500).json({ success: false, error: 'Logout failed' });
+  }
+
+  clearSessionCookie(res);
+  if (req.is('application/json')) {
+    return res.json({ success: true });
+  }
+  res.redirect('/login');
+});
+
+// Current user
+app.get('/auth/me', requireRole(), (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+// User management (admin only)
+app.get('/admin/users', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const users = await authService.listUsers();
+    res.json({ success: true, users });
+  } catch (error) {
+    logger.error('Error listing users', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/admin/users', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const user = await authService.createUser(req.body);
+    logger.info('User created by admin', { username: user.username, role: user.role, createdBy: req.user.username });
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'ConflictError' ? 409 : 500;
+    logger.error('Error creating user', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+app.patch('/admin/users/:username', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const user = await authService.updateUser(req.params.username, req.body);
+    logger.info('User updated by admin', { username: user.username, updatedBy: req.user.username });
+    res.json({ success: true, user });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'NotFoundError' ? 404 : 500;
+    logger.error('Error updating user', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// PHI access audit trail (admin only)
+app.get('/admin/audit', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const filters = {
+      user: req.query.user,
+      patientId: req.query.patientId,
+      action: req.query.action,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit
+    };
+    const entries = await auditService.query(filters);
+
+    if (req.query.format === 'csv') {
+      // Downloading the trail is itself an access to PHI identifiers
+      await auditService.record({
+        action: 'audit.export',
+        context: auditService.fromRequest(req),
+        details: { filters, entryCount: entries.length }
+      });
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().split('T')[0]}.csv"`);
+      return res.send(auditService.toCSV(entries));
+    }
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.send(generateAuditLogHTML(entries, filters));
+    }
+
+    res.json({ success: true, count: entries.length, entries });
+  } catch (error) {
+    logger.error('Error querying audit log', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Background job queue (admin only). Lists jobs without their payloads, which hold PHI.
+app.get('/admin/jobs', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const filters = { status: req.query.status, type: req.query.type, limit: req.query.limit };
+    const jobs = (await jobQueue.list(filters)).map(({ payload, results, ...job }) => job);
+    const counts = await jobQueue.getCounts();
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.send(generateJobsHTML(jobs, counts, filters, issueCsrfToken(req, res)));
+    }
+
+    res.json({ success: true, counts, count: jobs.length, jobs });
+  } catch (error) {
+    logger.error('Error listing jobs', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Put a dead-lettered job back on the queue
+app.post('/admin/jobs/:id/replay', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const job = await jobQueue.replay(req.params.id);
+
+    await auditService.record({
+      action: 'job.replay',
+      context: auditService.fromRequest(req),
+      patientIds: job.reference ? [job.reference] : [],
+      details: { jobId: job.id, type: job.type }
+    });
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect('/admin/jobs?status=dead');
+    }
+
+    const { payload, results, ...summary } = job;
+    res.json({ success: true, job: summary });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'NotFoundError' ? 404 : 500;
+    logger.error('Error replaying job', { error: error.message, jobId: req.params.id });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Consent documents, every version (admin only)
+app.get('/admin/consents', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const [documents, current] = await Promise.all([consentService.listDocuments(), consentService.listCurrent()]);
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.send(generateConsentDocumentsHTML(documents, current, issueCsrfToken(req, res)));
+    }
+
+    res.json({ success: true, current: current.map(document => document.id), documents });
+  } catch (error) {
+    logger.error('Error listing consent documents', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Publish a new version of a consent document
+app.post('/admin/consents', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const document = await consentService.publish(req.body, auditService.fromRequest(req));
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect('/admin/consents');
+    }
+
+    res.status(201).json({ success: true, document });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    logger.error('Error publishing consent document', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Intake form versions (admin only)
+app.get('/admin/forms', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const [versions, columns] = await Promise.all([intakeFormService.listVersions(), intakeFormService.getColumns()]);
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.send(generateIntakeFormsHTML(versions, issueCsrfToken(req, res)));
+    }
+
+    res.json({ success: true, current: versions[0].version, versions, columns });
+  } catch (error) {
+    logger.error('Error listing intake forms', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Publish a new intake form version: a JSON definition, or the `definition` field of the admin page
+app.post('/admin/forms', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const form = await intakeFormService.publish(req.body.definition || req.body, auditService.fromRequest(req));
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect('/admin/forms');
+    }
+
+    res.status(201).json({ success: true, form });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    logger.error('Error publishing intake form', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Triage rule versions (admin only)
+app.get('/admin/triage-rules', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const versions = await triageEngine.listVersions();
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.send(generateTriageRulesHTML(versions, issueCsrfToken(req, res)));
+    }
+
+    res.json({ success: true, current: versions[0].version, versions });
+  } catch (error) {
+    logger.error('Error listing triage rules', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Publish a new triage rules version: a JSON ruleset, or the `rules` field of the admin page
+app.post('/admin/triage-rules', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const rules = await triageEngine.publish(typeof req.body.rules === 'string' ? req.body.rules : req.body, auditService.fromRequest(req));
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect('/admin/triage-rules');
+    }
+
+    res.status(201).json({ success: true, rules });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    logger.error('Error publishing triage rules', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Retention policy, recent purge runs and patients under legal hold
+app.get('/admin/retention', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const [runs, holds] = await Promise.all([
+      retentionService.listRuns({ limit: parseInt(req.query.limit) || 20 }),
+      patientRepository.listLegalHolds()
+    ]);
+    const policy = retentionService.getPolicy();
+    const legalHolds = holds.map(patient => ({ id: patient.id, mrn: patient.mrn, ...patient.legalHold }));
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.send(generateRetentionHTML(policy, runs, legalHolds, issueCsrfToken(req, res)));
+    }
+
+    res.json({ success: true, policy, runs, legalHolds });
+  } catch (error) {
+    logger.error('Error loading retention status', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin diagnostics console: live connectivity checks against each integration.
+// Reports only whether settings are set, never their values.
+app.get('/admin/diagnostics', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const report = await diagnosticsService.run();
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.send(generateDiagnosticsHTML(report));
+    }
+
+    res.json({ success: true, ...report });
+  } catch (error) {
+    logger.error('Error running diagnostics', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 // Health check endpoint
@@ -332,6 +691,7 @@ app.get('/health', (req, res) => {
       heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024) + ' MB',
       external: Math.round(memoryUsage.external / 1024 / 1024) + ' MB'
     },
+    storage: store.name,
     environment: process.env.NODE_ENV || 'development',
     nodeVersion: process.version,
     platform: process.platform
@@ -345,93 +705,169 @@ app.get('/health', (req, res) => {
   }
 });
 
-// Test form endpoint - GET to serve the form
+// Test form endpoint - GET redirects to the form, which is served with its signed tokens
 app.get('/test-form', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'intake-form.html'));
+  res.redirect('/patient-form');
 });
 
-// Test form submission endpoint
-app.post('/test-form', async (req, res) => {
+// Test form submission endpoint. Field errors come back per field for the form to show inline.
+app.post('/test-form', validateIntakeForm(intakeFormService), async (req, res) => {
   try {
-    logger.info('Test form submission received', { body: req.body });
-    
-    // Store the form submission in database (permanent storage)
-    let submission;
-    if (databaseService) {
-      try {
-        submission = await databaseService.addPatient(req.body);
-        logger.info('Patient data saved to permanent database');
-      } catch (dbError) {
-        logger.error('Database error, falling back to local storage:', dbError);
-        submission = await dataService.addFormSubmission(req.body);
-      }
-    } else {
-      submission = await dataService.addFormSubmission(req.body);
-    }
+    logger.info('Test form submission received', describeSubmission(req.body));
+    const intakeData = req.intake;
     
-    // Add to Excel export system (automatic)
-    if (excelService) {
-      try {
-        logger.info('Adding patient data to Excel export system...');
-        await excelService.addPatientToExcel(req.body);
-        logger.info('Patient data added to Excel export system successfully');
-      } catch (excelError) {
-        logger.error('Error adding to Excel export system:', excelError);
-        // Don't fail the request if Excel export fails
-      }
-    }
+    // The signed consent (document versions, time and IP) is stored with the patient
+    const { consent } = await consentService.capture(req.body, { ip: req.ip, userAgent: req.get('user-agent') });
 
-    // Add to Google Sheets (always try, regardless of test mode)
-    if (googleService) {
-      try {
-        logger.info('Attempting to add patient data to Google Sheets...');
-        await googleService.addPatientIntake(req.body);
-        logger.info('Patient data added to Google Sheets successfully');
-      } catch (sheetsError) {
-        logger.error('Error adding to Google Sheets:', sheetsError);
-        logger.error('Google Sheets error details:', sheetsError.message);
-        // Don't fail the request if Google Sheets fails
-      }
-    } else {
-      logger.warn('Google Service not available - data not added to Google Sheets');
+    // Suspected spam is held for staff review without creating a patient or calling
+    // Sheets and Excel. The response doesn't say so, to give bots nothing to tune against.
+    const { reasons } = await spamFilter.inspect(intakeData, { submitted: req.body });
+    if (reasons.length > 0) {
+      await spamFilter.quarantine(intakeData, reasons, { source: 'test-form', consent, ip: req.ip, userAgent: req.get('user-agent') });
+      return res.json({
+        success: true,
+        message: 'Form submitted successfully! Our staff will be in touch.',
+        timestamp: new Date().toISOString()
+      });
     }
+
+    const submission = await patientRepository.add({ ...intakeData, consent });
+    await exportTestFormSubmission(intakeData);
     
     res.json({ 
       success: true, 
       message: 'Form submitted successfully! Your data has been saved and will be available in Excel export.',
-      receivedData: req.body,
+      receivedData: intakeData,
       submissionId: submission.id,
+      encounterId: submission.encounter.id,
       timestamp: new Date().toISOString(),
       excelExport: 'Your data is now available for Excel export from the dashboard'
     });
   } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
     logger.error('Error processing test form', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Add an intake form submitted on the clinic's own form to the Excel export and
+ * Google Sheets. Failures are logged; the submission is already saved.
+ */
+async function exportTestFormSubmission(intakeData) {
+  // Add to Excel export system (automatic)
+  if (excelService) {
+    try {
+      logger.info('Adding patient data to Excel export system...');
+      await excelService.addPatientToExcel(intakeData, await patientRepository.list(), await intakeFormService.getColumns());
+      logger.info('Patient data added to Excel export system successfully');
+    } catch (excelError) {
+      logger.error('Error adding to Excel export system:', excelError);
+      // Don't fail the request if Excel export fails
+    }
+  }
+
+  // Add to Google Sheets (always try, regardless of test mode)
+  if (googleService) {
+    try {
+      logger.info('Attempting to add patient data to Google Sheets...');
+      await googleService.addPatientIntake(intakeData);
+      logger.info('Patient data added to Google Sheets successfully');
+    } catch (sheetsError) {
+      logger.error('Error adding to Google Sheets:', sheetsError);
+      logger.error('Google Sheets error details:', sheetsError.message);
+      // Don't fail the request if Google Sheets fails
+    }
+  } else {
+    logger.warn('Google Service not available - data not added to Google Sheets');
+  }
+}
+
+// Current consent documents, shown on the intake form
+app.get('/consents', async (req, res) => {
+  try {
+    const documents = await consentService.listCurrent();
+    res.json({
+      success: true,
+      documents: documents.map(({ id, type, version, title, body, required }) => ({ id, type, version, title, body, required }))
+    });
+  } catch (error) {
+    logger.error('Error loading consent documents', { error: error.message });
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Webhook signature checks - rejected requests are written to the audit log
+const auditRejectedWebhook = (source) => (req, reason) => auditService.record({
+  action: 'webhook.signature_rejected',
+  context: auditService.fromRequest(req),
+  details: { source, reason }
+});
+
+const verifyFormspreeSignature = requireWebhookSignature({
+  source: 'formspree',
+  header: 'Formspree-Signature',
+  verify: (rawBody, signature) => formspreeService.validateWebhookSignature(rawBody, signature),
+  onFailure: auditRejectedWebhook('formspree')
+});
+
+const verifyCalendlySignature = requireWebhookSignature({
+  source: 'calendly',
+  header: 'Calendly-Webhook-Signature',
+  verify: (rawBody, signature) => calendlyService.validateWebhookSignature(rawBody, signature),
+  onFailure: auditRejectedWebhook('calendly')
+});
+
+// Providers retry deliveries, so each event is processed once
+const formspreeIdempotency = idempotentWebhook({
+  provider: 'formspree',
+  idempotencyService,
+  getEventId: (req) => req.body._id || req.body.submissionId || req.body.submission_id
+});
+
+const calendlyIdempotency = idempotentWebhook({
+  provider: 'calendly',
+  idempotencyService,
+  // created/canceled events share the invitee, so the event type is part of the key
+  getEventId: (req) => {
+    const payload = req.body.payload || {};
+    const inviteeId = payload.uuid || (payload.uri && payload.uri.split('/').filter(Boolean).pop());
+    return inviteeId ? `${req.body.event}:${inviteeId}` : null;
+  }
+});
+
 // Webhook endpoints
-app.post('/webhook/formspree', validateWebhook, async (req, res) => {
+app.post('/webhook/formspree', verifyFormspreeSignature, validateWebhook, formspreeIdempotency, validateIntakeForm(intakeFormService), async (req, res) => {
   try {
-    logger.info('Formspree webhook received', { body: req.body });
+    logger.info('Formspree webhook received', describeSubmission(req.body));
+    const intakeData = req.intake;
+
+    // Formspree forms aren't served by us, so there's no fill-time token to check
+    const { reasons } = await spamFilter.inspect(intakeData, { submitted: req.body, requireToken: false });
+    if (reasons.length > 0) {
+      await spamFilter.quarantine(intakeData, reasons, { source: 'formspree', ip: req.ip, userAgent: req.get('user-agent') });
+      return res.status(202).json({ success: true, message: 'Intake form received' });
+    }
     
     // Always store the form submission in real data
-    const submission = await dataService.addFormSubmission(req.body);
+    const submission = await patientRepository.add(intakeData);
     
     if (TEST_MODE) {
-      logger.info('🧪 TEST MODE: Form submission received', { data: req.body });
+      logger.info('🧪 TEST MODE: Form submission received', { submissionId: submission.id });
       res.json({ 
         success: true, 
         message: 'Form processed successfully (TEST MODE)',
-        data: req.body,
-        submissionId: submission.id
+        submissionId: submission.id,
+        encounterId: submission.encounter.id
       });
     } else {
-      await intakeWebhook.handleFormSubmission(req.body);
-      res.json({ 
-        success: true, 
-        message: 'Intake form processed successfully',
-        submissionId: submission.id
+      const job = await queueIntakeJob(intakeData, submission);
+      res.status(202).json({
+        success: true,
+        message: 'Intake form queued for processing',
+        submissionId: submission.id,
+        encounterId: submission.encounter.id,
+        jobId: job.id
       });
     }
   } catch (error) {
@@ -440,69 +876,213 @@ app.post('/webhook/formspree', validateWebhook, async (req, res) => {
   }
 });
 
-app.post('/webhook/calendly', validateWebhook, async (req, res) => {
+/**
+ * Queue the background processing (Sheets, AI triage, emails) for a saved intake form
+ */
+async function queueIntakeJob(intakeData, submission) {
+  return jobQueue.enqueue(INTAKE_JOB, {
+    ...intakeData,
+    patientId: submission.id,
+    encounterId: submission.encounter.id
+  }, { reference: submission.id });
+}
+
+// Intake submissions held as suspected spam, for staff to review
+app.get('/quarantine', requireRole(ROLES.FRONT_DESK, ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
   try {
-    logger.info('Calendly webhook received', { body: req.body });
-    await calendlyService.handleBookingEvent(req.body);
-    res.json({ success: true, message: 'Calendly event processed successfully' });
+    const status = Object.values(QUARANTINE_STATUSES).includes(req.query.status) ? req.query.status : QUARANTINE_STATUSES.QUARANTINED;
+    const records = await spamFilter.list({ status, limit: parseInt(req.query.limit) || 100 });
+
+    await auditService.record({
+      action: 'intake.quarantine_read',
+      context: auditService.fromRequest(req),
+      details: { status, count: records.length }
+    });
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.send(generateQuarantineHTML(records, status, issueCsrfToken(req, res)));
+    }
+
+    res.json({ success: true, status, submissions: records });
   } catch (error) {
-    logger.error('Error processing Calendly webhook', { error: error.message, stack: error.stack });
+    logger.error('Error listing quarantined submissions', { error: error.message });
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Manual trigger endpoints for testing
-app.post('/trigger/reminders', async (req, res) => {
+// Release a quarantined submission: it is saved and processed as if it had just arrived
+app.post('/quarantine/:id/release', requireRole(ROLES.FRONT_DESK, ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
   try {
-    await reminderScheduler.sendReminders();
-    res.json({ success: true, message: 'Reminders sent successfully' });
+    const { record, patient } = await spamFilter.release(req.params.id, auditService.fromRequest(req));
+
+    let jobId = null;
+    if (record.source === 'test-form') {
+      await exportTestFormSubmission(record.submission);
+    } else if (!TEST_MODE) {
+      jobId = (await queueIntakeJob(record.submission, patient)).id;
+    }
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect('/quarantine');
+    }
+
+    res.json({ success: true, submissionId: patient.id, encounterId: patient.encounter.id, jobId });
   } catch (error) {
-    logger.error('Error sending reminders', { error: error.message });
-    res.status(500).json({ success: false, error: error.message });
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'NotFoundError' ? 404 : 500;
+    logger.error('Error releasing quarantined submission', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
   }
 });
 
-app.post('/trigger/weekly-report', async (req, res) => {
+// Discard a quarantined submission as spam
+app.post('/quarantine/:id/discard', requireRole(ROLES.FRONT_DESK, ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
   try {
-    await weeklyReport.generateWeeklyReport();
-    res.json({ success: true, message: 'Weekly report generated successfully' });
+    await spamFilter.discard(req.params.id, auditService.fromRequest(req));
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect('/quarantine');
+    }
+
+    res.json({ success: true });
   } catch (error) {
-    logger.error('Error generating weekly report', { error: error.message });
-    res.status(500).json({ success: false, error: error.message });
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'NotFoundError' ? 404 : 500;
+    logger.error('Error discarding quarantined submission', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
   }
 });
 
-// Dashboard endpoint
-app.get('/dashboard', async (req, res) => {
+// Triaged intakes awaiting clinician review, most urgent first
+app.get('/triage/review', requireRole(ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
   try {
-    // Use database service if available, otherwise fall back to local data
-    let stats, todayPatients, dailyHistory, todayPatientCount;
-    
-    if (databaseService) {
-      try {
-        stats = await databaseService.getDashboardStats();
-        todayPatients = await databaseService.getTodayPatients();
-        dailyHistory = await databaseService.getDailyPatientHistory(7);
-        todayPatientCount = stats.todayPatientCount;
-        logger.info('Dashboard data loaded from permanent database');
-      } catch (dbError) {
-        logger.error('Database error, falling back to local storage:', dbError);
-        stats = await dataService.getDashboardStats();
-        todayPatients = dataService.getDailyPatients();
-        dailyHistory = dataService.getDailyPatientHistory(7);
-        todayPatientCount = dataService.getDailyPatientCount();
-      }
-    } else {
-      stats = await dataService.getDashboardStats();
-      todayPatients = dataService.getDailyPatients();
-      dailyHistory = dataService.getDailyPatientHistory(7);
-      todayPatientCount = dataService.getDailyPatientCount();
+    const visits = await triageReviewService.queue({ limit: parseInt(req.query.limit) || 100 });
+
+    await auditService.record({
+      action: 'triage.review_queue_read',
+      context: auditService.fromRequest(req),
+      patientIds: Array.from(new Set(visits.map(visit => visit.id))),
+      details: { count: visits.length }
+    });
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.send(generateTriageReviewHTML(visits, issueCsrfToken(req, res)));
     }
-    
-    // Add the data to stats object
-    stats.todayPatients = todayPatients;
-    stats.dailyHistory = dailyHistory;
-    stats.todayPatientCount = todayPatientCount;
+
+    res.json({ success: true, count: visits.length, visits });
+  } catch (error) {
+    logger.error('Error listing the triage review queue', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Accept a visit's triage, or override its urgency level and/or summary with a reason
+app.post('/triage/review/:encounterId', requireRole(ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
+  try {
+    const encounter = await triageReviewService.review(req.params.encounterId, {
+      decision: req.body.decision,
+      urgencyLevel: req.body.urgencyLevel,
+      summary: req.body.summary,
+      reason: req.body.reason
+    }, auditService.fromRequest(req));
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect('/triage/review');
+    }
+
+    res.json({ success: true, encounter });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'NotFoundError' ? 404 : error.name === 'ConflictError' ? 409 : 500;
+    logger.error('Error saving triage review', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Triage accuracy: clinician overrides overall, per AI provider and per triage rule
+app.get('/triage/report', requireRole(ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
+  try {
+    const report = await triageReviewService.report({ from: req.query.from, to: req.query.to });
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.send(generateTriageReportHTML(report));
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    logger.error('Error building the triage accuracy report', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/webhook/calendly', verifyCalendlySignature, validateWebhook, calendlyIdempotency, async (req, res) => {
+  try {
+    logger.info('Calendly webhook received', { eventType: req.body.event });
+    await calendlyService.handleBookingEvent(req.body);
+    res.json({ success: true, message: 'Calendly event processed successfully' });
+  } catch (error) {
+    logger.error('Error processing Calendly webhook', { error: error.message, stack: error.stack });
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
+// Work through due background jobs now. Serverless deployments have no long-running
+// worker, so a scheduler calls this instead (Vercel Cron sends a GET with CRON_SECRET).
+const runDueJobs = async (req, res) => {
+  try {
+    const processed = await jobQueue.processDueJobs();
+    res.json({ success: true, processed, counts: await jobQueue.getCounts() });
+  } catch (error) {
+    logger.error('Error running due jobs', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+app.get('/jobs/run', requireCronOrRole(ROLES.ADMIN), runDueJobs);
+app.post('/jobs/run', requireCronOrRole(ROLES.ADMIN), runDueJobs);
+
+// Manual trigger endpoints for testing
+app.post('/trigger/reminders', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    await reminderScheduler.sendReminders();
+    res.json({ success: true, message: 'Reminders sent successfully' });
+  } catch (error) {
+    logger.error('Error sending reminders', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/trigger/weekly-report', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    await weeklyReport.generateWeeklyReport();
+    res.json({ success: true, message: 'Weekly report generated successfully' });
+  } catch (error) {
+    logger.error('Error generating weekly report', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run the retention policy now. Dry run unless { dryRun: false } is sent or RETENTION_MODE=enforce.
+app.post('/trigger/retention', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === undefined ? undefined : !(req.body.dryRun === false || req.body.dryRun === 'false');
+    const report = await retentionService.run({ dryRun, context: auditService.fromRequest(req) });
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect('/admin/retention');
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error('Error running retention policy', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Dashboard endpoint
+app.get('/dashboard', requireRole(ROLES.FRONT_DESK, ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
+  try {
+    const stats = await patientRepository.getDashboardStats();
+    stats.currentUser = req.user;
+    stats.quarantinedIntakes = await spamFilter.count();
+    stats.triageReviewsWaiting = await triageReviewService.count();
     
     // Add test mode indicator if in test mode
     if (TEST_MODE) {
@@ -513,7 +1093,7 @@ app.get('/dashboard', async (req, res) => {
     if (req.headers.accept && req.headers.accept.includes('application/json')) {
       res.json(stats);
     } else {
-      res.send(generateDashboardHTML(stats));
+      res.send(generateDashboardHTML(stats, issueCsrfToken(req, res)));
     }
   } catch (error) {
     logger.error('Error fetching dashboard stats', { error: error.message });
@@ -522,22 +1102,17 @@ app.get('/dashboard', async (req, res) => {
 });
 
 // Get individual patient details
-app.get('/patient/:id', async (req, res) => {
+app.get('/patient/:id', requireRole(ROLES.FRONT_DESK, ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
   try {
     const patientId = req.params.id;
-    let patient;
+    const patient = await patientRepository.get(patientId);
     
-    if (databaseService) {
-      try {
-        patient = await databaseService.getPatientById(patientId);
-        logger.info(`Patient ${patientId} retrieved from permanent database`);
-      } catch (dbError) {
-        logger.error('Database error, falling back to local storage:', dbError);
-        patient = await dataService.getPatientById(patientId);
-      }
-    } else {
-      patient = await dataService.getPatientById(patientId);
-    }
+    await auditService.record({
+      action: 'patient.read',
+      context: auditService.fromRequest(req),
+      patientIds: [patientId],
+      details: { found: !!patient }
+    });
     
     if (!patient) {
       return res.status(404).json({ error: 'Patient not found' });
@@ -545,10 +1120,16 @@ app.get('/patient/:id', async (req, res) => {
     
     // Check if client wants HTML
     if (req.headers.accept && req.headers.accept.includes('text/html')) {
-      const html = generatePatientDetailsHTML(patient);
+      const [possibleDuplicates, visits, merges, questions] = await Promise.all([
+        patientRepository.findPossibleDuplicates(patient.id),
+        patientRepository.getVisitHistory(patient.id),
+        patientRepository.getMerges(patient.id),
+        intakeFormService.getColumns()
+      ]);
+      const html = generatePatientDetailsHTML(patient, { possibleDuplicates, visits, merges, questions, user: req.user, csrfToken: issueCsrfToken(req, res) });
       res.send(html);
     } else {
-      res.json(patient);
+      res.json({ ...patient, encounters: await patientRepository.encounters.listForPatient(patient.id) });
     }
   } catch (error) {
     logger.error('Patient details error:', error);
@@ -558,139 +1139,1150 @@ app.get('/patient/:id', async (req, res) => {
 
 // Force redeploy - patient details route
 
-// Excel export endpoints
-app.get('/export/excel', async (req, res) => {
-  try {
-    let allPatients = [];
-    
-    // Get data from database if available, otherwise from local storage
-    if (databaseService) {
-      try {
-        allPatients = await databaseService.getAllPatients();
-        logger.info(`Excel export: Retrieved ${allPatients.length} patients from permanent database`);
-      } catch (dbError) {
-        logger.error('Database error, falling back to local storage:', dbError);
-        const data = await dataService.loadData();
-        allPatients = data.formSubmissions || [];
-      }
-    } else {
-      const data = await dataService.loadData();
-      allPatients = data.formSubmissions || [];
-    }
-    
-    if (allPatients.length === 0) {
-      return res.status(404).json({ error: 'No patient data found' });
-    }
-    
-    const excelBuffer = excelService.generateExcelFile(allPatients);
-    
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="patient-data-${new Date().toISOString().split('T')[0]}.xlsx"`);
-    res.send(excelBuffer);
-    
-    logger.info(`Excel export completed: ${allPatients.length} patients from permanent database`);
-  } catch (error) {
-    logger.error('Error exporting Excel file:', error);
-    res.status(500).json({ error: 'Failed to export Excel file' });
-  }
-});
+// Update a visit's status (e.g. mark it completed after the appointment)
+app.patch('/encounters/:id/status', requireRole(ROLES.FRONT_DESK, ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
+  try {
+    const encounter = await patientRepository.encounters.updateStatus(req.params.id, req.body.status, auditService.fromRequest(req));
+    res.json({ success: true, encounter });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'NotFoundError' ? 404 : 500;
+    logger.error('Error updating encounter status', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Find patients by email address or phone number (works on encrypted records through the blind index)
+app.get('/patients/lookup', requireRole(ROLES.FRONT_DESK, ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
+  try {
+    const patients = await patientRepository.findByContact({ email: req.query.email, phone: req.query.phone });
+
+    await auditService.record({
+      action: 'patient.lookup',
+      context: auditService.fromRequest(req),
+      patientIds: patients.map(patient => patient.id),
+      details: { by: ['email', 'phone'].filter(field => req.query[field]) }
+    });
+
+    res.json({
+      success: true,
+      patients: patients.map(patient => ({
+        id: patient.id,
+        mrn: patient.mrn,
+        name: patient.name,
+        dob: patient.dob,
+        timestamp: patient.timestamp
+      }))
+    });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    logger.error('Error looking up patients', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Probable duplicates of a patient (returning patients who filled in the intake form again)
+app.get('/patient/:id/duplicates', requireRole(ROLES.FRONT_DESK, ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
+  try {
+    const patient = await patientRepository.get(req.params.id);
+    if (!patient) {
+      return res.status(404).json({ success: false, error: 'Patient not found' });
+    }
+
+    const duplicates = await patientRepository.findPossibleDuplicates(patient.id);
+
+    await auditService.record({
+      action: 'patient.duplicate_check',
+      context: auditService.fromRequest(req),
+      patientIds: [patient.id, ...duplicates.map(match => match.patient.id)]
+    });
+
+    res.json({
+      success: true,
+      duplicates: duplicates.map(match => ({
+        id: match.patient.id,
+        mrn: match.patient.mrn,
+        name: match.patient.name,
+        timestamp: match.patient.timestamp,
+        score: match.score,
+        confidence: match.confidence,
+        reasons: match.reasons
+      }))
+    });
+  } catch (error) {
+    logger.error('Error finding duplicate patients', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Merge duplicate submissions into this patient
+app.post('/patient/:id/merge', requireRole(ROLES.FRONT_DESK, ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await patientRepository.merge(req.params.id, req.body.duplicateIds, auditService.fromRequest(req));
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect(`/patient/${result.patient.id}`);
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'NotFoundError' ? 404 : 500;
+    logger.error('Error merging patients', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Undo a merge
+app.post('/patient-merges/:mergeId/undo', requireRole(ROLES.FRONT_DESK, ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await patientRepository.undoMerge(req.params.mergeId, auditService.fromRequest(req));
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect(`/patient/${result.merge.primaryId}`);
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'NotFoundError' ? 404 : 500;
+    logger.error('Error undoing patient merge', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Place a legal hold: the patient's records are kept whatever the retention policy says
+app.post('/patient/:id/legal-hold', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const patient = await patientRepository.placeLegalHold(req.params.id, { reason: req.body.reason }, auditService.fromRequest(req));
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect(`/patient/${patient.id}`);
+    }
+
+    res.json({ success: true, legalHold: patient.legalHold });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'NotFoundError' ? 404 : 500;
+    logger.error('Error placing legal hold', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Release a legal hold
+app.post('/patient/:id/legal-hold/release', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const patient = await patientRepository.releaseLegalHold(req.params.id, auditService.fromRequest(req));
+
+    if (req.headers.accept && req.headers.accept.includes('text/html')) {
+      return res.redirect(`/patient/${patient.id}`);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'NotFoundError' ? 404 : 500;
+    logger.error('Error releasing legal hold', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Appointments booked through Calendly
+app.get('/appointments', requireRole(ROLES.FRONT_DESK, ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
+  try {
+    const appointments = await appointmentRepository.list({
+      status: req.query.status,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    });
+    res.json({ success: true, count: appointments.length, appointments });
+  } catch (error) {
+    logger.error('Error listing appointments', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Mark an appointment Completed, No Show, etc.
+app.patch('/appointments/:id/status', requireRole(ROLES.FRONT_DESK, ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
+  try {
+    const appointment = await appointmentRepository.updateStatus(req.params.id, req.body.status, {
+      note: req.body.note,
+      context: auditService.fromRequest(req)
+    });
+
+    // Keep the Appointments sheet (and the analytics built on it) in step
+    if (!TEST_MODE && googleService.updateAppointment && appointment.calendlyEventId) {
+      try {
+        await googleService.updateAppointment(appointment.calendlyEventId, appointment);
+      } catch (sheetsError) {
+        logger.error('Error updating appointment in Google Sheets:', sheetsError);
+      }
+    }
+
+    res.json({ success: true, appointment });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.name === 'NotFoundError' ? 404 : 500;
+    logger.error('Error updating appointment status', { error: error.message });
+    res.status(statusCode).json({ success: false, error: error.message });
+  }
+});
+
+// Excel export endpoints
+app.get('/export/excel', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const allPatients = await patientRepository.list();
+    
+    if (allPatients.length === 0) {
+      return res.status(404).json({ error: 'No patient data found' });
+    }
+    
+    const excelBuffer = excelService.generateExcelFile(allPatients, await intakeFormService.getColumns());
+    
+    await auditService.record({
+      action: 'patient.export',
+      context: auditService.fromRequest(req),
+      patientIds: allPatients.map(patient => patient.id),
+      details: { export: 'excel', patientCount: allPatients.length }
+    });
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="patient-data-${new Date().toISOString().split('T')[0]}.xlsx"`);
+    res.send(excelBuffer);
+    
+    logger.info(`Excel export completed: ${allPatients.length} patients`);
+  } catch (error) {
+    logger.error('Error exporting Excel file:', error);
+    res.status(500).json({ error: 'Failed to export Excel file' });
+  }
+});
+
+app.get('/export/daily-excel', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const dailyData = await patientRepository.groupByDay();
+    
+    if (Object.keys(dailyData).length === 0) {
+      return res.status(404).json({ error: 'No daily patient data found' });
+    }
+    
+    const excelBuffer = excelService.generateDailyExcelFile(dailyData);
+    
+    const dailyPatientIds = Object.values(dailyData).reduce((ids, day) => ids.concat(day.map(patient => patient.id)), []);
+    await auditService.record({
+      action: 'patient.export',
+      context: auditService.fromRequest(req),
+      patientIds: dailyPatientIds,
+      details: { export: 'daily-excel', dayCount: Object.keys(dailyData).length }
+    });
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="daily-patient-data-${new Date().toISOString().split('T')[0]}.xlsx"`);
+    res.send(excelBuffer);
+    
+    logger.info(`Daily Excel export completed: ${Object.keys(dailyData).length} days`);
+  } catch (error) {
+    logger.error('Error exporting daily Excel file:', error);
+    res.status(500).json({ error: 'Failed to export daily Excel file' });
+  }
+});
+
+// Excel file status endpoint
+app.get('/excel-status', requireRole(ROLES.FRONT_DESK, ROLES.CLINICIAN, ROLES.ADMIN), async (req, res) => {
+  try {
+    const excelFile = excelService.getCurrentExcelFile();
+    
+    res.json({
+      hasExcelFile: !!excelFile.buffer,
+      patientCount: excelFile.patientCount,
+      lastUpdated: excelFile.lastUpdated,
+      message: excelFile.buffer ? 
+        `Excel file ready with ${excelFile.patientCount} patients` : 
+        'No Excel file generated yet'
+    });
+  } catch (error) {
+    logger.error('Error getting Excel status:', error);
+    res.status(500).json({ error: 'Failed to get Excel status' });
+  }
+});
+
+// Scheduled jobs
+// Run reminder check every hour
+cron.schedule('0 * * * *', async () => {
+  try {
+    logger.info('Running scheduled reminder check');
+    await reminderScheduler.sendReminders();
+  } catch (error) {
+    logger.error('Error in scheduled reminder check', { error: error.message });
+  }
+});
+
+// Run weekly report every Monday at 9 AM
+cron.schedule('0 9 * * 1', async () => {
+  try {
+    logger.info('Running scheduled weekly report');
+    await weeklyReport.generateWeeklyReport();
+  } catch (error) {
+    logger.error('Error in scheduled weekly report', { error: error.message });
+  }
+});
+
+// Purge expired webhook idempotency keys daily at 3 AM
+cron.schedule('0 3 * * *', async () => {
+  try {
+    await idempotencyService.purgeExpired();
+  } catch (error) {
+    logger.error('Error purging idempotency keys', { error: error.message });
+  }
+});
+
+// Apply the data retention policy nightly at 2:30 AM (only reports unless RETENTION_MODE=enforce)
+cron.schedule('30 2 * * *', async () => {
+  try {
+    logger.info('Running scheduled retention policy');
+    await retentionService.run();
+  } catch (error) {
+    logger.error('Error in scheduled retention run', { error: error.message });
+  }
+});
+
+// Work through queued background jobs (webhooks only enqueue them)
+if (process.env.JOB_WORKER_ENABLED !== 'false') {
+  jobQueue.start();
+}
+
+// Catch-all route for debugging
+app.use('*', (req, res) => {
+  res.status(404).json({
+    error: 'Route not found',
+    path: req.originalUrl,
+    availableRoutes: [
+      '/',
+      '/health',
+      '/dashboard',
+      '/patient-form',
+      '/test-form',
+      '/webhook/formspree'
+    ],
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Error handling middleware
+app.use(errorHandler);
+
+// Start server (only in development or when not on Vercel)
+if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
+  app.listen(PORT, () => {
+    logger.info(`myPCP Clinic Automation System running on port ${PORT}`);
+    logger.info(`Environment: ${process.env.NODE_ENV}`);
+    logger.info(`Health check: http://localhost:${PORT}/health`);
+  });
+}
+
+// Export for Vercel
+module.exports = app;
+
+// HTML Generation Functions
+function escapeHTML(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function generateLoginHTML({ next, error, csrfToken } = {}) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Staff Login - myPCP Clinic</title>
+    <style>
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background-color: #F9F5E9;
+            color: #1E1E1E;
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        }
+        .container {
+            background: white;
+            padding: 40px;
+            border-radius: 15px;
+            box-shadow: 0 4px 20px rgba(46, 140, 131, 0.1);
+            border-top: 4px solid #3CB6AD;
+            width: 100%;
+            max-width: 380px;
+        }
+        h1 { color: #2E8C83; font-size: 1.5em; margin: 0 0 5px 0; }
+        p { margin: 0 0 25px 0; color: #666; font-size: 0.9em; }
+        label { display: block; font-weight: 600; margin-bottom: 6px; font-size: 14px; }
+        input {
+            width: 100%;
+            padding: 12px;
+            border: 2px solid #E0E0E0;
+            border-radius: 8px;
+            font-size: 16px;
+            box-sizing: border-box;
+            margin-bottom: 18px;
+        }
+        input:focus { border-color: #3CB6AD; outline: none; }
+        .btn {
+            background: #3CB6AD;
+            color: white;
+            border: none;
+            padding: 14px;
+            border-radius: 8px;
+            width: 100%;
+            font-size: 16px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+        .btn:hover { background: #2E8C83; }
+        .error {
+            background: #F8D7DA;
+            color: #721C24;
+            padding: 12px;
+            border-radius: 8px;
+            margin-bottom: 18px;
+            font-size: 14px;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🏥 myPCP Staff Login</h1>
+        <p>Sign in to access the clinic dashboard and patient records.</p>
+        ${error ? `<div class="error">${escapeHTML(error)}</div>` : ''}
+        <form method="POST" action="/auth/login">
+            ${csrfField(csrfToken)}
+            <input type="hidden" name="next" value="${escapeHTML(next || '/dashboard')}">
+            <label for="username">Username</label>
+            <input type="text" id="username" name="username" autocomplete="username" required autofocus>
+            <label for="password">Password</label>
+            <input type="password" id="password" name="password" autocomplete="current-password" required>
+            <button type="submit" class="btn">Sign In</button>
+        </form>
+    </div>
+</body>
+</html>`;
+}
+
+function generateAuditLogHTML(entries, filters) {
+  const csvQuery = Object.entries(filters)
+    .filter(([key, value]) => value && key !== 'limit')
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .concat('format=csv')
+    .join('&');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Audit Trail - myPCP Clinic</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #F9F5E9; color: #1E1E1E; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); }
+        h1 { color: #2E8C83; border-bottom: 3px solid #3CB6AD; padding-bottom: 10px; margin-top: 0; }
+        .filters { display: flex; gap: 10px; flex-wrap: wrap; align-items: flex-end; margin-bottom: 20px; }
+        .filters label { display: flex; flex-direction: column; font-size: 0.8em; font-weight: 600; gap: 4px; }
+        .filters input { padding: 8px; border: 1px solid #ddd; border-radius: 6px; }
+        .btn { background: #3CB6AD; color: white; padding: 9px 16px; border: none; border-radius: 6px; cursor: pointer; text-decoration: none; font-size: 0.9em; }
+        .btn:hover { background: #2E8C83; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th { background: #3CB6AD; color: white; padding: 8px 10px; text-align: left; }
+        td { padding: 8px 10px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        tr:hover { background: #F9F5E9; }
+        code { font-size: 0.9em; }
+        .empty-state { text-align: center; padding: 30px; color: #6c757d; font-style: italic; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="/dashboard" class="btn">← Back to Dashboard</a>
+        <h1>🔍 PHI Access Audit Trail</h1>
+        <form class="filters" method="GET" action="/admin/audit">
+            <label>User <input type="text" name="user" value="${escapeHTML(filters.user)}"></label>
+            <label>Patient ID <input type="text" name="patientId" value="${escapeHTML(filters.patientId)}"></label>
+            <label>From <input type="date" name="from" value="${escapeHTML(filters.from)}"></label>
+            <label>To <input type="date" name="to" value="${escapeHTML(filters.to)}"></label>
+            <button type="submit" class="btn">Filter</button>
+            <a class="btn" href="/admin/audit?${csvQuery}">⬇️ Download CSV</a>
+        </form>
+        ${entries.length > 0 ? `
+        <table>
+            <thead>
+                <tr>
+                    <th>Time</th>
+                    <th>Action</th>
+                    <th>User</th>
+                    <th>IP</th>
+                    <th>Request ID</th>
+                    <th>Patients</th>
+                    <th>Details</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => `
+                <tr>
+                    <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                    <td>${escapeHTML(entry.action)}</td>
+                    <td>${escapeHTML(entry.user)}${entry.role ? ` (${escapeHTML(entry.role)})` : ''}</td>
+                    <td>${escapeHTML(entry.ip)}</td>
+                    <td><code>${escapeHTML(entry.requestId)}</code></td>
+                    <td>${escapeHTML(entry.patientIds.length > 10 ? `${entry.patientIds.slice(0, 10).join(', ')} … (+${entry.patientIds.length - 10})` : entry.patientIds.join(', '))}</td>
+                    <td><code>${escapeHTML(JSON.stringify(entry.details || {}))}</code></td>
+                </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ` : `<div class="empty-state">No audit entries match these filters</div>`}
+    </div>
+</body>
+</html>`;
+}
+
+function generateJobsHTML(jobs, counts, filters, csrfToken) {
+  const statusLink = (status, label) =>
+    `<a class="btn${filters.status === status ? ' active' : ''}" href="/admin/jobs${status ? `?status=${status}` : ''}">${label}</a>`;
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Background Jobs - myPCP Clinic</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #F9F5E9; color: #1E1E1E; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); }
+        h1 { color: #2E8C83; border-bottom: 3px solid #3CB6AD; padding-bottom: 10px; margin-top: 0; }
+        .filters { display: flex; gap: 10px; flex-wrap: wrap; margin-bottom: 20px; }
+        .btn { background: #3CB6AD; color: white; padding: 9px 16px; border: none; border-radius: 6px; cursor: pointer; text-decoration: none; font-size: 0.9em; display: inline-block; }
+        .btn:hover, .btn.active { background: #2E8C83; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th { background: #3CB6AD; color: white; padding: 8px 10px; text-align: left; }
+        td { padding: 8px 10px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        tr:hover { background: #F9F5E9; }
+        code { font-size: 0.9em; }
+        .step { display: inline-block; margin: 2px; padding: 2px 6px; border-radius: 4px; font-size: 0.85em; background: #e9ecef; }
+        .step-completed { background: #d4edda; }
+        .step-failed { background: #f8d7da; }
+        .empty-state { text-align: center; padding: 30px; color: #6c757d; font-style: italic; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="/dashboard" class="btn">← Back to Dashboard</a>
+        <h1>⚙️ Background Jobs</h1>
+        <div class="filters">
+            ${statusLink('', 'All')}
+            ${statusLink('queued', `Queued (${counts.queued})`)}
+            ${statusLink('running', `Running (${counts.running})`)}
+            ${statusLink('completed', `Completed (${counts.completed})`)}
+            ${statusLink('dead', `Dead letter (${counts.dead})`)}
+        </div>
+        ${jobs.length > 0 ? `
+        <table>
+            <thead>
+                <tr>
+                    <th>Created</th>
+                    <th>Job</th>
+                    <th>Submission</th>
+                    <th>Status</th>
+                    <th>Attempts</th>
+                    <th>Steps</th>
+                    <th>Last Error</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${jobs.map(job => `
+                <tr>
+                    <td>${new Date(job.createdAt).toLocaleString()}</td>
+                    <td><code>${escapeHTML(job.id)}</code><br>${escapeHTML(job.type)}</td>
+                    <td>${escapeHTML(job.reference)}</td>
+                    <td>${escapeHTML(job.status)}${job.status === 'queued' && job.attempts > 0 ? `<br><small>next try ${new Date(job.nextRunAt).toLocaleString()}</small>` : ''}</td>
+                    <td>${job.attempts} / ${job.maxAttempts}</td>
+                    <td>${job.steps.map(step => `<span class="step step-${escapeHTML(step.status)}" title="${escapeHTML(step.lastError || '')}">${escapeHTML(step.name)}</span>`).join('')}</td>
+                    <td>${escapeHTML(job.lastError)}</td>
+                    <td>${job.status === 'dead' ? `
+                        <form method="POST" action="/admin/jobs/${encodeURIComponent(job.id)}/replay">
+                            ${csrfField(csrfToken)}
+                            <button type="submit" class="btn">Replay</button>
+                        </form>` : ''}</td>
+                </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ` : `<div class="empty-state">No jobs match this filter</div>`}
+    </div>
+</body>
+</html>`;
+}
+
+function generateConsentDocumentsHTML(documents, current, csrfToken) {
+  const currentIds = new Set(current.map(document => document.id));
+  const typeLabels = { privacy_notice: 'Notice of Privacy Practices', email_communication: 'Email communication', sms_communication: 'Text message communication' };
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Consent Documents - myPCP Clinic</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #F9F5E9; color: #1E1E1E; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); }
+        h1 { color: #2E8C83; border-bottom: 3px solid #3CB6AD; padding-bottom: 10px; margin-top: 0; }
+        h2 { color: #2E8C83; font-size: 1.2em; margin-top: 30px; }
+        .btn { background: #3CB6AD; color: white; padding: 9px 16px; border: none; border-radius: 6px; cursor: pointer; text-decoration: none; font-size: 0.9em; display: inline-block; }
+        .btn:hover { background: #2E8C83; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th { background: #3CB6AD; color: white; padding: 8px 10px; text-align: left; }
+        td { padding: 8px 10px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        .current { background: #e2f3f1; }
+        .muted { color: #6c757d; }
+        .publish-form { display: grid; gap: 10px; max-width: 700px; }
+        .publish-form input[type="text"], .publish-form select, .publish-form textarea { padding: 8px; border: 1px solid #ccc; border-radius: 6px; font: inherit; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="/dashboard" class="btn">← Back to Dashboard</a>
+        <h1>📝 Consent Documents</h1>
+        <p class="muted">The intake form always shows the latest version of each document. Earlier versions are kept so every signed consent points at the text the patient saw.</p>
+        <table>
+            <thead>
+                <tr><th>Document</th><th>Version</th><th>Text</th><th>Required</th><th>Published</th></tr>
+            </thead>
+            <tbody>
+                ${documents.map(document => `
+                <tr class="${currentIds.has(document.id) ? 'current' : ''}">
+                    <td>${escapeHTML(document.title)}<br><span class="muted">${escapeHTML(typeLabels[document.type] || document.type)}</span></td>
+                    <td>v${document.version}${currentIds.has(document.id) ? ' (current)' : ''}</td>
+                    <td>${escapeHTML(document.body)}</td>
+                    <td>${document.required ? 'Yes' : 'No'}</td>
+                    <td>${new Date(document.publishedAt).toLocaleString()}<br><span class="muted">${escapeHTML(document.publishedBy)}</span></td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+
+        <h2>Publish a New Version</h2>
+        <form method="POST" action="/admin/consents" class="publish-form">
+            ${csrfField(csrfToken)}
+            <select name="type" required>
+                ${Object.entries(typeLabels).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+            </select>
+            <input type="text" name="title" placeholder="Title" required>
+            <textarea name="body" rows="6" placeholder="Consent text shown to patients" required></textarea>
+            <label><input type="checkbox" name="required" value="true"> Required to submit the intake form</label>
+            <button type="submit" class="btn">Publish</button>
+        </form>
+    </div>
+</body>
+</html>`;
+}
+
+function generateIntakeFormsHTML(versions, csrfToken) {
+  const current = versions[0];
+  const fieldCount = (form) => form.sections.reduce((count, section) => count + section.fields.length, 0);
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Intake Forms - myPCP Clinic</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #F9F5E9; color: #1E1E1E; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); }
+        h1 { color: #2E8C83; border-bottom: 3px solid #3CB6AD; padding-bottom: 10px; margin-top: 0; }
+        h2 { color: #2E8C83; font-size: 1.2em; margin-top: 30px; }
+        .btn { background: #3CB6AD; color: white; padding: 9px 16px; border: none; border-radius: 6px; cursor: pointer; text-decoration: none; font-size: 0.9em; display: inline-block; }
+        .btn:hover { background: #2E8C83; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th { background: #3CB6AD; color: white; padding: 8px 10px; text-align: left; }
+        td { padding: 8px 10px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        .current { background: #e2f3f1; }
+        .muted { color: #6c757d; }
+        .publish-form { display: grid; gap: 10px; }
+        .publish-form textarea { padding: 8px; border: 1px solid #ccc; border-radius: 6px; font-family: monospace; font-size: 0.85em; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="/dashboard" class="btn">← Back to Dashboard</a>
+        <a href="/patient-form" class="btn">Open the Patient Form</a>
+        <h1>🧾 Intake Forms</h1>
+        <p class="muted">The patient form shows the latest version. Each submission records the version it was filled in on, and questions from earlier versions keep their Sheets and Excel columns.</p>
+        <table>
+            <thead>
+                <tr><th>Version</th><th>Sections</th><th>Questions</th><th>Published</th></tr>
+            </thead>
+            <tbody>
+                ${versions.map(form => `
+                <tr class="${form === current ? 'current' : ''}">
+                    <td>v${form.version}${form === current ? ' (current)' : ''}</td>
+                    <td>${form.sections.map(section => escapeHTML(section.title || 'Untitled')).join(', ')}</td>
+                    <td>${fieldCount(form)}</td>
+                    <td>${new Date(form.publishedAt).toLocaleString()}<br><span class="muted">${escapeHTML(form.publishedBy)}</span></td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+
+        <h2>Publish a New Version</h2>
+        <p class="muted">Sections list their fields. Each field has a <code>name</code>, <code>label</code> and <code>type</code> (text, textarea, email, tel, date, select, radio or checkbox), and optionally <code>required</code>, <code>placeholder</code>, <code>options</code> (select and radio) and <code>showIf</code> (<code>{ "field": "...", "equals": "..." }</code>, to ask it only for that answer to an earlier field). Full name, email, date of birth and reason for visit are always asked.</p>
+        <form method="POST" action="/admin/forms" class="publish-form">
+            ${csrfField(csrfToken)}
+            <textarea name="definition" rows="30" spellcheck="false" required>${escapeHTML(JSON.stringify({ sections: current.sections }, null, 2))}</textarea>
+            <button type="submit" class="btn">Publish</button>
+        </form>
+    </div>
+</body>
+</html>`;
+}
+
+function generateTriageRulesHTML(versions, csrfToken) {
+  const current = versions[0];
+  const editable = { levels: current.levels, uncertainWeight: current.uncertainWeight, rules: current.rules };
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Triage Rules - myPCP Clinic</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #F9F5E9; color: #1E1E1E; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); }
+        h1 { color: #2E8C83; border-bottom: 3px solid #3CB6AD; padding-bottom: 10px; margin-top: 0; }
+        h2 { color: #2E8C83; font-size: 1.2em; margin-top: 30px; }
+        .btn { background: #3CB6AD; color: white; padding: 9px 16px; border: none; border-radius: 6px; cursor: pointer; text-decoration: none; font-size: 0.9em; display: inline-block; }
+        .btn:hover { background: #2E8C83; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th { background: #3CB6AD; color: white; padding: 8px 10px; text-align: left; }
+        td { padding: 8px 10px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        .current { background: #e2f3f1; }
+        .muted { color: #6c757d; }
+        .publish-form { display: grid; gap: 10px; }
+        .publish-form textarea { padding: 8px; border: 1px solid #ccc; border-radius: 6px; font-family: monospace; font-size: 0.85em; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="/dashboard" class="btn">← Back to Dashboard</a>
+        <h1>🩺 Triage Rules</h1>
+        <p class="muted">Each intake is scored against the current rules alongside its AI summary, and the more urgent of the two levels is used. A score of ${escapeHTML(current.levels.Moderate)} or more is Moderate and ${escapeHTML(current.levels.High)} or more is High. Negated mentions ("no fever") score nothing, unless the rule scores High on its own, and uncertain ones ("possible infection") score ${escapeHTML(current.uncertainWeight)} of the rule.</p>
+        <table>
+            <thead>
+                <tr><th>Version</th><th>Rules</th><th>Published</th></tr>
+            </thead>
+            <tbody>
+                ${versions.map(ruleset => `
+                <tr class="${ruleset === current ? 'current' : ''}">
+                    <td>v${ruleset.version}${ruleset === current ? ' (current)' : ''}</td>
+                    <td>${ruleset.rules.map(rule => `${escapeHTML(rule.label)} (${rule.score})`).join(', ')}</td>
+                    <td>${new Date(ruleset.publishedAt).toLocaleString()}<br><span class="muted">${escapeHTML(ruleset.publishedBy)}</span></td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+
+        <h2>Publish a New Version</h2>
+        <p class="muted">Each rule has an <code>id</code>, <code>label</code> and <code>score</code> (0-100), and <code>keywords</code> with optional <code>synonyms</code> and/or <code>thresholds</code> (<code>[{ "field": "temperature", "atLeast": 103 }]</code>, for number questions on the intake form). Optionally, <code>fields</code> limits where keywords are looked for (reason for visit and additional notes by default) and <code>age</code> (<code>{ "atLeast": 65 }</code>) limits the rule to an age range.</p>
+        <form method="POST" action="/admin/triage-rules" class="publish-form">
+            ${csrfField(csrfToken)}
+            <textarea name="rules" rows="30" spellcheck="false" required>${escapeHTML(JSON.stringify(editable, null, 2))}</textarea>
+            <button type="submit" class="btn">Publish</button>
+        </form>
+    </div>
+</body>
+</html>`;
+}
+
+function generateRetentionHTML(policy, runs, legalHolds, csrfToken) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Data Retention - myPCP Clinic</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #F9F5E9; color: #1E1E1E; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); }
+        h1 { color: #2E8C83; border-bottom: 3px solid #3CB6AD; padding-bottom: 10px; margin-top: 0; }
+        h2 { color: #2E8C83; font-size: 1.2em; margin-top: 30px; }
+        .btn { background: #3CB6AD; color: white; padding: 9px 16px; border: none; border-radius: 6px; cursor: pointer; text-decoration: none; font-size: 0.9em; display: inline-block; }
+        .btn:hover { background: #2E8C83; }
+        .actions { display: flex; gap: 10px; margin: 15px 0; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th { background: #3CB6AD; color: white; padding: 8px 10px; text-align: left; }
+        td { padding: 8px 10px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        .muted { color: #6c757d; }
+        .errors { color: #b02a37; }
+        .empty-state { text-align: center; padding: 30px; color: #6c757d; font-style: italic; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="/dashboard" class="btn">← Back to Dashboard</a>
+        <h1>🗄️ Data Retention</h1>
+        <p>Mode: <strong>${escapeHTML(policy.mode)}</strong>${policy.mode === 'report' ? ' <span class="muted">(nightly runs only report what would be purged)</span>' : ''}</p>
+        <table>
+            <thead>
+                <tr><th>Records</th><th>Action</th><th>After</th></tr>
+            </thead>
+            <tbody>
+                ${policy.rules.map(rule => `
+                <tr>
+                    <td><code>${escapeHTML(rule.type)}</code><br><span class="muted">${escapeHTML(rule.description)}</span></td>
+                    <td>${escapeHTML(rule.action)}</td>
+                    <td>${rule.enabled ? `${rule.days} days` : 'off'}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        <div class="actions">
+            <form method="POST" action="/trigger/retention">
+                ${csrfField(csrfToken)}
+                <input type="hidden" name="dryRun" value="true">
+                <button type="submit" class="btn">Preview now</button>
+            </form>
+            <form method="POST" action="/trigger/retention" onsubmit="return confirm('Archive and delete expired records now?')">
+                ${csrfField(csrfToken)}
+                <input type="hidden" name="dryRun" value="false">
+                <button type="submit" class="btn">Purge now</button>
+            </form>
+        </div>
+
+        <h2>⚖️ Legal Holds</h2>
+        ${legalHolds.length > 0 ? `
+        <table>
+            <thead>
+                <tr><th>Patient</th><th>Placed</th><th>By</th></tr>
+            </thead>
+            <tbody>
+                ${legalHolds.map(hold => `
+                <tr>
+                    <td><a href="/patient/${hold.id}">${escapeHTML(hold.mrn || hold.id)}</a></td>
+                    <td>${new Date(hold.placedAt).toLocaleString()}</td>
+                    <td>${escapeHTML(hold.placedBy)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        ` : `<div class="empty-state">No patients are under legal hold</div>`}
 
-app.get('/export/daily-excel', async (req, res) => {
-  try {
-    const data = await dataService.loadData();
-    const dailyData = data.dailyPatients || {};
-    
-    if (Object.keys(dailyData).length === 0) {
-      return res.status(404).json({ error: 'No daily patient data found' });
-    }
-    
-    const excelBuffer = excelService.generateDailyExcelFile(dailyData);
-    
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="daily-patient-data-${new Date().toISOString().split('T')[0]}.xlsx"`);
-    res.send(excelBuffer);
-    
-    logger.info(`Daily Excel export completed: ${Object.keys(dailyData).length} days`);
-  } catch (error) {
-    logger.error('Error exporting daily Excel file:', error);
-    res.status(500).json({ error: 'Failed to export daily Excel file' });
-  }
-});
+        <h2>Recent Runs</h2>
+        ${runs.length > 0 ? `
+        <table>
+            <thead>
+                <tr><th>Run</th><th>Type</th><th>Results</th><th>Legacy copies</th><th>Errors</th></tr>
+            </thead>
+            <tbody>
+                ${runs.map(run => `
+                <tr>
+                    <td>${new Date(run.runAt).toLocaleString()}<br><code>${escapeHTML(run.id)}</code></td>
+                    <td>${run.dryRun ? 'Preview' : 'Purge'}</td>
+                    <td>${run.rules.map(rule => `${escapeHTML(rule.type)}: ${run.dryRun ? rule.matched : rule.processed} ${escapeHTML(rule.action)}${run.dryRun ? '' : 'd'}${rule.held ? `, ${rule.held} held` : ''}${rule.patients ? `, ${rule.patients} patients` : ''}`).join('<br>')}</td>
+                    <td>${run.legacy.map(entry => `${escapeHTML(entry.collection)}: ${entry.records}${entry.dropped ? ' dropped' : ''}`).join('<br>')}</td>
+                    <td class="errors">${run.errors.map(error => `${escapeHTML(error.type)}: ${escapeHTML(error.error)}`).join('<br>')}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        ` : `<div class="empty-state">The retention policy has not run yet</div>`}
+    </div>
+</body>
+</html>`;
+}
 
-// Excel file status endpoint
-app.get('/excel-status', async (req, res) => {
-  try {
-    const excelFile = excelService.getCurrentExcelFile();
-    
-    res.json({
-      hasExcelFile: !!excelFile.buffer,
-      patientCount: excelFile.patientCount,
-      lastUpdated: excelFile.lastUpdated,
-      message: excelFile.buffer ? 
-        `Excel file ready with ${excelFile.patientCount} patients` : 
-        'No Excel file generated yet'
-    });
-  } catch (error) {
-    logger.error('Error getting Excel status:', error);
-    res.status(500).json({ error: 'Failed to get Excel status' });
-  }
-});
+function generateQuarantineHTML(records, status, csrfToken) {
+  const tabs = [
+    [QUARANTINE_STATUSES.QUARANTINED, 'Awaiting review'],
+    [QUARANTINE_STATUSES.RELEASED, 'Released'],
+    [QUARANTINE_STATUSES.DISCARDED, 'Discarded']
+  ];
+  const submissionSummary = (submission) => submission ? ['fullName', 'dob', 'email', 'phone', 'reasonForVisit']
+    .filter(field => submission[field])
+    .map(field => `<strong>${escapeHTML(field)}:</strong> ${escapeHTML(submission[field])}`)
+    .join('<br>') : '<span class="muted">Content deleted</span>';
 
-// Scheduled jobs
-// Run reminder check every hour
-cron.schedule('0 * * * *', async () => {
-  try {
-    logger.info('Running scheduled reminder check');
-    await reminderScheduler.sendReminders();
-  } catch (error) {
-    logger.error('Error in scheduled reminder check', { error: error.message });
-  }
-});
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Spam Quarantine - myPCP Clinic</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #F9F5E9; color: #1E1E1E; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); }
+        h1 { color: #2E8C83; border-bottom: 3px solid #3CB6AD; padding-bottom: 10px; margin-top: 0; }
+        .btn { background: #3CB6AD; color: white; padding: 9px 16px; border: none; border-radius: 6px; cursor: pointer; text-decoration: none; font-size: 0.9em; display: inline-block; }
+        .btn:hover, .btn.active { background: #2E8C83; }
+        .btn.secondary { background: #6c757d; }
+        .actions { display: flex; gap: 10px; margin: 15px 0; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th { background: #3CB6AD; color: white; padding: 8px 10px; text-align: left; }
+        td { padding: 8px 10px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        td form { display: inline; }
+        .muted { color: #6c757d; }
+        .empty-state { text-align: center; padding: 30px; color: #6c757d; font-style: italic; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="/dashboard" class="btn">← Back to Dashboard</a>
+        <h1>🛡️ Spam Quarantine</h1>
+        <p class="muted">Intake submissions that looked like spam. Releasing one saves the patient and processes the form as if it had just arrived; discarding deletes its content.</p>
+        <div class="actions">
+            ${tabs.map(([value, label]) => `<a class="btn${status === value ? ' active' : ' secondary'}" href="/quarantine?status=${value}">${label}</a>`).join('')}
+        </div>
+        ${records.length > 0 ? `
+        <table>
+            <thead>
+                <tr><th>Received</th><th>Source</th><th>Why</th><th>Submission</th><th>${status === QUARANTINE_STATUSES.QUARANTINED ? 'Review' : 'Reviewed'}</th></tr>
+            </thead>
+            <tbody>
+                ${records.map(record => `
+                <tr>
+                    <td>${new Date(record.receivedAt).toLocaleString()}<br><span class="muted">${escapeHTML(record.ip || '')}</span></td>
+                    <td>${escapeHTML(record.source)}</td>
+                    <td>${record.reasons.map(reason => escapeHTML(REASON_DESCRIPTIONS[reason] || reason)).join('<br>')}</td>
+                    <td>${submissionSummary(record.submission)}</td>
+                    <td>${record.status === QUARANTINE_STATUSES.QUARANTINED ? `
+                        <form method="POST" action="/quarantine/${encodeURIComponent(record.id)}/release">${csrfField(csrfToken)}<button type="submit" class="btn">Release</button></form>
+                        <form method="POST" action="/quarantine/${encodeURIComponent(record.id)}/discard" onsubmit="return confirm('Discard this submission as spam?')">${csrfField(csrfToken)}<button type="submit" class="btn secondary">Discard</button></form>
+                    ` : `${escapeHTML(record.status)} by ${escapeHTML(record.reviewedBy || 'unknown')}<br><span class="muted">${new Date(record.reviewedAt).toLocaleString()}</span>${record.patientId ? `<br><a href="/patient/${record.patientId}">Patient ${record.patientId}</a>` : ''}`}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        ` : `<div class="empty-state">No submissions here</div>`}
+    </div>
+</body>
+</html>`;
+}
 
-// Run weekly report every Monday at 9 AM
-cron.schedule('0 9 * * 1', async () => {
-  try {
-    logger.info('Running scheduled weekly report');
-    await weeklyReport.generateWeeklyReport();
-  } catch (error) {
-    logger.error('Error in scheduled weekly report', { error: error.message });
-  }
-});
+function generateTriageReviewHTML(visits, csrfToken) {
+  const evidence = (triage) => triage.rules && triage.rules.evidence.length > 0
+    ? `<br><span class="muted">Rules: ${triage.rules.evidence.map(entry => `${escapeHTML(entry.label)} (${escapeHTML(entry.status)})`).join(', ')}</span>`
+    : '';
 
-// Catch-all route for debugging
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Route not found',
-    path: req.originalUrl,
-    availableRoutes: [
-      '/',
-      '/health',
-      '/dashboard',
-      '/patient-form',
-      '/test-form',
-      '/webhook/formspree',
-      '/debug'
-    ],
-    timestamp: new Date().toISOString()
-  });
-});
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Triage Review - myPCP Clinic</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #F9F5E9; color: #1E1E1E; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); }
+        h1 { color: #2E8C83; border-bottom: 3px solid #3CB6AD; padding-bottom: 10px; margin-top: 0; }
+        .btn { background: #3CB6AD; color: white; padding: 9px 16px; border: none; border-radius: 6px; cursor: pointer; text-decoration: none; font-size: 0.9em; display: inline-block; }
+        .btn:hover { background: #2E8C83; }
+        .btn.secondary { background: #6c757d; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th { background: #3CB6AD; color: white; padding: 8px 10px; text-align: left; }
+        td { padding: 8px 10px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        .urgency-High { color: #dc3545; font-weight: 600; }
+        .urgency-Moderate { color: #b8860b; font-weight: 600; }
+        .muted { color: #6c757d; }
+        .override-form { display: grid; gap: 6px; margin-top: 8px; }
+        .override-form select, .override-form textarea, .override-form input { padding: 6px; border: 1px solid #ccc; border-radius: 6px; font-family: inherit; font-size: 0.95em; }
+        .empty-state { text-align: center; padding: 30px; color: #6c757d; font-style: italic; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="/dashboard" class="btn">← Back to Dashboard</a>
+        <a href="/triage/report" class="btn secondary">Accuracy report</a>
+        <h1>🩺 Triage Review</h1>
+        <p class="muted">Triaged intakes waiting for a clinician, most urgent first. Accept the triage as it is, or override the urgency level and/or summary with a reason. The triage as it was is kept with the visit.</p>
+        ${visits.length > 0 ? `
+        <table>
+            <thead>
+                <tr><th>Received</th><th>Patient</th><th>Triage</th><th>Review</th></tr>
+            </thead>
+            <tbody>
+                ${visits.map(visit => `
+                <tr>
+                    <td>${new Date(visit.timestamp).toLocaleString()}</td>
+                    <td><a href="/patient/${visit.id}">${escapeHTML(visit.fullName || `Patient ${visit.id}`)}</a><br><span class="muted">${escapeHTML(visit.reasonForVisit || '')}</span></td>
+                    <td>
+                        <span class="urgency-${escapeHTML(visit.triage.urgencyLevel)}">${escapeHTML(visit.triage.urgencyLevel)}</span> &middot; ${escapeHTML(visit.triage.summary)}
+                        ${visit.triage.riskKeywords && visit.triage.riskKeywords.length > 0 ? `<br>Risk keywords: ${visit.triage.riskKeywords.map(escapeHTML).join(', ')}` : ''}
+                        <br><span class="muted">${escapeHTML(visit.triage.provider || 'unknown provider')}${visit.triage.validation ? `, ${escapeHTML(visit.triage.validation)}` : ''}</span>
+                        ${evidence(visit.triage)}
+                    </td>
+                    <td>
+                        <form method="POST" action="/triage/review/${encodeURIComponent(visit.encounterId)}">
+                            ${csrfField(csrfToken)}
+                            <input type="hidden" name="decision" value="accept">
+                            <button type="submit" class="btn">Accept</button>
+                        </form>
+                        <form method="POST" action="/triage/review/${encodeURIComponent(visit.encounterId)}" class="override-form">
+                            ${csrfField(csrfToken)}
+                            <input type="hidden" name="decision" value="override">
+                            <select name="urgencyLevel">
+                                ${URGENCY_LEVELS.slice().reverse().map(level => `<option value="${level}"${level === visit.triage.urgencyLevel ? ' selected' : ''}>${level}</option>`).join('')}
+                            </select>
+                            <textarea name="summary" rows="3" maxlength="2000">${escapeHTML(visit.triage.summary)}</textarea>
+                            <input type="text" name="reason" maxlength="1000" placeholder="Reason for the override" required>
+                            <button type="submit" class="btn secondary">Override</button>
+                        </form>
+                    </td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        ` : `<div class="empty-state">No triaged intakes are waiting for review</div>`}
+    </div>
+</body>
+</html>`;
+}
 
-// Error handling middleware
-app.use(errorHandler);
+function generateTriageReportHTML(report) {
+  const rate = (value) => (value === null ? '-' : `${value}%`);
+  const rows = (entries, name) => entries.map(entry => `
+                <tr>
+                    <td>${name(entry)}</td>
+                    <td>${entry.reviewed}</td>
+                    <td>${entry.accepted}</td>
+                    <td>${entry.overridden}</td>
+                    <td>${entry.raised}</td>
+                    <td>${entry.lowered}</td>
+                    <td>${entry.summaryEdits}</td>
+                    <td>${rate(entry.urgencyAgreement)}</td>
+                </tr>`).join('');
+  const table = (title, entries, name) => `
+        <h2>${title}</h2>
+        ${entries.length > 0 ? `
+        <table>
+            <thead>
+                <tr><th></th><th>Reviewed</th><th>Accepted</th><th>Overridden</th><th>Urgency raised</th><th>Urgency lowered</th><th>Summary edited</th><th>Urgency kept</th></tr>
+            </thead>
+            <tbody>${rows(entries, name)}
+            </tbody>
+        </table>` : '<div class="empty-state">No reviews yet</div>'}`;
 
-// Start server (only in development or when not on Vercel)
-if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
-  app.listen(PORT, () => {
-    logger.info(`myPCP Clinic Automation System running on port ${PORT}`);
-    logger.info(`Environment: ${process.env.NODE_ENV}`);
-    logger.info(`Health check: http://localhost:${PORT}/health`);
-  });
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Triage Accuracy - myPCP Clinic</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #F9F5E9; color: #1E1E1E; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); }
+        h1 { color: #2E8C83; border-bottom: 3px solid #3CB6AD; padding-bottom: 10px; margin-top: 0; }
+        h2 { color: #2E8C83; font-size: 1.2em; margin-top: 30px; }
+        .btn { background: #3CB6AD; color: white; padding: 9px 16px; border: none; border-radius: 6px; cursor: pointer; text-decoration: none; font-size: 0.9em; display: inline-block; }
+        .btn:hover { background: #2E8C83; }
+        .filters { display: flex; gap: 10px; align-items: center; margin: 15px 0; }
+        .filters input { padding: 6px; border: 1px solid #ccc; border-radius: 6px; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th { background: #3CB6AD; color: white; padding: 8px 10px; text-align: left; }
+        td { padding: 8px 10px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        .muted { color: #6c757d; }
+        .empty-state { text-align: center; padding: 30px; color: #6c757d; font-style: italic; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="/triage/review" class="btn">← Back to Triage Review</a>
+        <h1>📊 Triage Accuracy</h1>
+        <p class="muted">How clinicians reviewed intake triage${report.from || report.to ? ` between ${escapeHTML(report.from || 'the start')} and ${escapeHTML(report.to || 'now')}` : ''}. "Urgency kept" is the share of reviews that left the urgency level as triaged. A triage rule counts towards every review of an intake it matched (affirmed or uncertain).</p>
+        <form method="GET" action="/triage/report" class="filters">
+            <label>Reviewed from <input type="date" name="from" value="${escapeHTML(report.from || '')}"></label>
+            <label>to <input type="date" name="to" value="${escapeHTML(report.to || '')}"></label>
+            <button type="submit" class="btn">Filter</button>
+        </form>
+        ${table('Overall', report.reviewed > 0 ? [report] : [], () => 'All reviews')}
+        ${table('By AI Provider', report.providers, entry => escapeHTML(entry.provider))}
+        ${table('By Triage Rule', report.rules, entry => `${escapeHTML(entry.label)} <span class="muted">(${escapeHTML(entry.rule)})</span>`)}
+    </div>
+</body>
+</html>`;
 }
 
-// Export for Vercel
-module.exports = app;
+function generateDiagnosticsHTML(report) {
+  const badges = { pass: '✅ Pass', fail: '❌ Fail', skipped: '⏭️ Skipped' };
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Diagnostics - myPCP Clinic</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #F9F5E9; color: #1E1E1E; }
+        .container { max-width: 1400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 4px 15px rgba(0,0,0,0.1); }
+        h1 { color: #2E8C83; border-bottom: 3px solid #3CB6AD; padding-bottom: 10px; margin-top: 0; }
+        h2 { color: #2E8C83; font-size: 1.2em; margin-top: 30px; }
+        .btn { background: #3CB6AD; color: white; padding: 9px 16px; border: none; border-radius: 6px; cursor: pointer; text-decoration: none; font-size: 0.9em; display: inline-block; }
+        .btn:hover { background: #2E8C83; }
+        .actions { display: flex; gap: 10px; margin: 15px 0; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th { background: #3CB6AD; color: white; padding: 8px 10px; text-align: left; }
+        td { padding: 8px 10px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        .muted { color: #6c757d; }
+        .pass { color: #2E8C83; font-weight: 600; }
+        .fail { color: #b02a37; font-weight: 600; }
+        .skipped { color: #6c757d; }
+        .settings { display: grid; grid-template-columns: repeat(auto-fill, minmax(300px, 1fr)); gap: 15px; }
+        .settings ul { list-style: none; padding: 0; margin: 0; font-size: 0.85em; }
+        .settings li { padding: 3px 0; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <a href="/dashboard" class="btn">← Back to Dashboard</a>
+        <h1>🩺 Diagnostics</h1>
+        <p>Overall: <span class="${report.status}">${badges[report.status]}</span> <span class="muted">- checked ${new Date(report.ranAt).toLocaleString()}</span></p>
+        <table>
+            <thead>
+                <tr><th>Integration</th><th>Status</th><th>Result</th><th>How to fix</th><th>Time</th></tr>
+            </thead>
+            <tbody>
+                ${report.checks.map(check => `
+                <tr>
+                    <td>${escapeHTML(check.label)}</td>
+                    <td class="${check.status}">${badges[check.status]}</td>
+                    <td>${escapeHTML(check.detail)}</td>
+                    <td>${check.status === 'pass' ? '' : escapeHTML(check.hint || '')}</td>
+                    <td>${check.durationMs} ms</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        <div class="actions">
+            <a href="/admin/diagnostics" class="btn">🔄 Run checks again</a>
+            <a href="/setup-guide" class="btn">Google Sheets setup guide</a>
+        </div>
+
+        <h2>Configuration</h2>
+        <p class="muted">Environment: ${escapeHTML(report.configuration.environment)} · Storage: ${escapeHTML(report.configuration.storage)}${report.configuration.googleDisabled ? ' · Google APIs disabled' : ''}. Values are never shown here.</p>
+        <div class="settings">
+            ${Object.entries(report.configuration.settings).map(([group, settings]) => `
+            <div>
+                <h3>${escapeHTML(group)}</h3>
+                <ul>
+                    ${settings.map(setting => `<li>${setting.configured ? '✅' : '⬜'} <code>${escapeHTML(setting.name)}</code> <span class="muted">${setting.configured ? 'set' : 'not set'}</span></li>`).join('')}
+                </ul>
+            </div>`).join('')}
+        </div>
+    </div>
+</body>
+</html>`;
+}
 
-// HTML Generation Functions
 function generateHealthDashboard(data) {
   return `
 <!DOCTYPE html>
@@ -892,7 +2484,7 @@ function generateHealthDashboard(data) {
 </html>`;
 }
 
-function generateDashboardHTML(data) {
+function generateDashboardHTML(data, csrfToken) {
   return `
 <!DOCTYPE html>
 <html lang="en">
@@ -1351,8 +2943,17 @@ function generateDashboardHTML(data) {
                     <p>Real-time Analytics</p>
                     <div style="margin-top: 15px; display: flex; gap: 10px; flex-wrap: wrap; align-items: center;">
                         <button onclick="showPatientDetails('TEST', 'Test Patient', '2025-10-20T00:00:00.000Z', 'pending', 'test@example.com', '(305) 555-0000', 'Test modal functionality')" style="background: #3CB6AD; color: white; padding: 8px 16px; border: none; border-radius: 6px; cursor: pointer;">Test Modal</button>
+                        ${data.currentUser && data.currentUser.role === 'admin' ? `
                         <a href="/export/excel" style="background: #28a745; color: white; padding: 8px 16px; text-decoration: none; border-radius: 6px; display: inline-block;">📊 Export All Data</a>
                         <a href="/export/daily-excel" style="background: #17a2b8; color: white; padding: 8px 16px; text-decoration: none; border-radius: 6px; display: inline-block;">📅 Export Daily Data</a>
+                        ` : ''}
+                        ${data.currentUser ? `
+                        <form method="POST" action="/auth/logout" style="margin: 0; display: inline-flex; align-items: center; gap: 8px;">
+                            ${csrfField(csrfToken)}
+                            <span style="font-size: 0.85em;">👤 ${escapeHTML(data.currentUser.name)} (${escapeHTML(data.currentUser.role)})</span>
+                            <button type="submit" style="background: white; color: #2E8C83; padding: 8px 16px; border: 1px solid #3CB6AD; border-radius: 6px; cursor: pointer;">Log Out</button>
+                        </form>
+                        ` : ''}
                     </div>
                     <div style="margin-top: 10px; padding: 8px 12px; background: #d4edda; border: 1px solid #c3e6cb; border-radius: 6px; color: #155724; font-size: 14px;">
                         ✅ <strong>Auto-Update Excel:</strong> Excel file updates automatically with every new patient - no need to download multiple files!
@@ -1395,6 +2996,20 @@ function generateDashboardHTML(data) {
                         <div class="stat-label">Avg Wait</div>
                     </div>
                 </div>
+
+                ${data.quarantinedIntakes > 0 ? `
+                <div class="section" style="background: #fff3cd; border-left: 4px solid #ffc107;">
+                    🛡️ <strong>${data.quarantinedIntakes}</strong> intake submission${data.quarantinedIntakes === 1 ? ' is' : 's are'} held as suspected spam.
+                    <a href="/quarantine" style="color: #2E8C83; font-weight: 600;">Review quarantine →</a>
+                </div>
+                ` : ''}
+
+                ${data.triageReviewsWaiting > 0 ? `
+                <div class="section" style="background: #e2f3f1; border-left: 4px solid #3CB6AD;">
+                    🩺 <strong>${data.triageReviewsWaiting}</strong> triaged intake${data.triageReviewsWaiting === 1 ? ' is' : 's are'} waiting for clinician review.
+                    <a href="/triage/review" style="color: #2E8C83; font-weight: 600;">Open the review queue →</a>
+                </div>
+                ` : ''}
                 
                 <!-- Today's Patients -->
                 <div class="section">
@@ -1680,7 +3295,122 @@ function generateDashboardHTML(data) {
 </html>`;
 }
 
-function generatePatientDetailsHTML(patient) {
+function generatePossibleDuplicateBanner(patient, possibleDuplicates, canMerge, csrfToken) {
+  if (patient.mergedInto) {
+    return `
+                    <div class="merge-banner">
+                        ℹ️ This submission was merged into <a href="/patient/${patient.mergedInto}">patient ${patient.mergedInto}</a>.
+                    </div>`;
+  }
+  if (!possibleDuplicates || possibleDuplicates.length === 0) return '';
+
+  const reasonLabels = { name: 'name', similar_name: 'similar name', dob: 'date of birth', email: 'email', phone: 'phone' };
+
+  return `
+                    <div class="duplicate-banner">
+                        <strong>⚠️ Possible duplicate${possibleDuplicates.length > 1 ? 's' : ''}</strong>
+                        <p>This patient may have submitted the intake form before:</p>
+                        <form method="POST" action="/patient/${patient.id}/merge">
+                            ${csrfField(csrfToken)}
+                            <ul>
+                                ${possibleDuplicates.map(match => `
+                                <li>
+                                    ${canMerge ? `<input type="checkbox" name="duplicateIds" value="${match.patient.id}" ${match.confidence === 'high' ? 'checked' : ''}>` : ''}
+                                    <a href="/patient/${match.patient.id}">${escapeHTML(match.patient.name)} (ID: ${match.patient.id})</a>
+                                    submitted ${new Date(match.patient.timestamp).toLocaleDateString()}
+                                    &middot; matches on ${match.reasons.map(reason => reasonLabels[reason] || reason).join(', ')}
+                                    (${match.confidence === 'high' ? 'high confidence' : 'possible'})
+                                </li>`).join('')}
+                            </ul>
+                            ${canMerge ? `<button type="submit" class="merge-btn">Merge selected into this patient</button>` : ''}
+                        </form>
+                    </div>`;
+}
+
+function generateLegalHoldBanner(patient, canHold, csrfToken) {
+  if (patient.legalHold) {
+    return `
+                    <div class="legal-hold-banner">
+                        ⚖️ <strong>Legal hold</strong> since ${new Date(patient.legalHold.placedAt).toLocaleDateString()}${patient.legalHold.placedBy ? ` by ${escapeHTML(patient.legalHold.placedBy)}` : ''}: ${escapeHTML(patient.legalHold.reason)}.
+                        This patient's records are exempt from retention purges.
+                        ${canHold ? `
+                        <form method="POST" action="/patient/${patient.id}/legal-hold/release" onsubmit="return confirm('Release the legal hold on this patient?')">
+                            ${csrfField(csrfToken)}
+                            <button type="submit" class="merge-btn">Release hold</button>
+                        </form>` : ''}
+                    </div>`;
+  }
+  if (!canHold) return '';
+
+  return `
+                    <form method="POST" action="/patient/${patient.id}/legal-hold" class="legal-hold-form">
+                        ${csrfField(csrfToken)}
+                        <input type="text" name="reason" placeholder="Reason for legal hold" required>
+                        <button type="submit" class="merge-btn">Place legal hold</button>
+                    </form>`;
+}
+
+function generateConsentSummaryHTML(consent) {
+  const typeLabels = { privacy_notice: 'Privacy notice', email_communication: 'Email', sms_communication: 'Text messages' };
+
+  return `
+                <div class="info-section">
+                    <h3>✍️ Consent</h3>
+                    ${consent ? `
+                            <div class="info-item">
+                                <span class="info-label">Signed:</span>
+                                <span class="info-value">${escapeHTML(consent.signedName)} on ${new Date(consent.signedAt).toLocaleString()}${consent.ip ? ` from ${escapeHTML(consent.ip)}` : ''}</span>
+                            </div>
+                            ${consent.documents.map(document => `
+                            <div class="info-item">
+                                <span class="info-label">${escapeHTML(typeLabels[document.type] || document.type)}:</span>
+                                <span class="info-value">${document.accepted ? '✅ Accepted' : '❌ Declined'} (v${document.version})</span>
+                            </div>`).join('')}
+                    ` : '<p class="empty-visits">No consent on file (registered before consent capture)</p>'}
+                </div>`;
+}
+
+function generateVisitHistoryHTML(visits, merges, canMerge, csrfToken, questions = []) {
+  const activeMerges = (merges || []).filter(merge => !merge.undoneAt);
+  // Answers to the intake form's own questions, labelled as the form asks them
+  const answers = (visit) => Object.entries(visit.responses || {})
+    .filter(([, value]) => value)
+    .map(([name, value]) => {
+      const question = questions.find(entry => entry.name === name);
+      return `<div>${escapeHTML(question ? question.label : name)}: ${escapeHTML(value)}</div>`;
+    }).join('');
+
+  return `
+                <div class="info-section visit-timeline">
+                    <h3>🗂️ Visit Timeline</h3>
+                    ${visits.length === 0 ? '<p class="empty-visits">No visits recorded</p>' : visits.slice().reverse().map(visit => `
+                    <div class="visit">
+                        <div class="visit-header">
+                            <strong>${new Date(visit.timestamp).toLocaleString()}</strong>
+                            <span class="status-badge status-${escapeHTML(visit.status)}">${escapeHTML(visit.status)}</span>
+                        </div>
+                        <div>${escapeHTML(visit.reasonForVisit || 'Intake form')}${visit.visitType ? ` &middot; ${escapeHTML(visit.visitType)}` : ''}</div>
+                        ${visit.appointmentDate ? `<div>📅 Appointment: ${escapeHTML(visit.appointmentDate)} ${escapeHTML(visit.appointmentTime || '')}</div>` : ''}
+                        ${visit.triage ? `<div>🩺 Triage: <strong>${escapeHTML(visit.triage.urgencyLevel)}</strong> &middot; ${escapeHTML(visit.triage.summary)}${visit.triage.provider ? ` <span class="visit-id">(${escapeHTML(visit.triage.provider)}${visit.triage.validation ? `, ${escapeHTML(visit.triage.validation)}` : ''})</span>` : ''}</div>` : ''}
+                        ${visit.triage && visit.triage.review ? `<div class="visit-id">Triage ${escapeHTML(visit.triage.review.decision)} by ${escapeHTML(visit.triage.review.reviewedBy || 'unknown')} on ${new Date(visit.triage.review.reviewedAt).toLocaleString()}${visit.triage.review.decision === 'overridden' ? ` &middot; was ${escapeHTML(visit.triage.review.original.urgencyLevel)}: ${escapeHTML(visit.triage.review.original.summary)} &middot; reason: ${escapeHTML(visit.triage.review.reason)}` : ''}</div>` : ''}
+                        ${visit.triage && visit.triage.rules ? `<div class="visit-id">Rules v${escapeHTML(visit.triage.rules.version)}: score ${escapeHTML(visit.triage.rules.score)}${visit.triage.rules.evidence.map(entry => ` &middot; ${escapeHTML(entry.label)} (${escapeHTML(entry.status)})`).join('')}</div>` : ''}
+                        ${answers(visit)}
+                        <div class="visit-id"><code>${escapeHTML(visit.encounterId)}</code>${visit.formVersion ? ` &middot; intake form v${escapeHTML(visit.formVersion)}` : ''}</div>
+                    </div>`).join('')}
+                    ${canMerge ? activeMerges.map(merge => `
+                    <form method="POST" action="/patient-merges/${encodeURIComponent(merge.id)}/undo" class="undo-merge">
+                        ${csrfField(csrfToken)}
+                        Merged ${merge.duplicateIds.join(', ')} on ${new Date(merge.mergedAt).toLocaleString()}${merge.mergedBy ? ` by ${escapeHTML(merge.mergedBy)}` : ''}
+                        <button type="submit" class="merge-btn">Undo merge</button>
+                    </form>`).join('') : ''}
+                </div>`;
+}
+
+function generatePatientDetailsHTML(patient, { possibleDuplicates = [], visits = [], merges = [], questions = [], user = null, csrfToken } = {}) {
+  const canMerge = !!user && (user.role === ROLES.FRONT_DESK || user.role === ROLES.ADMIN);
+  const canHold = !!user && user.role === ROLES.ADMIN;
+  // Older records carried the visit fields themselves
+  const latestVisit = visits[visits.length - 1] || patient;
   const isFormSubmission = patient.type === 'form_submission';
   const title = isFormSubmission ? 'Patient Intake Form Details' : 'Patient Details';
   
@@ -1766,6 +3496,84 @@ function generatePatientDetailsHTML(patient) {
             margin-bottom: 30px;
         }
         
+        .duplicate-banner, .merge-banner {
+            padding: 15px 20px;
+            border-radius: 10px;
+            margin-bottom: 20px;
+        }
+        
+        .duplicate-banner {
+            background: #fff3cd;
+            border-left: 4px solid #ffc107;
+        }
+        
+        .duplicate-banner ul {
+            list-style: none;
+            margin: 10px 0;
+        }
+        
+        .duplicate-banner li {
+            padding: 4px 0;
+        }
+        
+        .merge-banner {
+            background: #e2f3f1;
+            border-left: 4px solid #3CB6AD;
+        }
+        
+        .legal-hold-banner {
+            padding: 15px 20px;
+            border-radius: 10px;
+            margin-bottom: 20px;
+            background: #f8d7da;
+            border-left: 4px solid #b02a37;
+        }
+        
+        .legal-hold-form {
+            text-align: right;
+            margin-bottom: 15px;
+        }
+        
+        .merge-btn {
+            background: #2E8C83;
+            color: white;
+            border: none;
+            padding: 6px 14px;
+            border-radius: 6px;
+            cursor: pointer;
+        }
+        
+        .undo-merge {
+            margin-top: 10px;
+            font-size: 0.9em;
+        }
+        
+        .visit-timeline {
+            grid-column: 1 / -1;
+        }
+        
+        .visit {
+            border-left: 3px solid #3CB6AD;
+            padding: 8px 0 8px 15px;
+            margin-bottom: 10px;
+        }
+        
+        .visit-header {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+        }
+        
+        .visit-header .status-badge {
+            margin-top: 0;
+            padding: 2px 10px;
+        }
+        
+        .visit-id {
+            color: #6c757d;
+            font-size: 0.8em;
+        }
+        
         .info-section {
             background: #f8f9fa;
             padding: 20px;
@@ -1942,10 +3750,12 @@ function generatePatientDetailsHTML(patient) {
     <div class="container">
                 <div class="header">
                     <h1>${title}</h1>
-                    <p>Patient ID: ${patient.id}</p>
+                    <p>Patient ID: ${patient.id}${patient.mrn ? ` &middot; MRN: ${escapeHTML(patient.mrn)}` : ''}</p>
                 </div>
                 
                 <div class="content">
+                    ${generateLegalHoldBanner(patient, canHold, csrfToken)}
+                    ${generatePossibleDuplicateBanner(patient, possibleDuplicates, canMerge, csrfToken)}
                     <div style="text-align: center; margin-bottom: 20px;">
                         <button onclick="copyAllPatientInfo(this)" class="copy-all-btn">
                             <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
@@ -2075,16 +3885,20 @@ function generatePatientDetailsHTML(patient) {
                 </div>
                 
                 <div class="info-section">
-                    <h3>📋 Form Details</h3>
+                    <h3>📋 Record Details</h3>
                             <div class="info-item">
-                                <span class="info-label">Status:</span>
+                                <span class="info-label">MRN:</span>
                                 <span class="info-value">
-                                    <span class="status-badge status-${patient.status}">${patient.status}</span>
-                                    <button onclick="copyToClipboard('${patient.status}', this)" class="copy-btn">${copyIcon}</button>
+                                    ${escapeHTML(patient.mrn || 'N/A')}
+                                    <button onclick="copyToClipboard('${escapeHTML(patient.mrn || 'N/A')}', this)" class="copy-btn">${copyIcon}</button>
                                 </span>
                             </div>
                             <div class="info-item">
-                                <span class="info-label">Submitted:</span>
+                                <span class="info-label">Visits:</span>
+                                <span class="info-value">${visits.length}</span>
+                            </div>
+                            <div class="info-item">
+                                <span class="info-label">Registered:</span>
                                 <span class="info-value">
                                     ${new Date(patient.timestamp).toLocaleString()}
                                     <button onclick="copyToClipboard('${new Date(patient.timestamp).toLocaleString()}', this)" class="copy-btn">${copyIcon}</button>
@@ -2116,6 +3930,8 @@ function generatePatientDetailsHTML(patient) {
                             </div>
                             ` : ''}
                 </div>
+                ${generateConsentSummaryHTML(patient.consent)}
+                ${generateVisitHistoryHTML(visits, merges, canMerge, csrfToken, questions)}
             </div>
             
             <div class="actions">
@@ -2170,6 +3986,7 @@ function generatePatientDetailsHTML(patient) {
         function copyAllPatientInfo(buttonElement) {
             const patientData = {
                 'Patient ID': '${patient.id}',
+                'MRN': '${patient.mrn || 'N/A'}',
                 'Full Name': '${patient.fullName || 'N/A'}',
                 'Date of Birth': '${patient.dateOfBirth || 'N/A'}',
                 'Gender': '${patient.gender || 'N/A'}',
@@ -2185,9 +4002,9 @@ function generatePatientDetailsHTML(patient) {
                 'Primary Care Physician': '${patient.primaryCarePhysician || 'N/A'}',
                 'Current Medications': '${patient.currentMedications || 'None'}',
                 'Allergies': '${patient.allergies || 'None'}',
-                'Reason for Visit': '${patient.reasonForVisit || 'N/A'}',
+                'Reason for Visit': '${latestVisit.reasonForVisit || 'N/A'}',
                 'Medical History': '${patient.medicalHistory || 'N/A'}',
-                'Status': '${patient.status}',
+                'Status': '${latestVisit.status || 'N/A'}',
                 'Submitted': '${new Date(patient.timestamp).toLocaleString()}'
             };
             
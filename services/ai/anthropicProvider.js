@@ -0,0 +1,54 @@
+const axios = require('axios');
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic-style Messages API: the system prompt goes alongside the messages and the
+ * answer comes back as content blocks
+ */
+class AnthropicProvider {
+  constructor({ url, apiKey = null, model, timeoutMs }) {
+    this.name = 'anthropic';
+    this.label = 'Anthropic';
+    this.url = url;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.configured = !!apiKey;
+  }
+
+  /**
+   * Send a prompt and return the model's answer
+   */
+  async complete(prompt, { system }) {
+    if (!this.apiKey) {
+      throw new Error('Anthropic API key not configured');
+    }
+
+    try {
+      const response = await axios.post(this.url, {
+        model: this.model,
+        system: system,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.3,
+        max_tokens: 1000
+      }, {
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': API_VERSION,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeoutMs
+      });
+
+      return response.data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    } catch (error) {
+      throw new Error(`Anthropic API error: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
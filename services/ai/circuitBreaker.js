@@ -0,0 +1,66 @@
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Stops calling a provider that keeps failing. After `failureThreshold` failures in a
+ * row the circuit opens and requests skip the provider for `resetSeconds`; then one
+ * trial request is let through, which closes the circuit again or reopens it.
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold = 3, resetSeconds = 60, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetMs = resetSeconds * 1000;
+    this.now = now;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Whether a request may go to the provider now
+   */
+  allowRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN && this.now() - this.openedAt >= this.resetMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      return true;
+    }
+    return this.state !== CIRCUIT_STATES.OPEN;
+  }
+
+  /**
+   * Close the circuit after a request succeeds
+   */
+  recordSuccess() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Count a failure, opening the circuit at the threshold or when the trial request fails
+   */
+  recordFailure() {
+    this.failures++;
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * State for logs and diagnostics
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.state === CIRCUIT_STATES.OPEN ? new Date(this.openedAt + this.resetMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.CIRCUIT_STATES = CIRCUIT_STATES;
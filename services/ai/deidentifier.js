@@ -0,0 +1,155 @@
+const { EMAIL_PATTERN, PHONE_PATTERN } = require('../logger');
+const { ageOn } = require('../triageEngine');
+
+const PLACEHOLDER_PATTERN = /\[(NAME|EMAIL|PHONE|ADDRESS|DATE|ID)_\d+\]/g;
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+// Exact dates in free text: 2024-03-05, 3/5/24, March 5(, 2024), 5 March 2024, March 2024.
+// A year on its own is left alone.
+const DATE_PATTERN = new RegExp([
+  '\\b\\d{4}-\\d{1,2}-\\d{1,2}\\b',
+  '\\b\\d{1,2}[/-]\\d{1,2}[/-]\\d{2,4}\\b',
+  `\\b${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`,
+  `\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+\\d{4})?\\b`,
+  `\\b${MONTH}\\s+\\d{4}\\b`
+].join('|'), 'gi');
+
+// Street addresses: a house number, up to four words and a street type, with any unit.
+// "Dr" is left out as it is far more often a doctor than a drive.
+const ADDRESS_PATTERN = /\b\d{1,6}\s+(?:[A-Za-z0-9.'-]+\s+){0,4}?(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|court|ct|way|place|pl|terrace|ter|circle|cir|highway|hwy|parkway|pkwy)\b\.?(?:,?\s*(?:apt|apartment|unit|suite|ste|#)\.?\s*[A-Za-z0-9-]+)?/gi;
+
+// Intake fields replaced outright, by the kind of placeholder they get
+const IDENTIFIER_FIELDS = {
+  email: 'EMAIL',
+  phone: 'PHONE',
+  emergencyPhone: 'PHONE',
+  address: 'ADDRESS',
+  appointmentDate: 'DATE',
+  insuranceId: 'ID'
+};
+
+// Intake fields left out: geography below the state, and record and form bookkeeping
+const DROPPED_FIELDS = [
+  'dob', 'city', 'zipCode', 'mrn', 'patientId', 'encounterId', 'submissionId', 'formId',
+  'consents', 'consentSignature', 'ipAddress', 'userAgent', 'formToken'
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Five-year age band for a date of birth ("40-44"), with everyone 90 and over
+ * grouped together
+ */
+function ageBand(dob, now = Date.now()) {
+  const age = ageOn(dob, now);
+  if (age === null || age < 0) return null;
+  if (age >= 90) return '90 or older';
+  const start = Math.floor(age / 5) * 5;
+  return `${start}-${start + 4}`;
+}
+
+/**
+ * Swaps identifiers for numbered placeholders ([NAME_1], [EMAIL_1], [DATE_2]...) before
+ * text leaves for an external AI provider, and puts them back in the answer. One
+ * instance per request: it holds the placeholder mapping, and the same value always
+ * gets the same placeholder.
+ */
+class Deidentifier {
+  constructor({ names = [] } = {}) {
+    this.mapping = {};
+    this.placeholders = new Map();
+    this.counts = {};
+
+    // Each part of each name, longest first so "Ann" doesn't split "Annabel"
+    this.nameParts = Array.from(new Set(names
+      .filter(Boolean)
+      .flatMap(name => String(name).split(/[\s,]+/))
+      .map(part => part.replace(/^[^A-Za-z]+|[^A-Za-z]+$/g, ''))
+      .filter(part => part.length >= 2)))
+      .sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * The placeholder for a value, created on first use
+   */
+  placeholder(kind, value) {
+    const key = `${kind}:${String(value).trim().toLowerCase()}`;
+    if (!this.placeholders.has(key)) {
+      this.counts[kind] = (this.counts[kind] || 0) + 1;
+      const placeholder = `[${kind}_${this.counts[kind]}]`;
+      this.placeholders.set(key, placeholder);
+      this.mapping[placeholder] = String(value);
+    }
+    return this.placeholders.get(key);
+  }
+
+  /**
+   * Replace the patient's names, emails, phone numbers, street addresses and exact
+   * dates in a piece of text
+   */
+  text(value) {
+    if (value === undefined || value === null || value === '') return value;
+
+    let text = String(value)
+      .replace(EMAIL_PATTERN, match => this.placeholder('EMAIL', match))
+      .replace(PHONE_PATTERN, match => this.placeholder('PHONE', match))
+      .replace(DATE_PATTERN, match => this.placeholder('DATE', match))
+      .replace(ADDRESS_PATTERN, match => this.placeholder('ADDRESS', match));
+
+    this.nameParts.forEach(part => {
+      text = text.replace(new RegExp(`(?<![A-Za-z\\[])${escapeRegExp(part)}(?![A-Za-z])`, 'gi'), match => this.placeholder('NAME', match));
+    });
+    return text;
+  }
+
+  /**
+   * De-identified copy of any value: strings are scrubbed, arrays and objects walked
+   */
+  deep(value) {
+    if (typeof value === 'string') return this.text(value);
+    if (Array.isArray(value)) return value.map(entry => this.deep(entry));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, this.deep(entry)]));
+    }
+    return value;
+  }
+
+  /**
+   * Put the original values back wherever a placeholder appears (strings, arrays and
+   * objects). Placeholders this request never issued are left as they are.
+   */
+  restore(value) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_PATTERN, placeholder => (placeholder in this.mapping ? this.mapping[placeholder] : placeholder));
+    }
+    if (Array.isArray(value)) return value.map(entry => this.restore(entry));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, this.restore(entry)]));
+    }
+    return value;
+  }
+}
+
+/**
+ * De-identify an intake for an AI prompt. Returns { data, deidentifier }: `data` has the
+ * date of birth replaced by `ageBand`, identifying fields replaced by placeholders or
+ * left out, and free text (including the form's own questions) scrubbed.
+ */
+function deidentifyIntake(formData, { now = Date.now() } = {}) {
+  const deidentifier = new Deidentifier({ names: [formData.fullName, formData.emergencyContact] });
+  const data = { ageBand: ageBand(formData.dob, now) };
+
+  Object.entries(formData).forEach(([key, value]) => {
+    if (DROPPED_FIELDS.includes(key) || value === undefined || value === null || value === '') return;
+    data[key] = IDENTIFIER_FIELDS[key] ? deidentifier.placeholder(IDENTIFIER_FIELDS[key], value) : deidentifier.deep(value);
+  });
+
+  return { data, deidentifier };
+}
+
+module.exports = {
+  Deidentifier,
+  deidentifyIntake,
+  ageBand
+};
@@ -0,0 +1,133 @@
+const OpenAIProvider = require('./openAIProvider');
+const OllamaProvider = require('./ollamaProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const RulesProvider = require('./rulesProvider');
+const CircuitBreaker = require('./circuitBreaker');
+const { OUTPUT_STATUSES, OUTPUT_SCHEMAS, validateOutput } = require('./outputSchemas');
+const { Deidentifier, deidentifyIntake, ageBand } = require('./deidentifier');
+
+const PROVIDERS = ['openai', 'local', 'ollama', 'anthropic', 'rules'];
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * What a provider may see: raw PHI, or prompts with identifiers replaced by
+ * placeholders (see deidentifier.js)
+ */
+const PHI_POLICIES = {
+  RAW: 'raw',
+  DEIDENTIFIED: 'deidentified'
+};
+
+// Providers that run on the clinic's own machines, trusted with raw PHI by default
+const DEFAULT_RAW_PHI_PROVIDERS = ['local', 'ollama'];
+
+/**
+ * Per-provider timeout (<PREFIX>_TIMEOUT_MS), else AI_TIMEOUT_MS
+ */
+function timeoutFor(prefix) {
+  return parseInt(process.env[`${prefix}_TIMEOUT_MS`]) || parseInt(process.env.AI_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * The providers to try, in order. AI_PROVIDERS wins; otherwise the older USE_LOCAL_AI
+ * switch picks the local server or OpenAI. The rules-only provider always ends the list.
+ */
+function providerOrder(setting = process.env.AI_PROVIDERS) {
+  const names = setting && setting.trim()
+    ? setting.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : [process.env.USE_LOCAL_AI === 'true' ? 'local' : 'openai'];
+
+  const unknown = names.find(name => !PROVIDERS.includes(name));
+  if (unknown) {
+    throw new Error(`Unknown AI provider "${unknown}" in AI_PROVIDERS - expected some of: ${PROVIDERS.join(', ')}`);
+  }
+
+  return Array.from(new Set(names.filter(name => name !== 'rules').concat('rules')));
+}
+
+/**
+ * Providers allowed to see raw PHI: AI_RAW_PHI_PROVIDERS, "none" for none, else the
+ * on-premises ones. The rules-only provider never sends anything anywhere.
+ */
+function rawPhiProviders(setting = process.env.AI_RAW_PHI_PROVIDERS) {
+  if (setting === undefined || !setting.trim()) return DEFAULT_RAW_PHI_PROVIDERS.concat('rules');
+  return setting.split(',').map(name => name.trim().toLowerCase()).filter(name => name && name !== 'none').concat('rules');
+}
+
+/**
+ * Create one provider from its environment settings, with its PHI policy
+ */
+function createProvider(name, options = {}) {
+  const provider = buildProvider(name, options);
+  provider.phiPolicy = rawPhiProviders().includes(name) ? PHI_POLICIES.RAW : PHI_POLICIES.DEIDENTIFIED;
+  return provider;
+}
+
+/**
+ * The provider instance for a name
+ */
+function buildProvider(name, { triageEngine = null } = {}) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider({
+        url: process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.AI_MODEL || 'gpt-3.5-turbo',
+        timeoutMs: timeoutFor('OPENAI')
+      });
+    case 'local':
+      return new OpenAIProvider({
+        name: 'local',
+        label: 'Local AI',
+        url: process.env.LOCAL_AI_URL || 'http://localhost:1234/v1/chat/completions',
+        requireKey: false,
+        model: process.env.LOCAL_AI_MODEL || 'llama-3',
+        timeoutMs: timeoutFor('LOCAL_AI')
+      });
+    case 'ollama':
+      return new OllamaProvider({
+        url: process.env.OLLAMA_URL || 'http://localhost:11434/api/chat',
+        model: process.env.OLLAMA_MODEL || 'llama3',
+        timeoutMs: timeoutFor('OLLAMA')
+      });
+    case 'anthropic':
+      return new AnthropicProvider({
+        url: process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages',
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+        timeoutMs: timeoutFor('ANTHROPIC')
+      });
+    case 'rules':
+      return new RulesProvider({ triageEngine });
+    default:
+      throw new Error(`Unknown AI provider "${name}"`);
+  }
+}
+
+/**
+ * The configured fallback chain. Providers missing their API key are left out.
+ */
+function createProviders(setting = process.env.AI_PROVIDERS, options = {}) {
+  return providerOrder(setting).map(name => createProvider(name, options)).filter(provider => provider.configured);
+}
+
+module.exports = {
+  PROVIDERS,
+  PHI_POLICIES,
+  providerOrder,
+  rawPhiProviders,
+  createProvider,
+  createProviders,
+  CircuitBreaker,
+  OUTPUT_STATUSES,
+  OUTPUT_SCHEMAS,
+  validateOutput,
+  Deidentifier,
+  deidentifyIntake,
+  ageBand,
+  OpenAIProvider,
+  OllamaProvider,
+  AnthropicProvider,
+  RulesProvider
+};
@@ -0,0 +1,42 @@
+const axios = require('axios');
+
+/**
+ * Chat with a model served by Ollama (/api/chat), asking for JSON output
+ */
+class OllamaProvider {
+  constructor({ url, model, timeoutMs }) {
+    this.name = 'ollama';
+    this.label = 'Ollama';
+    this.url = url;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.configured = true;
+  }
+
+  /**
+   * Send a prompt and return the model's answer
+   */
+  async complete(prompt, { system }) {
+    try {
+      const response = await axios.post(this.url, {
+        model: this.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        stream: false,
+        format: 'json',
+        options: { temperature: 0.3 }
+      }, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: this.timeoutMs
+      });
+
+      return response.data.message.content;
+    } catch (error) {
+      throw new Error(`Ollama error: ${error.message}`);
+    }
+  }
+}
+
+module.exports = OllamaProvider;
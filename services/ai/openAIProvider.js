@@ -0,0 +1,51 @@
+const axios = require('axios');
+
+/**
+ * Chat completions on any OpenAI-compatible endpoint: OpenAI itself, or a local
+ * server such as LM Studio
+ */
+class OpenAIProvider {
+  constructor({ name = 'openai', label = 'OpenAI', url, apiKey = null, requireKey = true, model, timeoutMs }) {
+    this.name = name;
+    this.label = label;
+    this.url = url;
+    this.apiKey = apiKey;
+    this.requireKey = requireKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.configured = !requireKey || !!apiKey;
+  }
+
+  /**
+   * Send a prompt and return the model's answer
+   */
+  async complete(prompt, { system }) {
+    if (this.requireKey && !this.apiKey) {
+      throw new Error(`${this.label} API key not configured`);
+    }
+
+    try {
+      const response = await axios.post(this.url, {
+        model: this.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        temperature: 0.3,
+        max_tokens: 1000
+      }, {
+        headers: {
+          ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeoutMs
+      });
+
+      return response.data.choices[0].message.content;
+    } catch (error) {
+      throw new Error(`${this.label} API error: ${error.message}`);
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
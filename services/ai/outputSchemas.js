@@ -0,0 +1,75 @@
+const Joi = require('joi');
+const { URGENCY_LEVELS } = require('../triageEngine');
+
+/**
+ * How far an AI result can be trusted: it matched its schema first time, it matched
+ * after a repair prompt, or the model never produced a valid answer and a
+ * deterministic result was used instead
+ */
+const OUTPUT_STATUSES = {
+  VALIDATED: 'validated',
+  REPAIRED: 'repaired',
+  FALLBACK: 'fallback'
+};
+
+const text = (max) => Joi.string().trim().max(max);
+const textList = (maxItems, maxLength) => Joi.array().items(text(maxLength).min(1)).max(maxItems);
+
+// The JSON each task's prompt asks for, by callAI task name
+const OUTPUT_SCHEMAS = {
+  intake: Joi.object({
+    summary: text(1000).min(1).required(),
+    urgencyLevel: Joi.string().valid(...URGENCY_LEVELS).required(),
+    riskKeywords: textList(20, 100).required(),
+    recommendations: text(1000).allow('').required(),
+    followUpNotes: text(1000).allow('')
+  }),
+  weekly_report: Joi.object({
+    executiveSummary: text(1000).min(1).required(),
+    keyMetrics: Joi.object().unknown(true).required(),
+    trends: text(2000).allow('').required(),
+    recommendations: textList(20, 500).required(),
+    alerts: textList(20, 500).required(),
+    nextWeekFocus: text(1000).allow('').required()
+  })
+};
+
+/**
+ * Parse the JSON object in a model's answer: the whole answer, optionally inside a
+ * ```json fence. Throws when it is not exactly one JSON object.
+ */
+function parseJsonObject(content) {
+  const trimmed = String(content || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (error) {
+    throw new Error(`The answer is not valid JSON (${error.message})`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('The answer must be a single JSON object');
+  }
+  return parsed;
+}
+
+/**
+ * Check a model's answer against the schema for its task. Returns { value } with
+ * unknown properties dropped, or { errors } listing every problem.
+ */
+function validateOutput(task, content) {
+  let parsed;
+  try {
+    parsed = parseJsonObject(content);
+  } catch (error) {
+    return { errors: [error.message] };
+  }
+
+  const { value, error } = OUTPUT_SCHEMAS[task].validate(parsed, { abortEarly: false, stripUnknown: true });
+  return error ? { errors: error.details.map(detail => detail.message) } : { value };
+}
+
+module.exports = {
+  OUTPUT_STATUSES,
+  OUTPUT_SCHEMAS,
+  validateOutput
+};
@@ -0,0 +1,85 @@
+const { evaluateTriage } = require('../triageEngine');
+
+const RECOMMENDATIONS = {
+  High: 'Review this intake promptly and consider contacting the patient today',
+  Moderate: 'Review this intake before the appointment',
+  Low: 'Routine review'
+};
+
+/**
+ * Deterministic answers without a model: intake triage from the triage rules and a
+ * weekly report from the numbers alone. Last in every fallback chain, so triage still
+ * completes when every AI endpoint is down. Free-text tasks (emails) are refused so the
+ * caller uses its own template.
+ */
+class RulesProvider {
+  constructor({ triageEngine = null } = {}) {
+    this.name = 'rules';
+    this.label = 'Triage rules';
+    this.model = 'rules';
+    this.triageEngine = triageEngine;
+    this.configured = true;
+    // Nothing leaves the server, so the rules see the intake as submitted
+    this.phiPolicy = 'raw';
+  }
+
+  /**
+   * Answer a task in the JSON format the AI prompts ask for
+   */
+  async complete(prompt, { task, data } = {}) {
+    switch (task) {
+      case 'intake':
+        return JSON.stringify(await this.triageIntake(data));
+      case 'weekly_report':
+        return JSON.stringify(this.weeklyReport(data));
+      case 'ping':
+        return '{"status": "ok"}';
+      default:
+        throw new Error(`The rules-only provider cannot answer "${task || 'free text'}" requests`);
+    }
+  }
+
+  /**
+   * Triage summary from the current triage rules
+   */
+  async triageIntake(formData) {
+    const result = this.triageEngine ? await this.triageEngine.evaluate(formData) : evaluateTriage(formData);
+
+    // Kept within the limits of the triage output schema
+    const riskKeywords = result.riskKeywords.slice(0, 20).map(keyword => keyword.slice(0, 100));
+    const found = riskKeywords.length > 0 ? riskKeywords.join(', ') : 'no risk indicators';
+
+    return {
+      summary: `Rules-based triage: ${found} (score ${result.score}). Reason for visit: ${String(formData.reasonForVisit || 'not specified').slice(0, 300)}.`.slice(0, 1000),
+      urgencyLevel: result.urgencyLevel,
+      riskKeywords,
+      recommendations: RECOMMENDATIONS[result.urgencyLevel],
+      followUpNotes: 'Triaged by the clinic triage rules without an AI model - read the intake in full'
+    };
+  }
+
+  /**
+   * Weekly report from the statistics, without trend analysis
+   */
+  weeklyReport(stats) {
+    const alerts = [];
+    if (stats.highRiskTriage > 0) alerts.push(`${stats.highRiskTriage} high-risk triage case(s) this week`);
+    if (parseFloat(stats.noShowRate) > 15) alerts.push(`No-show rate of ${stats.noShowRate}%`);
+
+    return {
+      executiveSummary: `${stats.totalBookings} bookings this week: ${stats.completedAppointments} completed and ${stats.noShows} no-shows.`,
+      keyMetrics: {
+        totalVisits: stats.totalBookings,
+        noShowRate: `${stats.noShowRate}%`,
+        highRiskCases: stats.highRiskTriage,
+        completionRate: `${stats.completionRate}%`
+      },
+      trends: 'Not analysed - this report was generated without an AI model',
+      recommendations: alerts.length > 0 ? ['Review the alerts below with the clinical team'] : [],
+      alerts,
+      nextWeekFocus: 'Follow up on open high-risk cases and no-shows'
+    };
+  }
+}
+
+module.exports = RulesProvider;
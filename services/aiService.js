@@ -1,25 +1,52 @@
-const axios = require('axios');
-const winston = require('winston');
-
+const { createLogger } = require('./logger');
+const {
+  createProviders, CircuitBreaker, RulesProvider, validateOutput, OUTPUT_STATUSES,
+  PHI_POLICIES, Deidentifier, deidentifyIntake
+} = require('./ai');
+
+const SYSTEM_PROMPT = 'You are a helpful medical AI assistant. Always respond with valid JSON format as requested.';
+
+const DEFAULT_BREAKER_FAILURES = 3;
+const DEFAULT_BREAKER_RESET_SECONDS = 60;
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const MAX_REPAIR_ATTEMPTS = 5;
+
+// Providers run by third parties; a warning is logged if they are allowed raw PHI
+const EXTERNAL_PROVIDERS = ['openai', 'anthropic'];
+
+/**
+ * AI features over a fallback chain of providers (see services/ai). Each request goes
+ * to the first provider whose circuit is closed and moves on to the next when it fails;
+ * the rules-only provider at the end means intake triage always gets an answer.
+ * Providers without raw PHI access only ever get de-identified prompts.
+ */
 class AIService {
-  constructor() {
-    this.logger = winston.createLogger({
-      level: 'info',
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-      ),
-      defaultMeta: { service: 'ai-service' },
-      transports: [
-        new winston.transports.Console(),
-        new winston.transports.File({ filename: './logs/ai-service.log' })
-      ]
+  constructor({ providers = null, triageEngine = null } = {}) {
+    this.logger = createLogger('ai-service', { files: './logs/ai-service.log' });
+
+    this.providers = providers || createProviders(process.env.AI_PROVIDERS, { triageEngine });
+    this.breakers = {};
+    this.providers.forEach(provider => {
+      this.breakers[provider.name] = new CircuitBreaker({
+        failureThreshold: parseInt(process.env.AI_BREAKER_FAILURES) || DEFAULT_BREAKER_FAILURES,
+        resetSeconds: parseInt(process.env.AI_BREAKER_RESET_SECONDS) || DEFAULT_BREAKER_RESET_SECONDS
+      });
     });
 
-    this.useLocalAI = process.env.USE_LOCAL_AI === 'true';
-    this.localAIUrl = process.env.LOCAL_AI_URL || 'http://localhost:1234/v1/chat/completions';
-    this.openaiApiKey = process.env.OPENAI_API_KEY;
-    this.model = process.env.AI_MODEL || 'gpt-3.5-turbo';
+    const repairAttempts = parseInt(process.env.AI_REPAIR_ATTEMPTS);
+    this.repairAttempts = Math.min(isNaN(repairAttempts) ? DEFAULT_REPAIR_ATTEMPTS : Math.max(repairAttempts, 0), MAX_REPAIR_ATTEMPTS);
+
+    this.logger.info(`AI providers: ${this.providers.map(provider => `${provider.name} (${this.canSeePhi(provider) ? 'raw PHI' : 'de-identified'})`).join(' -> ')}`);
+    this.providers
+      .filter(provider => EXTERNAL_PROVIDERS.includes(provider.name) && this.canSeePhi(provider))
+      .forEach(provider => this.logger.warn(`AI_RAW_PHI_PROVIDERS lets ${provider.name} receive raw PHI - make sure a business associate agreement covers it`));
+  }
+
+  /**
+   * Whether a provider may be sent raw PHI (see AI_RAW_PHI_PROVIDERS)
+   */
+  canSeePhi(provider) {
+    return provider.phiPolicy === PHI_POLICIES.RAW;
   }
 
   /**
@@ -27,14 +54,21 @@ class AIService {
    */
   async summarizeIntake(formData) {
     try {
-      const prompt = this.createIntakePrompt(formData);
-      const response = await this.callAI(prompt);
-      
-      const summary = this.parseAIResponse(response);
-      
+      const { data: redacted, deidentifier } = deidentifyIntake(formData);
+      const { value, validation, provider, model } = await this.requestStructured('intake', formData, {
+        prompt: this.createIntakePrompt(formData),
+        redactedPrompt: this.createIntakePrompt(redacted),
+        deidentifier
+      });
+
+      // Record which provider answered and whether its answer had to be repaired or replaced
+      const summary = { ...value, provider, model, validation };
+
       this.logger.info('Patient intake summarized successfully', {
         patientName: formData.fullName,
-        urgencyLevel: summary.urgencyLevel
+        urgencyLevel: summary.urgencyLevel,
+        provider,
+        validation
       });
 
       return summary;
@@ -52,10 +86,10 @@ class AIService {
    */
   async generateWeeklyReport(stats) {
     try {
+      // Clinic-wide counts only, so every provider gets the same prompt
       const prompt = this.createWeeklyReportPrompt(stats);
-      const response = await this.callAI(prompt);
-      
-      const report = this.parseAIResponse(response);
+      const { value, validation, provider } = await this.requestStructured('weekly_report', stats, { prompt, redactedPrompt: prompt });
+      const report = { ...value, provider, validation };
       
       this.logger.info('Weekly report generated successfully', {
         totalBookings: stats.totalBookings,
@@ -82,7 +116,7 @@ Please analyze the following patient information and provide a structured summar
 
 PATIENT INFORMATION:
 - Name: ${formData.fullName || 'Not provided'}
-- Age: ${this.calculateAge(formData.dob) || 'Not provided'}
+- Age: ${formData.ageBand || this.calculateAge(formData.dob) || 'Not provided'}
 - Reason for Visit: ${formData.reasonForVisit || 'Not specified'}
 - Current Medications: ${formData.currentMedications || 'None listed'}
 - Allergies: ${formData.allergies || 'None listed'}
@@ -102,7 +136,7 @@ URGENCY GUIDELINES:
 - MODERATE: Chronic condition management, routine follow-up, mild symptoms
 - LOW: Preventive care, routine check-ups, minor concerns
 
-Focus on patient safety and clinical relevance. Be concise but thorough.`;
+Focus on patient safety and clinical relevance. Be concise but thorough. Reply with only the JSON object.`;
   }
 
   /**
@@ -135,162 +169,139 @@ Please generate a professional weekly summary report in the following JSON forma
   "nextWeekFocus": "Priorities for the upcoming week"
 }
 
-Make the report professional, actionable, and focused on improving patient care and clinic operations.`;
+Make the report professional, actionable, and focused on improving patient care and clinic operations. Reply with only the JSON object.`;
   }
 
   /**
-   * Call AI service (OpenAI or local)
+   * Send a minimal prompt to check an AI provider answers (diagnostics). The rules-only
+   * provider doesn't count.
    */
-  async callAI(prompt) {
-    try {
-      if (this.useLocalAI) {
-        return await this.callLocalAI(prompt);
-      } else {
-        return await this.callOpenAI(prompt);
-      }
-    } catch (error) {
-      this.logger.error('Error calling AI service', { error: error.message });
-      throw error;
-    }
+  async ping() {
+    const prompt = 'Reply with {"status": "ok"}';
+    const { provider, model } = await this.callAI(prompt, { task: 'ping', aiOnly: true, redactedPrompt: prompt });
+    return {
+      provider: this.providers.find(candidate => candidate.name === provider).label,
+      model
+    };
   }
 
   /**
-   * Call local AI service (LM Studio)
+   * Send a prompt down the provider chain and return the first answer as
+   * { content, provider, model, deidentified }. Providers without raw PHI access get
+   * `redactedPrompt` instead, and are skipped when there is none. `task` and `data` let
+   * the rules-only provider answer without a model. Throws when every provider fails
+   * or has its circuit open.
    */
-  async callLocalAI(prompt) {
-    try {
-      const response = await axios.post(this.localAIUrl, {
-        model: 'llama-3',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful medical AI assistant. Always respond with valid JSON format as requested.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 1000
-      }, {
-        timeout: 30000,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+  async callAI(prompt, { task = null, data = null, aiOnly = false, redactedPrompt = null } = {}) {
+    const failures = [];
 
-      return response.data.choices[0].message.content;
-    } catch (error) {
-      this.logger.error('Error calling local AI', { error: error.message });
-      throw new Error(`Local AI service error: ${error.message}`);
-    }
-  }
+    for (const provider of this.providers) {
+      if (aiOnly && provider.name === 'rules') continue;
 
-  /**
-   * Call OpenAI API
-   */
-  async callOpenAI(prompt) {
-    try {
-      if (!this.openaiApiKey) {
-        throw new Error('OpenAI API key not configured');
+      const raw = this.canSeePhi(provider);
+      if (!raw && redactedPrompt === null) {
+        failures.push(`${provider.name}: no de-identified prompt for a provider without raw PHI access`);
+        continue;
       }
 
-      const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful medical AI assistant. Always respond with valid JSON format as requested.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 1000
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openaiApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
+      const breaker = this.breakers[provider.name];
+      if (!breaker.allowRequest()) {
+        failures.push(`${provider.name}: circuit open until ${breaker.getStatus().retryAt}`);
+        continue;
+      }
 
-      return response.data.choices[0].message.content;
-    } catch (error) {
-      this.logger.error('Error calling OpenAI', { error: error.message });
-      throw new Error(`OpenAI API error: ${error.message}`);
+      try {
+        const content = await provider.complete(raw ? prompt : redactedPrompt, { system: SYSTEM_PROMPT, task, data: raw ? data : null });
+        breaker.recordSuccess();
+
+        if (failures.length > 0) {
+          this.logger.warn(`AI request answered by fallback provider ${provider.name}`, { task, failures });
+        }
+        return { content, provider: provider.name, model: provider.model, deidentified: !raw };
+      } catch (error) {
+        breaker.recordFailure();
+        failures.push(`${provider.name}: ${error.message}`);
+        this.logger.error('Error calling AI provider', {
+          provider: provider.name,
+          task,
+          error: error.message,
+          circuit: breaker.getStatus().state
+        });
+      }
     }
+
+    throw new Error(`No AI provider answered (${failures.join('; ') || 'none configured'})`);
   }
 
   /**
-   * Parse AI response and extract structured data
+   * Ask for a task's JSON answer and check it against the task's schema
+   * (services/ai/outputSchemas). An invalid answer gets up to AI_REPAIR_ATTEMPTS repair
+   * prompts listing its problems; if none is valid, the rules-only answer is used.
+   * Placeholders in answers to the de-identified prompt are swapped back by
+   * `deidentifier`. Returns { value, validation, provider, model }, with validation one
+   * of validated, repaired or fallback.
    */
-  parseAIResponse(response) {
-    try {
-      // Try to parse as JSON
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+  async requestStructured(task, data, { prompt, redactedPrompt = null, deidentifier = new Deidentifier() }) {
+    let answer = await this.callAI(prompt, { task, data, redactedPrompt });
+    let checked = validateOutput(task, answer.content);
+    let attempts = 0;
+
+    while (checked.errors && attempts < this.repairAttempts) {
+      attempts++;
+      this.logger.warn('AI answer failed schema validation - asking for a repair', {
+        task,
+        provider: answer.provider,
+        attempt: attempts,
+        errors: checked.errors
+      });
+      const rawAnswer = answer.deidentified ? deidentifier.restore(answer.content) : answer.content;
+      const redactedAnswer = answer.deidentified ? answer.content : deidentifier.text(answer.content);
+      answer = await this.callAI(this.createRepairPrompt(prompt, rawAnswer, checked.errors), {
+        task,
+        data,
+        redactedPrompt: redactedPrompt === null ? null : this.createRepairPrompt(redactedPrompt, redactedAnswer, checked.errors)
+      });
+      checked = validateOutput(task, answer.content);
+    }
 
-      // Fallback: create structured response from text
+    // A rules-only answer to a repair prompt means the AI providers failed meanwhile
+    if (checked.value && !(attempts > 0 && answer.provider === 'rules')) {
       return {
-        summary: response.substring(0, 200) + '...',
-        urgencyLevel: this.extractUrgencyLevel(response),
-        riskKeywords: this.extractRiskKeywords(response),
-        recommendations: 'Review patient information carefully',
-        followUpNotes: 'AI analysis completed'
-      };
-    } catch (error) {
-      this.logger.error('Error parsing AI response', { error: error.message, response });
-      
-      // Return safe fallback
-      return {
-        summary: 'Patient intake received - manual review recommended',
-        urgencyLevel: 'Moderate',
-        riskKeywords: [],
-        recommendations: 'Review patient information manually',
-        followUpNotes: 'AI parsing failed - manual review required'
+        value: answer.deidentified ? deidentifier.restore(checked.value) : checked.value,
+        validation: attempts === 0 ? OUTPUT_STATUSES.VALIDATED : OUTPUT_STATUSES.REPAIRED,
+        provider: answer.provider,
+        model: answer.model
       };
     }
-  }
 
-  /**
-   * Extract urgency level from AI response
-   */
-  extractUrgencyLevel(response) {
-    const lowerResponse = response.toLowerCase();
-    if (lowerResponse.includes('high') || lowerResponse.includes('urgent')) {
-      return 'High';
-    } else if (lowerResponse.includes('low') || lowerResponse.includes('routine')) {
-      return 'Low';
-    }
-    return 'Moderate';
+    this.logger.error('AI answer still invalid after repair attempts - using the rules-only answer', {
+      task,
+      provider: answer.provider,
+      attempts,
+      errors: checked.errors || []
+    });
+    const rules = this.providers.find(provider => provider.name === 'rules') || new RulesProvider();
+    return {
+      value: validateOutput(task, await rules.complete(prompt, { task, data })).value,
+      validation: OUTPUT_STATUSES.FALLBACK,
+      provider: rules.name,
+      model: rules.model
+    };
   }
 
   /**
-   * Extract risk keywords from AI response
+   * Prompt asking the model to correct an answer that failed validation
    */
-  extractRiskKeywords(response) {
-    const riskKeywords = [
-      'chest pain', 'difficulty breathing', 'severe pain', 'infection',
-      'mental health', 'suicide', 'medication reaction', 'allergic reaction',
-      'emergency', 'urgent', 'critical', 'life threatening'
-    ];
-
-    const foundKeywords = [];
-    const lowerResponse = response.toLowerCase();
-    
-    riskKeywords.forEach(keyword => {
-      if (lowerResponse.includes(keyword)) {
-        foundKeywords.push(keyword);
-      }
-    });
+  createRepairPrompt(prompt, answer, errors) {
+    return `${prompt}
 
-    return foundKeywords;
+Your previous answer could not be used:
+${String(answer).slice(0, 4000)}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON object in the format requested above, with no other text.`;
   }
 
   /**
@@ -321,31 +332,20 @@ Make the report professional, actionable, and focused on improving patient care
    */
   async generateConfirmationEmail(appointmentData, triageSummary) {
     try {
-      const prompt = `Generate a professional patient confirmation email for a medical appointment.
-
-APPOINTMENT DETAILS:
-- Patient: ${appointmentData.patientName}
-- Date: ${appointmentData.appointmentDate}
-- Time: ${appointmentData.appointmentTime}
-- Visit Type: ${appointmentData.visitType}
-- Clinic: ${process.env.CLINIC_NAME}
-- Address: ${process.env.CLINIC_ADDRESS}
-
-TRIAGE SUMMARY:
-- Urgency Level: ${triageSummary.urgencyLevel}
-- Risk Keywords: ${triageSummary.riskKeywords.join(', ')}
-
-Please generate a professional, reassuring email that:
-1. Confirms the appointment details
-2. Provides clinic location and contact information
-3. Includes any relevant health reminders based on the triage summary
-4. Maintains a warm, professional tone
-5. Includes appropriate disclaimers for urgent symptoms
-
-Format as a complete email with subject line and body.`;
+      // Providers without raw PHI access get the patient's name and the date as placeholders
+      const deidentifier = new Deidentifier({ names: [appointmentData.patientName] });
+      const redacted = {
+        ...appointmentData,
+        patientName: deidentifier.text(appointmentData.patientName),
+        appointmentDate: appointmentData.appointmentDate ? deidentifier.placeholder('DATE', appointmentData.appointmentDate) : appointmentData.appointmentDate
+      };
 
-      const response = await this.callAI(prompt);
-      return this.parseEmailResponse(response);
+      const { content, deidentified } = await this.callAI(this.createConfirmationEmailPrompt(appointmentData, triageSummary), {
+        task: 'confirmation_email',
+        data: appointmentData,
+        redactedPrompt: this.createConfirmationEmailPrompt(redacted, { ...triageSummary, riskKeywords: deidentifier.deep(triageSummary.riskKeywords) })
+      });
+      return this.parseEmailResponse(deidentified ? deidentifier.restore(content) : content);
     } catch (error) {
       this.logger.error('Error generating confirmation email', { error: error.message });
       
@@ -368,6 +368,34 @@ ${process.env.CLINIC_NAME}`
     }
   }
 
+  /**
+   * Create prompt for a patient confirmation email
+   */
+  createConfirmationEmailPrompt(appointmentData, triageSummary) {
+    return `Generate a professional patient confirmation email for a medical appointment.
+
+APPOINTMENT DETAILS:
+- Patient: ${appointmentData.patientName}
+- Date: ${appointmentData.appointmentDate}
+- Time: ${appointmentData.appointmentTime}
+- Visit Type: ${appointmentData.visitType}
+- Clinic: ${process.env.CLINIC_NAME}
+- Address: ${process.env.CLINIC_ADDRESS}
+
+TRIAGE SUMMARY:
+- Urgency Level: ${triageSummary.urgencyLevel}
+- Risk Keywords: ${triageSummary.riskKeywords.join(', ')}
+
+Please generate a professional, reassuring email that:
+1. Confirms the appointment details
+2. Provides clinic location and contact information
+3. Includes any relevant health reminders based on the triage summary
+4. Maintains a warm, professional tone
+5. Includes appropriate disclaimers for urgent symptoms
+
+Format as a complete email with subject line and body.`;
+  }
+
   /**
    * Parse email response from AI
    */
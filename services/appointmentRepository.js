@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const PhiEncryption = require('./phiEncryption');
+
+const COLLECTION = 'appointments';
+
+/**
+ * Appointment lifecycle statuses (these are also the values shown in Google Sheets)
+ */
+const APPOINTMENT_STATUSES = {
+  SCHEDULED: 'Scheduled',
+  RESCHEDULED: 'Rescheduled',
+  CANCELED: 'Canceled',
+  COMPLETED: 'Completed',
+  NO_SHOW: 'No Show'
+};
+
+// Appointments that are still expected to happen
+const ACTIVE_STATUSES = [APPOINTMENT_STATUSES.SCHEDULED, APPOINTMENT_STATUSES.RESCHEDULED];
+
+// Encrypted at rest when PHI encryption is configured
+const APPOINTMENT_PHI_FIELDS = ['patientName', 'email', 'phone', 'questionsAndAnswers', 'notes'];
+
+/**
+ * Appointments booked through Calendly, stored through any document store
+ */
+class AppointmentRepository {
+  constructor(store, auditService = null, encryption = new PhiEncryption()) {
+    this.store = store;
+    this.auditService = auditService;
+    this.encryption = encryption;
+
+    this.logger = createLogger('appointment-repository');
+  }
+
+  /**
+   * Create an appointment
+   */
+  async create(appointmentData) {
+    try {
+      const now = new Date().toISOString();
+      const status = appointmentData.status || APPOINTMENT_STATUSES.SCHEDULED;
+      const appointment = {
+        ...appointmentData,
+        id: `apt_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        status: status,
+        statusHistory: [{ status, at: now }],
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await this.store.insertOne(COLLECTION, this.encryption.seal(appointment, APPOINTMENT_PHI_FIELDS));
+      this.logger.info(`Appointment created with ID: ${appointment.id}`, { status, startTime: appointment.startTime });
+
+      return appointment;
+    } catch (error) {
+      this.logger.error('Error creating appointment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an appointment by ID, or null if not found
+   */
+  async get(id) {
+    return this.encryption.open(await this.store.findOne(COLLECTION, { id: String(id) }));
+  }
+
+  /**
+   * Find an appointment by its Calendly invitee ID, including IDs it had before a reschedule
+   */
+  async findByCalendlyEventId(calendlyEventId) {
+    if (!calendlyEventId) return null;
+
+    return this.encryption.open(await this.store.findOne(COLLECTION, { calendlyEventId }) ||
+      await this.store.findOne(COLLECTION, { previousCalendlyEventIds: calendlyEventId }));
+  }
+
+  /**
+   * List appointments by start time. `from`/`to` are ISO timestamps.
+   */
+  async list({ status, from, to, limit } = {}) {
+    const filter = {};
+    if (status) {
+      filter.status = Array.isArray(status) ? { $in: status } : status;
+    }
+    if (from || to) {
+      filter.startTime = {};
+      if (from) filter.startTime.$gte = from;
+      if (to) filter.startTime.$lte = to;
+    }
+
+    const appointments = await this.store.find(COLLECTION, filter, { sort: { startTime: 1 }, limit });
+    return appointments.map(appointment => this.encryption.open(appointment));
+  }
+
+  /**
+   * Scheduled or rescheduled appointments starting within the next `hoursAhead` hours
+   */
+  async getUpcoming(hoursAhead = 24) {
+    const now = new Date();
+    return this.list({
+      status: ACTIVE_STATUSES,
+      from: now.toISOString(),
+      to: new Date(now.getTime() + hoursAhead * 60 * 60 * 1000).toISOString()
+    });
+  }
+
+  /**
+   * Count appointments with a status
+   */
+  async countByStatus(status) {
+    return this.store.count(COLLECTION, { status });
+  }
+
+  /**
+   * Update appointment fields. A status change is appended to the status history.
+   */
+  async update(id, changes, { note, context = {} } = {}) {
+    const appointment = await this.get(id);
+    if (!appointment) {
+      throw new NotFoundError(`Appointment ${id} not found`);
+    }
+
+    if (changes.status !== undefined && !Object.values(APPOINTMENT_STATUSES).includes(changes.status)) {
+      throw new ValidationError(`Status must be one of: ${Object.values(APPOINTMENT_STATUSES).join(', ')}`);
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const updates = { ...changes, updatedAt: now };
+      const statusChanged = changes.status !== undefined && changes.status !== appointment.status;
+
+      if (statusChanged) {
+        const entry = { status: changes.status, at: now };
+        if (note) entry.note = note;
+        updates.statusHistory = [...(appointment.statusHistory || []), entry];
+      }
+
+      const updated = this.encryption.open(await this.store.updateOne(COLLECTION, { id: appointment.id }, this.encryption.seal(updates, APPOINTMENT_PHI_FIELDS)));
+      this.logger.info(`Appointment ${appointment.id} updated`, { fields: Object.keys(changes), status: updated.status });
+
+      if (statusChanged && this.auditService) {
+        await this.auditService.record({
+          action: 'appointment.status_change',
+          context: context,
+          details: { appointmentId: appointment.id, from: appointment.status, to: changes.status }
+        });
+      }
+
+      return updated;
+    } catch (error) {
+      this.logger.error(`Error updating appointment ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change an appointment's status
+   */
+  async updateStatus(id, status, options = {}) {
+    return this.update(id, { status }, options);
+  }
+
+  /**
+   * Encrypt plaintext PHI and re-wrap values under old master keys. Returns the number updated.
+   */
+  async encryptStoredRecords() {
+    let updated = 0;
+    for (const appointment of await this.store.find(COLLECTION)) {
+      const changes = this.encryption.reseal(appointment, APPOINTMENT_PHI_FIELDS);
+      if (Object.keys(changes).length === 0) continue;
+
+      await this.store.updateOne(COLLECTION, { id: appointment.id }, changes);
+      updated++;
+    }
+    return updated;
+  }
+}
+
+module.exports = AppointmentRepository;
+module.exports.APPOINTMENT_STATUSES = APPOINTMENT_STATUSES;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
+module.exports.APPOINTMENT_PHI_FIELDS = APPOINTMENT_PHI_FIELDS;
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const COLLECTION = 'audit_log';
+const CSV_COLUMNS = ['timestamp', 'action', 'user', 'role', 'ip', 'requestId', 'patientIds', 'details'];
+
+class AuditService {
+  constructor(store) {
+    this.store = store;
+
+    this.logger = createLogger('audit-service');
+  }
+
+  /**
+   * Build the who/where part of an audit entry from an Express request
+   */
+  fromRequest(req) {
+    return {
+      user: req.user ? req.user.username : 'anonymous',
+      role: req.user ? req.user.role : null,
+      ip: req.ip,
+      requestId: req.id || null
+    };
+  }
+
+  /**
+   * Append an audit entry. Entries are never updated or deleted.
+   */
+  async record({ action, context = {}, patientIds = [], details = {} }) {
+    const entry = {
+      id: `audit_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      timestamp: new Date().toISOString(),
+      action: action,
+      user: context.user || 'system',
+      role: context.role || null,
+      ip: context.ip || null,
+      requestId: context.requestId || null,
+      patientIds: patientIds.filter(id => id !== undefined && id !== null).map(String),
+      details: details
+    };
+
+    try {
+      await this.store.insertOne(COLLECTION, entry);
+
+      this.logger.info('Audit entry recorded', {
+        action: entry.action,
+        user: entry.user,
+        requestId: entry.requestId,
+        patientCount: entry.patientIds.length
+      });
+    } catch (error) {
+      // Never fail the request because of audit storage, but make it loud
+      this.logger.error('Failed to record audit entry', {
+        error: error.message,
+        action: entry.action,
+        user: entry.user,
+        requestId: entry.requestId
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Query audit entries, newest first
+   */
+  async query({ user, patientId, action, from, to, limit } = {}) {
+    const filter = {};
+    if (user) filter.user = user;
+    if (action) filter.action = action;
+    if (patientId) filter.patientIds = String(patientId);
+
+    const fromTime = from ? new Date(from) : null;
+    // A bare date for "to" means the whole of that day
+    const toTime = to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : null;
+    if ((fromTime && !isNaN(fromTime)) || (toTime && !isNaN(toTime))) {
+      filter.timestamp = {};
+      if (fromTime && !isNaN(fromTime)) filter.timestamp.$gte = fromTime.toISOString();
+      if (toTime && !isNaN(toTime)) filter.timestamp.$lte = toTime.toISOString();
+    }
+
+    return this.store.find(COLLECTION, filter, {
+      sort: { timestamp: -1 },
+      limit: limit ? parseInt(limit) : undefined
+    });
+  }
+
+  /**
+   * Convert audit entries to CSV for access-report requests
+   */
+  toCSV(entries) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+      if (column === 'patientIds') return escape(entry.patientIds.join(' '));
+      if (column === 'details') return escape(JSON.stringify(entry.details || {}));
+      return escape(entry[column]);
+    }).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+}
+
+module.exports = AuditService;
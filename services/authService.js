@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createLogger } = require('./logger');
+const { ValidationError, ConflictError, NotFoundError } = require('../middleware/errorHandler');
+const { ALL_ROLES, ROLES } = require('../middleware/auth');
+
+const scrypt = promisify(crypto.scrypt);
+
+const COLLECTION = 'users';
+// Per-user session version: bumping it revokes every session token issued before.
+// Kept apart from `users` so the bootstrap admin (who has no user record) has one too.
+const SESSION_VERSIONS = 'session_versions';
+const MIN_PASSWORD_LENGTH = 10;
+
+class AuthService {
+  constructor(store) {
+    this.store = store;
+
+    this.logger = createLogger('auth-service');
+
+    // Bootstrap admin so a fresh install (or a serverless instance without a
+    // persistent store) always has a way in
+    this.bootstrapUsername = (process.env.ADMIN_USERNAME || '').trim().toLowerCase() || null;
+    this.bootstrapPassword = process.env.ADMIN_PASSWORD;
+  }
+
+  /**
+   * Hash a password with a random salt
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   */
+  async verifyPassword(password, storedHash) {
+    if (!password || !storedHash) return false;
+
+    const [scheme, salt, hash] = storedHash.split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Strip secrets from a user record
+   */
+  sanitizeUser(user) {
+    if (!user) return null;
+    const { passwordHash, ...safeUser } = user;
+    return safeUser;
+  }
+
+  /**
+   * Get a user by username
+   */
+  async getUser(username) {
+    const normalized = (username || '').trim().toLowerCase();
+    return this.store.findOne(COLLECTION, { username: normalized });
+  }
+
+  /**
+   * List all users without password hashes
+   */
+  async listUsers() {
+    const users = await this.store.find(COLLECTION, {}, { sort: { username: 1 } });
+    return users.map(user => this.sanitizeUser(user));
+  }
+
+  /**
+   * Create a staff user account
+   */
+  async createUser({ username, password, role, name }) {
+    const normalized = (username || '').trim().toLowerCase();
+
+    if (!/^[a-z0-9._-]{3,50}$/.test(normalized)) {
+      throw new ValidationError('Username must be 3-50 characters: letters, numbers, dot, dash or underscore');
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (!ALL_ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${ALL_ROLES.join(', ')}`);
+    }
+
+    const existing = await this.store.findOne(COLLECTION, { username: normalized });
+    if (existing || normalized === this.bootstrapUsername) {
+      throw new ConflictError(`User ${normalized} already exists`);
+    }
+
+    const user = {
+      username: normalized,
+      name: name || normalized,
+      role: role,
+      passwordHash: await this.hashPassword(password),
+      active: true,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.store.insertOne(COLLECTION, user);
+
+    this.logger.info('User created', { username: normalized, role });
+    return this.sanitizeUser(user);
+  }
+
+  /**
+   * Update a user's role, name, active flag or password
+   */
+  async updateUser(username, changes) {
+    const user = await this.getUser(username);
+    if (!user) {
+      throw new NotFoundError(`User ${username} not found`);
+    }
+
+    const updates = {};
+    if (changes.role !== undefined) {
+      if (!ALL_ROLES.includes(changes.role)) {
+        throw new ValidationError(`Role must be one of: ${ALL_ROLES.join(', ')}`);
+      }
+      updates.role = changes.role;
+    }
+    if (changes.name !== undefined) {
+      updates.name = changes.name;
+    }
+    if (changes.active !== undefined) {
+      updates.active = changes.active === true || changes.active === 'true';
+    }
+    if (changes.password !== undefined) {
+      if (changes.password.length < MIN_PASSWORD_LENGTH) {
+        throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      updates.passwordHash = await this.hashPassword(changes.password);
+    }
+
+    updates.updatedAt = new Date().toISOString();
+    const updated = await this.store.updateOne(COLLECTION, { username: user.username }, updates);
+
+    // Deactivation, a new role or a new password ends the user's existing sessions
+    if (updates.active === false || (updates.role && updates.role !== user.role) || updates.passwordHash) {
+      await this.revokeSessions(user.username);
+    }
+
+    this.logger.info('User updated', { username: user.username, fields: Object.keys(changes) });
+    return this.sanitizeUser(updated);
+  }
+
+  /**
+   * Current session version for a user (0 until their sessions are first revoked)
+   */
+  async getSessionVersion(username) {
+    const record = await this.store.findOne(SESSION_VERSIONS, { username });
+    return record ? record.version : 0;
+  }
+
+  /**
+   * Revoke every session token issued to a user so far (logout, deactivation). The
+   * version only moves on from the value just read, so two revocations at once
+   * can't both write the same version or create two records; the loser retries.
+   */
+  async revokeSessions(username) {
+    const normalized = (username || '').trim().toLowerCase();
+
+    for (;;) {
+      const record = await this.store.findOne(SESSION_VERSIONS, { username: normalized });
+      const revokedAt = new Date().toISOString();
+
+      const saved = record
+        ? await this.store.updateOne(SESSION_VERSIONS, { username: normalized, version: record.version }, { version: record.version + 1, revokedAt })
+        : await this.store.insertUnique(SESSION_VERSIONS, { username: normalized, version: 1, revokedAt }, 'username');
+      if (saved) break;
+    }
+    this.logger.info('Sessions revoked', { username: normalized });
+  }
+
+  /**
+   * The current user behind a verified session token, with their role as it is now,
+   * or null if the user is gone or deactivated or the token was revoked
+   */
+  async resolveSession(session) {
+    if ((session.ver || 0) !== await this.getSessionVersion(session.sub)) {
+      return null;
+    }
+
+    if (this.bootstrapUsername && this.bootstrapPassword && session.sub === this.bootstrapUsername) {
+      return { username: this.bootstrapUsername, name: 'Administrator', role: ROLES.ADMIN };
+    }
+
+    const user = await this.getUser(session.sub);
+    if (!user || !user.active) {
+      return null;
+    }
+    return { username: user.username, name: user.name, role: user.role };
+  }
+
+  /**
+   * Check credentials and return the user, or null if they don't match
+   */
+  async authenticate(username, password) {
+    const normalized = (username || '').trim().toLowerCase();
+
+    if (this.bootstrapUsername && this.bootstrapPassword && normalized === this.bootstrapUsername) {
+      const expected = crypto.createHash('sha256').update(this.bootstrapPassword).digest();
+      const actual = crypto.createHash('sha256').update(password || '').digest();
+      if (crypto.timingSafeEqual(expected, actual)) {
+        return { username: normalized, name: 'Administrator', role: ROLES.ADMIN, active: true, sessionVersion: await this.getSessionVersion(normalized) };
+      }
+      return null;
+    }
+
+    const user = await this.getUser(normalized);
+    if (!user || !user.active) {
+      return null;
+    }
+
+    const valid = await this.verifyPassword(password, user.passwordHash);
+    if (!valid) {
+      this.logger.warn('Failed login attempt', { username: normalized });
+      return null;
+    }
+
+    const loggedIn = await this.store.updateOne(COLLECTION, { username: normalized }, {
+      lastLoginAt: new Date().toISOString()
+    });
+
+    return { ...this.sanitizeUser(loggedIn), sessionVersion: await this.getSessionVersion(normalized) };
+  }
+}
+
+module.exports = AuthService;
@@ -1,24 +1,20 @@
 const axios = require('axios');
-const winston = require('winston');
+const { createLogger } = require('./logger');
+const { APPOINTMENT_STATUSES } = require('./appointmentRepository');
+const { ValidationError } = require('../middleware/errorHandler');
+const { verifySignature, signaturesOptional } = require('./webhookSignature');
 
 class CalendlyService {
-  constructor() {
-    this.logger = winston.createLogger({
-      level: 'info',
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-      ),
-      defaultMeta: { service: 'calendly-service' },
-      transports: [
-        new winston.transports.Console(),
-        new winston.transports.File({ filename: './logs/calendly-service.log' })
-      ]
-    });
+  constructor(appointmentRepository = null, googleService = null) {
+    this.appointmentRepository = appointmentRepository;
+    this.googleService = googleService;
+
+    this.logger = createLogger('calendly-service', { files: './logs/calendly-service.log' });
 
     this.apiToken = process.env.CALENDLY_API_TOKEN;
     this.webhookSecret = process.env.CALENDLY_WEBHOOK_SECRET;
     this.baseUrl = 'https://api.calendly.com';
+    this.timeZone = process.env.CLINIC_TIMEZONE || 'America/New_York';
   }
 
   /**
@@ -53,34 +49,50 @@ class CalendlyService {
   }
 
   /**
-   * Handle new appointment booking
+   * Handle new appointment booking. Calendly reports a reschedule as a new
+   * invitee that points back at the old one, so those update the existing record.
    */
   async handleInviteeCreated(eventData) {
     try {
       const inviteeData = eventData.payload;
-      const eventDetails = await this.getEventDetails(inviteeData.event.uri);
-      
-      const appointmentData = {
-        calendlyEventId: inviteeData.uuid,
-        patientName: inviteeData.name,
-        email: inviteeData.email,
-        phone: inviteeData.phone_number || '',
-        appointmentDate: this.formatDate(inviteeData.created_at),
-        appointmentTime: this.formatTime(inviteeData.created_at),
-        visitType: eventDetails.name || 'General Consultation',
-        status: 'Scheduled',
-        calendlyUri: inviteeData.uri,
-        eventUri: inviteeData.event.uri,
-        questionsAndAnswers: inviteeData.questions_and_answers || []
-      };
+      const oldInviteeId = inviteeData.old_invitee ? this.getInviteeId({ uri: inviteeData.old_invitee }) : null;
+
+      if (oldInviteeId && this.appointmentRepository) {
+        const original = await this.appointmentRepository.findByCalendlyEventId(oldInviteeId);
+        if (original) {
+          return await this.rescheduleAppointment(original, inviteeData);
+        }
+      }
+
+      const appointmentData = await this.buildAppointmentData(inviteeData);
 
       this.logger.info('New appointment created', {
-        patientName: appointmentData.patientName,
-        email: appointmentData.email,
+        calendlyEventId: appointmentData.calendlyEventId,
         appointmentDate: appointmentData.appointmentDate
       });
 
-      return appointmentData;
+      if (!this.appointmentRepository) {
+        return appointmentData;
+      }
+
+      // Calendly retries webhooks, so a booking we already have is not booked twice
+      const existing = await this.appointmentRepository.findByCalendlyEventId(appointmentData.calendlyEventId);
+      if (existing) {
+        this.logger.info('Appointment already recorded', { appointmentId: existing.id });
+        return existing;
+      }
+
+      let appointment = await this.appointmentRepository.create(appointmentData);
+
+      const googleCalendarEventId = await this.syncToGoogle('create calendar event', () =>
+        this.googleService.createCalendarEvent(appointment).then(event => event.id)
+      );
+      if (googleCalendarEventId) {
+        appointment = await this.appointmentRepository.update(appointment.id, { googleCalendarEventId });
+      }
+      await this.syncToGoogle('add appointment row', () => this.googleService.addAppointment(appointment));
+
+      return appointment;
     } catch (error) {
       this.logger.error('Error handling invitee created event', {
         error: error.message,
@@ -96,17 +108,49 @@ class CalendlyService {
   async handleInviteeCanceled(eventData) {
     try {
       const inviteeData = eventData.payload;
-      
-      this.logger.info('Appointment canceled', {
-        patientName: inviteeData.name,
-        email: inviteeData.email,
-        calendlyEventId: inviteeData.uuid
-      });
+      const calendlyEventId = this.getInviteeId(inviteeData);
+
+      // The first half of a reschedule: the matching invitee.created moves the appointment
+      if (inviteeData.rescheduled) {
+        this.logger.info('Appointment canceled for reschedule', {
+          calendlyEventId,
+          newInvitee: inviteeData.new_invitee
+        });
+        return { success: true, rescheduled: true };
+      }
 
-      // Update appointment status in Google Sheets
-      // This would be handled by the main automation system
-      
-      return { success: true };
+      this.logger.info('Appointment canceled', { calendlyEventId });
+
+      if (!this.appointmentRepository) {
+        return { success: true };
+      }
+
+      const appointment = await this.appointmentRepository.findByCalendlyEventId(calendlyEventId);
+      if (!appointment) {
+        this.logger.warn('Canceled appointment not found', { calendlyEventId });
+        return { success: true, found: false };
+      }
+
+      const cancellation = inviteeData.cancellation || {};
+      const notes = cancellation.reason ? `Canceled: ${cancellation.reason}` : 'Canceled via Calendly';
+      const updated = await this.appointmentRepository.update(appointment.id, {
+        status: APPOINTMENT_STATUSES.CANCELED,
+        canceledAt: inviteeData.updated_at || new Date().toISOString(),
+        canceledBy: cancellation.canceled_by || null,
+        cancellationReason: cancellation.reason || null,
+        notes: notes
+      }, { note: notes });
+
+      await this.syncToGoogle('update appointment row', () =>
+        this.googleService.updateAppointment(appointment.calendlyEventId, updated)
+      );
+      if (appointment.googleCalendarEventId) {
+        await this.syncToGoogle('cancel calendar event', () =>
+          this.googleService.cancelCalendarEvent(appointment.googleCalendarEventId)
+        );
+      }
+
+      return updated;
     } catch (error) {
       this.logger.error('Error handling invitee canceled event', {
         error: error.message,
@@ -122,17 +166,22 @@ class CalendlyService {
   async handleInviteeRescheduled(eventData) {
     try {
       const inviteeData = eventData.payload;
-      
-      this.logger.info('Appointment rescheduled', {
-        patientName: inviteeData.name,
-        email: inviteeData.email,
-        calendlyEventId: inviteeData.uuid
-      });
+      const calendlyEventId = this.getInviteeId(inviteeData);
+      const oldInviteeId = inviteeData.old_invitee ? this.getInviteeId({ uri: inviteeData.old_invitee }) : calendlyEventId;
 
-      // Update appointment details in Google Sheets
-      // This would be handled by the main automation system
-      
-      return { success: true };
+      this.logger.info('Appointment rescheduled', { calendlyEventId });
+
+      if (!this.appointmentRepository) {
+        return { success: true };
+      }
+
+      const appointment = await this.appointmentRepository.findByCalendlyEventId(oldInviteeId);
+      if (!appointment) {
+        this.logger.warn('Rescheduled appointment not found, recording it as new', { calendlyEventId });
+        return await this.handleInviteeCreated({ ...eventData, payload: { ...inviteeData, old_invitee: null } });
+      }
+
+      return await this.rescheduleAppointment(appointment, inviteeData);
     } catch (error) {
       this.logger.error('Error handling invitee rescheduled event', {
         error: error.message,
@@ -142,6 +191,104 @@ class CalendlyService {
     }
   }
 
+  /**
+   * Move an existing appointment to the time in a new Calendly invitee
+   */
+  async rescheduleAppointment(appointment, inviteeData) {
+    const appointmentData = await this.buildAppointmentData(inviteeData);
+    const previousCalendlyEventIds = appointment.previousCalendlyEventIds || [];
+    if (appointmentData.calendlyEventId !== appointment.calendlyEventId) {
+      previousCalendlyEventIds.push(appointment.calendlyEventId);
+    }
+
+    const notes = `Rescheduled from ${appointment.appointmentDate} ${appointment.appointmentTime}`;
+    const updated = await this.appointmentRepository.update(appointment.id, {
+      calendlyEventId: appointmentData.calendlyEventId,
+      calendlyUri: appointmentData.calendlyUri,
+      eventUri: appointmentData.eventUri,
+      previousCalendlyEventIds,
+      startTime: appointmentData.startTime,
+      endTime: appointmentData.endTime,
+      appointmentDate: appointmentData.appointmentDate,
+      appointmentTime: appointmentData.appointmentTime,
+      status: APPOINTMENT_STATUSES.RESCHEDULED,
+      notes: notes
+    }, { note: notes });
+
+    this.logger.info('Appointment moved', {
+      appointmentId: appointment.id,
+      appointmentDate: updated.appointmentDate
+    });
+
+    // The sheet row is still keyed by the old Calendly ID
+    await this.syncToGoogle('update appointment row', () =>
+      this.googleService.updateAppointment(appointment.calendlyEventId, updated)
+    );
+    if (appointment.googleCalendarEventId) {
+      await this.syncToGoogle('update calendar event', () =>
+        this.googleService.updateCalendarEvent(appointment.googleCalendarEventId, updated)
+      );
+    }
+
+    return updated;
+  }
+
+  /**
+   * Build our appointment record from a Calendly invitee payload
+   */
+  async buildAppointmentData(inviteeData) {
+    // Newer payloads embed the scheduled event; older ones only reference it
+    let scheduledEvent = inviteeData.scheduled_event || inviteeData.event || {};
+    if (!scheduledEvent.start_time && scheduledEvent.uri) {
+      scheduledEvent = { ...scheduledEvent, ...(await this.getEventDetails(scheduledEvent.uri)) };
+    }
+
+    const startTime = scheduledEvent.start_time || inviteeData.start_time || inviteeData.created_at;
+    const endTime = scheduledEvent.end_time || inviteeData.end_time || null;
+    if (!startTime || isNaN(new Date(startTime).getTime())) {
+      throw new ValidationError('Calendly payload has no appointment start time');
+    }
+
+    return {
+      calendlyEventId: this.getInviteeId(inviteeData),
+      patientName: inviteeData.name,
+      email: inviteeData.email,
+      phone: inviteeData.text_reminder_number || inviteeData.phone_number || '',
+      startTime: new Date(startTime).toISOString(),
+      endTime: endTime ? new Date(endTime).toISOString() : null,
+      appointmentDate: this.formatDate(startTime),
+      appointmentTime: this.formatTime(startTime),
+      visitType: scheduledEvent.name || 'General Consultation',
+      status: APPOINTMENT_STATUSES.SCHEDULED,
+      calendlyUri: inviteeData.uri,
+      eventUri: scheduledEvent.uri || null,
+      questionsAndAnswers: inviteeData.questions_and_answers || []
+    };
+  }
+
+  /**
+   * Calendly invitee ID: the uuid on older payloads, otherwise the last segment of the invitee URI
+   */
+  getInviteeId(inviteeData) {
+    if (inviteeData.uuid) return inviteeData.uuid;
+    return inviteeData.uri ? inviteeData.uri.split('/').filter(Boolean).pop() : null;
+  }
+
+  /**
+   * Run a Google Sheets/Calendar update. Our own record is the source of truth,
+   * so a Google failure is logged rather than failing the webhook.
+   */
+  async syncToGoogle(description, operation) {
+    if (!this.googleService) return null;
+
+    try {
+      return await operation();
+    } catch (error) {
+      this.logger.error(`Failed to ${description} in Google`, { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Get event details from Calendly API
    */
@@ -152,7 +299,9 @@ class CalendlyService {
         return { name: 'General Consultation' };
       }
 
-      const response = await axios.get(`${this.baseUrl}/scheduled_events/${eventUri}`, {
+      // Webhook payloads carry the full event URI
+      const url = eventUri.startsWith('http') ? eventUri : `${this.baseUrl}/scheduled_events/${eventUri}`;
+      const response = await axios.get(url, {
         headers: {
           'Authorization': `Bearer ${this.apiToken}`,
           'Content-Type': 'application/json'
@@ -312,39 +461,35 @@ class CalendlyService {
   }
 
   /**
-   * Validate webhook signature
+   * Validate the Calendly-Webhook-Signature header against the raw request body.
+   * Returns { valid, reason }.
    */
   validateWebhookSignature(payload, signature) {
     try {
       if (!this.webhookSecret) {
-        this.logger.warn('Calendly webhook secret not configured');
-        return true; // Allow if no secret configured
+        // Unsigned webhooks are only accepted when explicitly allowed outside production
+        if (!signaturesOptional()) {
+          this.logger.error('CALENDLY_WEBHOOK_SECRET not configured - rejecting webhook');
+          return { valid: false, reason: 'Webhook secret not configured' };
+        }
+        this.logger.warn('Calendly webhook secret not configured - skipping signature check (WEBHOOK_SIGNATURES_OPTIONAL=true)');
+        return { valid: true };
       }
 
-      const crypto = require('crypto');
-      const expectedSignature = crypto
-        .createHmac('sha256', this.webhookSecret)
-        .update(payload)
-        .digest('hex');
-
-      return signature === expectedSignature;
+      return verifySignature({ payload, header: signature, secret: this.webhookSecret });
     } catch (error) {
       this.logger.error('Error validating webhook signature', { error: error.message });
-      return false;
+      return { valid: false, reason: 'Signature validation error' };
     }
   }
 
   /**
-   * Format date for display
+   * Format a timestamp as YYYY-MM-DD in the clinic's time zone
    */
   formatDate(dateString) {
     try {
-      const date = new Date(dateString);
-      return date.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
+      // en-CA formats dates as YYYY-MM-DD
+      return new Date(dateString).toLocaleDateString('en-CA', { timeZone: this.timeZone });
     } catch (error) {
       this.logger.error('Error formatting date', { error: error.message, dateString });
       return dateString;
@@ -352,15 +497,15 @@ class CalendlyService {
   }
 
   /**
-   * Format time for display
+   * Format a timestamp as 24-hour HH:mm in the clinic's time zone
    */
   formatTime(dateString) {
     try {
-      const date = new Date(dateString);
-      return date.toLocaleTimeString('en-US', {
+      return new Date(dateString).toLocaleTimeString('en-GB', {
         hour: '2-digit',
         minute: '2-digit',
-        hour12: true
+        hour12: false,
+        timeZone: this.timeZone
       });
     } catch (error) {
       this.logger.error('Error formatting time', { error: error.message, dateString });
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const COLLECTION = 'consent_documents';
+
+/**
+ * Consent document types. The privacy notice acknowledgment is required to submit
+ * the intake form; communication consents are the patient's choice.
+ */
+const CONSENT_TYPES = {
+  PRIVACY_NOTICE: 'privacy_notice',
+  EMAIL: 'email_communication',
+  SMS: 'sms_communication'
+};
+
+// Communication channels and the consent that covers each
+const CHANNEL_CONSENTS = {
+  email: CONSENT_TYPES.EMAIL,
+  sms: CONSENT_TYPES.SMS
+};
+
+// Version 1 of each document, published the first time consents are needed
+const DEFAULT_DOCUMENTS = [
+  {
+    type: CONSENT_TYPES.PRIVACY_NOTICE,
+    title: 'Notice of Privacy Practices',
+    required: true,
+    body: 'I acknowledge that I have received the Notice of Privacy Practices, which describes how my health information may be used and disclosed for treatment, payment and health care operations, and how I can get access to it.'
+  },
+  {
+    type: CONSENT_TYPES.EMAIL,
+    title: 'Email Communication',
+    required: false,
+    body: 'I agree to receive appointment confirmations, reminders and follow-up messages by email. Email is not fully secure and may contain limited health information. I can withdraw this consent at any time by contacting the clinic.'
+  },
+  {
+    type: CONSENT_TYPES.SMS,
+    title: 'Text Message Communication',
+    required: false,
+    body: 'I agree to receive appointment reminders by text message at the phone number I provided. Message and data rates may apply. I can withdraw this consent at any time by replying STOP or contacting the clinic.'
+  }
+];
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Versioned consent documents that admins publish, and the consent patients sign on
+ * the intake form. Publishing a document never changes an earlier version, so every
+ * signature points at the exact text the patient agreed to.
+ */
+class ConsentService {
+  constructor(store, auditService = null) {
+    this.store = store;
+    this.auditService = auditService;
+    this.defaultsReady = null;
+
+    this.logger = createLogger('consent-service');
+  }
+
+  /**
+   * Publish version 1 of the default documents if none exist yet (once per process)
+   */
+  async ensureDefaults() {
+    if (!this.defaultsReady) {
+      this.defaultsReady = (async () => {
+        if (await this.store.count(COLLECTION) > 0) return;
+        for (const document of DEFAULT_DOCUMENTS) {
+          await this.publish(document, { user: 'system' });
+        }
+      })().catch(error => {
+        this.defaultsReady = null;
+        throw error;
+      });
+    }
+    return this.defaultsReady;
+  }
+
+  /**
+   * The current (latest) version of each document type
+   */
+  async listCurrent() {
+    await this.ensureDefaults();
+    const documents = await this.store.find(COLLECTION, {}, { sort: { version: -1 } });
+
+    const current = new Map();
+    documents.forEach(document => {
+      if (!current.has(document.type)) current.set(document.type, document);
+    });
+    return Object.values(CONSENT_TYPES).filter(type => current.has(type)).map(type => current.get(type));
+  }
+
+  /**
+   * Every version of every document, newest first
+   */
+  async listDocuments({ type } = {}) {
+    await this.ensureDefaults();
+    return this.store.find(COLLECTION, type ? { type } : {}, { sort: { type: 1, version: -1 } });
+  }
+
+  /**
+   * Get a document version by ID, or null
+   */
+  async getDocument(id) {
+    return this.store.findOne(COLLECTION, { id });
+  }
+
+  /**
+   * Publish a new version of a consent document. It replaces the current version for
+   * new intake forms; consents already signed keep pointing at the version they saw.
+   */
+  async publish({ type, title, body, required } = {}, context = {}) {
+    if (!Object.values(CONSENT_TYPES).includes(type)) {
+      throw new ValidationError(`Invalid consent type "${type}". Expected one of: ${Object.values(CONSENT_TYPES).join(', ')}`);
+    }
+    if (!title || !String(title).trim() || !body || !String(body).trim()) {
+      throw new ValidationError('A consent document needs a title and body');
+    }
+    if (type === CONSENT_TYPES.PRIVACY_NOTICE && (required === false || required === 'false')) {
+      throw new ValidationError('The privacy notice acknowledgment is always required');
+    }
+
+    try {
+      const latest = await this.store.findOne(COLLECTION, { type }, { sort: { version: -1 } });
+      const document = {
+        id: `consent_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        type,
+        version: latest ? latest.version + 1 : 1,
+        title: String(title).trim(),
+        body: String(body).trim(),
+        required: type === CONSENT_TYPES.PRIVACY_NOTICE || required === true || required === 'true' || required === 'on',
+        publishedBy: context.user || null,
+        publishedAt: new Date().toISOString()
+      };
+
+      await this.store.insertOne(COLLECTION, document);
+      this.logger.info(`Published ${type} consent version ${document.version}`, { documentId: document.id });
+
+      if (this.auditService) {
+        await this.auditService.record({
+          action: 'consent.publish',
+          context: context,
+          details: { documentId: document.id, type, version: document.version }
+        });
+      }
+
+      return document;
+    } catch (error) {
+      this.logger.error(`Error publishing ${type} consent:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the consent fields of an intake submission against the current documents.
+   * `consents` lists the accepted document IDs and `consentSignature` is the patient's
+   * typed name. Returns the consent record to store on the patient and the intake data
+   * without the consent fields.
+   */
+  async capture(formData, { ip = null, userAgent = null } = {}) {
+    const { consents, consentSignature, ...intakeData } = formData;
+    const accepted = new Set([].concat(consents || []).map(String));
+    const current = await this.listCurrent();
+
+    const unknown = Array.from(accepted).filter(id => !current.some(document => document.id === id));
+    if (unknown.length > 0) {
+      throw new ValidationError('The consent documents have been updated. Please reload the form and review them again.');
+    }
+
+    const missing = current.filter(document => document.required && !accepted.has(document.id));
+    if (missing.length > 0) {
+      throw new ValidationError(`Please acknowledge the ${missing.map(document => document.title).join(', ')}`);
+    }
+
+    if (!normalizeName(consentSignature)) {
+      throw new ValidationError('Please sign the consent by typing your full name');
+    }
+    if (intakeData.fullName && normalizeName(consentSignature) !== normalizeName(intakeData.fullName)) {
+      throw new ValidationError('The signature must match the full name on the form');
+    }
+
+    const consent = {
+      signedName: String(consentSignature).trim(),
+      signedAt: new Date().toISOString(),
+      ip,
+      userAgent,
+      documents: current.map(document => ({
+        id: document.id,
+        type: document.type,
+        version: document.version,
+        accepted: accepted.has(document.id)
+      })),
+      communication: {}
+    };
+    Object.entries(CHANNEL_CONSENTS).forEach(([channel, type]) => {
+      consent.communication[channel] = consent.documents.some(document => document.type === type && document.accepted);
+    });
+
+    return { consent, intakeData };
+  }
+}
+
+/**
+ * Whether a patient's latest signed consent allows contacting them on a channel.
+ * Patients without a consent record (registered before consent capture) are
+ * treated as consenting, as they were before.
+ */
+function allowsContact(patients, channel) {
+  const signed = [].concat(patients || [])
+    .filter(patient => patient && patient.consent)
+    .sort((a, b) => String(b.consent.signedAt).localeCompare(String(a.consent.signedAt)));
+  if (signed.length === 0) return true;
+  return signed[0].consent.communication[channel] === true;
+}
+
+/**
+ * Whether a message recipient may be contacted on a channel. When the message is
+ * for a known patient (an intake job carries its patientId) only that patient's
+ * consent counts, so a family member sharing the email or phone can't override it.
+ * Appointments only carry contact details, so those are matched by contact.
+ */
+async function hasContactConsent(patientRepository, recipient, channel) {
+  if (!patientRepository) return true;
+
+  if (recipient.patientId !== undefined && recipient.patientId !== null) {
+    return allowsContact(await patientRepository.get(recipient.patientId), channel);
+  }
+  if (!recipient.email && !recipient.phone) return true;
+
+  const patients = await patientRepository.findByContact({ email: recipient.email, phone: recipient.phone });
+  return allowsContact(patients, channel);
+}
+
+module.exports = ConsentService;
+module.exports.CONSENT_TYPES = CONSENT_TYPES;
+module.exports.DEFAULT_DOCUMENTS = DEFAULT_DOCUMENTS;
+module.exports.allowsContact = allowsContact;
+module.exports.hasContactConsent = hasContactConsent;
@@ -0,0 +1,310 @@
+const { createLogger } = require('./logger');
+const { providerOrder } = require('./ai');
+
+const CHECK_STATUSES = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  SKIPPED: 'skipped'
+};
+
+// Settings shown on the diagnostics console. Only whether each one is set is ever
+// reported - never the value.
+const SETTINGS = {
+  storage: ['STORAGE_BACKEND', 'MONGODB_URI', 'PHI_ENCRYPTION_KEYS', 'PHI_BLIND_INDEX_KEY'],
+  google: ['GOOGLE_SERVICE_ACCOUNT_EMAIL', 'GOOGLE_PRIVATE_KEY', 'GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'GOOGLE_REFRESH_TOKEN', 'GOOGLE_SHEET_ID', 'GOOGLE_CALENDAR_ID'],
+  email: ['GMAIL_USER', 'GMAIL_APP_PASSWORD', 'CLINIC_EMAIL', 'TRIAGE_EMAIL', 'ADMIN_EMAIL'],
+  ai: ['AI_PROVIDERS', 'OPENAI_API_KEY', 'AI_MODEL', 'USE_LOCAL_AI', 'LOCAL_AI_URL', 'LOCAL_AI_MODEL', 'OLLAMA_URL', 'OLLAMA_MODEL', 'ANTHROPIC_API_KEY', 'ANTHROPIC_MODEL', 'AI_RAW_PHI_PROVIDERS'],
+  calendly: ['CALENDLY_API_TOKEN', 'CALENDLY_WEBHOOK_SECRET'],
+  formspree: ['FORMSPREE_FORM_ID', 'FORMSPREE_API_KEY', 'FORMSPREE_WEBHOOK_SECRET'],
+  security: ['SESSION_SECRET', 'JWT_SECRET', 'ADMIN_USERNAME', 'ADMIN_PASSWORD', 'API_KEYS']
+};
+
+// Settings whose values must never show up in a check result, even inside an error
+// message from a client library
+const SECRET_SETTINGS = [
+  'MONGODB_URI', 'PHI_ENCRYPTION_KEYS', 'PHI_BLIND_INDEX_KEY', 'GOOGLE_PRIVATE_KEY', 'GOOGLE_CLIENT_SECRET',
+  'GOOGLE_REFRESH_TOKEN', 'GMAIL_APP_PASSWORD', 'OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'CALENDLY_API_TOKEN', 'CALENDLY_WEBHOOK_SECRET',
+  'FORMSPREE_API_KEY', 'FORMSPREE_WEBHOOK_SECRET', 'SESSION_SECRET', 'JWT_SECRET', 'ADMIN_PASSWORD', 'API_KEYS'
+];
+
+const isSet = (name) => !!(process.env[name] && process.env[name].trim());
+
+// AI providers that are only used once their API key is set
+const AI_KEY_SETTINGS = { openai: 'OPENAI_API_KEY', anthropic: 'ANTHROPIC_API_KEY' };
+
+/**
+ * Mask configured secret values, and credentials embedded in URLs, in a message
+ */
+function redactSecrets(message) {
+  let redacted = String(message || '').replace(/\/\/[^/@\s]+@/g, '//[REDACTED]@');
+
+  SECRET_SETTINGS.filter(isSet).forEach(name => {
+    const values = name === 'API_KEYS'
+      ? process.env[name].split(',').map(entry => entry.split(':')[0].trim())
+      : [process.env[name].trim()];
+    values.filter(value => value.length >= 4).forEach(value => {
+      redacted = redacted.split(value).join('[REDACTED]');
+    });
+  });
+
+  return redacted;
+}
+
+/**
+ * Pick the remediation hint for an error: the first matching [pattern, hint] pair,
+ * otherwise the fallback
+ */
+function hintFor(error, hints, fallback) {
+  const message = `${error.code || ''} ${error.message || ''}`;
+  const match = hints.find(([pattern]) => pattern.test(message));
+  return match ? match[1] : fallback;
+}
+
+const TIMEOUT_HINT = 'The service did not answer in time - check that this server can reach it (firewall, DNS, outbound network access).';
+
+/**
+ * Live connectivity checks against each integration, for the admin diagnostics
+ * console. Every check reports pass, fail or skipped (not configured) with a hint
+ * on how to fix it. Results and configuration only ever say whether a setting is
+ * set; values and secrets are never echoed, and error messages are scrubbed of them.
+ */
+class DiagnosticsService {
+  constructor(store, googleService, emailService, aiService, calendlyService, {
+    timeoutMs = (parseInt(process.env.DIAGNOSTICS_TIMEOUT_SECONDS) || 10) * 1000,
+    googleDisabled = process.env.DISABLE_GOOGLE_APIS === 'true'
+  } = {}) {
+    this.store = store;
+    this.googleService = googleService;
+    this.emailService = emailService;
+    this.aiService = aiService;
+    this.calendlyService = calendlyService;
+    this.timeoutMs = timeoutMs;
+    this.googleDisabled = googleDisabled;
+
+    this.logger = createLogger('diagnostics-service');
+
+    this.checks = [
+      { name: 'mongo', label: 'MongoDB', run: () => this.checkMongo() },
+      { name: 'sheets', label: 'Google Sheets', run: () => this.checkSheets() },
+      { name: 'smtp', label: 'Email (SMTP)', run: () => this.checkSmtp() },
+      { name: 'ai', label: 'AI provider', run: () => this.checkAI() },
+      { name: 'calendly', label: 'Calendly', run: () => this.checkCalendly() }
+    ];
+  }
+
+  /**
+   * Which settings are set, by integration (booleans only)
+   */
+  getConfiguration() {
+    const settings = {};
+    Object.entries(SETTINGS).forEach(([group, names]) => {
+      settings[group] = names.map(name => ({ name, configured: isSet(name) }));
+    });
+
+    return {
+      environment: process.env.NODE_ENV || 'development',
+      storage: this.store.name,
+      googleDisabled: this.googleDisabled,
+      settings
+    };
+  }
+
+  /**
+   * Run every check and report the results with the configuration
+   */
+  async run() {
+    const results = await Promise.all(this.checks.map(check => this.runCheck(check)));
+    const report = {
+      ranAt: new Date().toISOString(),
+      status: results.some(result => result.status === CHECK_STATUSES.FAIL) ? CHECK_STATUSES.FAIL : CHECK_STATUSES.PASS,
+      checks: results,
+      configuration: this.getConfiguration()
+    };
+
+    this.logger.info('Diagnostics finished', {
+      status: report.status,
+      failed: results.filter(result => result.status === CHECK_STATUSES.FAIL).map(result => result.name)
+    });
+    return report;
+  }
+
+  /**
+   * Run one check with a time limit. A thrown error fails the check with its hint.
+   */
+  async runCheck({ name, label, run }) {
+    const started = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error(`No response after ${this.timeoutMs / 1000} seconds`), { timedOut: true })), this.timeoutMs);
+      });
+      const outcome = await Promise.race([run(), timeout]);
+
+      return {
+        name,
+        label,
+        status: outcome.status || CHECK_STATUSES.PASS,
+        detail: redactSecrets(outcome.detail),
+        hint: outcome.hint || null,
+        durationMs: Date.now() - started
+      };
+    } catch (error) {
+      this.logger.warn(`Diagnostics check ${name} failed`, { error: redactSecrets(error.message) });
+      return {
+        name,
+        label,
+        status: CHECK_STATUSES.FAIL,
+        detail: redactSecrets(error.message),
+        hint: error.timedOut ? TIMEOUT_HINT : error.hint || null,
+        durationMs: Date.now() - started
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Connect to MongoDB and ping the server
+   */
+  async checkMongo() {
+    if (!this.store.databaseService) {
+      return {
+        status: CHECK_STATUSES.SKIPPED,
+        detail: `Storage backend is ${this.store.name}`,
+        hint: 'Set MONGODB_URI (or STORAGE_BACKEND=mongo) to store data in MongoDB - see setup-database.md.'
+      };
+    }
+
+    try {
+      const databaseService = this.store.databaseService;
+      await databaseService.connect();
+      await databaseService.db.command({ ping: 1 });
+      return { detail: `Connected to database ${databaseService.dbName}` };
+    } catch (error) {
+      error.hint = hintFor(error, [
+        [/auth|credentials/i, 'MongoDB rejected the username or password in MONGODB_URI - check the database user and its password.'],
+        [/ECONNREFUSED/i, 'Nothing is listening at the MONGODB_URI host and port - start MongoDB or fix the address.'],
+        [/ENOTFOUND|querySrv/i, 'The MONGODB_URI host name does not resolve - check the cluster address.'],
+        [/Server selection timed out|ServerSelection/i, 'The server is unreachable - check that this host\'s IP is allowed in the database network access list.'],
+        [/Invalid scheme|Invalid connection string|URI/i, 'MONGODB_URI is malformed - it must start with mongodb:// or mongodb+srv://.']
+      ], 'Check MONGODB_URI and that the database accepts connections from this server - see setup-database.md.');
+      throw error;
+    }
+  }
+
+  /**
+   * Set up (or confirm) the clinic tabs in the Google Sheet
+   */
+  async checkSheets() {
+    if (this.googleDisabled) {
+      return { status: CHECK_STATUSES.SKIPPED, detail: 'Google APIs are disabled (DISABLE_GOOGLE_APIS=true)', hint: 'Unset DISABLE_GOOGLE_APIS to sync with Google Sheets.' };
+    }
+    const hasServiceAccount = isSet('GOOGLE_SERVICE_ACCOUNT_EMAIL') && isSet('GOOGLE_PRIVATE_KEY');
+    const hasOAuth = isSet('GOOGLE_CLIENT_ID') && isSet('GOOGLE_CLIENT_SECRET') && isSet('GOOGLE_REFRESH_TOKEN');
+    if (!hasServiceAccount && !hasOAuth) {
+      return { status: CHECK_STATUSES.SKIPPED, detail: 'No Google credentials configured', hint: 'Set GOOGLE_SERVICE_ACCOUNT_EMAIL and GOOGLE_PRIVATE_KEY - see the setup guide.' };
+    }
+    if (!isSet('GOOGLE_SHEET_ID')) {
+      throw Object.assign(new Error('GOOGLE_SHEET_ID is not set'), { hint: 'Set GOOGLE_SHEET_ID to the ID in the spreadsheet URL (between /d/ and /edit).' });
+    }
+    if (!this.googleService || typeof this.googleService.initializeSheets !== 'function') {
+      throw Object.assign(new Error('The Google service did not start'), { hint: 'Check the server logs from startup for the Google service error.' });
+    }
+
+    try {
+      await this.googleService.initializeSheets();
+      return { detail: 'Spreadsheet reachable; clinic tabs created' };
+    } catch (error) {
+      // The tabs are only added once; after that Sheets refuses to add them again
+      if (/already exists/i.test(error.message)) {
+        return { detail: 'Spreadsheet reachable; clinic tabs already set up' };
+      }
+      error.hint = hintFor(error, [
+        [/permission|403|forbidden/i, 'Share the spreadsheet with the service account email as an Editor.'],
+        [/not found|404/i, 'GOOGLE_SHEET_ID does not match a spreadsheet - copy the ID from the sheet URL.'],
+        [/invalid_grant|private key|PEM|DECODER/i, 'The Google credentials were rejected - check GOOGLE_PRIVATE_KEY keeps its \\n line breaks, or refresh GOOGLE_REFRESH_TOKEN.'],
+        [/has not been used|disabled/i, 'Enable the Google Sheets API for the project in the Google Cloud console.']
+      ], 'See the Google Sheets setup guide.');
+      throw error;
+    }
+  }
+
+  /**
+   * Log in to the SMTP server without sending anything
+   */
+  async checkSmtp() {
+    if (!isSet('GMAIL_USER') || !isSet('GMAIL_APP_PASSWORD')) {
+      return { status: CHECK_STATUSES.SKIPPED, detail: 'Gmail credentials not configured', hint: 'Set GMAIL_USER and GMAIL_APP_PASSWORD to send patient and staff emails.' };
+    }
+    if (!this.emailService || !this.emailService.transporter) {
+      throw Object.assign(new Error('The email service did not start'), { hint: 'Check the server logs from startup for the email service error.' });
+    }
+
+    try {
+      await this.emailService.transporter.verify();
+      return { detail: 'SMTP login accepted' };
+    } catch (error) {
+      error.hint = hintFor(error, [
+        [/EAUTH|Invalid login|535|Username and Password not accepted/i, 'Gmail rejected the login - GMAIL_APP_PASSWORD must be an app password (requires 2-Step Verification on the account).'],
+        [/ETIMEDOUT|ECONNREFUSED|ESOCKET|ECONNECTION/i, 'Could not reach smtp.gmail.com - outbound SMTP (ports 465/587) may be blocked on this host.']
+      ], 'Check GMAIL_USER and GMAIL_APP_PASSWORD.');
+      throw error;
+    }
+  }
+
+  /**
+   * Send a minimal prompt down the AI provider chain (the rules-only provider aside)
+   */
+  async checkAI() {
+    const names = providerOrder().filter(name => name !== 'rules' && (!AI_KEY_SETTINGS[name] || isSet(AI_KEY_SETTINGS[name])));
+    if (names.length === 0) {
+      return { status: CHECK_STATUSES.SKIPPED, detail: 'No AI provider configured - intakes are triaged by the triage rules only', hint: 'Set OPENAI_API_KEY or ANTHROPIC_API_KEY, or list local or ollama in AI_PROVIDERS, to get AI intake summaries.' };
+    }
+    if (!this.aiService || typeof this.aiService.ping !== 'function') {
+      throw Object.assign(new Error('The AI service did not start'), { hint: 'Check the server logs from startup for the AI service error.' });
+    }
+
+    try {
+      const { provider, model } = await this.aiService.ping();
+      return { detail: `${provider} answered (model ${model})` };
+    } catch (error) {
+      error.hint = hintFor(error, [
+        [/ECONNREFUSED|ENOTFOUND/i, 'Nothing answered at LOCAL_AI_URL or OLLAMA_URL - start the local model server or fix the URL.'],
+        [/401/, 'The provider rejected its API key (OPENAI_API_KEY or ANTHROPIC_API_KEY) - create a new key.'],
+        [/429/, 'The provider is rate limiting this key or the account is out of quota - check billing.'],
+        [/404/, 'The model is not available - check AI_MODEL, ANTHROPIC_MODEL, LOCAL_AI_MODEL or OLLAMA_MODEL.'],
+        [/circuit open/, 'Every AI provider failed repeatedly and is paused - see the ai-service log. Intakes are triaged by the rules meanwhile.']
+      ], `Check the settings of the providers in AI_PROVIDERS (${names.join(', ')}).`);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the Calendly account the API token belongs to
+   */
+  async checkCalendly() {
+    if (!isSet('CALENDLY_API_TOKEN')) {
+      return { status: CHECK_STATUSES.SKIPPED, detail: 'Calendly API token not configured', hint: 'Set CALENDLY_API_TOKEN to a Calendly personal access token.' };
+    }
+    if (!this.calendlyService || typeof this.calendlyService.getUserInfo !== 'function') {
+      throw Object.assign(new Error('The Calendly service did not start'), { hint: 'Check the server logs from startup for the Calendly service error.' });
+    }
+
+    try {
+      await this.calendlyService.getUserInfo();
+      const signing = isSet('CALENDLY_WEBHOOK_SECRET') ? '' : '; CALENDLY_WEBHOOK_SECRET is not set, so webhooks are rejected in production';
+      return { detail: `API token accepted${signing}` };
+    } catch (error) {
+      error.hint = hintFor(error, [
+        [/401|403/, 'Calendly rejected CALENDLY_API_TOKEN - it may have been revoked; create a new personal access token.'],
+        [/429/, 'Calendly is rate limiting this token - try again in a minute.']
+      ], 'Check CALENDLY_API_TOKEN and that this server can reach api.calendly.com.');
+      throw error;
+    }
+  }
+}
+
+module.exports = DiagnosticsService;
+module.exports.CHECK_STATUSES = CHECK_STATUSES;
+module.exports.redactSecrets = redactSecrets;
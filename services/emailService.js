@@ -1,20 +1,16 @@
 const nodemailer = require('nodemailer');
-const winston = require('winston');
+const { createLogger } = require('./logger');
+
+// What each AI output label (see services/ai/outputSchemas) means for the reader
+const AI_OUTPUT_NOTES = {
+  validated: 'Validated - the AI answer matched the expected format',
+  repaired: 'Repaired - the AI answer had to be corrected before it matched the expected format',
+  fallback: 'Fallback - no valid AI answer; this triage comes from the clinic triage rules only'
+};
 
 class EmailService {
   constructor() {
-    this.logger = winston.createLogger({
-      level: 'info',
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-      ),
-      defaultMeta: { service: 'email-service' },
-      transports: [
-        new winston.transports.Console(),
-        new winston.transports.File({ filename: './logs/email-service.log' })
-      ]
-    });
+    this.logger = createLogger('email-service', { files: './logs/email-service.log' });
 
     this.setupTransporter();
   }
@@ -174,6 +170,38 @@ class EmailService {
     }
   }
 
+  /**
+   * Send the data retention run report to the admin (counts only, no patient details)
+   */
+  async sendRetentionReport(report) {
+    try {
+      const emailContent = this.generateRetentionReportEmailContent(report);
+
+      const mailOptions = {
+        from: process.env.CLINIC_EMAIL,
+        to: process.env.ADMIN_EMAIL,
+        subject: emailContent.subject,
+        html: emailContent.html,
+        text: emailContent.text
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      this.logger.info('Retention report sent successfully', {
+        runId: report.id,
+        messageId: result.messageId
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      this.logger.error('Error sending retention report', {
+        error: error.message,
+        runId: report.id
+      });
+      throw error;
+    }
+  }
+
   /**
    * Send error notification to admin
    */
@@ -412,6 +440,7 @@ This is an automated reminder. Please do not reply to this email.
    */
   generateTriageEmailContent(triageData) {
     const subject = `Triage Alert - ${triageData.urgencyLevel} Priority - ${triageData.patientName}`;
+    const aiOutput = AI_OUTPUT_NOTES[triageData.aiOutput] || '';
     
     const html = `
       <!DOCTYPE html>
@@ -451,6 +480,7 @@ This is an automated reminder. Please do not reply to this email.
               <p><strong>Risk Keywords:</strong> ${triageData.riskKeywords.join(', ')}</p>
               <p><strong>Recommendations:</strong> ${triageData.recommendations}</p>
               <p><strong>Follow-up Notes:</strong> ${triageData.followUpNotes}</p>
+              ${aiOutput ? `<p><strong>AI Output:</strong> ${aiOutput}</p>` : ''}
             </div>
             
             <p>Please review this information before the patient's appointment.</p>
@@ -478,7 +508,7 @@ Summary: ${triageData.aiSummary}
 Risk Keywords: ${triageData.riskKeywords.join(', ')}
 Recommendations: ${triageData.recommendations}
 Follow-up Notes: ${triageData.followUpNotes}
-
+${aiOutput ? `AI Output: ${aiOutput}\n` : ''}
 Please review this information before the patient's appointment.
 
 Generated by myPCP Clinic Automation System
@@ -530,6 +560,7 @@ Generated by myPCP Clinic Automation System
             <div class="section">
               <h3>Executive Summary</h3>
               <p>${reportData.aiReport.executiveSummary}</p>
+              ${AI_OUTPUT_NOTES[reportData.aiReport.validation] ? `<p><em>AI Output: ${AI_OUTPUT_NOTES[reportData.aiReport.validation]}</em></p>` : ''}
             </div>
             
             <div class="section">
@@ -580,7 +611,7 @@ Key Metrics:
 
 Executive Summary:
 ${reportData.aiReport.executiveSummary}
-
+${AI_OUTPUT_NOTES[reportData.aiReport.validation] ? `AI Output: ${AI_OUTPUT_NOTES[reportData.aiReport.validation]}\n` : ''}
 Trends:
 ${reportData.aiReport.trends}
 
@@ -665,6 +696,82 @@ Generated by myPCP Clinic Automation System
 
     return { subject, html, text };
   }
+
+  /**
+   * Generate data retention report email content
+   */
+  generateRetentionReportEmailContent(report) {
+    const runDate = new Date(report.runAt).toLocaleDateString();
+    const subject = `${report.dryRun ? 'Data Retention Preview' : 'Data Retention Purge Report'} - ${runDate}${report.errors.length > 0 ? ' (with errors)' : ''}`;
+    const verb = (rule) => report.dryRun ? `would ${rule.action}` : `${rule.action}d`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Data Retention Report</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #2E8C83; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background-color: #f9f9f9; }
+          table { width: 100%; border-collapse: collapse; margin: 15px 0; }
+          th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+          .error-details { background-color: #f8d7da; padding: 15px; border-radius: 5px; margin: 15px 0; }
+          .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Data Retention Report</h1>
+            <p>${process.env.CLINIC_NAME} &middot; ${runDate}${report.dryRun ? ' &middot; preview, nothing was changed' : ''}</p>
+          </div>
+
+          <div class="content">
+            <table>
+              <tr><th>Records</th><th>Older than</th><th>Action</th><th>Expired</th><th>On legal hold</th><th>Patients removed</th></tr>
+              ${report.rules.map(rule => `
+              <tr>
+                <td>${rule.type}</td>
+                <td>${rule.days} days</td>
+                <td>${verb(rule)}</td>
+                <td>${rule.matched}</td>
+                <td>${rule.held}</td>
+                <td>${rule.patients}</td>
+              </tr>`).join('')}
+            </table>
+            ${report.legacy.map(entry => `<p>Legacy <strong>${entry.collection}</strong> copies: ${entry.records} records ${entry.dropped ? 'dropped' : 'would be dropped'}.</p>`).join('')}
+            <p>Patients under legal hold: ${report.heldPatients || 0}</p>
+            ${report.errors.length > 0 ? `
+            <div class="error-details">
+              <h3>Errors</h3>
+              ${report.errors.map(error => `<p><strong>${error.type}:</strong> ${error.error}</p>`).join('')}
+            </div>` : ''}
+          </div>
+
+          <div class="footer">
+            <p>Run ${report.id} &middot; Generated by myPCP Clinic Automation System</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+DATA RETENTION REPORT - ${process.env.CLINIC_NAME}
+${runDate}${report.dryRun ? ' (preview, nothing was changed)' : ''}
+
+${report.rules.map(rule => `${rule.type} older than ${rule.days} days: ${rule.matched} ${verb(rule)}, ${rule.held} on legal hold, ${rule.patients} patients removed`).join('\n')}
+${report.legacy.map(entry => `Legacy ${entry.collection} copies: ${entry.records} records ${entry.dropped ? 'dropped' : 'would be dropped'}`).join('\n')}
+Patients under legal hold: ${report.heldPatients || 0}
+${report.errors.length > 0 ? `\nErrors:\n${report.errors.map(error => `${error.type}: ${error.error}`).join('\n')}\n` : ''}
+Run ${report.id} - Generated by myPCP Clinic Automation System
+    `;
+
+    return { subject, html, text };
+  }
 }
 
 module.exports = EmailService;
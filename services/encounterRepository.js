@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const PhiEncryption = require('./phiEncryption');
+
+const COLLECTION = 'encounters';
+// Insertion order, so visits saved in the same millisecond still list in the order they arrived
+const SEQUENCE = 'encounter_seq';
+
+/**
+ * Encounter statuses: an intake arrives pending, is triaged by the intake job,
+ * and is completed (or cancelled) by staff
+ */
+const ENCOUNTER_STATUSES = {
+  PENDING: 'pending',
+  TRIAGED: 'triaged',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// Intake form fields that describe this visit rather than the patient. `formVersion`
+// is the intake form version it was submitted on and `responses` the answers to that
+// form's own questions (see IntakeFormService).
+const ENCOUNTER_FIELDS = [
+  'reasonForVisit', 'visitType', 'symptoms', 'additionalNotes', 'urgency',
+  'appointmentDate', 'appointmentTime', 'preferredDate', 'preferredTime', 'formId',
+  'formVersion', 'responses'
+];
+
+// Encrypted at rest when PHI encryption is configured
+const ENCOUNTER_PHI_FIELDS = ['reasonForVisit', 'symptoms', 'additionalNotes', 'triage', 'responses'];
+
+/**
+ * Individual visits (one per intake submission) belonging to a patient
+ */
+class EncounterRepository {
+  constructor(store, auditService = null, encryption = new PhiEncryption()) {
+    this.store = store;
+    this.auditService = auditService;
+    this.encryption = encryption;
+
+    this.logger = createLogger('encounter-repository');
+  }
+
+  /**
+   * Create an encounter for a patient from intake form data
+   */
+  async create(patientId, intakeData, { source = 'intake_form', status = ENCOUNTER_STATUSES.PENDING, timestamp } = {}) {
+    try {
+      const now = new Date().toISOString();
+      const encounter = {
+        id: `enc_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        seq: await this.store.nextSequence(SEQUENCE),
+        patientId,
+        source,
+        status,
+        triage: null,
+        timestamp: timestamp || now,
+        createdAt: now,
+        updatedAt: now
+      };
+      ENCOUNTER_FIELDS.forEach(field => {
+        if (intakeData[field] !== undefined && intakeData[field] !== '') {
+          encounter[field] = intakeData[field];
+        }
+      });
+
+      await this.store.insertOne(COLLECTION, this.encryption.seal(encounter, ENCOUNTER_PHI_FIELDS));
+      this.logger.info(`Encounter created with ID: ${encounter.id}`, { patientId });
+
+      return encounter;
+    } catch (error) {
+      this.logger.error('Error creating encounter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an encounter by ID, or null
+   */
+  async get(id) {
+    return this.encryption.open(await this.store.findOne(COLLECTION, { id }));
+  }
+
+  /**
+   * List encounters, newest first. `from`/`to` are ISO timestamps; `reviewed` filters on clinician triage review.
+   */
+  async list({ patientId, status, reviewed, from, to, limit } = {}) {
+    const filter = {};
+    if (patientId !== undefined) filter.patientId = Array.isArray(patientId) ? { $in: patientId } : patientId;
+    if (status) filter.status = status;
+    if (reviewed !== undefined) filter.reviewedAt = reviewed ? { $ne: null } : null;
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lte = to;
+    }
+
+    const encounters = await this.store.find(COLLECTION, filter, { sort: { timestamp: -1, seq: -1, id: -1 }, limit });
+    return encounters.map(encounter => this.encryption.open(encounter));
+  }
+
+  /**
+   * A patient's encounters, oldest first (the visit timeline)
+   */
+  async listForPatient(patientId) {
+    const encounters = await this.store.find(COLLECTION, { patientId }, { sort: { timestamp: 1, seq: 1, id: 1 } });
+    return encounters.map(encounter => this.encryption.open(encounter));
+  }
+
+  /**
+   * Count encounters matching a filter
+   */
+  async count(filter = {}) {
+    return this.store.count(COLLECTION, filter);
+  }
+
+  /**
+   * Update an encounter's status
+   */
+  async updateStatus(id, status, context = {}) {
+    if (!Object.values(ENCOUNTER_STATUSES).includes(status)) {
+      throw new ValidationError(`Invalid encounter status "${status}". Expected one of: ${Object.values(ENCOUNTER_STATUSES).join(', ')}`);
+    }
+
+    const encounter = await this.get(id);
+    if (!encounter) {
+      throw new NotFoundError(`Encounter ${id} not found`);
+    }
+
+    try {
+      const updated = await this.store.updateOne(COLLECTION, { id }, {
+        status,
+        updatedAt: new Date().toISOString()
+      });
+
+      this.logger.info(`Updated encounter ${id} status to ${status}`);
+
+      if (this.auditService) {
+        await this.auditService.record({
+          action: 'encounter.status_change',
+          context: context,
+          patientIds: [encounter.patientId],
+          details: { encounterId: id, from: encounter.status, to: status }
+        });
+      }
+
+      return this.encryption.open(updated);
+    } catch (error) {
+      this.logger.error(`Error updating encounter ${id} status:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the AI triage result for an encounter and mark it triaged if it was still pending
+   */
+  async setTriage(id, triage) {
+    const encounter = await this.get(id);
+    if (!encounter) {
+      throw new NotFoundError(`Encounter ${id} not found`);
+    }
+
+    // A re-run intake job never replaces triage a clinician has already reviewed
+    if (encounter.triage && encounter.triage.review) {
+      this.logger.warn(`Encounter ${id} triage was already reviewed - keeping the reviewed triage`);
+      return encounter;
+    }
+
+    const updated = await this.store.updateOne(COLLECTION, { id }, this.encryption.seal({
+      triage: {
+        summary: triage.summary,
+        urgencyLevel: triage.urgencyLevel,
+        riskKeywords: triage.riskKeywords,
+        recommendations: triage.recommendations,
+        rules: triage.rules || null,
+        provider: triage.provider || null,
+        model: triage.model || null,
+        validation: triage.validation || null,
+        triagedAt: new Date().toISOString()
+      },
+      status: encounter.status === ENCOUNTER_STATUSES.PENDING ? ENCOUNTER_STATUSES.TRIAGED : encounter.status,
+      updatedAt: new Date().toISOString()
+    }, ENCOUNTER_PHI_FIELDS));
+    return this.encryption.open(updated);
+  }
+
+  /**
+   * Save a clinician's review of an encounter's triage: the reviewed urgency level and
+   * summary replace the triage's own, and the review (with the triage as it was before)
+   * is kept in `triage.review`. The triage is encrypted, so the plain `reviewedAt` field
+   * marks reviewed encounters; only the first of two concurrent reviews is saved.
+   */
+  async setTriageReview(id, review) {
+    const encounter = await this.get(id);
+    if (!encounter) {
+      throw new NotFoundError(`Encounter ${id} not found`);
+    }
+    if (!encounter.triage) {
+      throw new ValidationError(`Encounter ${id} has not been triaged yet`);
+    }
+
+    const updated = await this.store.updateOne(COLLECTION, { id, reviewedAt: null }, this.encryption.seal({
+      triage: {
+        ...encounter.triage,
+        urgencyLevel: review.urgencyLevel,
+        summary: review.summary,
+        review
+      },
+      reviewedAt: review.reviewedAt,
+      updatedAt: new Date().toISOString()
+    }, ENCOUNTER_PHI_FIELDS));
+    if (!updated) {
+      throw new ConflictError(`The triage for encounter ${id} has already been reviewed`);
+    }
+    return this.encryption.open(updated);
+  }
+
+  /**
+   * Move an encounter to another patient (used by patient merges)
+   */
+  async reassign(id, patientId) {
+    return this.encryption.open(await this.store.updateOne(COLLECTION, { id }, { patientId, updatedAt: new Date().toISOString() }));
+  }
+
+  /**
+   * Delete all of a patient's encounters. Returns the number deleted.
+   */
+  async deleteForPatient(patientId) {
+    return this.store.deleteMany(COLLECTION, { patientId });
+  }
+
+  /**
+   * Encrypt plaintext PHI and re-wrap values under old master keys. Returns the number updated.
+   */
+  async encryptStoredRecords() {
+    let updated = 0;
+    for (const encounter of await this.store.find(COLLECTION)) {
+      const changes = this.encryption.reseal(encounter, ENCOUNTER_PHI_FIELDS);
+      if (Object.keys(changes).length === 0) continue;
+
+      await this.store.updateOne(COLLECTION, { id: encounter.id }, changes);
+      updated++;
+    }
+    return updated;
+  }
+}
+
+module.exports = EncounterRepository;
+module.exports.ENCOUNTER_STATUSES = ENCOUNTER_STATUSES;
+module.exports.ENCOUNTER_FIELDS = ENCOUNTER_FIELDS;
+module.exports.ENCOUNTER_PHI_FIELDS = ENCOUNTER_PHI_FIELDS;
@@ -1,22 +1,19 @@
 const XLSX = require('xlsx');
-const winston = require('winston');
+const { createLogger } = require('./logger');
+const { formValue } = require('./intakeSchema');
+const { DEFAULT_FORM, formColumns } = require('./intakeFormService');
+
+// Visit details exported after the form's questions
+const VISIT_COLUMNS = [
+  { name: 'appointmentDate', label: 'Appointment Date' },
+  { name: 'appointmentTime', label: 'Appointment Time' },
+  { name: 'status', label: 'Status' },
+  { name: 'formVersion', label: 'Form Version' }
+];
 
 class ExcelService {
   constructor() {
-    // Configure logging for Vercel environment
-    const transports = [
-      new winston.transports.Console()
-    ];
-    
-    this.logger = winston.createLogger({
-      level: 'info',
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-      ),
-      defaultMeta: { service: 'excel-service' },
-      transports: transports
-    });
+    this.logger = createLogger('excel-service');
 
     // In-memory storage for the Excel file (since Vercel is serverless)
     this.excelBuffer = null;
@@ -25,37 +22,22 @@ class ExcelService {
   }
 
   /**
-   * Generate Excel file from patient data
+   * Generate Excel file from patient data, with a column per intake form question
+   * (see IntakeFormService.getColumns) between the IDs and the visit details
    */
-  generateExcelFile(patients) {
+  generateExcelFile(patients, columns = formColumns(DEFAULT_FORM)) {
     try {
       // Create a new workbook
       const workbook = XLSX.utils.book_new();
       
       // Define headers
+      const questions = columns.filter(column => !VISIT_COLUMNS.some(visitColumn => visitColumn.name === column.name));
       const headers = [
         'Patient ID',
-        'Full Name',
-        'Date of Birth',
-        'Gender',
-        'Phone',
-        'Email',
-        'Address',
-        'City',
-        'State',
-        'ZIP Code',
-        'Emergency Contact',
-        'Insurance Provider',
-        'Policy Number',
-        'Primary Care Physician',
-        'Current Medications',
-        'Allergies',
-        'Past Conditions',
-        'Reason for Visit',
-        'Medical History',
-        'Status',
-        'Submitted Date',
-        'Form Type'
+        'MRN',
+        ...questions.map(column => column.label),
+        ...VISIT_COLUMNS.map(column => column.label),
+        'Submitted Date'
       ];
       
       // Convert patient data to worksheet format
@@ -64,27 +46,9 @@ class ExcelService {
       patients.forEach(patient => {
         const row = [
           patient.id || '',
-          patient.fullName || '',
-          patient.dateOfBirth || '',
-          patient.gender || '',
-          patient.phone || '',
-          patient.email || '',
-          patient.address || '',
-          patient.city || '',
-          patient.state || '',
-          patient.zipCode || '',
-          patient.emergencyContact || '',
-          patient.insuranceProvider || '',
-          patient.policyNumber || '',
-          patient.primaryCarePhysician || '',
-          patient.currentMedications || '',
-          patient.allergies || '',
-          patient.pastConditions || '',
-          patient.reasonForVisit || '',
-          patient.medicalHistory || '',
-          patient.status || '',
-          patient.timestamp ? new Date(patient.timestamp).toLocaleString() : '',
-          'Intake Form'
+          patient.mrn || '',
+          ...questions.concat(VISIT_COLUMNS).map(column => formValue(patient, column.name)),
+          patient.timestamp ? new Date(patient.timestamp).toLocaleString() : ''
         ];
         worksheetData.push(row);
       });
@@ -110,18 +74,12 @@ class ExcelService {
   /**
    * Add patient data to existing Excel file or create new one
    */
-  async addPatientToExcel(patientData) {
+  async addPatientToExcel(patientData, allPatients, columns) {
     try {
-      this.logger.info(`Adding patient to Excel file: ${patientData.fullName}`);
-      
-      // Get current data from data service
-      const DataService = require('./dataService');
-      const dataService = new DataService();
-      const data = await dataService.loadData();
-      const allPatients = data.formSubmissions || [];
+      this.logger.info('Adding patient to Excel file', { patientId: patientData.id, patientName: patientData.fullName, email: patientData.email });
       
       // Update the Excel file with all current data
-      this.excelBuffer = this.generateExcelFile(allPatients);
+      this.excelBuffer = this.generateExcelFile(allPatients, columns);
       this.lastUpdated = new Date();
       this.patientCount = allPatients.length;
       
@@ -176,15 +134,16 @@ class ExcelService {
       
       // Create detailed sheet
       const detailHeaders = [
-        'Date', 'Patient ID', 'Name', 'Email', 'Phone', 'Reason for Visit', 'Status', 'Submitted'
+        'Date', 'Patient ID', 'MRN', 'Name', 'Email', 'Phone', 'Reason for Visit', 'Status', 'Submitted'
       ];
       const detailData = [detailHeaders];
       
       Object.keys(dailyData).forEach(date => {
-        dayData.forEach(patient => {
+        dailyData[date].forEach(patient => {
           detailData.push([
             date,
             patient.id,
+            patient.mrn || '',
             patient.name,
             patient.email || '',
             patient.phone || '',
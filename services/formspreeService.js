@@ -1,23 +1,16 @@
 const axios = require('axios');
-const winston = require('winston');
+const { createLogger } = require('./logger');
+const { verifySignature, signaturesOptional } = require('./webhookSignature');
+const { normalizers, normalizeIntake, validateIntake, validateField } = require('./intakeSchema');
+const { DEFAULT_FORM, renderIntakeFields } = require('./intakeFormService');
 
 class FormspreeService {
   constructor() {
-    this.logger = winston.createLogger({
-      level: 'info',
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-      ),
-      defaultMeta: { service: 'formspree-service' },
-      transports: [
-        new winston.transports.Console(),
-        new winston.transports.File({ filename: './logs/formspree-service.log' })
-      ]
-    });
+    this.logger = createLogger('formspree-service', { files: './logs/formspree-service.log' });
 
     this.formId = process.env.FORMSPREE_FORM_ID;
     this.apiKey = process.env.FORMSPREE_API_KEY;
+    this.webhookSecret = process.env.FORMSPREE_WEBHOOK_SECRET;
     this.baseUrl = 'https://formspree.io';
   }
 
@@ -59,60 +52,28 @@ class FormspreeService {
   }
 
   /**
-   * Validate form data
+   * Validate form data against the shared intake schema
    */
   validateFormData(formData) {
-    const errors = [];
-    const requiredFields = ['fullName', 'email', 'dob'];
-
-    requiredFields.forEach(field => {
-      if (!formData[field] || formData[field].trim() === '') {
-        errors.push(`${field} is required`);
-      }
-    });
-
-    // Validate email format
-    if (formData.email && !this.isValidEmail(formData.email)) {
-      errors.push('Invalid email format');
-    }
-
-    // Validate date of birth
-    if (formData.dob && !this.isValidDate(formData.dob)) {
-      errors.push('Invalid date of birth format');
+    try {
+      validateIntake(formData);
+      return { isValid: true, errors: [] };
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      return {
+        isValid: false,
+        errors: error.details.map(detail => detail.message)
+      };
     }
-
-    return {
-      isValid: errors.length === 0,
-      errors: errors
-    };
   }
 
   /**
-   * Normalize form data to standard format
+   * Normalize form data to standard format (the intake schema's fields and aliases)
    */
   normalizeFormData(formData) {
     return {
       formId: formData.formId || this.generateFormId(),
-      fullName: this.normalizeName(formData.fullName || formData.name || ''),
-      email: (formData.email || '').toLowerCase().trim(),
-      phone: this.normalizePhone(formData.phone || formData.phoneNumber || ''),
-      dob: this.normalizeDate(formData.dob || formData.dateOfBirth || ''),
-      address: formData.address || formData.streetAddress || '',
-      city: formData.city || '',
-      state: formData.state || '',
-      zipCode: formData.zipCode || formData.zip || '',
-      reasonForVisit: formData.reasonForVisit || formData.reason || formData.chiefComplaint || '',
-      currentMedications: formData.currentMedications || formData.medications || '',
-      allergies: formData.allergies || formData.allergy || '',
-      pastConditions: formData.pastConditions || formData.medicalHistory || formData.pastMedicalHistory || '',
-      insuranceProvider: formData.insuranceProvider || formData.insurance || '',
-      insuranceId: formData.insuranceId || formData.policyNumber || '',
-      emergencyContact: formData.emergencyContact || formData.emergencyName || '',
-      emergencyPhone: formData.emergencyPhone || formData.emergencyNumber || '',
-      appointmentDate: formData.appointmentDate || '',
-      appointmentTime: formData.appointmentTime || '',
-      visitType: formData.visitType || formData.appointmentType || 'General Consultation',
-      additionalNotes: formData.additionalNotes || formData.notes || formData.comments || '',
+      ...normalizeIntake(formData),
       timestamp: new Date().toISOString(),
       source: 'Formspree'
     };
@@ -131,8 +92,7 @@ class FormspreeService {
    * Validate email format
    */
   isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+    return !!email && !validateField('email', email);
   }
 
   /**
@@ -147,45 +107,21 @@ class FormspreeService {
    * Normalize name format
    */
   normalizeName(name) {
-    if (!name) return '';
-    return name.trim()
-      .split(' ')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join(' ');
+    return normalizers.name(name);
   }
 
   /**
    * Normalize phone number format
    */
   normalizePhone(phone) {
-    if (!phone) return '';
-    // Remove all non-digit characters
-    const digits = phone.replace(/\D/g, '');
-    
-    // Format as (XXX) XXX-XXXX if 10 digits
-    if (digits.length === 10) {
-      return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
-    }
-    
-    // Return original if not 10 digits
-    return phone;
+    return normalizers.phone(phone);
   }
 
   /**
    * Normalize date format
    */
   normalizeDate(dateString) {
-    if (!dateString) return '';
-    
-    try {
-      const date = new Date(dateString);
-      if (isNaN(date.getTime())) return dateString;
-      
-      // Return in YYYY-MM-DD format
-      return date.toISOString().split('T')[0];
-    } catch (error) {
-      return dateString;
-    }
+    return normalizers.date(dateString);
   }
 
   /**
@@ -237,35 +173,6 @@ class FormspreeService {
     }
   }
 
-  /**
-   * Check for high-risk keywords in form data
-   */
-  checkForRiskKeywords(formData) {
-    const riskKeywords = [
-      'chest pain', 'difficulty breathing', 'shortness of breath', 'severe pain',
-      'emergency', 'urgent', 'critical', 'life threatening', 'suicide', 'self harm',
-      'medication reaction', 'allergic reaction', 'anaphylaxis', 'stroke',
-      'heart attack', 'severe bleeding', 'unconscious', 'fever', 'infection'
-    ];
-
-    const foundKeywords = [];
-    const textToSearch = [
-      formData.reasonForVisit,
-      formData.currentMedications,
-      formData.allergies,
-      formData.pastConditions,
-      formData.additionalNotes
-    ].join(' ').toLowerCase();
-
-    riskKeywords.forEach(keyword => {
-      if (textToSearch.includes(keyword.toLowerCase())) {
-        foundKeywords.push(keyword);
-      }
-    });
-
-    return foundKeywords;
-  }
-
   /**
    * Get form submissions from Formspree API
    */
@@ -319,24 +226,32 @@ class FormspreeService {
   }
 
   /**
-   * Validate webhook signature (if Formspree provides one)
+   * Validate the Formspree-Signature header against the raw request body.
+   * Returns { valid, reason }.
    */
   validateWebhookSignature(payload, signature) {
     try {
-      // Formspree doesn't typically provide webhook signatures
-      // This is a placeholder for future implementation
-      this.logger.info('Webhook signature validation not implemented for Formspree');
-      return true;
+      if (!this.webhookSecret) {
+        // Unsigned webhooks are only accepted when explicitly allowed outside production
+        if (!signaturesOptional()) {
+          this.logger.error('FORMSPREE_WEBHOOK_SECRET not configured - rejecting webhook');
+          return { valid: false, reason: 'Webhook secret not configured' };
+        }
+        this.logger.warn('Formspree webhook secret not configured - skipping signature check (WEBHOOK_SIGNATURES_OPTIONAL=true)');
+        return { valid: true };
+      }
+
+      return verifySignature({ payload, header: signature, secret: this.webhookSecret });
     } catch (error) {
       this.logger.error('Error validating webhook signature', { error: error.message });
-      return false;
+      return { valid: false, reason: 'Signature validation error' };
     }
   }
 
   /**
-   * Create form HTML template
+   * Create form HTML template for a form definition (see IntakeFormService)
    */
-  generateFormHTML() {
+  generateFormHTML(definition = DEFAULT_FORM) {
     return `
 <!DOCTYPE html>
 <html lang="en">
@@ -354,6 +269,8 @@ class FormspreeService {
         .submit-btn:hover { background-color: #1e3d6f; }
         .section { margin: 30px 0; padding: 20px; border: 1px solid #eee; border-radius: 8px; }
         .section h3 { margin-top: 0; color: #2c5aa0; }
+        .choice { display: block; font-weight: normal; }
+        .choice input { width: auto; margin-right: 8px; }
     </style>
 </head>
 <body>
@@ -361,78 +278,7 @@ class FormspreeService {
     <p>Welcome to ${process.env.CLINIC_NAME}. Please fill out this form to help us prepare for your visit.</p>
     
     <form action="https://formspree.io/f/${this.formId}" method="POST">
-        <div class="section">
-            <h3>Personal Information</h3>
-            <div class="form-group">
-                <label for="fullName">Full Name <span class="required">*</span></label>
-                <input type="text" id="fullName" name="fullName" required>
-            </div>
-            <div class="form-group">
-                <label for="email">Email Address <span class="required">*</span></label>
-                <input type="email" id="email" name="email" required>
-            </div>
-            <div class="form-group">
-                <label for="phone">Phone Number</label>
-                <input type="tel" id="phone" name="phone">
-            </div>
-            <div class="form-group">
-                <label for="dob">Date of Birth <span class="required">*</span></label>
-                <input type="date" id="dob" name="dob" required>
-            </div>
-            <div class="form-group">
-                <label for="address">Address</label>
-                <input type="text" id="address" name="address">
-            </div>
-        </div>
-
-        <div class="section">
-            <h3>Medical Information</h3>
-            <div class="form-group">
-                <label for="reasonForVisit">Reason for Visit <span class="required">*</span></label>
-                <textarea id="reasonForVisit" name="reasonForVisit" rows="4" required></textarea>
-            </div>
-            <div class="form-group">
-                <label for="currentMedications">Current Medications</label>
-                <textarea id="currentMedications" name="currentMedications" rows="3"></textarea>
-            </div>
-            <div class="form-group">
-                <label for="allergies">Allergies</label>
-                <textarea id="allergies" name="allergies" rows="2"></textarea>
-            </div>
-            <div class="form-group">
-                <label for="pastConditions">Past Medical Conditions</label>
-                <textarea id="pastConditions" name="pastConditions" rows="3"></textarea>
-            </div>
-        </div>
-
-        <div class="section">
-            <h3>Insurance Information</h3>
-            <div class="form-group">
-                <label for="insuranceProvider">Insurance Provider</label>
-                <input type="text" id="insuranceProvider" name="insuranceProvider">
-            </div>
-            <div class="form-group">
-                <label for="insuranceId">Insurance ID/Policy Number</label>
-                <input type="text" id="insuranceId" name="insuranceId">
-            </div>
-        </div>
-
-        <div class="section">
-            <h3>Emergency Contact</h3>
-            <div class="form-group">
-                <label for="emergencyContact">Emergency Contact Name</label>
-                <input type="text" id="emergencyContact" name="emergencyContact">
-            </div>
-            <div class="form-group">
-                <label for="emergencyPhone">Emergency Contact Phone</label>
-                <input type="tel" id="emergencyPhone" name="emergencyPhone">
-            </div>
-        </div>
-
-        <div class="form-group">
-            <label for="additionalNotes">Additional Notes</label>
-            <textarea id="additionalNotes" name="additionalNotes" rows="3"></textarea>
-        </div>
+        ${renderIntakeFields(definition)}
 
         <button type="submit" class="submit-btn">Submit Intake Form</button>
     </form>
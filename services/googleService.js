@@ -1,31 +1,51 @@
 const { google } = require('googleapis');
-const winston = require('winston');
+const { createLogger } = require('./logger');
+const { formValue } = require('./intakeSchema');
+const { DEFAULT_FORM, formColumns } = require('./intakeFormService');
+
+const INTAKE_SHEET = 'Patient Intake';
+
+// The intake sheet's original columns (after Timestamp) stay first so rows added
+// before forms were configurable still line up. Questions added to the form get
+// columns after these, in the order they were first asked.
+const INTAKE_SHEET_COLUMNS = [
+  { name: 'fullName', label: 'Full Name' },
+  { name: 'dob', label: 'DOB' },
+  { name: 'email', label: 'Email' },
+  { name: 'phone', label: 'Phone' },
+  { name: 'address', label: 'Address' },
+  { name: 'reasonForVisit', label: 'Reason for Visit' },
+  { name: 'currentMedications', label: 'Current Medications' },
+  { name: 'allergies', label: 'Allergies' },
+  { name: 'pastConditions', label: 'Past Conditions' },
+  { name: 'insuranceProvider', label: 'Insurance Provider' },
+  { name: 'insuranceId', label: 'Insurance ID' },
+  { name: 'emergencyContact', label: 'Emergency Contact' },
+  { name: 'emergencyPhone', label: 'Emergency Phone' },
+  { name: 'formId', label: 'Form ID' },
+  { name: 'appointmentDate', label: 'Appointment Date' },
+  { name: 'appointmentTime', label: 'Appointment Time' },
+  { name: 'status', label: 'Status' },
+  { name: 'formVersion', label: 'Form Version' }
+];
+
+/**
+ * Sheet column letters for a 1-based column number (1 -> A, 27 -> AA)
+ */
+function columnLetter(number) {
+  let letters = '';
+  for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
 
 class GoogleService {
-  constructor() {
-    // Configure logging for Vercel environment
-    const transports = [
-      new winston.transports.Console()
-    ];
-    
-    // Only add file transport if not in Vercel
-    if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
-      try {
-        transports.push(new winston.transports.File({ filename: './logs/google-service.log' }));
-      } catch (error) {
-        // File system not available, continue with console only
-      }
-    }
-    
-    this.logger = winston.createLogger({
-      level: 'info',
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-      ),
-      defaultMeta: { service: 'google-service' },
-      transports: transports
-    });
+  constructor(intakeFormService = null) {
+    this.intakeFormService = intakeFormService;
+    this.intakeHeaders = null;
+
+    this.logger = createLogger('google-service', { files: './logs/google-service.log' });
 
     // Use Service Account authentication if available, otherwise fall back to OAuth
     if (process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL && process.env.GOOGLE_PRIVATE_KEY) {
@@ -60,20 +80,75 @@ class GoogleService {
     this.calendar = google.calendar({ version: 'v3', auth: this.auth });
   }
 
+  /**
+   * The intake sheet columns: the original columns, then every question the intake
+   * forms have added (see IntakeFormService.getColumns)
+   */
+  async getIntakeColumns() {
+    const formQuestions = this.intakeFormService ? await this.intakeFormService.getColumns() : formColumns(DEFAULT_FORM);
+    return INTAKE_SHEET_COLUMNS.concat(formQuestions.filter(question => !INTAKE_SHEET_COLUMNS.some(column => column.name === question.name)));
+  }
+
+  /**
+   * Widen the intake sheet to at least `columnCount` columns. Sheets created before
+   * forms were configurable only have 20, and writes past the grid are rejected.
+   */
+  async ensureIntakeColumns(columnCount) {
+    const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+    const { data } = await this.sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties' });
+    const sheet = (data.sheets || []).map(entry => entry.properties).find(properties => properties.title === INTAKE_SHEET);
+    if (!sheet) return;
+
+    const current = (sheet.gridProperties && sheet.gridProperties.columnCount) || 0;
+    if (current >= columnCount) return;
+
+    await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [{
+          // Leave room for a few more questions before the next resize
+          appendDimension: { sheetId: sheet.sheetId, dimension: 'COLUMNS', length: columnCount - current + 10 }
+        }]
+      }
+    });
+    this.logger.info(`Widened ${INTAKE_SHEET} from ${current} to ${columnCount + 10} columns`);
+  }
+
+  /**
+   * Write the intake sheet's header row if the columns changed since it was last written
+   */
+  async syncIntakeHeaders(columns) {
+    const headers = ['Timestamp', ...columns.map(column => column.label)];
+    if (this.intakeHeaders && this.intakeHeaders.join('\n') === headers.join('\n')) return;
+
+    await this.ensureIntakeColumns(headers.length);
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: process.env.GOOGLE_SHEET_ID,
+      range: `${INTAKE_SHEET}!A1:${columnLetter(headers.length)}1`,
+      valueInputOption: 'RAW',
+      resource: {
+        values: [headers]
+      }
+    });
+    this.intakeHeaders = headers;
+  }
+
   /**
    * Initialize Google Sheets with required headers
    */
   async initializeSheets() {
     try {
       const sheetId = process.env.GOOGLE_SHEET_ID;
+      const intakeColumns = await this.getIntakeColumns();
       
       // Define sheet structure
       const requests = [
         {
           addSheet: {
             properties: {
-              title: 'Patient Intake',
-              gridProperties: { rowCount: 1000, columnCount: 20 }
+              title: INTAKE_SHEET,
+              // Room for questions added to the intake form later
+              gridProperties: { rowCount: 1000, columnCount: Math.max(50, intakeColumns.length + 10) }
             }
           }
         },
@@ -109,7 +184,7 @@ class GoogleService {
       });
 
       // Add headers to each sheet
-      await this.addSheetHeaders();
+      await this.addSheetHeaders(intakeColumns);
       
       this.logger.info('Google Sheets initialized successfully');
     } catch (error) {
@@ -121,16 +196,16 @@ class GoogleService {
   /**
    * Add headers to all sheets
    */
-  async addSheetHeaders() {
+  async addSheetHeaders(intakeColumns = null) {
     const sheetId = process.env.GOOGLE_SHEET_ID;
+
+    try {
+      await this.syncIntakeHeaders(intakeColumns || await this.getIntakeColumns());
+    } catch (error) {
+      this.logger.error(`Error adding headers to ${INTAKE_SHEET}`, { error: error.message });
+    }
     
     const headers = {
-      'Patient Intake': [
-        'Timestamp', 'Full Name', 'DOB', 'Email', 'Phone', 'Address', 
-        'Reason for Visit', 'Current Medications', 'Allergies', 'Past Conditions',
-        'Insurance Provider', 'Insurance ID', 'Emergency Contact', 'Emergency Phone',
-        'Form ID', 'Appointment Date', 'Appointment Time', 'Status'
-      ],
       'Appointments': [
         'Timestamp', 'Patient Name', 'Email', 'Phone', 'Appointment Date', 
         'Appointment Time', 'Visit Type', 'Status', 'Calendly Event ID',
@@ -152,7 +227,7 @@ class GoogleService {
       try {
         await this.sheets.spreadsheets.values.update({
           spreadsheetId: sheetId,
-          range: `${sheetName}!A1:${String.fromCharCode(65 + headerRow.length - 1)}1`,
+          range: `${sheetName}!A1:${columnLetter(headerRow.length)}1`,
           valueInputOption: 'RAW',
           resource: {
             values: [headerRow]
@@ -165,37 +240,23 @@ class GoogleService {
   }
 
   /**
-   * Add patient intake data to Google Sheets
+   * Add patient intake data to Google Sheets, one column per intake sheet column
    */
   async addPatientIntake(formData) {
     try {
       const sheetId = process.env.GOOGLE_SHEET_ID;
       const timestamp = new Date().toISOString();
+      const columns = await this.getIntakeColumns();
+      await this.syncIntakeHeaders(columns);
       
       const rowData = [
         timestamp,
-        formData.fullName || '',
-        formData.dob || '',
-        formData.email || '',
-        formData.phone || '',
-        formData.address || '',
-        formData.reasonForVisit || '',
-        formData.currentMedications || '',
-        formData.allergies || '',
-        formData.pastConditions || '',
-        formData.insuranceProvider || '',
-        formData.insuranceId || '',
-        formData.emergencyContact || '',
-        formData.emergencyPhone || '',
-        formData.formId || '',
-        formData.appointmentDate || '',
-        formData.appointmentTime || '',
-        'New'
+        ...columns.map(column => (column.name === 'status' ? 'New' : formValue(formData, column.name)))
       ];
 
       await this.sheets.spreadsheets.values.append({
         spreadsheetId: sheetId,
-        range: 'Patient Intake!A:T',
+        range: `${INTAKE_SHEET}!A:${columnLetter(rowData.length)}`,
         valueInputOption: 'RAW',
         resource: {
           values: [rowData]
@@ -233,7 +294,7 @@ class GoogleService {
         appointmentData.appointmentDate || '',
         appointmentData.appointmentTime || '',
         appointmentData.visitType || '',
-        'Scheduled',
+        appointmentData.status || 'Scheduled',
         appointmentData.calendlyEventId || '',
         appointmentData.googleCalendarEventId || '',
         'No',
@@ -352,26 +413,84 @@ class GoogleService {
   }
 
   /**
-   * Update appointment reminder status
+   * Find the Appointments sheet row for a Calendly event ID
    */
-  async updateReminderStatus(appointmentId, sent = true) {
+  async findAppointmentRow(calendlyEventId) {
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: process.env.GOOGLE_SHEET_ID,
+      range: 'Appointments!A:M'
+    });
+
+    const rows = response.data.values || [];
+    for (let i = 1; i < rows.length; i++) {
+      if (rows[i][8] === calendlyEventId) { // Calendly Event ID column
+        return { rowIndex: i + 1, row: rows[i] }; // Google Sheets is 1-indexed
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Update an appointment's row in Google Sheets, keyed by its Calendly event ID.
+   * Appends a new row if the appointment was never written to the sheet.
+   */
+  async updateAppointment(calendlyEventId, appointmentData) {
     try {
-      const sheetId = process.env.GOOGLE_SHEET_ID;
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: 'Appointments!A:M'
-      });
+      const match = await this.findAppointmentRow(calendlyEventId);
+      if (!match) {
+        return await this.addAppointment(appointmentData);
+      }
 
-      const rows = response.data.values || [];
-      let rowIndex = -1;
+      const row = match.row;
+      const value = (field, index) => (appointmentData[field] !== undefined ? appointmentData[field] : row[index] || '');
+      const rowData = [
+        row[0] || new Date().toISOString(),
+        value('patientName', 1),
+        value('email', 2),
+        value('phone', 3),
+        value('appointmentDate', 4),
+        value('appointmentTime', 5),
+        value('visitType', 6),
+        value('status', 7),
+        value('calendlyEventId', 8),
+        value('googleCalendarEventId', 9),
+        row[10] || 'No',
+        row[11] || 'No',
+        value('notes', 12)
+      ];
 
-      // Find the row with the matching appointment
-      for (let i = 1; i < rows.length; i++) {
-        if (rows[i][8] === appointmentId) { // Calendly Event ID column
-          rowIndex = i + 1; // Google Sheets is 1-indexed
-          break;
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: process.env.GOOGLE_SHEET_ID,
+        range: `Appointments!A${match.rowIndex}:M${match.rowIndex}`,
+        valueInputOption: 'RAW',
+        resource: {
+          values: [rowData]
         }
-      }
+      });
+
+      this.logger.info('Appointment row updated in Google Sheets', {
+        calendlyEventId,
+        status: rowData[7]
+      });
+
+      return { success: true, rowIndex: match.rowIndex };
+    } catch (error) {
+      this.logger.error('Error updating appointment in Google Sheets', {
+        error: error.message,
+        calendlyEventId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update appointment reminder status
+   */
+  async updateReminderStatus(appointmentId, sent = true) {
+    try {
+      const sheetId = process.env.GOOGLE_SHEET_ID;
+      const match = await this.findAppointmentRow(appointmentId);
+      const rowIndex = match ? match.rowIndex : -1;
 
       if (rowIndex > 0) {
         await this.sheets.spreadsheets.values.update({
@@ -460,17 +579,12 @@ class GoogleService {
    */
   async createCalendarEvent(eventData) {
     try {
+      const { start, end } = this.getEventTimes(eventData);
       const event = {
         summary: `${eventData.patientName} - ${eventData.visitType}`,
         description: `Patient: ${eventData.patientName}\nEmail: ${eventData.email}\nPhone: ${eventData.phone}\nReason: ${eventData.reasonForVisit || 'Not specified'}`,
-        start: {
-          dateTime: new Date(`${eventData.appointmentDate}T${eventData.appointmentTime}`).toISOString(),
-          timeZone: 'America/New_York'
-        },
-        end: {
-          dateTime: new Date(new Date(`${eventData.appointmentDate}T${eventData.appointmentTime}`).getTime() + 60 * 60 * 1000).toISOString(),
-          timeZone: 'America/New_York'
-        },
+        start: start,
+        end: end,
         attendees: [
           { email: eventData.email }
         ],
@@ -502,6 +616,73 @@ class GoogleService {
       throw error;
     }
   }
+
+  /**
+   * Start and end times for a calendar event. Calendly bookings carry exact
+   * start/end timestamps; intake forms only have a date and time (one hour slot).
+   */
+  getEventTimes(eventData) {
+    const start = eventData.startTime
+      ? new Date(eventData.startTime)
+      : new Date(`${eventData.appointmentDate}T${eventData.appointmentTime}`);
+    const end = eventData.endTime
+      ? new Date(eventData.endTime)
+      : new Date(start.getTime() + 60 * 60 * 1000);
+
+    return {
+      start: { dateTime: start.toISOString(), timeZone: 'America/New_York' },
+      end: { dateTime: end.toISOString(), timeZone: 'America/New_York' }
+    };
+  }
+
+  /**
+   * Move a Google Calendar event to a new time
+   */
+  async updateCalendarEvent(eventId, eventData) {
+    try {
+      const { start, end } = this.getEventTimes(eventData);
+      const response = await this.calendar.events.patch({
+        calendarId: process.env.GOOGLE_CALENDAR_ID,
+        eventId: eventId,
+        resource: { start, end }
+      });
+
+      this.logger.info('Google Calendar event updated', {
+        eventId: eventId,
+        start: start.dateTime
+      });
+
+      return response.data;
+    } catch (error) {
+      this.logger.error('Error updating Google Calendar event', {
+        error: error.message,
+        eventId: eventId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a Google Calendar event
+   */
+  async cancelCalendarEvent(eventId) {
+    try {
+      const response = await this.calendar.events.patch({
+        calendarId: process.env.GOOGLE_CALENDAR_ID,
+        eventId: eventId,
+        resource: { status: 'cancelled' }
+      });
+
+      this.logger.info('Google Calendar event canceled', { eventId: eventId });
+      return response.data;
+    } catch (error) {
+      this.logger.error('Error canceling Google Calendar event', {
+        error: error.message,
+        eventId: eventId
+      });
+      throw error;
+    }
+  }
 }
 
 module.exports = GoogleService;
@@ -0,0 +1,120 @@
+const { createLogger } = require('./logger');
+const PhiEncryption = require('./phiEncryption');
+
+const COLLECTION = 'webhook_events';
+
+// Calendly retries failed deliveries for 24 hours; keep keys a good while longer
+const DEFAULT_TTL_HOURS = 72;
+// A delivery still "processing" after this long is assumed dead and can be taken over
+const DEFAULT_LEASE_SECONDS = 120;
+
+// Stored responses can echo submitted data
+const RESPONSE_PHI_FIELDS = ['response'];
+
+/**
+ * Remembers which provider events have been processed so retried webhook
+ * deliveries return the original result instead of repeating side effects
+ */
+class IdempotencyService {
+  constructor(store, encryption = new PhiEncryption()) {
+    this.store = store;
+    this.encryption = encryption;
+    this.ttlHours = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS;
+    this.leaseSeconds = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || DEFAULT_LEASE_SECONDS;
+
+    this.logger = createLogger('idempotency-service');
+  }
+
+  /**
+   * Claim an event key. Returns { duplicate: false } for a first delivery (or a takeover
+   * of one whose processing lease ran out), or { duplicate: true, record } when the key
+   * was already seen. The key is inserted with a unique constraint, so of two concurrent
+   * deliveries only one claims it.
+   */
+  async begin(key, { provider, requestId } = {}) {
+    const now = new Date();
+    const existing = await this.store.findOne(COLLECTION, { key });
+
+    if (existing) {
+      if (new Date(existing.expiresAt) > now) {
+        if (existing.status !== 'processing' || !this.isStale(existing, now)) {
+          return { duplicate: true, record: this.encryption.open(existing) };
+        }
+
+        // The delivery that claimed the key never finished (e.g. its instance died)
+        const taken = await this.store.updateOne(COLLECTION, { key, status: 'processing', startedAt: existing.startedAt }, {
+          startedAt: now.toISOString(),
+          requestId: requestId || null
+        });
+        if (taken) {
+          this.logger.warn(`Took over idempotency key ${key} after its processing lease ran out`, { originalRequestId: existing.requestId });
+          return { duplicate: false };
+        }
+        return this.claimedElsewhere(key);
+      }
+      // Expired keys are treated as new events
+      await this.store.deleteOne(COLLECTION, { key, expiresAt: existing.expiresAt });
+    }
+
+    const inserted = await this.store.insertUnique(COLLECTION, {
+      key,
+      provider: provider || null,
+      status: 'processing',
+      requestId: requestId || null,
+      receivedAt: now.toISOString(),
+      startedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlHours * 60 * 60 * 1000).toISOString()
+    }, 'key');
+
+    return inserted ? { duplicate: false } : this.claimedElsewhere(key);
+  }
+
+  /**
+   * Whether a processing claim has outlived its lease
+   */
+  isStale(record, now = new Date()) {
+    const startedAt = new Date(record.startedAt || record.receivedAt);
+    return now.getTime() - startedAt.getTime() > this.leaseSeconds * 1000;
+  }
+
+  /**
+   * The duplicate result for a key another delivery claimed first
+   */
+  async claimedElsewhere(key) {
+    const record = await this.store.findOne(COLLECTION, { key });
+    // Released again in the meantime: still ask the provider to retry later
+    return { duplicate: true, record: record ? this.encryption.open(record) : { key, status: 'processing' } };
+  }
+
+  /**
+   * Store the response for a processed event so repeats can replay it
+   */
+  async complete(key, statusCode, response) {
+    await this.store.updateOne(COLLECTION, { key }, this.encryption.seal({
+      status: 'completed',
+      statusCode,
+      response,
+      completedAt: new Date().toISOString()
+    }, RESPONSE_PHI_FIELDS));
+  }
+
+  /**
+   * Forget a claimed key after a failure so the provider's retry is processed
+   */
+  async release(key) {
+    await this.store.deleteOne(COLLECTION, { key });
+  }
+
+  /**
+   * Delete expired keys
+   */
+  async purgeExpired() {
+    const deleted = await this.store.deleteMany(COLLECTION, { expiresAt: { $lt: new Date().toISOString() } });
+    if (deleted > 0) {
+      this.logger.info(`Purged ${deleted} expired idempotency keys`);
+    }
+    return deleted;
+  }
+}
+
+module.exports = IdempotencyService;
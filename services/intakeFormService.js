@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { ValidationError } = require('../middleware/errorHandler');
+const { INTAKE_FIELDS, formFields, fieldsFor, validateIntake } = require('./intakeSchema');
+
+const COLLECTION = 'intake_forms';
+
+const FIELD_TYPES = ['text', 'textarea', 'email', 'tel', 'date', 'select', 'radio', 'checkbox'];
+const CHOICE_TYPES = ['select', 'radio'];
+const FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+
+// Every form asks these, unconditionally: patient matching, consent and triage need them
+const CORE_FIELDS = INTAKE_FIELDS.filter(field => field.required).map(field => field.name);
+
+// Names taken by the consent, spam-check and CSRF fields on the same page, and by
+// where the answers are stored
+const RESERVED_NAMES = ['consents', 'consentSignature', 'formToken', 'website', '_gotcha', '_csrf', 'formVersion', 'responses'];
+
+// Version 1, published the first time a form is needed: the questions the intake form has always asked
+const DEFAULT_FORM = {
+  sections: [
+    {
+      title: 'Personal Information',
+      icon: '👤',
+      fields: [
+        { name: 'fullName', label: 'Full Name', type: 'text', required: true },
+        { name: 'email', label: 'Email Address', type: 'email', required: true },
+        { name: 'phone', label: 'Phone Number', type: 'tel' },
+        { name: 'dob', label: 'Date of Birth', type: 'date', required: true },
+        { name: 'address', label: 'Address', type: 'text', placeholder: 'Street Address' }
+      ]
+    },
+    {
+      title: 'Medical Information',
+      icon: '🏥',
+      fields: [
+        { name: 'reasonForVisit', label: 'Reason for Visit', type: 'textarea', required: true, rows: 4, placeholder: 'Please describe your symptoms, concerns, or reason for the visit...' },
+        { name: 'currentMedications', label: 'Current Medications', type: 'textarea', rows: 3, placeholder: 'List all medications you are currently taking, including dosages...' },
+        { name: 'allergies', label: 'Allergies', type: 'textarea', rows: 2, placeholder: 'List any allergies to medications, foods, or other substances...' },
+        { name: 'pastConditions', label: 'Past Medical Conditions', type: 'textarea', rows: 3, placeholder: 'List any past or current medical conditions...' }
+      ]
+    },
+    {
+      title: 'Insurance Information',
+      icon: '💳',
+      fields: [
+        { name: 'insuranceProvider', label: 'Insurance Provider', type: 'text', placeholder: 'e.g., Blue Cross Blue Shield' },
+        { name: 'insuranceId', label: 'Insurance ID/Policy Number', type: 'text', placeholder: 'Your insurance policy number' }
+      ]
+    },
+    {
+      title: 'Emergency Contact',
+      icon: '🚨',
+      fields: [
+        { name: 'emergencyContact', label: 'Emergency Contact Name', type: 'text', placeholder: 'Full name of emergency contact' },
+        { name: 'emergencyPhone', label: 'Emergency Contact Phone', type: 'tel', placeholder: 'Phone number of emergency contact' }
+      ]
+    },
+    {
+      fields: [
+        { name: 'additionalNotes', label: 'Additional Notes', type: 'textarea', rows: 3, placeholder: "Any additional information you'd like to share with your doctor..." }
+      ]
+    }
+  ]
+};
+
+const optionalText = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+/**
+ * Check a form definition and return it with only the supported properties.
+ * Throws a ValidationError naming the first problem.
+ */
+function cleanDefinition(definition) {
+  if (!definition || !Array.isArray(definition.sections) || definition.sections.length === 0) {
+    throw new ValidationError('A form definition needs a "sections" list');
+  }
+
+  const names = [];
+  const sections = definition.sections.map((section, index) => {
+    if (!section || !Array.isArray(section.fields) || section.fields.length === 0) {
+      throw new ValidationError(`Section ${index + 1} needs a "fields" list`);
+    }
+
+    const fields = section.fields.map(field => {
+      const name = field && field.name;
+      if (!FIELD_NAME_PATTERN.test(name || '')) {
+        throw new ValidationError(`Invalid field name "${name}". Use letters, digits and underscores, starting with a letter`);
+      }
+      if (RESERVED_NAMES.includes(name)) {
+        throw new ValidationError(`The field name "${name}" is reserved`);
+      }
+      if (names.includes(name)) {
+        throw new ValidationError(`The field "${name}" appears more than once`);
+      }
+
+      const type = field.type || 'text';
+      if (!FIELD_TYPES.includes(type)) {
+        throw new ValidationError(`Invalid type "${type}" for "${name}". Expected one of: ${FIELD_TYPES.join(', ')}`);
+      }
+      if (!optionalText(field.label)) {
+        throw new ValidationError(`The field "${name}" needs a label`);
+      }
+
+      const cleaned = { name, label: optionalText(field.label), type, required: field.required === true };
+      if (optionalText(field.placeholder)) cleaned.placeholder = optionalText(field.placeholder);
+      if (type === 'textarea' && field.rows) cleaned.rows = Math.min(Math.max(parseInt(field.rows) || 3, 1), 20);
+
+      if (CHOICE_TYPES.includes(type)) {
+        const options = Array.isArray(field.options) ? field.options.map(optionalText).filter(Boolean) : [];
+        if (options.length === 0 || new Set(options).size !== options.length) {
+          throw new ValidationError(`The field "${name}" needs a list of distinct options`);
+        }
+        cleaned.options = options;
+      } else if (field.options) {
+        throw new ValidationError(`Only select and radio fields have options ("${name}")`);
+      }
+
+      if (field.showIf) {
+        const { field: controlling, equals } = field.showIf;
+        const values = [].concat(equals === undefined ? [] : equals).map(optionalText);
+        if (!names.includes(controlling)) {
+          throw new ValidationError(`"${name}" can only depend on a field that comes before it`);
+        }
+        if (values.length === 0) {
+          throw new ValidationError(`The condition on "${name}" needs the value(s) to show it for`);
+        }
+        cleaned.showIf = { field: controlling, equals: values.length === 1 ? values[0] : values };
+      }
+
+      names.push(name);
+      return cleaned;
+    });
+
+    const cleanedSection = { fields };
+    if (optionalText(section.title)) cleanedSection.title = optionalText(section.title);
+    if (optionalText(section.icon)) cleanedSection.icon = optionalText(section.icon);
+    return cleanedSection;
+  });
+
+  const asked = formFields({ sections });
+  CORE_FIELDS.forEach(name => {
+    const field = asked.find(entry => entry.name === name);
+    if (!field || !field.required || field.showIf) {
+      throw new ValidationError(`Every form must ask "${name}" as a required question without a condition`);
+    }
+  });
+
+  return { sections };
+}
+
+/**
+ * The export columns for a form: one per question, in form order
+ */
+function formColumns(definition) {
+  return formFields(definition).map(field => ({ name: field.name, label: field.label }));
+}
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * The input for one question
+ */
+function renderInput(question, field) {
+  const name = escapeHtml(question.name);
+  const attributes = [
+    `name="${name}"`,
+    field.required ? 'required' : '',
+    field.maxLength ? `maxlength="${field.maxLength}"` : '',
+    question.placeholder ? `placeholder="${escapeHtml(question.placeholder)}"` : ''
+  ].filter(Boolean).join(' ');
+
+  switch (question.type) {
+    case 'textarea':
+      return `<textarea id="${name}" ${attributes} rows="${question.rows || 3}"></textarea>`;
+    case 'select':
+      return `<select id="${name}" ${attributes}>
+                        <option value="">Select...</option>
+                        ${question.options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('\n                        ')}
+                    </select>`;
+    case 'radio':
+      return question.options.map((option, index) => `<label class="choice"><input type="radio" id="${index === 0 ? name : `${name}_${index}`}" name="${name}" value="${escapeHtml(option)}" ${field.required ? 'required' : ''}> ${escapeHtml(option)}</label>`).join('\n                    ');
+    case 'checkbox':
+      return `<label class="choice"><input type="checkbox" id="${name}" name="${name}" value="Yes" ${field.required ? 'required' : ''}> ${escapeHtml(question.label)}</label>`;
+    default:
+      return `<input type="${question.type || 'text'}" id="${name}" ${attributes}>`;
+  }
+}
+
+/**
+ * The fields of a form as HTML, for inside a <form>: each section with its questions,
+ * the form version (stored with the submission), and a small script that shows and
+ * hides conditional questions. Hidden questions are disabled so they aren't submitted.
+ */
+function renderIntakeFields(definition) {
+  const fields = fieldsFor(definition);
+
+  const sections = definition.sections.map(section => {
+    const groups = section.fields.map(question => {
+      const field = fields.find(entry => entry.name === question.name);
+      const condition = question.showIf ? ` data-show-if="${escapeHtml(JSON.stringify(question.showIf))}" hidden` : '';
+      const label = question.type === 'checkbox'
+        ? ''
+        : `<label for="${escapeHtml(question.name)}">${escapeHtml(question.label)}${field.required ? ' <span class="required">*</span>' : ''}</label>\n                    `;
+      return `
+                <div class="form-group"${condition}>
+                    ${label}${renderInput(question, field)}
+                </div>`;
+    }).join('');
+
+    return section.title
+      ? `
+            <div class="section">
+                <h3>${section.icon ? `${escapeHtml(section.icon)} ` : ''}${escapeHtml(section.title)}</h3>${groups}
+            </div>`
+      : groups;
+  }).join('\n');
+
+  return `<input type="hidden" name="formVersion" value="${escapeHtml(definition.version || '')}">
+${sections}
+            <script>
+                // Show a conditional question only when the answer it depends on matches
+                (function () {
+                    const form = document.currentScript.closest('form');
+                    const answer = (name) => {
+                        const control = form.elements[name];
+                        if (!control) return '';
+                        const first = control instanceof RadioNodeList ? control[0] : control;
+                        if (first.disabled) return '';
+                        if (first.type === 'checkbox') return first.checked ? first.value : '';
+                        return control.value;
+                    };
+                    const update = () => form.querySelectorAll('[data-show-if]').forEach(group => {
+                        const condition = JSON.parse(group.dataset.showIf);
+                        const shown = [].concat(condition.equals).includes(answer(condition.field));
+                        group.hidden = !shown;
+                        group.querySelectorAll('input, select, textarea').forEach(input => { input.disabled = !shown; });
+                    });
+                    form.addEventListener('change', update);
+                    form.addEventListener('input', update);
+                    form.addEventListener('reset', () => setTimeout(update));
+                    update();
+                })();
+            </script>`;
+}
+
+/**
+ * Intake forms that admins define as JSON: sections of questions with types, required
+ * flags and conditions. The patient form and the Formspree form are rendered from the
+ * current version, submissions are validated against the version they were filled in
+ * on, and the Sheets and Excel columns follow the questions. Publishing never changes
+ * an earlier version.
+ */
+class IntakeFormService {
+  constructor(store, auditService = null) {
+    this.store = store;
+    this.auditService = auditService;
+    this.defaultReady = null;
+
+    this.logger = createLogger('intake-form-service');
+  }
+
+  /**
+   * Publish version 1 of the default form if no form exists yet (once per process)
+   */
+  async ensureDefault() {
+    if (!this.defaultReady) {
+      this.defaultReady = (async () => {
+        if (await this.store.count(COLLECTION) > 0) return;
+        await this.publish(DEFAULT_FORM, { user: 'system' });
+      })().catch(error => {
+        this.defaultReady = null;
+        throw error;
+      });
+    }
+    return this.defaultReady;
+  }
+
+  /**
+   * The current (latest) form version
+   */
+  async getCurrent() {
+    await this.ensureDefault();
+    return this.store.findOne(COLLECTION, {}, { sort: { version: -1 } });
+  }
+
+  /**
+   * A form version, or the current version if there is no such version
+   */
+  async getVersion(version) {
+    const number = parseInt(version);
+    const form = isNaN(number) ? null : await this.store.findOne(COLLECTION, { version: number });
+    return form || this.getCurrent();
+  }
+
+  /**
+   * Every form version, newest first
+   */
+  async listVersions() {
+    await this.ensureDefault();
+    return this.store.find(COLLECTION, {}, { sort: { version: -1 } });
+  }
+
+  /**
+   * Publish a new form version from a definition (an object, or JSON text from the
+   * admin page). New intake forms use it; submissions keep the version they were filled in on.
+   */
+  async publish(definition, context = {}) {
+    if (typeof definition === 'string') {
+      try {
+        definition = JSON.parse(definition);
+      } catch (error) {
+        throw new ValidationError(`The form definition is not valid JSON: ${error.message}`);
+      }
+    }
+    const { sections } = cleanDefinition(definition);
+
+    try {
+      const latest = await this.store.findOne(COLLECTION, {}, { sort: { version: -1 } });
+      const form = {
+        id: `form_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        version: latest ? latest.version + 1 : 1,
+        sections,
+        publishedBy: context.user || null,
+        publishedAt: new Date().toISOString()
+      };
+
+      await this.store.insertOne(COLLECTION, form);
+      this.logger.info(`Published intake form version ${form.version}`, { formId: form.id });
+
+      if (this.auditService) {
+        await this.auditService.record({
+          action: 'intake_form.publish',
+          context: context,
+          details: { formId: form.id, version: form.version, fields: formFields(form).length }
+        });
+      }
+
+      return form;
+    } catch (error) {
+      this.logger.error('Error publishing intake form:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export columns: every question any form version has asked, in the order they
+   * first appeared, with the latest label. Removing a question keeps its column so
+   * earlier submissions still export.
+   */
+  async getColumns() {
+    const versions = await this.listVersions();
+    const columns = new Map();
+    versions.slice().reverse().forEach(form => {
+      formColumns(form).forEach(column => columns.set(column.name, column));
+    });
+    return Array.from(columns.values());
+  }
+
+  /**
+   * Validate a submission against the form version it was filled in on (the
+   * `formVersion` field, else the current version). Returns the standard intake
+   * fields plus `formVersion` and `responses`, the answers to the form's own questions.
+   */
+  async validateSubmission(formData) {
+    const form = await this.getVersion(formData.formVersion);
+    const intake = validateIntake(formData, fieldsFor(form));
+
+    const responses = {};
+    formFields(form)
+      .filter(question => !INTAKE_FIELDS.some(field => field.name === question.name))
+      .forEach(question => {
+        responses[question.name] = intake[question.name];
+        delete intake[question.name];
+      });
+
+    return { ...intake, formVersion: form.version, responses };
+  }
+}
+
+module.exports = IntakeFormService;
+module.exports.DEFAULT_FORM = DEFAULT_FORM;
+module.exports.FIELD_TYPES = FIELD_TYPES;
+module.exports.formColumns = formColumns;
+module.exports.renderIntakeFields = renderIntakeFields;
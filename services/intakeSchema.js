@@ -0,0 +1,293 @@
+const Joi = require('joi');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,20}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+
+/**
+ * The standard intake fields: the ones patient records, encounters, matching and
+ * triage know about. Admin-defined forms (see intakeFormService) choose which of
+ * these to ask and can add their own questions; fieldsFor() merges a form with this
+ * list. The result drives server-side validation (/test-form and the Formspree
+ * webhook), normalization, and the checks the intake form runs in the browser.
+ *
+ * - aliases: other names the field arrives under (Formspree forms vary)
+ * - pattern + format: the accepted format and how to describe it to the patient
+ * - date: 'past' for dates that can't be in the future, 'any' for any valid date
+ * - normalize: one of the normalizers below, applied before validation
+ * - options: the accepted values (select, radio and checkbox questions)
+ * - showIf: { field, equals } - only asked, and only validated, when that earlier
+ *   field has one of the `equals` values
+ */
+const INTAKE_FIELDS = [
+  { name: 'fullName', label: 'Full name', required: true, minLength: 2, maxLength: 100, aliases: ['name'], normalize: 'name' },
+  { name: 'email', label: 'Email address', required: true, maxLength: 254, pattern: EMAIL_PATTERN, format: 'a valid email address', normalize: 'email' },
+  { name: 'phone', label: 'Phone number', pattern: PHONE_PATTERN, format: 'a phone number such as (305) 555-0123', aliases: ['phoneNumber'], normalize: 'phone' },
+  { name: 'dob', label: 'Date of birth', required: true, date: 'past', aliases: ['dateOfBirth'], normalize: 'date' },
+  { name: 'address', label: 'Address', maxLength: 200, aliases: ['streetAddress'] },
+  { name: 'city', label: 'City', maxLength: 100 },
+  { name: 'state', label: 'State', maxLength: 50 },
+  { name: 'zipCode', label: 'ZIP code', pattern: ZIP_PATTERN, format: 'a 5-digit ZIP code', aliases: ['zip'] },
+  { name: 'reasonForVisit', label: 'Reason for visit', required: true, maxLength: 2000, aliases: ['reason', 'chiefComplaint'] },
+  { name: 'currentMedications', label: 'Current medications', maxLength: 2000, aliases: ['medications'] },
+  { name: 'allergies', label: 'Allergies', maxLength: 1000, aliases: ['allergy'] },
+  { name: 'pastConditions', label: 'Past medical conditions', maxLength: 2000, aliases: ['medicalHistory', 'pastMedicalHistory'] },
+  { name: 'insuranceProvider', label: 'Insurance provider', maxLength: 100, aliases: ['insurance'] },
+  { name: 'insuranceId', label: 'Insurance ID', maxLength: 50, aliases: ['policyNumber'] },
+  { name: 'emergencyContact', label: 'Emergency contact name', maxLength: 100, aliases: ['emergencyName'] },
+  { name: 'emergencyPhone', label: 'Emergency contact phone', pattern: PHONE_PATTERN, format: 'a phone number such as (305) 555-0123', aliases: ['emergencyNumber'], normalize: 'phone' },
+  { name: 'appointmentDate', label: 'Appointment date', date: 'any', normalize: 'date' },
+  { name: 'appointmentTime', label: 'Appointment time', pattern: TIME_PATTERN, format: 'a time such as 14:30' },
+  { name: 'visitType', label: 'Visit type', maxLength: 100, aliases: ['appointmentType'], default: 'General Consultation' },
+  { name: 'additionalNotes', label: 'Additional notes', maxLength: 2000, aliases: ['notes', 'comments'] }
+];
+
+const normalizers = {
+  /**
+   * Collapse spaces, and capitalize names typed all in lower or upper case
+   * ("JANE DOE" -> "Jane Doe") while leaving "McDonald" alone
+   */
+  name(value) {
+    const name = String(value || '').trim().replace(/\s+/g, ' ');
+    if (name !== name.toLowerCase() && name !== name.toUpperCase()) return name;
+    return name.toLowerCase().replace(/(^|[\s'-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+  },
+
+  /**
+   * Lower-case email address
+   */
+  email(value) {
+    return String(value || '').trim().toLowerCase();
+  },
+
+  /**
+   * Format 10-digit numbers as (XXX) XXX-XXXX; anything else is kept as typed
+   */
+  phone(value) {
+    const phone = String(value || '').trim();
+    const digits = phone.replace(/\D/g, '');
+    return digits.length === 10 ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}` : phone;
+  },
+
+  /**
+   * Dates as YYYY-MM-DD; values that can't be parsed are kept for validation to reject
+   */
+  date(value) {
+    const text = String(value || '').trim();
+    if (!text || DATE_PATTERN.test(text)) return text;
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? text : date.toISOString().split('T')[0];
+  },
+
+  /**
+   * A ticked checkbox as "Yes"; "no", "false" and "off" as unticked
+   */
+  checkbox(value) {
+    return ['', 'no', 'false', 'off', '0'].includes(String(value || '').trim().toLowerCase()) ? '' : 'Yes';
+  }
+};
+
+// Validation for questions an admin adds to a form, by field type
+const CUSTOM_FIELD_RULES = {
+  text: { maxLength: 200 },
+  textarea: { maxLength: 2000 },
+  email: { maxLength: 254, pattern: EMAIL_PATTERN, format: 'a valid email address', normalize: 'email' },
+  tel: { pattern: PHONE_PATTERN, format: 'a phone number such as (305) 555-0123', normalize: 'phone' },
+  date: { date: 'any', normalize: 'date' },
+  select: { maxLength: 200 },
+  radio: { maxLength: 200 },
+  checkbox: { options: ['Yes'], normalize: 'checkbox' }
+};
+
+/**
+ * The questions of a form definition ({ sections: [{ fields }] }), in form order
+ */
+function formFields(definition) {
+  return ((definition && definition.sections) || []).reduce((fields, section) => fields.concat(section.fields || []), []);
+}
+
+/**
+ * The fields to validate a submission of a form definition against, in form order:
+ * the form's questions (standard fields keep their own rules, and stay required if
+ * they always are), then the standard fields the form doesn't ask, which Formspree
+ * forms and the appointment links may still send.
+ */
+function fieldsFor(definition) {
+  const questions = formFields(definition);
+  const fields = questions.map(question => {
+    const standard = INTAKE_FIELDS.find(field => field.name === question.name);
+    const conditions = { showIf: question.showIf || null };
+    if (question.options) conditions.options = question.options;
+    if (standard) {
+      return { ...standard, ...conditions, required: !!standard.required || !!question.required };
+    }
+    return { ...CUSTOM_FIELD_RULES[question.type || 'text'], ...conditions, name: question.name, label: question.label, required: !!question.required };
+  });
+
+  return fields.concat(INTAKE_FIELDS.filter(field => !questions.some(question => question.name === field.name)));
+}
+
+/**
+ * Whether a field is asked given the answers so far (see showIf)
+ */
+function isShown(field, values) {
+  if (!field.showIf) return true;
+  return [].concat(field.showIf.equals).map(String).includes(values[field.showIf.field]);
+}
+
+/**
+ * The messages shown for a field, shared by the server and the browser
+ */
+function messagesFor(field) {
+  return {
+    required: `${field.label} is required`,
+    minLength: `${field.label} must be at least ${field.minLength} characters`,
+    maxLength: `${field.label} must be at most ${field.maxLength} characters`,
+    pattern: field.date ? `${field.label} must be a valid date` : `Enter ${field.format}`,
+    date: `${field.label} can't be in the future`,
+    option: `Choose one of the options for ${field.label}`
+  };
+}
+
+/**
+ * Pick each field from its name or an alias, trimmed and normalized. Unknown
+ * fields are dropped; missing optional fields are empty strings, and so are the
+ * answers to questions that weren't asked (see showIf).
+ */
+function normalizeIntake(formData = {}, fields = INTAKE_FIELDS) {
+  const intake = {};
+  fields.forEach(field => {
+    const source = [field.name, ...(field.aliases || [])]
+      .map(name => formData[name])
+      .map(value => (Array.isArray(value) ? value[0] : value))
+      .find(value => value !== undefined && value !== null && String(value).trim() !== '');
+
+    let value = source === undefined ? '' : String(source).trim();
+    if (value && field.normalize) value = normalizers[field.normalize](value);
+    intake[field.name] = value || field.default || '';
+    if (!isShown(field, intake)) intake[field.name] = '';
+  });
+  return intake;
+}
+
+/**
+ * Joi rule for one field, with the shared messages
+ */
+function fieldRule(field) {
+  const messages = messagesFor(field);
+  let rule = field.required ? Joi.string().required() : Joi.string().allow('');
+
+  if (field.minLength) rule = rule.min(field.minLength);
+  if (field.maxLength) rule = rule.max(field.maxLength);
+  if (field.pattern) rule = rule.pattern(field.pattern);
+  if (field.options) {
+    rule = rule.custom((value, helpers) => (field.options.includes(value) ? value : helpers.error('any.only')));
+  }
+  if (field.date) {
+    rule = rule.pattern(DATE_PATTERN).custom((value, helpers) => {
+      const date = new Date(`${value}T00:00:00Z`);
+      if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        return helpers.error('string.pattern.base');
+      }
+      if (field.date === 'past' && value > new Date().toISOString().slice(0, 10)) {
+        return helpers.error('date.max');
+      }
+      return value;
+    });
+  }
+
+  return rule.messages({
+    'any.required': messages.required,
+    'string.empty': messages.required,
+    'string.min': messages.minLength,
+    'string.max': messages.maxLength,
+    'string.pattern.base': messages.pattern,
+    'date.max': messages.date,
+    'any.only': messages.option
+  });
+}
+
+const intakeSchema = Joi.object(Object.fromEntries(INTAKE_FIELDS.map(field => [field.name, fieldRule(field)])));
+
+/**
+ * Normalize and validate an intake form against the standard fields, or the fields
+ * of a form definition (see fieldsFor). Returns the normalized intake fields, or
+ * throws a ValidationError whose `details` lists one { field, message } per invalid field.
+ */
+function validateIntake(formData, fields = INTAKE_FIELDS) {
+  const intake = normalizeIntake(formData, fields);
+  const schema = fields === INTAKE_FIELDS
+    ? intakeSchema
+    : Joi.object(Object.fromEntries(fields.map(field => [field.name, isShown(field, intake) ? fieldRule(field) : Joi.string().allow('')])));
+  const { error, value } = schema.validate(intake, { abortEarly: false });
+
+  if (error) {
+    const details = [];
+    error.details.forEach(detail => {
+      const field = detail.path.join('.');
+      if (!details.some(entry => entry.field === field)) {
+        details.push({ field, message: detail.message });
+      }
+    });
+    throw new ValidationError('Please correct the highlighted fields', details);
+  }
+
+  return value;
+}
+
+/**
+ * Check a single field on its own. Returns its error message, or null if it is valid.
+ */
+function validateField(name, value, fields = INTAKE_FIELDS) {
+  const field = fields.find(entry => entry.name === name);
+  if (!field) return null;
+
+  let text = value === undefined || value === null ? '' : String(value).trim();
+  if (text && field.normalize) text = normalizers[field.normalize](text);
+  const { error } = fieldRule(field).validate(text);
+  return error ? error.details[0].message : null;
+}
+
+/**
+ * The schema as JSON for the intake form's own checks in the browser
+ */
+function getClientSchema(fields = INTAKE_FIELDS) {
+  return fields.map(field => ({
+    name: field.name,
+    label: field.label,
+    required: !!field.required,
+    minLength: field.minLength || null,
+    maxLength: field.maxLength || null,
+    pattern: field.pattern ? field.pattern.source : null,
+    date: field.date || null,
+    options: field.options || null,
+    showIf: field.showIf || null,
+    messages: messagesFor(field)
+  }));
+}
+
+/**
+ * A field's value on a saved submission: answers to a form's own questions are
+ * stored under `responses`, everything else on the record itself
+ */
+function formValue(record, name) {
+  const responses = record.responses || {};
+  const value = Object.prototype.hasOwnProperty.call(responses, name) ? responses[name] : record[name];
+  return value === undefined || value === null ? '' : value;
+}
+
+module.exports = {
+  INTAKE_FIELDS,
+  normalizers,
+  formFields,
+  fieldsFor,
+  isShown,
+  normalizeIntake,
+  validateIntake,
+  validateField,
+  getClientSchema,
+  formValue
+};
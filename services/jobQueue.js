@@ -0,0 +1,422 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const PhiEncryption = require('./phiEncryption');
+
+const COLLECTION = 'jobs';
+
+// Job payloads are intake forms and step results include the AI triage, so both are
+// encrypted at rest when PHI encryption is configured
+const JOB_PHI_FIELDS = ['payload', 'results'];
+
+/**
+ * Job lifecycle statuses. Jobs that run out of attempts are moved to DEAD
+ * (the dead-letter queue) and stay there until an admin replays them.
+ */
+const JOB_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  DEAD: 'dead'
+};
+
+const STEP_STATUSES = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_SECONDS = 30;
+const DEFAULT_POLL_INTERVAL_SECONDS = 5;
+
+// A job whose claim hasn't been renewed for this long belongs to a worker that died.
+// Workers renew the claim after every step, so only a single step this slow looks dead.
+const STALE_JOB_MINUTES = 15;
+
+/**
+ * Durable background job queue over any document store.
+ *
+ * Each job type is registered with an ordered list of named steps. Step
+ * results are saved as they complete, so a retry resumes at the step that
+ * failed instead of repeating emails or sheet rows that already went out.
+ */
+class JobQueue {
+  constructor(store, encryption = new PhiEncryption()) {
+    this.store = store;
+    this.encryption = encryption;
+    this.handlers = {};
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+    this.backoffSeconds = parseInt(process.env.JOB_BACKOFF_SECONDS) || DEFAULT_BACKOFF_SECONDS;
+    this.pollIntervalSeconds = parseInt(process.env.JOB_POLL_INTERVAL_SECONDS) || DEFAULT_POLL_INTERVAL_SECONDS;
+    this.timer = null;
+    this.processing = false;
+
+    this.logger = createLogger('job-queue');
+  }
+
+  /**
+   * Register the steps for a job type: { steps: [{ name, run(payload, results) }], onDeadLetter(job, error) }
+   */
+  register(type, { steps, onDeadLetter } = {}) {
+    if (!Array.isArray(steps)) {
+      throw new ValidationError(`Job type ${type} needs a list of steps`);
+    }
+    this.handlers[type] = { steps, onDeadLetter };
+  }
+
+  /**
+   * Add a job to the queue
+   */
+  async enqueue(type, payload, { reference = null, maxAttempts } = {}) {
+    const handler = this.handlers[type];
+    if (!handler) {
+      throw new ValidationError(`Unknown job type: ${type}`);
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const job = {
+        id: `job_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        type,
+        reference: reference === null ? null : String(reference),
+        payload,
+        status: JOB_STATUSES.QUEUED,
+        steps: handler.steps.map(step => ({ name: step.name, status: STEP_STATUSES.PENDING, attempts: 0 })),
+        results: {},
+        attempts: 0,
+        maxAttempts: maxAttempts || this.maxAttempts,
+        lastError: null,
+        nextRunAt: now,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await this.store.insertOne(COLLECTION, this.encryption.seal(job, JOB_PHI_FIELDS));
+      this.logger.info(`Job queued: ${job.id}`, { type, reference: job.reference });
+
+      return job;
+    } catch (error) {
+      this.logger.error('Error queueing job', { error: error.message, type });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a job by ID, or null
+   */
+  async get(id) {
+    return this.encryption.open(await this.store.findOne(COLLECTION, { id }));
+  }
+
+  /**
+   * List jobs, newest first
+   */
+  async list({ status, type, limit = 100 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const jobs = await this.store.find(COLLECTION, filter, {
+      sort: { createdAt: -1 },
+      limit: Math.min(parseInt(limit) || 100, 500)
+    });
+    return jobs.map(job => this.encryption.open(job));
+  }
+
+  /**
+   * Number of jobs in each status
+   */
+  async getCounts() {
+    const counts = {};
+    for (const status of Object.values(JOB_STATUSES)) {
+      counts[status] = await this.store.count(COLLECTION, { status });
+    }
+    return counts;
+  }
+
+  /**
+   * Claim the next due job for this worker, or null if nothing is due
+   */
+  async claimNext() {
+    for (;;) {
+      const now = new Date().toISOString();
+      const next = await this.store.findOne(COLLECTION, {
+        status: JOB_STATUSES.QUEUED,
+        nextRunAt: { $lte: now }
+      }, { sort: { nextRunAt: 1 } });
+
+      if (!next) return null;
+
+      // Filtering on the status means only one worker can win the claim
+      const claimed = await this.store.updateOne(COLLECTION, { id: next.id, status: JOB_STATUSES.QUEUED }, {
+        status: JOB_STATUSES.RUNNING,
+        lockedAt: now,
+        updatedAt: now
+      });
+      if (claimed) return this.encryption.open(claimed);
+      // Another worker won this one; other jobs may still be due
+    }
+  }
+
+  /**
+   * Update a job only while this worker still holds its claim. Returns null once the
+   * claim was lost (the job was recovered as stale and may be running elsewhere).
+   */
+  async updateClaimed(claim, changes) {
+    const updated = await this.store.updateOne(COLLECTION, {
+      id: claim.id,
+      status: JOB_STATUSES.RUNNING,
+      lockedAt: claim.lockedAt
+    }, this.encryption.seal(changes, JOB_PHI_FIELDS));
+
+    if (!updated) {
+      this.logger.warn(`Lost the claim on job ${claim.id}, dropping this worker's update`, { type: claim.type });
+      return null;
+    }
+    return this.encryption.open(updated);
+  }
+
+  /**
+   * Run the remaining steps of a claimed job, then complete it, schedule a retry or dead-letter it.
+   * Returns null if another worker took the job over meanwhile.
+   */
+  async runJob(job) {
+    const handler = this.handlers[job.type];
+    const attempt = job.attempts + 1;
+    const steps = job.steps.map(step => ({ ...step }));
+    const results = { ...job.results };
+    const claim = { id: job.id, type: job.type, lockedAt: job.lockedAt };
+
+    for (const step of steps) {
+      if (step.status === STEP_STATUSES.COMPLETED) continue;
+
+      const definition = handler && handler.steps.find(candidate => candidate.name === step.name);
+      step.attempts += 1;
+
+      try {
+        if (!definition) {
+          throw new Error(`No handler registered for step ${job.type}.${step.name}`);
+        }
+
+        const result = await definition.run(job.payload, results);
+        results[step.name] = result === undefined ? null : result;
+        step.status = STEP_STATUSES.COMPLETED;
+        step.completedAt = new Date().toISOString();
+        step.lastError = null;
+
+        // Save the step and renew the claim; stop if another worker has taken over
+        const now = new Date().toISOString();
+        if (!(await this.updateClaimed(claim, { steps, results, lockedAt: now, updatedAt: now }))) return null;
+        claim.lockedAt = now;
+      } catch (error) {
+        step.status = STEP_STATUSES.FAILED;
+        step.lastError = error.message;
+        return this.failJob(job, { claim, steps, results, attempt, step, error });
+      }
+    }
+
+    const completed = await this.updateClaimed(claim, {
+      status: JOB_STATUSES.COMPLETED,
+      steps,
+      results,
+      attempts: attempt,
+      lastError: null,
+      lockedAt: null,
+      completedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    if (!completed) return null;
+
+    this.logger.info(`Job completed: ${job.id}`, { type: job.type, attempt });
+    return completed;
+  }
+
+  /**
+   * Record a failed attempt. Retries back off exponentially; the last attempt goes to the dead-letter queue.
+   */
+  async failJob(job, { claim, steps, results, attempt, step, error }) {
+    const now = new Date();
+    const lastError = `${step.name}: ${error.message}`;
+    const exhausted = attempt >= job.maxAttempts;
+    const changes = {
+      steps,
+      results,
+      attempts: attempt,
+      lastError,
+      lockedAt: null,
+      updatedAt: now.toISOString()
+    };
+
+    if (exhausted) {
+      changes.status = JOB_STATUSES.DEAD;
+      changes.deadAt = now.toISOString();
+    } else {
+      changes.status = JOB_STATUSES.QUEUED;
+      changes.nextRunAt = new Date(now.getTime() + this.getBackoffMs(attempt)).toISOString();
+    }
+
+    const updated = await this.updateClaimed(claim, changes);
+    if (!updated) return null;
+
+    if (exhausted) {
+      await this.deadLettered(updated, error);
+    } else {
+      this.logger.warn(`Job attempt ${attempt} failed, retrying at ${changes.nextRunAt}`, { jobId: job.id, type: job.type, error: lastError });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Log a job that just moved to the dead-letter queue and run its type's onDeadLetter hook
+   */
+  async deadLettered(job, error) {
+    this.logger.error(`Job moved to dead-letter queue: ${job.id}`, { type: job.type, attempts: job.attempts, error: job.lastError });
+
+    const handler = this.handlers[job.type];
+    if (handler && handler.onDeadLetter) {
+      try {
+        await handler.onDeadLetter(job, error);
+      } catch (hookError) {
+        this.logger.error('Error in dead-letter handler', { error: hookError.message, jobId: job.id });
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt: backoff, 2x backoff, 4x backoff, ...
+   */
+  getBackoffMs(attempt) {
+    return this.backoffSeconds * 1000 * Math.pow(2, attempt - 1);
+  }
+
+  /**
+   * Put a dead job back on the queue. Steps that already succeeded are not run again.
+   */
+  async replay(id) {
+    const job = await this.get(id);
+    if (!job) {
+      throw new NotFoundError(`Job ${id} not found`);
+    }
+    if (job.status !== JOB_STATUSES.DEAD) {
+      throw new ValidationError(`Only dead jobs can be replayed (job is ${job.status})`);
+    }
+
+    const now = new Date().toISOString();
+    const replayed = this.encryption.open(await this.store.updateOne(COLLECTION, { id }, {
+      status: JOB_STATUSES.QUEUED,
+      steps: job.steps.map(step => step.status === STEP_STATUSES.COMPLETED ? step : { ...step, status: STEP_STATUSES.PENDING }),
+      attempts: 0,
+      nextRunAt: now,
+      replayedAt: now,
+      updatedAt: now
+    }));
+
+    this.logger.info(`Job replayed: ${id}`, { type: job.type });
+    return replayed;
+  }
+
+  /**
+   * Requeue jobs left running by a worker that stopped mid-job. The lost run counts
+   * as an attempt, so a job that keeps crashing its worker ends up dead-lettered.
+   */
+  async recoverStaleJobs() {
+    const cutoff = new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000).toISOString();
+    const stale = await this.store.find(COLLECTION, { status: JOB_STATUSES.RUNNING, lockedAt: { $lt: cutoff } });
+
+    let recovered = 0;
+    for (const job of stale) {
+      const now = new Date().toISOString();
+      const attempt = job.attempts + 1;
+      const exhausted = attempt >= job.maxAttempts;
+      const changes = {
+        attempts: attempt,
+        lastError: 'Worker stopped before the job finished',
+        lockedAt: null,
+        updatedAt: now,
+        ...(exhausted ? { status: JOB_STATUSES.DEAD, deadAt: now } : { status: JOB_STATUSES.QUEUED, nextRunAt: now })
+      };
+
+      // Skip jobs whose worker renewed the claim since they were read
+      const updated = await this.store.updateOne(COLLECTION, { id: job.id, status: JOB_STATUSES.RUNNING, lockedAt: job.lockedAt }, changes);
+      if (!updated) continue;
+      recovered++;
+
+      if (exhausted) {
+        await this.deadLettered(this.encryption.open(updated), new Error(changes.lastError));
+      } else {
+        this.logger.warn(`Requeued stale job: ${job.id}`, { type: job.type, attempts: attempt });
+      }
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Run every job that is currently due. Returns the number of jobs run.
+   */
+  async processDueJobs() {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    let processed = 0;
+    try {
+      await this.recoverStaleJobs();
+
+      let job;
+      while ((job = await this.claimNext())) {
+        await this.runJob(job);
+        processed++;
+      }
+    } catch (error) {
+      this.logger.error('Error processing job queue', { error: error.message });
+    } finally {
+      this.processing = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Encrypt plaintext job payloads and results and re-wrap values under old master keys.
+   * Returns the number of jobs updated.
+   */
+  async encryptStoredRecords() {
+    let updated = 0;
+    for (const job of await this.store.find(COLLECTION)) {
+      const changes = this.encryption.reseal(job, JOB_PHI_FIELDS);
+      if (Object.keys(changes).length === 0) continue;
+
+      await this.store.updateOne(COLLECTION, { id: job.id }, changes);
+      updated++;
+    }
+    return updated;
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processDueJobs(), this.pollIntervalSeconds * 1000);
+    // Don't keep the process alive just for the worker
+    if (this.timer.unref) this.timer.unref();
+    this.logger.info(`Job worker started (polling every ${this.pollIntervalSeconds}s)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = JobQueue;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.STEP_STATUSES = STEP_STATUSES;
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Log fields that hold PHI, compared case-insensitively with punctuation removed
+// (so "full_name", "fullName" and "Full Name" all match). LOG_REDACT_FIELDS adds more.
+const DEFAULT_REDACT_FIELDS = [
+  // Identity and contact details
+  'name', 'fullName', 'firstName', 'lastName', 'patientName', 'inviteeName',
+  'dob', 'dateOfBirth', 'birthDate',
+  'email', 'patientEmail', 'inviteeEmail', 'to',
+  'phone', 'phoneNumber', 'patientPhone', 'emergencyPhone', 'emergencyContact', 'textReminderNumber',
+  'address', 'streetAddress', 'zipCode', 'ssn', 'signedName', 'consentSignature',
+  // Insurance
+  'insuranceId', 'policyNumber', 'memberId', 'groupNumber',
+  // Free-text clinical fields
+  'reasonForVisit', 'symptoms', 'additionalNotes', 'notes', 'cancellationReason',
+  'currentMedications', 'medications', 'allergies', 'pastConditions', 'medicalHistory',
+  'questionsAndAnswers', 'triageSummary', 'summary', 'recommendations', 'riskKeywords', 'evidence',
+  // Answers to admin-defined intake questions, whatever they are called
+  'responses'
+];
+
+// Contact details that turn up inside messages and other free text
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+
+// Keys winston and the services use for bookkeeping; never redacted
+const SAFE_KEYS = ['level', 'timestamp', 'service', 'patientRef'];
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Field names to redact: the defaults plus LOG_REDACT_FIELDS
+ */
+function getRedactFields() {
+  const extra = (process.env.LOG_REDACT_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean);
+  return new Set(DEFAULT_REDACT_FIELDS.concat(extra).map(normalizeKey));
+}
+
+// Without LOG_REDACTION_KEY (or PHI_BLIND_INDEX_KEY), references only correlate within one process
+let fallbackReferenceKey = null;
+
+/**
+ * HMAC key for patient references, read when first needed so dotenv has loaded
+ */
+function getReferenceKey() {
+  if (process.env.LOG_REDACTION_KEY || process.env.PHI_BLIND_INDEX_KEY) {
+    return process.env.LOG_REDACTION_KEY || process.env.PHI_BLIND_INDEX_KEY;
+  }
+  if (!fallbackReferenceKey) {
+    fallbackReferenceKey = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackReferenceKey;
+}
+
+/**
+ * Stable, non-reversible reference for the patient an object describes (by email,
+ * phone, or name and date of birth), so log lines about the same patient can be
+ * correlated without logging who they are. Null if the object identifies nobody.
+ */
+function patientRef(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  const email = String(data.email || data.patientEmail || '').trim().toLowerCase();
+  const phone = String(data.phone || data.phoneNumber || '').replace(/\D/g, '').slice(-10);
+  const name = String(data.fullName || data.patientName || data.name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const dob = String(data.dob || data.dateOfBirth || '').trim();
+
+  const identity = email ? `email:${email}` : phone.length === 10 ? `phone:${phone}` : name && dob ? `name:${name}|${dob}` : null;
+  if (!identity) return null;
+
+  return `pt_${crypto.createHmac('sha256', getReferenceKey()).update(identity).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Mask email addresses and phone numbers in free text
+ */
+function redactText(text) {
+  return text.replace(EMAIL_PATTERN, '[EMAIL]').replace(PHONE_PATTERN, '[PHONE]');
+}
+
+/**
+ * Copy of a value with PHI fields masked. Objects that identify a patient get a
+ * `patientRef` in place of the details. The original is never modified.
+ */
+function redactPhi(value, fields = getRedactFields(), depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactText(value);
+  if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) return value;
+  if (depth >= MAX_DEPTH || seen.has(value)) return '[Truncated]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactPhi(item, fields, depth + 1, seen));
+  }
+
+  const redacted = {};
+  let found = false;
+  Object.keys(value).forEach(key => {
+    if (SAFE_KEYS.includes(key)) {
+      redacted[key] = value[key];
+    } else if (fields.has(normalizeKey(key))) {
+      found = found || (value[key] !== undefined && value[key] !== null && value[key] !== '');
+      redacted[key] = REDACTED;
+    } else {
+      redacted[key] = redactPhi(value[key], fields, depth + 1, seen);
+    }
+  });
+  if (value instanceof Error) {
+    redacted.message = redactText(value.message);
+  }
+
+  const ref = found ? patientRef(value) : null;
+  if (ref && !redacted.patientRef) {
+    redacted.patientRef = ref;
+  }
+  return redacted;
+}
+
+/**
+ * What to log about a submitted form or webhook body: its field names and a patient
+ * reference, never the values. Admin-defined questions arrive as top-level fields
+ * the redaction list can't know about.
+ */
+function describeSubmission(body) {
+  if (!body || typeof body !== 'object') return {};
+  return { fields: Object.keys(body).sort(), patientRef: patientRef(body) };
+}
+
+/**
+ * Winston format applying redactPhi to the message and metadata of every entry
+ */
+const redactFormat = winston.format((info) => {
+  const fields = getRedactFields();
+  const redacted = redactPhi({ ...info }, fields);
+  Object.keys(info).forEach(key => {
+    info[key] = redacted[key];
+  });
+  if (redacted.patientRef) {
+    info.patientRef = redacted.patientRef;
+  }
+  return info;
+});
+
+/**
+ * Logger for a service: JSON to the console (plus log files outside production and
+ * Vercel), with PHI redacted before anything is written.
+ * `files` are paths or { filename, level }; `console: 'simple'` for human-readable output.
+ */
+function createLogger(service, { files = [], console: consoleFormat = 'json', level = process.env.LOG_LEVEL || 'info' } = {}) {
+  const transports = [
+    consoleFormat === 'simple'
+      ? new winston.transports.Console({ format: winston.format.simple() })
+      : new winston.transports.Console()
+  ];
+
+  // Vercel has no writable file system
+  if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
+    try {
+      [].concat(files).forEach(file => {
+        transports.push(new winston.transports.File(typeof file === 'string' ? { filename: file } : file));
+      });
+    } catch (error) {
+      // File system not available, continue with console only
+    }
+  }
+
+  return winston.createLogger({
+    level,
+    format: winston.format.combine(
+      winston.format.errors({ stack: true }),
+      redactFormat(),
+      winston.format.timestamp(),
+      winston.format.json()
+    ),
+    defaultMeta: { service },
+    transports
+  });
+}
+
+module.exports = {
+  DEFAULT_REDACT_FIELDS,
+  EMAIL_PATTERN,
+  PHONE_PATTERN,
+  createLogger,
+  describeSubmission,
+  redactPhi,
+  redactText,
+  patientRef
+};
@@ -0,0 +1,62 @@
+const DEFAULT_PREFIX = 'MRN-';
+const DEFAULT_DIGITS = 7;
+
+/**
+ * MRN format from the environment: MRN_PREFIX and the zero-padded width MRN_DIGITS
+ */
+function getMrnFormat() {
+  return {
+    prefix: process.env.MRN_PREFIX !== undefined ? process.env.MRN_PREFIX : DEFAULT_PREFIX,
+    digits: parseInt(process.env.MRN_DIGITS) || DEFAULT_DIGITS
+  };
+}
+
+/**
+ * Luhn check digit for a string of digits, so a mistyped MRN is caught before lookup
+ */
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // Double every second digit counting from the right, starting with the rightmost
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Format a patient sequence number as an MRN: prefix + zero-padded number + check digit
+ */
+function formatMrn(sequence, format = getMrnFormat()) {
+  const number = String(sequence).padStart(format.digits, '0');
+  return `${format.prefix}${number}${luhnCheckDigit(number)}`;
+}
+
+/**
+ * Parse an MRN back to its sequence number. Returns null for the wrong prefix or a bad check digit.
+ */
+function parseMrn(value, format = getMrnFormat()) {
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  if (!trimmed.toUpperCase().startsWith(format.prefix.toUpperCase())) return null;
+
+  const digits = trimmed.slice(format.prefix.length);
+  if (!/^\d{2,}$/.test(digits)) return null;
+
+  const number = digits.slice(0, -1);
+  if (luhnCheckDigit(number) !== digits.slice(-1)) return null;
+
+  return parseInt(number, 10);
+}
+
+module.exports = {
+  getMrnFormat,
+  luhnCheckDigit,
+  formatMrn,
+  parseMrn
+};
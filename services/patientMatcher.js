@@ -0,0 +1,103 @@
+const FormspreeService = require('./formspreeService');
+
+// How much each matching field contributes to a duplicate score (capped at 1)
+const MATCH_WEIGHTS = {
+  name: 0.35,
+  similarName: 0.2,
+  dob: 0.35,
+  email: 0.25,
+  phone: 0.25
+};
+
+// Name + DOB, name + email, or DOB + email/phone is enough to flag a possible duplicate.
+// Shared family contact details alone (email + phone + surname) are not.
+const DUPLICATE_THRESHOLD = 0.6;
+const HIGH_CONFIDENCE_THRESHOLD = 0.85;
+
+/**
+ * Finds intake submissions that probably belong to the same person.
+ * Normalization reuses the Formspree intake rules so "JANE  doe" and "Jane Doe"
+ * or "305.555.0123" and "(305) 555-0123" compare equal. With PHI encryption the
+ * keys are blind indexes, so they can be compared and queried but not read.
+ */
+class PatientMatcher {
+  constructor(normalizer = new FormspreeService(), encryption = null) {
+    this.normalizer = normalizer;
+    this.encryption = encryption;
+  }
+
+  /**
+   * Normalized fields used for matching. Stored on each patient so candidates can be found with a query.
+   */
+  getMatchKeys(patient) {
+    const name = this.normalizer.normalizeName(String(patient.fullName || patient.name || ''))
+      .toLowerCase()
+      .replace(/[^a-z\s'-]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const dob = this.normalizer.normalizeDate(patient.dob || patient.dateOfBirth || '');
+    const email = String(patient.email || '').trim().toLowerCase();
+    const phoneDigits = this.normalizer.normalizePhone(String(patient.phone || patient.phoneNumber || '')).replace(/\D/g, '');
+
+    const nameParts = name.split(' ');
+
+    const keys = {
+      name: name || null,
+      // First initial and surname, so "Jon Smith" and "Jonathan Smith" are similar
+      similarName: nameParts.length >= 2 ? `${nameParts[0][0]} ${nameParts[nameParts.length - 1]}` : null,
+      dob: dob || null,
+      email: email || null,
+      // Drop a leading country code so +1 numbers match local ones
+      phone: phoneDigits.length >= 10 ? phoneDigits.slice(-10) : null
+    };
+
+    if (this.encryption) {
+      Object.keys(keys).forEach(field => {
+        keys[field] = keys[field] && this.encryption.blindIndex(field, keys[field]);
+      });
+    }
+    return keys;
+  }
+
+  /**
+   * Score how likely two patients are the same person: { score, reasons }
+   */
+  score(a, b) {
+    const left = a.matchKeys || this.getMatchKeys(a);
+    const right = b.matchKeys || this.getMatchKeys(b);
+    const reasons = [];
+    let score = 0;
+
+    if (left.name && left.name === right.name) {
+      score += MATCH_WEIGHTS.name;
+      reasons.push('name');
+    } else if (left.similarName && left.similarName === right.similarName) {
+      score += MATCH_WEIGHTS.similarName;
+      reasons.push('similar_name');
+    }
+
+    ['dob', 'email', 'phone'].forEach(field => {
+      if (left[field] && left[field] === right[field]) {
+        score += MATCH_WEIGHTS[field];
+        reasons.push(field);
+      }
+    });
+
+    return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+  }
+
+  /**
+   * Candidates scoring at or above the duplicate threshold, best first
+   */
+  findMatches(patient, candidates) {
+    return candidates
+      .filter(candidate => candidate.id !== patient.id)
+      .map(candidate => ({ patient: candidate, ...this.score(patient, candidate) }))
+      .filter(match => match.score >= DUPLICATE_THRESHOLD)
+      .map(match => ({ ...match, confidence: match.score >= HIGH_CONFIDENCE_THRESHOLD ? 'high' : 'possible' }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = PatientMatcher;
+module.exports.DUPLICATE_THRESHOLD = DUPLICATE_THRESHOLD;
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Encrypted values are stored as "enc:v1:<master key ID>:<wrapped data key>:<ciphertext>",
+// so plaintext written before encryption was enabled is still readable
+const VALUE_PREFIX = 'enc:v1:';
+
+/**
+ * Parse "keyId:base64key,keyId:base64key" into a Map of 32-byte master keys
+ */
+function parseKeys(value) {
+  const keys = new Map();
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const index = entry.indexOf(':');
+    const keyId = index > 0 ? entry.slice(0, index).trim() : '';
+    if (!/^[A-Za-z0-9_-]+$/.test(keyId)) {
+      throw new Error('PHI_ENCRYPTION_KEYS entries must look like "<keyId>:<base64 key>" (key IDs use letters, digits, _ and -)');
+    }
+
+    const key = Buffer.from(entry.slice(index + 1).trim(), 'base64');
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`PHI encryption key "${keyId}" must be ${KEY_BYTES} bytes, base64 encoded`);
+    }
+    keys.set(keyId, key);
+  });
+  return keys;
+}
+
+/**
+ * AES-256-GCM encrypt, returned as base64 of iv + auth tag + ciphertext
+ */
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+/**
+ * Reverse of encrypt(). Throws if the data or AAD was tampered with.
+ */
+function decrypt(key, encoded, aad) {
+  const data = Buffer.from(encoded, 'base64');
+  const decipher = crypto.createDecipheriv(CIPHER, key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * Envelope encryption for sensitive fields. Every value gets a random data key that
+ * encrypts it; the data key is stored alongside, wrapped by the active master key
+ * from PHI_ENCRYPTION_KEYS. Rotating the master key only re-wraps data keys.
+ * Blind indexes (keyed HMACs) let encrypted email/phone values still be looked up.
+ */
+class PhiEncryption {
+  constructor({
+    keys = process.env.PHI_ENCRYPTION_KEYS,
+    activeKeyId = process.env.PHI_ENCRYPTION_ACTIVE_KEY,
+    indexKey = process.env.PHI_BLIND_INDEX_KEY
+  } = {}) {
+    this.logger = createLogger('phi-encryption');
+
+    this.keys = parseKeys(keys);
+    // The first listed key is active unless PHI_ENCRYPTION_ACTIVE_KEY says otherwise
+    this.activeKeyId = activeKeyId || this.keys.keys().next().value || null;
+    this.indexKey = indexKey ? Buffer.from(indexKey, 'base64') : null;
+
+    if (this.keys.size === 0) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('PHI_ENCRYPTION_KEYS must be set in production');
+      }
+      this.logger.warn('PHI_ENCRYPTION_KEYS not configured - patient data is stored unencrypted');
+      return;
+    }
+    if (!this.keys.has(this.activeKeyId)) {
+      throw new Error(`PHI_ENCRYPTION_ACTIVE_KEY "${this.activeKeyId}" is not in PHI_ENCRYPTION_KEYS`);
+    }
+    if (!this.indexKey || this.indexKey.length < 16) {
+      throw new Error('PHI_BLIND_INDEX_KEY (at least 16 bytes, base64 encoded) must be set when PHI_ENCRYPTION_KEYS is');
+    }
+  }
+
+  /**
+   * Whether new values are encrypted
+   */
+  get enabled() {
+    return this.keys.size > 0;
+  }
+
+  /**
+   * Whether a stored value is encrypted
+   */
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+  }
+
+  /**
+   * Master key for a key ID, or an error naming the missing key
+   */
+  getMasterKey(keyId) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`PHI encryption key "${keyId}" is not configured - add it back to PHI_ENCRYPTION_KEYS to read this record`);
+    }
+    return key;
+  }
+
+  /**
+   * Encrypt one field value. The field name is bound to the ciphertext so a value
+   * can't be moved to another field unnoticed.
+   */
+  encryptValue(field, value) {
+    if (!this.enabled || value === undefined || value === null || this.isEncrypted(value)) return value;
+
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const wrappedKey = encrypt(this.getMasterKey(this.activeKeyId), dataKey, this.activeKeyId);
+    const ciphertext = encrypt(dataKey, JSON.stringify(value), field);
+    return `${VALUE_PREFIX}${this.activeKeyId}:${wrappedKey}:${ciphertext}`;
+  }
+
+  /**
+   * Decrypt one field value; anything not encrypted is returned as is
+   */
+  decryptValue(field, value) {
+    if (!this.isEncrypted(value)) return value;
+
+    const [keyId, wrappedKey, ciphertext] = value.slice(VALUE_PREFIX.length).split(':');
+    try {
+      const dataKey = decrypt(this.getMasterKey(keyId), wrappedKey, keyId);
+      return JSON.parse(decrypt(dataKey, ciphertext, field).toString('utf8'));
+    } catch (error) {
+      throw new Error(`Could not decrypt ${field}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy of a document with the listed fields encrypted
+   */
+  seal(document, fields) {
+    if (!document || !this.enabled) return document;
+
+    const sealed = { ...document };
+    fields.forEach(field => {
+      if (sealed[field] !== undefined) {
+        sealed[field] = this.encryptValue(field, sealed[field]);
+      }
+    });
+    return sealed;
+  }
+
+  /**
+   * Copy of a document with every encrypted field decrypted
+   */
+  open(document) {
+    if (!document) return document;
+
+    const opened = { ...document };
+    Object.keys(opened).forEach(field => {
+      opened[field] = this.decryptValue(field, opened[field]);
+    });
+    return opened;
+  }
+
+  /**
+   * Changes that bring a stored document up to date: listed fields still in
+   * plaintext are encrypted, and values under an old master key are re-wrapped
+   * with the active one (the data itself is not re-encrypted). Empty if current.
+   */
+  reseal(document, fields) {
+    const changes = {};
+    if (!document || !this.enabled) return changes;
+
+    Object.keys(document).forEach(field => {
+      const value = document[field];
+      if (this.isEncrypted(value)) {
+        const [keyId, wrappedKey, ciphertext] = value.slice(VALUE_PREFIX.length).split(':');
+        if (keyId === this.activeKeyId) return;
+
+        const dataKey = decrypt(this.getMasterKey(keyId), wrappedKey, keyId);
+        const rewrapped = encrypt(this.getMasterKey(this.activeKeyId), dataKey, this.activeKeyId);
+        changes[field] = `${VALUE_PREFIX}${this.activeKeyId}:${rewrapped}:${ciphertext}`;
+      } else if (fields.includes(field) && value !== undefined && value !== null) {
+        changes[field] = this.encryptValue(field, value);
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Keyed hash of a normalized value for equality lookups on encrypted fields.
+   * Without PHI_BLIND_INDEX_KEY the value itself is used.
+   */
+  blindIndex(field, value) {
+    if (value === undefined || value === null || value === '' || !this.indexKey) return value;
+    return crypto.createHmac('sha256', this.indexKey).update(`${field}:${value}`).digest('hex');
+  }
+}
+
+module.exports = PhiEncryption;
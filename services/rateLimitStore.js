@@ -0,0 +1,197 @@
+const DatabaseService = require('./databaseService');
+
+const COLLECTION = 'rate_limits';
+
+const BACKENDS = ['mongo', 'memory'];
+
+// Expired memory entries are swept after this many operations
+const SWEEP_EVERY = 1000;
+
+/**
+ * Rate limit counters kept in this process. Each server instance counts on its own,
+ * so use the Mongo store when several instances serve the same clients.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+    this.operations = 0;
+  }
+
+  /**
+   * Get a live entry, dropping it if it has expired
+   */
+  getEntry(key, now) {
+    if (++this.operations % SWEEP_EVERY === 0) {
+      for (const [entryKey, entry] of this.entries) {
+        if (entry.expiresAt <= now) this.entries.delete(entryKey);
+      }
+    }
+
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * Add one to a counter that expires `ttlMs` after it was created. Returns the new count.
+   */
+  async increment(key, { now, ttlMs }) {
+    let entry = this.getEntry(key, now);
+    if (!entry) {
+      entry = { count: 0, expiresAt: now + ttlMs };
+      this.entries.set(key, entry);
+    }
+    entry.count++;
+    return entry.count;
+  }
+
+  /**
+   * Current value of a counter (0 if missing or expired)
+   */
+  async get(key, { now }) {
+    const entry = this.getEntry(key, now);
+    return entry ? entry.count : 0;
+  }
+
+  /**
+   * Refill a token bucket for the time since it was last used, then take a token if
+   * one is available. Returns whether a token was taken and how many are left.
+   */
+  async takeToken(key, { capacity, refillPerMs, now, ttlMs }) {
+    const entry = this.getEntry(key, now) || { tokens: capacity, updatedAt: now };
+    const tokens = Math.min(capacity, entry.tokens + Math.max(0, now - entry.updatedAt) * refillPerMs);
+    const allowed = tokens >= 1;
+
+    this.entries.set(key, {
+      tokens: allowed ? tokens - 1 : tokens,
+      updatedAt: now,
+      expiresAt: now + ttlMs
+    });
+    return { allowed, tokens: allowed ? tokens - 1 : tokens };
+  }
+}
+
+/**
+ * Rate limit counters in MongoDB, shared by every server instance. Updates are single
+ * atomic operations, and a TTL index removes counters once they expire.
+ */
+class MongoRateLimitStore {
+  constructor(databaseService) {
+    this.name = 'mongo';
+    this.databaseService = databaseService;
+    this.indexesReady = null;
+  }
+
+  /**
+   * Get the counters collection, creating its indexes once
+   */
+  async getCollection() {
+    await this.databaseService.connect();
+    const collection = this.databaseService.getCollection(COLLECTION);
+    if (!this.indexesReady) {
+      this.indexesReady = Promise.all([
+        collection.createIndex({ key: 1 }, { unique: true }),
+        collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+      ]).catch(error => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+    return collection;
+  }
+
+  /**
+   * Run an upsert, retrying once if a concurrent upsert created the same key first
+   */
+  async upsert(collection, filter, update) {
+    const options = { upsert: true, returnDocument: 'after', projection: { _id: 0 } };
+    try {
+      return await collection.findOneAndUpdate(filter, update, options);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return collection.findOneAndUpdate(filter, update, options);
+    }
+  }
+
+  /**
+   * Add one to a counter that expires `ttlMs` after it was created. Returns the new count.
+   */
+  async increment(key, { now, ttlMs }) {
+    const collection = await this.getCollection();
+    const counter = await this.upsert(collection, { key }, {
+      $inc: { count: 1 },
+      $setOnInsert: { expiresAt: new Date(now + ttlMs) }
+    });
+    return counter.count;
+  }
+
+  /**
+   * Current value of a counter (0 if missing or expired)
+   */
+  async get(key, { now }) {
+    const collection = await this.getCollection();
+    const counter = await collection.findOne({ key, expiresAt: { $gt: new Date(now) } });
+    return counter ? counter.count : 0;
+  }
+
+  /**
+   * Refill a token bucket for the time since it was last used, then take a token if
+   * one is available. Returns whether a token was taken and how many are left.
+   */
+  async takeToken(key, { capacity, refillPerMs, now, ttlMs }) {
+    const collection = await this.getCollection();
+    // An update pipeline so the refill and the take happen in one atomic write
+    const bucket = await this.upsert(collection, { key }, [
+      {
+        $set: {
+          tokens: {
+            $min: [capacity, {
+              $add: [
+                { $ifNull: ['$tokens', capacity] },
+                { $multiply: [{ $max: [0, { $subtract: [now, { $ifNull: ['$updatedAt', now] }] }] }, refillPerMs] }
+              ]
+            }]
+          }
+        }
+      },
+      { $set: { allowed: { $gte: ['$tokens', 1] } } },
+      {
+        $set: {
+          tokens: { $cond: ['$allowed', { $subtract: ['$tokens', 1] }, '$tokens'] },
+          updatedAt: now,
+          expiresAt: new Date(now + ttlMs)
+        }
+      }
+    ]);
+    return { allowed: bucket.allowed, tokens: bucket.tokens };
+  }
+}
+
+/**
+ * Create the rate limit store for the configured backend.
+ * RATE_LIMIT_STORE wins; otherwise MongoDB when MONGODB_URI is set, else memory.
+ */
+function createRateLimitStore(backend = process.env.RATE_LIMIT_STORE) {
+  const selected = (backend || (process.env.MONGODB_URI ? 'mongo' : 'memory')).trim().toLowerCase();
+
+  switch (selected) {
+    case 'mongo':
+      return new MongoRateLimitStore(new DatabaseService());
+    case 'memory':
+      return new MemoryRateLimitStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${selected}" - expected one of: ${BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  createRateLimitStore,
+  MemoryRateLimitStore,
+  MongoRateLimitStore
+};
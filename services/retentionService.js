@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { ENCOUNTER_STATUSES } = require('./encounterRepository');
+const { JOB_STATUSES } = require('./jobQueue');
+
+const RUNS_COLLECTION = 'retention_runs';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RETENTION_ACTIONS = {
+  ARCHIVE: 'archive',
+  DELETE: 'delete'
+};
+
+// Record types retention rules can cover, with the clinic's default policy.
+// `days` counts from the record's timestamp; RETENTION_RULES overrides any of them.
+// Only rules with `removesPatients` take patient records left without encounters.
+const RECORD_TYPES = {
+  incomplete_intakes: {
+    description: 'Intake submissions never processed (pending encounters); the patient record stays',
+    collection: 'encounters',
+    filter: (cutoff) => ({ status: ENCOUNTER_STATUSES.PENDING, timestamp: { $lt: cutoff } }),
+    defaults: { action: RETENTION_ACTIONS.DELETE, days: 90 }
+  },
+  encounters: {
+    description: 'Visits of any status, and patients left without any',
+    collection: 'encounters',
+    removesPatients: true,
+    filter: (cutoff) => ({ timestamp: { $lt: cutoff } }),
+    defaults: { action: RETENTION_ACTIONS.ARCHIVE, days: 2555 } // about 7 years
+  },
+  appointments: {
+    description: 'Calendly appointments, by start time',
+    collection: 'appointments',
+    filter: (cutoff) => ({ startTime: { $lt: cutoff } }),
+    defaults: { action: RETENTION_ACTIONS.ARCHIVE, days: 2555 }
+  },
+  completed_jobs: {
+    description: 'Finished background jobs (their payloads hold a copy of the intake form)',
+    collection: 'jobs',
+    filter: (cutoff) => ({ status: JOB_STATUSES.COMPLETED, completedAt: { $lt: cutoff } }),
+    defaults: { action: RETENTION_ACTIONS.DELETE, days: 30 }
+  },
+  quarantined_intakes: {
+    description: 'Intake submissions quarantined as suspected spam, reviewed or not',
+    collection: 'intake_quarantine',
+    filter: (cutoff) => ({ receivedAt: { $lt: cutoff } }),
+    defaults: { action: RETENTION_ACTIONS.DELETE, days: 30 }
+  }
+};
+
+// Collections from older versions that only held duplicate copies of patient data
+// (the JSON file kept them under `dailyPatients`). Dropped whenever they are found.
+const LEGACY_COLLECTIONS = ['daily_patients'];
+
+/**
+ * Parse RETENTION_RULES ("type:action:days,...") over the defaults. A days value
+ * of 0 or "off" turns a rule off.
+ */
+function parseRules(value) {
+  const rules = {};
+  Object.entries(RECORD_TYPES).forEach(([type, { defaults }]) => {
+    rules[type] = { type, ...defaults };
+  });
+
+  String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [type, action, days] = entry.split(':').map(part => (part || '').trim().toLowerCase());
+    if (!RECORD_TYPES[type]) {
+      throw new Error(`Unknown retention record type "${type}" in RETENTION_RULES - expected one of: ${Object.keys(RECORD_TYPES).join(', ')}`);
+    }
+    if (!Object.values(RETENTION_ACTIONS).includes(action)) {
+      throw new Error(`Retention rule for ${type} must use one of: ${Object.values(RETENTION_ACTIONS).join(', ')}`);
+    }
+
+    const parsedDays = days === 'off' ? 0 : parseInt(days);
+    if (isNaN(parsedDays) || parsedDays < 0) {
+      throw new Error(`Retention rule for ${type} needs a number of days (or "off")`);
+    }
+    rules[type] = { type, action, days: parsedDays };
+  });
+
+  return Object.values(rules);
+}
+
+/**
+ * Applies the retention policy: archives or deletes records past their retention
+ * period, skipping anything tied to a patient under legal hold, and drops legacy
+ * duplicate collections. Archived records keep their encrypted fields and move to
+ * `<collection>_archive`. In report mode (the default) nothing is changed and the
+ * run only reports what would happen.
+ */
+class RetentionService {
+  constructor(store, patientRepository, auditService = null, emailService = null, {
+    rules = process.env.RETENTION_RULES,
+    mode = process.env.RETENTION_MODE || 'report'
+  } = {}) {
+    this.store = store;
+    this.patientRepository = patientRepository;
+    this.auditService = auditService;
+    this.emailService = emailService;
+
+    this.rules = parseRules(rules);
+    this.mode = String(mode).trim().toLowerCase();
+    if (!['report', 'enforce'].includes(this.mode)) {
+      throw new Error(`RETENTION_MODE must be "report" or "enforce" (got "${mode}")`);
+    }
+
+    this.logger = createLogger('retention-service');
+  }
+
+  /**
+   * The configured policy, for the admin page
+   */
+  getPolicy() {
+    return {
+      mode: this.mode,
+      rules: this.rules.map(rule => ({ ...rule, enabled: rule.days > 0, description: RECORD_TYPES[rule.type].description })),
+      legacyCollections: LEGACY_COLLECTIONS
+    };
+  }
+
+  /**
+   * Patient IDs and contact blind indexes covered by a legal hold. A hold on a merged
+   * record also covers the patient it was merged into, and the other way round.
+   */
+  async getHolds() {
+    const patients = await this.patientRepository.listLegalHolds();
+    const patientIds = new Set();
+    const contacts = new Set();
+
+    patients.forEach(patient => {
+      [patient.id, patient.mergedInto, ...(patient.mergedFrom || [])]
+        .filter(id => id !== undefined && id !== null)
+        .forEach(id => patientIds.add(id));
+      ['email', 'phone'].forEach(field => {
+        if (patient.matchKeys && patient.matchKeys[field]) contacts.add(`${field}:${patient.matchKeys[field]}`);
+      });
+    });
+
+    return { patientIds, contacts };
+  }
+
+  /**
+   * Whether a stored record is covered by a legal hold
+   */
+  isHeld(type, record, holds) {
+    switch (RECORD_TYPES[type].collection) {
+      case 'encounters':
+        return holds.patientIds.has(record.patientId);
+      case 'jobs':
+        return record.reference !== null && holds.patientIds.has(Number(record.reference));
+      case 'appointments': {
+        // Appointments aren't linked to patient records, so match on contact details
+        const keys = this.patientRepository.matcher.getMatchKeys(this.patientRepository.encryption.open(record));
+        return ['email', 'phone'].some(field => keys[field] && holds.contacts.has(`${field}:${keys[field]}`));
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Patient records that would be left without any encounters once these encounters
+   * go, along with the duplicates merged into them. Those go with their last visit.
+   */
+  async findEmptiedPatients(encounters, holds) {
+    const expiring = new Map();
+    encounters.forEach(encounter => expiring.set(encounter.patientId, (expiring.get(encounter.patientId) || 0) + 1));
+
+    const patients = [];
+    for (const [patientId, count] of expiring) {
+      if (holds.patientIds.has(patientId)) continue;
+      if (await this.store.count('encounters', { patientId }) > count) continue;
+
+      const patient = await this.store.findOne('patients', { id: patientId });
+      if (!patient || patient.legalHold) continue;
+
+      const duplicates = await this.store.find('patients', { mergedInto: patientId });
+      if (duplicates.some(duplicate => duplicate.legalHold)) continue;
+      patients.push(patient, ...duplicates);
+    }
+    return patients;
+  }
+
+  /**
+   * Archive or delete one stored record
+   */
+  async dispose(collection, record, rule, now) {
+    if (rule.action === RETENTION_ACTIONS.ARCHIVE) {
+      await this.store.insertOne(`${collection}_archive`, { ...record, archivedAt: now, retentionRule: rule.type });
+    }
+    await this.store.deleteOne(collection, { id: record.id });
+  }
+
+  /**
+   * Apply one rule. Returns counts, plus the IDs of patient records removed (which
+   * run() audits but keeps out of the stored and emailed report).
+   */
+  async applyRule(rule, holds, { dryRun, now }) {
+    const { collection, filter, removesPatients } = RECORD_TYPES[rule.type];
+    const cutoff = new Date(new Date(now).getTime() - rule.days * DAY_MS).toISOString();
+
+    const candidates = await this.store.find(collection, filter(cutoff));
+    const expired = candidates.filter(record => !this.isHeld(rule.type, record, holds));
+    const patients = removesPatients ? await this.findEmptiedPatients(expired, holds) : [];
+
+    const result = {
+      type: rule.type,
+      action: rule.action,
+      days: rule.days,
+      cutoff,
+      matched: expired.length,
+      held: candidates.length - expired.length,
+      patients: patients.length,
+      processed: 0,
+      patientIds: patients.map(patient => patient.id)
+    };
+    if (dryRun) return result;
+
+    for (const record of expired) {
+      await this.dispose(collection, record, rule, now);
+      result.processed++;
+    }
+    for (const patient of patients) {
+      await this.dispose('patients', patient, rule, now);
+    }
+
+    this.logger.info(`Retention rule ${rule.type}: ${rule.action}d ${result.processed} records and ${patients.length} patients`, { cutoff });
+    return result;
+  }
+
+  /**
+   * Run every enabled rule and drop legacy collections, then store, email and audit a
+   * report of what was (or, on a dry run, would be) done. Individual rule failures are
+   * recorded in the report without stopping the other rules.
+   */
+  async run({ dryRun = this.mode !== 'enforce', context = { user: 'system:retention' } } = {}) {
+    const now = new Date().toISOString();
+    const report = {
+      id: `retention_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      runAt: now,
+      dryRun,
+      rules: [],
+      legacy: [],
+      errors: []
+    };
+    const removedPatientIds = [];
+
+    try {
+      const holds = await this.getHolds();
+      report.heldPatients = holds.patientIds.size;
+
+      for (const rule of this.rules.filter(item => item.days > 0)) {
+        try {
+          const { patientIds, ...result } = await this.applyRule(rule, holds, { dryRun, now });
+          report.rules.push(result);
+          if (!dryRun) removedPatientIds.push(...patientIds);
+        } catch (error) {
+          this.logger.error(`Retention rule ${rule.type} failed`, { error: error.message });
+          report.errors.push({ type: rule.type, error: error.message });
+        }
+      }
+
+      for (const collection of LEGACY_COLLECTIONS) {
+        try {
+          const records = await this.store.collectionSize(collection);
+          if (records === 0) continue;
+          if (!dryRun) await this.store.dropCollection(collection);
+          report.legacy.push({ collection, records, dropped: !dryRun });
+        } catch (error) {
+          this.logger.error(`Dropping legacy collection ${collection} failed`, { error: error.message });
+          report.errors.push({ type: collection, error: error.message });
+        }
+      }
+
+      await this.sendReport(report);
+      await this.store.insertOne(RUNS_COLLECTION, report);
+
+      if (this.auditService) {
+        await this.auditService.record({
+          action: dryRun ? 'retention.dry_run' : 'retention.purge',
+          context: context,
+          patientIds: removedPatientIds,
+          details: { runId: report.id, rules: report.rules.map(({ type, matched, processed }) => ({ type, matched, processed })) }
+        });
+      }
+
+      this.logger.info(`Retention ${dryRun ? 'dry run' : 'run'} finished`, { runId: report.id, errors: report.errors.length });
+      return report;
+    } catch (error) {
+      this.logger.error('Error running retention policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Email the report to the admins. A failed email is noted in the report, not thrown.
+   */
+  async sendReport(report) {
+    if (!this.emailService || typeof this.emailService.sendRetentionReport !== 'function') return;
+    if (!process.env.ADMIN_EMAIL) {
+      this.logger.warn('ADMIN_EMAIL not configured - retention report not emailed');
+      return;
+    }
+
+    try {
+      await this.emailService.sendRetentionReport(report);
+    } catch (error) {
+      this.logger.error('Error emailing retention report', { error: error.message });
+      report.errors.push({ type: 'email', error: error.message });
+    }
+  }
+
+  /**
+   * Most recent runs, newest first
+   */
+  async listRuns({ limit = 20 } = {}) {
+    return this.store.find(RUNS_COLLECTION, {}, { sort: { runAt: -1 }, limit });
+  }
+}
+
+module.exports = RetentionService;
+module.exports.RETENTION_ACTIONS = RETENTION_ACTIONS;
+module.exports.RECORD_TYPES = RECORD_TYPES;
+module.exports.parseRules = parseRules;
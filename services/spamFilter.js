@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const PhiEncryption = require('./phiEncryption');
+
+const QUARANTINE = 'intake_quarantine';
+const FINGERPRINTS = 'intake_fingerprints';
+
+// Quarantined submissions are whole intake forms, so they're encrypted at rest
+const QUARANTINE_PHI_FIELDS = ['submission', 'consent'];
+
+const QUARANTINE_STATUSES = {
+  QUARANTINED: 'quarantined',
+  RELEASED: 'released',
+  DISCARDED: 'discarded'
+};
+
+/**
+ * Why a submission was flagged
+ */
+const SPAM_REASONS = {
+  HONEYPOT: 'honeypot',
+  MISSING_TOKEN: 'missing_token',
+  INVALID_TOKEN: 'invalid_token',
+  EXPIRED_TOKEN: 'expired_token',
+  TOO_FAST: 'too_fast',
+  DUPLICATE: 'duplicate',
+  DISPOSABLE_EMAIL: 'disposable_email'
+};
+
+const REASON_DESCRIPTIONS = {
+  [SPAM_REASONS.HONEYPOT]: 'Filled in the hidden field only bots see',
+  [SPAM_REASONS.MISSING_TOKEN]: 'Not submitted from the clinic\'s intake form page',
+  [SPAM_REASONS.INVALID_TOKEN]: 'Form token was tampered with or signed by another server',
+  [SPAM_REASONS.EXPIRED_TOKEN]: 'Form page was loaded too long ago',
+  [SPAM_REASONS.TOO_FAST]: 'Form was filled in faster than a person can type',
+  [SPAM_REASONS.DUPLICATE]: 'Same content as a recent submission',
+  [SPAM_REASONS.DISPOSABLE_EMAIL]: 'Uses a disposable email address'
+};
+
+// Hidden form fields: our honeypot and the form token, plus Formspree's own honeypot
+const HONEYPOT_FIELDS = ['website', '_gotcha'];
+const TOKEN_FIELD = 'formToken';
+
+// Throwaway email services; SPAM_BLOCKED_EMAIL_DOMAINS adds more
+const DISPOSABLE_EMAIL_DOMAINS = [
+  '10minutemail.com', 'dispostable.com', 'fakeinbox.com', 'getnada.com', 'guerrillamail.com',
+  'mailinator.com', 'maildrop.cc', 'mintemail.com', 'sharklasers.com', 'temp-mail.org',
+  'tempmail.com', 'throwawaymail.com', 'trashmail.com', 'yopmail.com'
+];
+
+// Fields that differ between otherwise identical submissions
+const VOLATILE_FIELDS = ['timestamp', 'submittedAt', 'consents', 'consentSignature', 'formVersion', TOKEN_FIELD, ...HONEYPOT_FIELDS];
+
+// Answers to a form's own questions arrive together as an object
+const normalize = (value) => String(value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : value)
+  .trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Layered spam checks for public intake submissions: a honeypot field, a signed
+ * token recording when the form page was served (so instant bot submissions show),
+ * duplicate content and disposable email domains. Flagged submissions are kept in a
+ * quarantine list, without creating a patient or triggering Sheets, email or AI work,
+ * until staff release or discard them.
+ */
+class SpamFilter {
+  constructor(store, patientRepository, auditService = null, encryption = new PhiEncryption(), {
+    secret = process.env.FORM_TOKEN_SECRET || process.env.SESSION_SECRET || process.env.JWT_SECRET,
+    minFillSeconds = process.env.SPAM_MIN_FILL_SECONDS,
+    tokenMaxAgeHours = parseInt(process.env.FORM_TOKEN_MAX_AGE_HOURS) || 24,
+    duplicateWindowHours = parseInt(process.env.SPAM_DUPLICATE_WINDOW_HOURS) || 24,
+    blockedEmailDomains = process.env.SPAM_BLOCKED_EMAIL_DOMAINS
+  } = {}) {
+    this.store = store;
+    this.patientRepository = patientRepository;
+    this.auditService = auditService;
+    this.encryption = encryption;
+
+    this.logger = createLogger('spam-filter');
+
+    if (!secret) {
+      secret = crypto.randomBytes(32).toString('hex');
+      this.logger.warn('FORM_TOKEN_SECRET not configured - using a random secret, open intake forms stop working after a restart');
+    }
+    this.secret = secret;
+    this.minFillSeconds = minFillSeconds === undefined || minFillSeconds === '' ? 5 : Number(minFillSeconds);
+    this.tokenMaxAgeHours = tokenMaxAgeHours;
+    this.duplicateWindowHours = duplicateWindowHours;
+    this.blockedEmailDomains = new Set([
+      ...DISPOSABLE_EMAIL_DOMAINS,
+      ...String(blockedEmailDomains || '').split(',').map(domain => domain.trim().toLowerCase().replace(/^@/, '')).filter(Boolean)
+    ]);
+  }
+
+  /**
+   * HMAC with the form token secret
+   */
+  sign(value) {
+    return crypto.createHmac('sha256', this.secret).update(value).digest('base64url');
+  }
+
+  /**
+   * Signed token recording when the intake form page was served
+   */
+  issueFormToken(now = Date.now()) {
+    const payload = `${now}.${crypto.randomBytes(8).toString('hex')}`;
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Check a form token. Returns the reason it fails, or null if the form was served
+   * by this clinic long enough ago (and not too long ago) to have been filled in by hand.
+   */
+  checkFormToken(token, now = Date.now()) {
+    if (!token || typeof token !== 'string') return SPAM_REASONS.MISSING_TOKEN;
+
+    const [issuedAt, nonce, signature] = token.split('.');
+    const expected = Buffer.from(this.sign(`${issuedAt}.${nonce}`));
+    const actual = Buffer.from(signature || '');
+    if (!nonce || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return SPAM_REASONS.INVALID_TOKEN;
+    }
+
+    const elapsed = now - Number(issuedAt);
+    if (elapsed > this.tokenMaxAgeHours * 60 * 60 * 1000) return SPAM_REASONS.EXPIRED_TOKEN;
+    if (elapsed < this.minFillSeconds * 1000) return SPAM_REASONS.TOO_FAST;
+    return null;
+  }
+
+  /**
+   * Whether an email address uses a blocked domain (or a subdomain of one)
+   */
+  isDisposableEmail(email) {
+    const domain = normalize(email).split('@')[1];
+    if (!domain) return false;
+    const parts = domain.split('.');
+    return parts.some((part, index) => this.blockedEmailDomains.has(parts.slice(index).join('.')));
+  }
+
+  /**
+   * Keyed hash of a submission's content, ignoring tokens, consents and timestamps
+   */
+  fingerprint(formData) {
+    const content = Object.keys(formData)
+      .filter(field => !VOLATILE_FIELDS.includes(field))
+      .sort()
+      .map(field => `${field}=${normalize(formData[field])}`)
+      .join('&');
+    return this.sign(`intake:${content}`);
+  }
+
+  /**
+   * Run every check on a submission. Returns the reasons it looks like spam (empty if
+   * none) and the intake data without the honeypot and token fields. The honeypot and
+   * token are read from `submitted` when the intake data has already been validated
+   * without them. `requireToken` is off for submissions that don't come from our own
+   * form page (Formspree).
+   */
+  async inspect(formData, { submitted = formData, requireToken = true, now = Date.now() } = {}) {
+    const intakeData = { ...formData };
+    const honeypot = HONEYPOT_FIELDS.some(field => submitted[field] && String(submitted[field]).trim());
+    const token = submitted[TOKEN_FIELD];
+    [TOKEN_FIELD, ...HONEYPOT_FIELDS].forEach(field => delete intakeData[field]);
+
+    const reasons = [];
+    if (honeypot) reasons.push(SPAM_REASONS.HONEYPOT);
+    if (requireToken) {
+      const tokenProblem = this.checkFormToken(token, now);
+      if (tokenProblem) reasons.push(tokenProblem);
+    }
+    if (this.isDisposableEmail(intakeData.email)) reasons.push(SPAM_REASONS.DISPOSABLE_EMAIL);
+
+    try {
+      const fingerprint = this.fingerprint(intakeData);
+      await this.store.deleteMany(FINGERPRINTS, { expiresAt: { $lt: new Date(now).toISOString() } });
+      if (await this.store.findOne(FINGERPRINTS, { fingerprint })) {
+        reasons.push(SPAM_REASONS.DUPLICATE);
+      } else {
+        await this.store.insertOne(FINGERPRINTS, {
+          fingerprint,
+          expiresAt: new Date(now + this.duplicateWindowHours * 60 * 60 * 1000).toISOString()
+        });
+      }
+    } catch (error) {
+      // Losing the duplicate check shouldn't lose the submission
+      this.logger.error('Error checking for duplicate submissions', { error: error.message });
+    }
+
+    return { reasons, intakeData };
+  }
+
+  /**
+   * Hold a suspected spam submission for staff review
+   */
+  async quarantine(intakeData, reasons, { source, consent = null, ip = null, userAgent = null } = {}) {
+    try {
+      const record = {
+        id: `quarantine_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        source,
+        reasons,
+        status: QUARANTINE_STATUSES.QUARANTINED,
+        submission: intakeData,
+        consent,
+        ip,
+        userAgent,
+        receivedAt: new Date().toISOString()
+      };
+
+      await this.store.insertOne(QUARANTINE, this.encryption.seal(record, QUARANTINE_PHI_FIELDS));
+      this.logger.warn('Intake submission quarantined as suspected spam', { quarantineId: record.id, source, reasons });
+      return record;
+    } catch (error) {
+      this.logger.error('Error quarantining intake submission:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Quarantined submissions, newest first
+   */
+  async list({ status = QUARANTINE_STATUSES.QUARANTINED, limit = 100 } = {}) {
+    const records = await this.store.find(QUARANTINE, status ? { status } : {}, { sort: { receivedAt: -1 }, limit });
+    return records.map(record => this.encryption.open(record));
+  }
+
+  /**
+   * Number of submissions awaiting review
+   */
+  async count() {
+    return this.store.count(QUARANTINE, { status: QUARANTINE_STATUSES.QUARANTINED });
+  }
+
+  /**
+   * Get a submission awaiting review, or throw
+   */
+  async getPending(id) {
+    const record = this.encryption.open(await this.store.findOne(QUARANTINE, { id }));
+    if (!record) {
+      throw new NotFoundError(`Quarantined submission ${id} not found`);
+    }
+    if (record.status !== QUARANTINE_STATUSES.QUARANTINED) {
+      throw new ValidationError(`Submission ${id} was already ${record.status}`);
+    }
+    return record;
+  }
+
+  /**
+   * Accept a quarantined submission as genuine: creates the patient and encounter it
+   * would have created. Returns the record and the new patient; the caller runs the
+   * follow-up work for the submission's source.
+   */
+  async release(id, context = {}) {
+    try {
+      const record = await this.getPending(id);
+      const patient = await this.patientRepository.add(record.consent ? { ...record.submission, consent: record.consent } : record.submission);
+
+      await this.store.updateOne(QUARANTINE, { id }, {
+        status: QUARANTINE_STATUSES.RELEASED,
+        patientId: patient.id,
+        reviewedBy: context.user || null,
+        reviewedAt: new Date().toISOString()
+      });
+
+      if (this.auditService) {
+        await this.auditService.record({
+          action: 'intake.quarantine_release',
+          context: context,
+          patientIds: [patient.id],
+          details: { quarantineId: id, source: record.source, reasons: record.reasons }
+        });
+      }
+
+      this.logger.info('Quarantined submission released', { quarantineId: id, patientId: patient.id });
+      return { record, patient };
+    } catch (error) {
+      this.logger.error(`Error releasing quarantined submission ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a quarantined submission as spam. Its content is deleted; the record of
+   * why it was flagged and who discarded it stays.
+   */
+  async discard(id, context = {}) {
+    try {
+      const record = await this.getPending(id);
+
+      await this.store.updateOne(QUARANTINE, { id }, {
+        status: QUARANTINE_STATUSES.DISCARDED,
+        submission: null,
+        consent: null,
+        reviewedBy: context.user || null,
+        reviewedAt: new Date().toISOString()
+      });
+
+      if (this.auditService) {
+        await this.auditService.record({
+          action: 'intake.quarantine_discard',
+          context: context,
+          details: { quarantineId: id, source: record.source, reasons: record.reasons }
+        });
+      }
+
+      this.logger.info('Quarantined submission discarded', { quarantineId: id });
+    } catch (error) {
+      this.logger.error(`Error discarding quarantined submission ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Encrypt plaintext quarantined submissions and re-wrap values under old master
+   * keys. Returns the number of records updated.
+   */
+  async encryptStoredRecords() {
+    let updated = 0;
+    for (const record of await this.store.find(QUARANTINE)) {
+      const changes = this.encryption.reseal(record, QUARANTINE_PHI_FIELDS);
+      if (Object.keys(changes).length === 0) continue;
+
+      await this.store.updateOne(QUARANTINE, { id: record.id }, changes);
+      updated++;
+    }
+    return updated;
+  }
+}
+
+module.exports = SpamFilter;
+module.exports.SPAM_REASONS = SPAM_REASONS;
+module.exports.REASON_DESCRIPTIONS = REASON_DESCRIPTIONS;
+module.exports.QUARANTINE_STATUSES = QUARANTINE_STATUSES;
+module.exports.HONEYPOT_FIELDS = HONEYPOT_FIELDS;
+module.exports.TOKEN_FIELD = TOKEN_FIELD;
@@ -0,0 +1,34 @@
+const DataService = require('../dataService');
+const DatabaseService = require('../databaseService');
+const MemoryStore = require('./memoryStore');
+const JsonStore = require('./jsonStore');
+const MongoStore = require('./mongoStore');
+
+const BACKENDS = ['mongo', 'json', 'memory'];
+
+/**
+ * Create the document store for the configured backend.
+ * STORAGE_BACKEND wins; otherwise MongoDB when MONGODB_URI is set, else the JSON file.
+ */
+function createStore(backend = process.env.STORAGE_BACKEND) {
+  const selected = (backend || (process.env.MONGODB_URI ? 'mongo' : 'json')).trim().toLowerCase();
+
+  switch (selected) {
+    case 'mongo':
+      return new MongoStore(new DatabaseService());
+    case 'json':
+      return new JsonStore(new DataService());
+    case 'memory':
+      return new MemoryStore();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${selected}" - expected one of: ${BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  createStore,
+  MemoryStore,
+  JsonStore,
+  MongoStore
+};
@@ -0,0 +1,105 @@
+const MemoryStore = require('./memoryStore');
+
+// Collection names that predate the store abstraction in clinicData.json
+const LEGACY_COLLECTION_KEYS = {
+  patients: 'formSubmissions',
+  audit_log: 'auditLog',
+  daily_patients: 'dailyPatients'
+};
+
+/**
+ * Document store backed by the JSON data file (or the in-process global on Vercel)
+ */
+class JsonStore extends MemoryStore {
+  constructor(dataService) {
+    super();
+    this.name = 'json';
+    this.dataService = dataService;
+    this.writeLock = Promise.resolve();
+  }
+
+  /**
+   * Run writes one at a time. Each write rewrites the whole file, so two
+   * overlapping writes would otherwise interleave their saves (or hand out
+   * the same counter value twice).
+   */
+  exclusive(operation) {
+    const result = this.writeLock.then(operation);
+    this.writeLock = result.catch(() => {});
+    return result;
+  }
+
+  insertOne(...args) {
+    return this.exclusive(() => super.insertOne(...args));
+  }
+
+  insertUnique(...args) {
+    return this.exclusive(() => super.insertUnique(...args));
+  }
+
+  updateOne(...args) {
+    return this.exclusive(() => super.updateOne(...args));
+  }
+
+  deleteOne(...args) {
+    return this.exclusive(() => super.deleteOne(...args));
+  }
+
+  deleteMany(...args) {
+    return this.exclusive(() => super.deleteMany(...args));
+  }
+
+  nextSequence(...args) {
+    return this.exclusive(() => super.nextSequence(...args));
+  }
+
+  ensureSequence(...args) {
+    return this.exclusive(() => super.ensureSequence(...args));
+  }
+
+  dropCollection(name) {
+    return this.exclusive(async () => {
+      const size = await this.collectionSize(name);
+      const data = await this.dataService.loadData();
+      const key = LEGACY_COLLECTION_KEYS[name] || name;
+      if (data[key] === undefined) return size;
+
+      delete data[key];
+      await this.persist();
+      return size;
+    });
+  }
+
+  /**
+   * Get the live array backing a collection from the in-memory copy of the data file
+   */
+  async getCollection(name) {
+    const data = await this.dataService.loadData();
+    const key = LEGACY_COLLECTION_KEYS[name] || name;
+    if (!Array.isArray(data[key])) {
+      data[key] = [];
+    }
+    return data[key];
+  }
+
+  /**
+   * Number of documents a collection holds, without creating it. The old
+   * dailyPatients copies are an object of arrays keyed by date, so those count too.
+   */
+  async collectionSize(name) {
+    const data = await this.dataService.loadData();
+    const value = data[LEGACY_COLLECTION_KEYS[name] || name];
+    if (Array.isArray(value)) return value.length;
+    if (!value || typeof value !== 'object') return 0;
+    return Object.values(value).reduce((total, entries) => total + (Array.isArray(entries) ? entries.length : 1), 0);
+  }
+
+  /**
+   * Write the data file
+   */
+  async persist() {
+    await this.dataService.saveData();
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,185 @@
+const { matchesFilter, sortDocuments } = require('./query');
+
+// Named sequence counters live in their own collection as { name, value }
+const COUNTERS = 'counters';
+
+/**
+ * Copy a document so callers never hold references into the store.
+ * Going through JSON also gives the same value types the JSON file store returns.
+ */
+function copy(doc) {
+  return doc ? JSON.parse(JSON.stringify(doc)) : null;
+}
+
+/**
+ * In-memory document store. Used for tests and as the base for the JSON file store.
+ */
+class MemoryStore {
+  constructor(initialData = {}) {
+    this.name = 'memory';
+    this.collections = copy(initialData);
+  }
+
+  /**
+   * Get the live array backing a collection
+   */
+  async getCollection(name) {
+    if (!this.collections[name]) {
+      this.collections[name] = [];
+    }
+    return this.collections[name];
+  }
+
+  /**
+   * Persist pending changes (nothing to do in memory)
+   */
+  async persist() {}
+
+  /**
+   * Insert a document and return a copy of it
+   */
+  async insertOne(collectionName, doc) {
+    const collection = await this.getCollection(collectionName);
+    const stored = copy(doc);
+    collection.push(stored);
+    await this.persist();
+    return copy(stored);
+  }
+
+  /**
+   * Insert a document unless one with the same value of `field` exists. Returns a copy
+   * of the inserted document, or null when the value is already taken.
+   */
+  async insertUnique(collectionName, doc, field) {
+    const collection = await this.getCollection(collectionName);
+    // No await between the check and the push, so concurrent callers can't both insert
+    if (collection.some(item => item[field] === doc[field])) return null;
+
+    const stored = copy(doc);
+    collection.push(stored);
+    await this.persist();
+    return copy(stored);
+  }
+
+  /**
+   * Find documents matching a filter
+   */
+  async find(collectionName, filter = {}, { sort, skip = 0, limit } = {}) {
+    const collection = await this.getCollection(collectionName);
+    const matches = sortDocuments(collection.filter(doc => matchesFilter(doc, filter)), sort);
+    const page = matches.slice(skip, limit ? skip + limit : undefined);
+    return page.map(copy);
+  }
+
+  /**
+   * Find the first document matching a filter, or null
+   */
+  async findOne(collectionName, filter = {}, { sort } = {}) {
+    const [doc] = await this.find(collectionName, filter, { sort, limit: 1 });
+    return doc || null;
+  }
+
+  /**
+   * Set fields on the first matching document and return the updated document, or null
+   */
+  async updateOne(collectionName, filter, changes) {
+    const collection = await this.getCollection(collectionName);
+    const doc = collection.find(item => matchesFilter(item, filter));
+    if (!doc) return null;
+
+    Object.assign(doc, copy(changes));
+    await this.persist();
+    return copy(doc);
+  }
+
+  /**
+   * Delete the first matching document. Returns true if one was deleted.
+   */
+  async deleteOne(collectionName, filter) {
+    const collection = await this.getCollection(collectionName);
+    const index = collection.findIndex(item => matchesFilter(item, filter));
+    if (index < 0) return false;
+
+    collection.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Delete every matching document. Returns the number deleted.
+   */
+  async deleteMany(collectionName, filter = {}) {
+    const collection = await this.getCollection(collectionName);
+    const kept = collection.filter(item => !matchesFilter(item, filter));
+    const deletedCount = collection.length - kept.length;
+    if (deletedCount === 0) return 0;
+
+    // Mutate in place so the JSON store's loaded data sees the change
+    collection.splice(0, collection.length, ...kept);
+    await this.persist();
+    return deletedCount;
+  }
+
+  /**
+   * Atomically increment a named counter and return the new value
+   */
+  async nextSequence(name) {
+    const counters = await this.getCollection(COUNTERS);
+    let counter = counters.find(item => item.name === name);
+    if (!counter) {
+      counter = { name, value: 0 };
+      counters.push(counter);
+    }
+
+    // No await between the read and the increment, so concurrent callers can't get the same value
+    counter.value += 1;
+    const value = counter.value;
+    await this.persist();
+    return value;
+  }
+
+  /**
+   * Raise a named counter to at least `minimum` (never lowers it)
+   */
+  async ensureSequence(name, minimum) {
+    const counters = await this.getCollection(COUNTERS);
+    const counter = counters.find(item => item.name === name);
+    if (!counter) {
+      counters.push({ name, value: minimum });
+    } else if (counter.value < minimum) {
+      counter.value = minimum;
+    } else {
+      return;
+    }
+    await this.persist();
+  }
+
+  /**
+   * Count documents matching a filter
+   */
+  async count(collectionName, filter = {}) {
+    const collection = await this.getCollection(collectionName);
+    return collection.filter(doc => matchesFilter(doc, filter)).length;
+  }
+
+  /**
+   * Number of documents a collection holds, without creating it
+   */
+  async collectionSize(name) {
+    return this.collections[name] ? this.collections[name].length : 0;
+  }
+
+  /**
+   * Remove a whole collection. Returns the number of documents it held.
+   */
+  async dropCollection(name) {
+    const size = await this.collectionSize(name);
+    if (this.collections[name] === undefined) return size;
+
+    delete this.collections[name];
+    await this.persist();
+    return size;
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,177 @@
+// Never hand MongoDB's internal _id back to callers; the other stores don't have one
+const PROJECTION = { _id: 0 };
+
+const COUNTERS = 'counters';
+
+/**
+ * Document store backed by MongoDB
+ */
+class MongoStore {
+  constructor(databaseService) {
+    this.name = 'mongo';
+    this.databaseService = databaseService;
+    this.countersReady = null;
+    this.uniqueIndexes = new Map();
+  }
+
+  /**
+   * Get a connected MongoDB collection
+   */
+  async getCollection(name) {
+    await this.databaseService.connect();
+    return this.databaseService.getCollection(name);
+  }
+
+  /**
+   * Insert a document and return a copy of it
+   */
+  async insertOne(collectionName, doc) {
+    const collection = await this.getCollection(collectionName);
+    // insertOne adds _id to the object it is given
+    const stored = { ...doc };
+    await collection.insertOne(stored);
+    const { _id, ...inserted } = stored;
+    return inserted;
+  }
+
+  /**
+   * Insert a document unless one with the same value of `field` exists. A unique index
+   * on the field (created once) makes the check atomic: a duplicate key error (E11000)
+   * means the value is taken. Returns the inserted document, or null.
+   */
+  async insertUnique(collectionName, doc, field) {
+    const collection = await this.getCollection(collectionName);
+    const indexName = `${collectionName}.${field}`;
+    if (!this.uniqueIndexes.has(indexName)) {
+      this.uniqueIndexes.set(indexName, collection.createIndex({ [field]: 1 }, { unique: true }).catch(error => {
+        this.uniqueIndexes.delete(indexName);
+        throw error;
+      }));
+    }
+    await this.uniqueIndexes.get(indexName);
+
+    try {
+      return await this.insertOne(collectionName, doc);
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Find documents matching a filter
+   */
+  async find(collectionName, filter = {}, { sort, skip = 0, limit } = {}) {
+    const collection = await this.getCollection(collectionName);
+    let cursor = collection.find(filter, { projection: PROJECTION });
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.toArray();
+  }
+
+  /**
+   * Find the first document matching a filter, or null
+   */
+  async findOne(collectionName, filter = {}, { sort } = {}) {
+    const collection = await this.getCollection(collectionName);
+    return collection.findOne(filter, { projection: PROJECTION, sort });
+  }
+
+  /**
+   * Set fields on the first matching document and return the updated document, or null
+   */
+  async updateOne(collectionName, filter, changes) {
+    const collection = await this.getCollection(collectionName);
+    return collection.findOneAndUpdate(filter, { $set: changes }, {
+      projection: PROJECTION,
+      returnDocument: 'after'
+    });
+  }
+
+  /**
+   * Delete the first matching document. Returns true if one was deleted.
+   */
+  async deleteOne(collectionName, filter) {
+    const collection = await this.getCollection(collectionName);
+    const result = await collection.deleteOne(filter);
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Delete every matching document. Returns the number deleted.
+   */
+  async deleteMany(collectionName, filter = {}) {
+    const collection = await this.getCollection(collectionName);
+    const result = await collection.deleteMany(filter);
+    return result.deletedCount;
+  }
+
+  /**
+   * Get the counters collection, creating its unique index once so concurrent upserts can't duplicate a counter
+   */
+  async getCounters() {
+    const collection = await this.getCollection(COUNTERS);
+    if (!this.countersReady) {
+      this.countersReady = collection.createIndex({ name: 1 }, { unique: true }).catch(error => {
+        this.countersReady = null;
+        throw error;
+      });
+    }
+    await this.countersReady;
+    return collection;
+  }
+
+  /**
+   * Atomically increment a named counter and return the new value
+   */
+  async nextSequence(name) {
+    const collection = await this.getCounters();
+    const counter = await collection.findOneAndUpdate({ name }, { $inc: { value: 1 } }, {
+      projection: PROJECTION,
+      returnDocument: 'after',
+      upsert: true
+    });
+    return counter.value;
+  }
+
+  /**
+   * Raise a named counter to at least `minimum` (never lowers it)
+   */
+  async ensureSequence(name, minimum) {
+    const collection = await this.getCounters();
+    await collection.updateOne({ name }, { $max: { value: minimum } }, { upsert: true });
+  }
+
+  /**
+   * Count documents matching a filter
+   */
+  async count(collectionName, filter = {}) {
+    const collection = await this.getCollection(collectionName);
+    return collection.countDocuments(filter);
+  }
+
+  /**
+   * Number of documents a collection holds
+   */
+  async collectionSize(name) {
+    return this.count(name);
+  }
+
+  /**
+   * Remove a whole collection. Returns the number of documents it held.
+   */
+  async dropCollection(name) {
+    const collection = await this.getCollection(name);
+    const size = await collection.countDocuments();
+    try {
+      await collection.drop();
+    } catch (error) {
+      // Older servers report a missing collection as an error
+      if (error.codeName !== 'NamespaceNotFound') throw error;
+    }
+    return size;
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,85 @@
+/**
+ * Read a (possibly dotted) field from a document
+ */
+function getValue(doc, field) {
+  return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+/**
+ * Check a single field value against a condition. Array fields match when any
+ * element matches, the same way MongoDB treats them.
+ */
+function matchesCondition(value, condition) {
+  const isOperatorObject = condition !== null &&
+    typeof condition === 'object' &&
+    !Array.isArray(condition) &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every(key => key.startsWith('$'));
+
+  if (!isOperatorObject) {
+    if (Array.isArray(value) && !Array.isArray(condition)) {
+      return value.some(item => item === condition);
+    }
+    return value === condition || (value === undefined && condition === null);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const values = Array.isArray(value) ? value : [value];
+
+    switch (operator) {
+      case '$in':
+        return values.some(item => operand.includes(item));
+      case '$nin':
+        return !values.some(item => operand.includes(item));
+      case '$ne':
+        // As in MongoDB, a missing field counts as null
+        return !values.some(item => item === operand || (item === undefined && operand === null));
+      case '$gt':
+        return values.some(item => item !== undefined && item !== null && item > operand);
+      case '$gte':
+        return values.some(item => item !== undefined && item !== null && item >= operand);
+      case '$lt':
+        return values.some(item => item !== undefined && item !== null && item < operand);
+      case '$lte':
+        return values.some(item => item !== undefined && item !== null && item <= operand);
+      case '$exists':
+        return operand ? value !== undefined : value === undefined;
+      default:
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  });
+}
+
+/**
+ * Check whether a document matches a MongoDB-style filter
+ */
+function matchesFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([field, condition]) => matchesCondition(getValue(doc, field), condition));
+}
+
+/**
+ * Sort documents by a MongoDB-style sort spec, e.g. { timestamp: -1 }
+ */
+function sortDocuments(docs, sort) {
+  if (!sort) return docs;
+
+  const fields = Object.entries(sort);
+  return docs.sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const left = getValue(a, field);
+      const right = getValue(b, field);
+      if (left === right) continue;
+      // Missing values sort first ascending, last descending (as in MongoDB)
+      if (left === undefined || left === null) return -direction;
+      if (right === undefined || right === null) return direction;
+      return left < right ? -direction : direction;
+    }
+    return 0;
+  });
+}
+
+module.exports = {
+  getValue,
+  matchesFilter,
+  sortDocuments
+};
@@ -0,0 +1,467 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { ValidationError } = require('../middleware/errorHandler');
+const { formValue } = require('./intakeSchema');
+
+const COLLECTION = 'triage_rules';
+
+const URGENCY_LEVELS = ['Low', 'Moderate', 'High'];
+const MATCH_STATUSES = {
+  AFFIRMED: 'affirmed',
+  UNCERTAIN: 'uncertain',
+  NEGATED: 'negated'
+};
+
+// Fields searched by rules that don't name their own: what the patient says is wrong today
+const DEFAULT_FIELDS = ['reasonForVisit', 'additionalNotes'];
+const RULE_ID_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+/**
+ * Version 1 of the rules, published the first time triage runs. A rule adds its
+ * score when one of its keywords or synonyms is mentioned (and not negated) in its
+ * fields, and when the patient's age and any thresholds match. Vital-sign thresholds
+ * apply once the intake form asks for those values (see IntakeFormService).
+ */
+const DEFAULT_RULESET = {
+  levels: { High: 40, Moderate: 15 },
+  uncertainWeight: 0.5,
+  rules: [
+    { id: 'chest_pain', label: 'Chest pain', keywords: ['chest pain'], synonyms: ['chest tightness', 'chest pressure', 'pain in my chest', 'tightness in my chest', 'pressure in my chest'], score: 40 },
+    { id: 'chest_pain_over_40', label: 'Chest pain at 40 or older', keywords: ['chest pain'], synonyms: ['chest tightness', 'chest pressure', 'pain in my chest', 'tightness in my chest', 'pressure in my chest'], age: { atLeast: 40 }, score: 20 },
+    { id: 'breathing', label: 'Difficulty breathing', keywords: ['difficulty breathing', 'shortness of breath'], synonyms: ['short of breath', 'trouble breathing', "can't breathe", 'cannot breathe', 'struggling to breathe', 'breathless'], score: 40 },
+    { id: 'stroke', label: 'Stroke symptoms', keywords: ['stroke'], synonyms: ['slurred speech', 'facial droop', 'face drooping', 'sudden numbness', 'weakness on one side'], score: 50 },
+    { id: 'heart_attack', label: 'Heart attack', keywords: ['heart attack'], synonyms: ['myocardial infarction'], score: 50 },
+    { id: 'self_harm', label: 'Suicide or self harm', keywords: ['suicide', 'self harm'], synonyms: ['suicidal', 'kill myself', 'end my life', 'hurt myself'], score: 60 },
+    { id: 'anaphylaxis', label: 'Anaphylaxis', keywords: ['anaphylaxis'], synonyms: ['throat swelling', 'swollen throat', 'tongue swelling', 'throat closing'], score: 50 },
+    { id: 'allergic_reaction', label: 'Allergic reaction', keywords: ['allergic reaction'], synonyms: ['hives'], fields: ['reasonForVisit', 'additionalNotes', 'currentMedications'], score: 25 },
+    { id: 'medication_reaction', label: 'Medication reaction', keywords: ['medication reaction'], synonyms: ['reaction to my medication', 'adverse reaction', 'bad reaction'], fields: ['reasonForVisit', 'additionalNotes', 'currentMedications'], score: 25 },
+    { id: 'severe_bleeding', label: 'Severe bleeding', keywords: ['severe bleeding'], synonyms: ['heavy bleeding', 'bleeding heavily', 'vomiting blood', 'coughing up blood'], score: 40 },
+    { id: 'unconscious', label: 'Loss of consciousness', keywords: ['unconscious'], synonyms: ['passed out', 'fainted', 'blacked out', 'loss of consciousness'], score: 35 },
+    { id: 'severe_pain', label: 'Severe pain', keywords: ['severe pain'], synonyms: ['excruciating pain', 'unbearable pain', 'worst pain'], score: 25 },
+    { id: 'high_fever', label: 'High fever', keywords: ['high fever'], synonyms: [], score: 15 },
+    { id: 'fever', label: 'Fever', keywords: ['fever'], synonyms: ['febrile', 'chills'], score: 10 },
+    { id: 'fever_over_65', label: 'Fever at 65 or older', keywords: ['fever'], synonyms: ['febrile'], age: { atLeast: 65 }, score: 15 },
+    { id: 'infection', label: 'Infection', keywords: ['infection'], synonyms: ['infected', 'pus', 'spreading redness'], score: 10 },
+    { id: 'mental_health', label: 'Mental health crisis', keywords: ['mental health crisis', 'panic attack'], synonyms: ['hallucinations', 'hearing voices'], score: 20 },
+    { id: 'urgent_language', label: 'Described as urgent', keywords: ['emergency', 'urgent', 'critical', 'life threatening'], synonyms: [], score: 15 },
+    { id: 'temperature', label: 'Temperature of 103°F or higher', thresholds: [{ field: 'temperature', atLeast: 103 }], score: 30 },
+    { id: 'oxygen_saturation', label: 'Oxygen saturation of 91% or lower', thresholds: [{ field: 'oxygenSaturation', atMost: 91 }], score: 50 },
+    { id: 'heart_rate', label: 'Heart rate of 120 or higher', thresholds: [{ field: 'heartRate', atLeast: 120 }], score: 30 },
+    { id: 'blood_pressure', label: 'Systolic blood pressure of 180 or higher', thresholds: [{ field: 'systolicBP', atLeast: 180 }], score: 40 }
+  ]
+};
+
+/*
+ * Negation and uncertainty, in the style of NegEx: a trigger shortly before a mention
+ * ("no chest pain", "denies fever", "possible infection") or just after it ("chest
+ * pain - resolved") changes it, within the same phrase. Sentence ends and words like
+ * "but" end a clause, and commas and "and" end a phrase, so "no fever but chest pain"
+ * and "I have not slept, chest pain all night" still affirm chest pain. Triggers that
+ * take a list ("denies fever, chills or cough") reach to the end of the clause.
+ */
+const CLAUSE_END = /[.;!?\n]|\b(?:but|however|although|though|except|apart from|aside from|yet|still|now)\b/g;
+const PHRASE_END = /[.;!?\n,]|\b(?:and|but|however|although|though|except|apart from|aside from|yet|still|now)\b/g;
+const TRIGGER_WINDOW = 5;
+// "don't", "haven't", "wasn't" (apostrophe optional); the spelled-out forms are caught by "not".
+// "can't" and "couldn't" are left out on purpose: "can't breathe" is a symptom, not a denial.
+const AUXILIARY_NOT = "(?:do|does|did|have|has|had|is|was|are|were)n'?t";
+const NEGATION_BEFORE = new RegExp(`\\b(?:no|not|never|none|without|denies|denied|deny|negative for|free of|absence of|ruled out|rules out|no longer|${AUXILIARY_NOT})\\b`);
+const LIST_NEGATION_BEFORE = /\b(?:no|without|denies|denied|deny|negative for|free of|absence of)\b/;
+const NEGATION_AFTER = /^\W*(?:\w+\W+){0,2}?(?:denied|ruled out|resolved|went away|is gone|has gone)\b/;
+// Phrases with a negation word that don't negate what follows
+const PSEUDO_NEGATION = new RegExp(`\\b(?:not only|no (?:change|improvement|relief) (?:in|of|from)|(?:not|${AUXILIARY_NOT}) (?:improving|improved|better|getting better|resolved|gone|going away|go away|gone away|stopping|stopped|stop|helping|helped|help)|not sure|not certain|${AUXILIARY_NOT} know|cannot rule out|can't rule out|not ruled out)\\b`, 'g');
+// "never had chest pain this bad", "never felt pain like this": a worse mention, not a denial
+const NEVER_BEFORE = /\bnever (?:had|felt|experienced)\b/g;
+const LIKE_THIS_AFTER = /^\W*(?:\w+\W+)?(?:like (?:this|that)|this|that|so)\b/;
+const UNCERTAINTY_BEFORE = /\b(?:possible|possibly|maybe|might|may|perhaps|probably|likely|suspected|suspect|not sure|unsure|don'?t know|uncertain|could be|question of|rule out|cannot rule out|can't rule out|not ruled out|worried about|concerned about|afraid of|in case|if|whether)\b/;
+const UNCERTAINTY_AFTER = /^\s*\?|^\W*(?:\w+\W+){0,2}?(?:maybe|possibly|not sure|unsure|i think)\b/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regular expression for a keyword: whole words, any spacing or hyphens between
+ * them, optional apostrophes and plural endings
+ */
+function termPattern(term) {
+  const words = String(term).trim().toLowerCase().split(/[\s-]+/)
+    .map(word => escapeRegExp(word).replace(/'/g, "'?"));
+  return new RegExp(`\\b${words.join('[\\s-]+')}(?:s|es)?\\b`, 'g');
+}
+
+/**
+ * Lower-case text with plain apostrophes, so matching doesn't depend on the keyboard
+ */
+function normalizeText(value) {
+  return String(value === undefined || value === null ? '' : value).toLowerCase().replace(/[‘’]/g, "'");
+}
+
+/**
+ * The clause of `text` around a match: from the end of the previous clause to the
+ * start of the next. `boundaries` ends clauses (PHRASE_END for the narrower phrase).
+ */
+function clauseAround(text, start, end, boundaries = CLAUSE_END) {
+  let clauseStart = 0;
+  let clauseEnd = text.length;
+  boundaries.lastIndex = 0;
+  let boundary;
+  while ((boundary = boundaries.exec(text)) !== null) {
+    if (boundary.index + boundary[0].length <= start) clauseStart = boundary.index + boundary[0].length;
+    else if (boundary.index >= end) {
+      clauseEnd = boundary.index;
+      break;
+    }
+  }
+  return { clauseStart, clauseEnd };
+}
+
+/**
+ * The last few words of `text` between `from` and `to`
+ */
+const wordsBefore = (text, from, to) => text.slice(from, to).split(/\s+/).filter(Boolean).slice(-TRIGGER_WINDOW).join(' ');
+
+/**
+ * Whether the mention at [start, end) of `text` is affirmed, uncertain or negated
+ */
+function assessMention(text, start, end) {
+  const clause = clauseAround(text, start, end);
+  const phrase = clauseAround(text, start, end, PHRASE_END);
+  const after = text.slice(end, phrase.clauseEnd);
+  // "chest pain, resolved": a trigger just after the mention may follow a comma
+  const clauseAfter = text.slice(end, clause.clauseEnd);
+  let before = wordsBefore(text, phrase.clauseStart, start);
+  let listBefore = wordsBefore(text, clause.clauseStart, start);
+  if (LIKE_THIS_AFTER.test(after)) {
+    before = before.replace(NEVER_BEFORE, ' ');
+    listBefore = listBefore.replace(NEVER_BEFORE, ' ');
+  }
+
+  if (NEGATION_BEFORE.test(before.replace(PSEUDO_NEGATION, ' ')) ||
+    LIST_NEGATION_BEFORE.test(listBefore.replace(PSEUDO_NEGATION, ' ')) ||
+    NEGATION_AFTER.test(clauseAfter)) {
+    return MATCH_STATUSES.NEGATED;
+  }
+  if (UNCERTAINTY_BEFORE.test(before) || UNCERTAINTY_AFTER.test(text.slice(end))) {
+    return MATCH_STATUSES.UNCERTAIN;
+  }
+  return MATCH_STATUSES.AFFIRMED;
+}
+
+/**
+ * Every mention of the terms in a piece of text, with its status and the clause it is in
+ */
+function findMentions(value, terms) {
+  const text = normalizeText(value);
+  const mentions = [];
+  terms.forEach(term => {
+    const pattern = termPattern(term);
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const { clauseStart, clauseEnd } = clauseAround(text, match.index, match.index + match[0].length);
+      mentions.push({
+        term,
+        status: assessMention(text, match.index, match.index + match[0].length),
+        excerpt: String(value).slice(clauseStart, clauseEnd).trim().slice(0, 160)
+      });
+    }
+  });
+  return mentions;
+}
+
+/**
+ * Age in whole years on `now`, or null without a valid date of birth
+ */
+function ageOn(dob, now) {
+  const birth = new Date(`${dob}T00:00:00Z`);
+  if (!dob || isNaN(birth.getTime())) return null;
+  const today = new Date(now);
+  let age = today.getUTCFullYear() - birth.getUTCFullYear();
+  const birthday = new Date(Date.UTC(today.getUTCFullYear(), birth.getUTCMonth(), birth.getUTCDate()));
+  if (today < birthday) age--;
+  return age;
+}
+
+/**
+ * Whether a number is within a threshold ({ atLeast, atMost })
+ */
+function withinThreshold(value, threshold) {
+  if (value === null || isNaN(value)) return false;
+  if (threshold.atLeast !== undefined && value < threshold.atLeast) return false;
+  if (threshold.atMost !== undefined && value > threshold.atMost) return false;
+  return true;
+}
+
+const STATUS_RANK = { [MATCH_STATUSES.NEGATED]: 0, [MATCH_STATUSES.UNCERTAIN]: 1, [MATCH_STATUSES.AFFIRMED]: 2 };
+
+/**
+ * Run a ruleset against an intake (standard fields, plus `responses` for the form's
+ * own questions). Returns the urgency level, its score, the labels of the rules that
+ * matched (riskKeywords) and the evidence for each: the field, the words matched and
+ * whether they were affirmed, uncertain or negated. Negated mentions score nothing but
+ * are listed so reviewers can see what was ruled out, except for rules scoring High on
+ * their own, which count as uncertain (flagged `negated: true`).
+ */
+function evaluateTriage(intake, ruleset = DEFAULT_RULESET, { now = Date.now() } = {}) {
+  const age = ageOn(intake.dob, now);
+  const evidence = [];
+  let score = 0;
+
+  ruleset.rules.forEach(rule => {
+    if (rule.age && !withinThreshold(age, rule.age)) return;
+
+    const thresholds = (rule.thresholds || []).map(threshold => ({
+      ...threshold,
+      value: parseFloat(formValue(intake, threshold.field))
+    }));
+    if (!thresholds.every(threshold => withinThreshold(threshold.value, threshold))) return;
+
+    const terms = (rule.keywords || []).concat(rule.synonyms || []);
+    let status = MATCH_STATUSES.AFFIRMED;
+    let found = null;
+    if (terms.length > 0) {
+      (rule.fields || DEFAULT_FIELDS).forEach(field => {
+        findMentions(formValue(intake, field), terms).forEach(mention => {
+          if (!found || STATUS_RANK[mention.status] > STATUS_RANK[found.status]) found = { ...mention, field };
+        });
+      });
+      if (!found) return;
+      status = found.status;
+    }
+
+    // Negation detection can be wrong, so a rule that could make an intake High on its
+    // own still counts as uncertain when negated rather than dropping out
+    const negatedHighRisk = status === MATCH_STATUSES.NEGATED && rule.score >= ruleset.levels.High;
+    if (negatedHighRisk) status = MATCH_STATUSES.UNCERTAIN;
+
+    const weight = status === MATCH_STATUSES.AFFIRMED ? 1 : status === MATCH_STATUSES.UNCERTAIN ? ruleset.uncertainWeight : 0;
+    score += rule.score * weight;
+    evidence.push({
+      rule: rule.id,
+      label: rule.label,
+      status,
+      ...(negatedHighRisk ? { negated: true } : {}),
+      score: rule.score * weight,
+      ...(found
+        ? { field: found.field, term: found.term, excerpt: found.excerpt }
+        : { field: thresholds[0].field, value: thresholds[0].value }),
+      ...(rule.age ? { age } : {})
+    });
+  });
+
+  score = Math.round(score * 10) / 10;
+  const urgencyLevel = score >= ruleset.levels.High ? 'High' : score >= ruleset.levels.Moderate ? 'Moderate' : 'Low';
+  return {
+    urgencyLevel,
+    score,
+    riskKeywords: evidence.filter(entry => entry.status !== MATCH_STATUSES.NEGATED).map(entry => entry.label),
+    evidence,
+    version: ruleset.version || null
+  };
+}
+
+/**
+ * Labels of the keyword rules mentioned (and not negated) anywhere in a piece of text,
+ * e.g. an AI model's free-text answer
+ */
+function riskKeywordsIn(text, ruleset = DEFAULT_RULESET) {
+  return ruleset.rules
+    .filter(rule => (rule.keywords || []).length > 0 && !rule.age && !rule.thresholds)
+    .filter(rule => findMentions(text, rule.keywords.concat(rule.synonyms || [])).some(mention => mention.status !== MATCH_STATUSES.NEGATED))
+    .map(rule => rule.label);
+}
+
+/**
+ * Combine an AI triage summary with the rules result: the more urgent level wins, the
+ * risk keywords are merged, and the rules score and evidence are kept with it
+ */
+function combineWithRules(summary, result) {
+  const level = (value) => URGENCY_LEVELS.indexOf(value);
+  return {
+    ...summary,
+    urgencyLevel: level(result.urgencyLevel) > level(summary.urgencyLevel) ? result.urgencyLevel : summary.urgencyLevel,
+    riskKeywords: Array.from(new Set(result.riskKeywords.concat(summary.riskKeywords || []))),
+    rules: { version: result.version, urgencyLevel: result.urgencyLevel, score: result.score, evidence: result.evidence }
+  };
+}
+
+const textList = (value) => (Array.isArray(value) ? value.map(entry => String(entry).trim()).filter(Boolean) : []);
+
+/**
+ * Check a ruleset and return it with only the supported properties.
+ * Throws a ValidationError naming the first problem.
+ */
+function cleanRuleset(ruleset) {
+  if (!ruleset || !Array.isArray(ruleset.rules) || ruleset.rules.length === 0) {
+    throw new ValidationError('A triage ruleset needs a "rules" list');
+  }
+
+  const levels = ruleset.levels || DEFAULT_RULESET.levels;
+  const high = Number(levels.High);
+  const moderate = Number(levels.Moderate);
+  if (!(moderate > 0) || !(high > moderate)) {
+    throw new ValidationError('Urgency levels need a Moderate score above 0 and a higher High score');
+  }
+
+  const uncertainWeight = ruleset.uncertainWeight === undefined ? DEFAULT_RULESET.uncertainWeight : Number(ruleset.uncertainWeight);
+  if (!(uncertainWeight >= 0 && uncertainWeight <= 1)) {
+    throw new ValidationError('"uncertainWeight" must be between 0 and 1');
+  }
+
+  const ids = [];
+  const cleanThreshold = (threshold, name) => {
+    const cleaned = {};
+    ['atLeast', 'atMost'].forEach(bound => {
+      if (threshold && threshold[bound] !== undefined) {
+        if (isNaN(Number(threshold[bound]))) throw new ValidationError(`"${bound}" in ${name} must be a number`);
+        cleaned[bound] = Number(threshold[bound]);
+      }
+    });
+    if (Object.keys(cleaned).length === 0) {
+      throw new ValidationError(`${name} needs "atLeast" and/or "atMost"`);
+    }
+    return cleaned;
+  };
+
+  const rules = ruleset.rules.map(rule => {
+    const id = rule && rule.id;
+    if (!RULE_ID_PATTERN.test(id || '')) {
+      throw new ValidationError(`Invalid rule id "${id}". Use lower-case letters, digits and underscores`);
+    }
+    if (ids.includes(id)) {
+      throw new ValidationError(`The rule "${id}" appears more than once`);
+    }
+    if (!rule.label || !String(rule.label).trim()) {
+      throw new ValidationError(`The rule "${id}" needs a label`);
+    }
+    const score = Number(rule.score);
+    if (isNaN(score) || score < 0 || score > 100) {
+      throw new ValidationError(`The rule "${id}" needs a score from 0 to 100`);
+    }
+
+    const cleaned = { id, label: String(rule.label).trim(), keywords: textList(rule.keywords), synonyms: textList(rule.synonyms), score };
+    if (Array.isArray(rule.thresholds) && rule.thresholds.length > 0) {
+      cleaned.thresholds = rule.thresholds.map(threshold => {
+        if (!threshold || !threshold.field) throw new ValidationError(`Each threshold in "${id}" needs a field`);
+        return { field: String(threshold.field), ...cleanThreshold(threshold, `the "${threshold.field}" threshold of "${id}"`) };
+      });
+    }
+    if (cleaned.keywords.length === 0 && !cleaned.thresholds) {
+      throw new ValidationError(`The rule "${id}" needs keywords or thresholds`);
+    }
+    if (cleaned.keywords.length === 0 && cleaned.synonyms.length > 0) {
+      throw new ValidationError(`The rule "${id}" has synonyms but no keywords`);
+    }
+    if (rule.age) cleaned.age = cleanThreshold(rule.age, `the age condition of "${id}"`);
+    if (Array.isArray(rule.fields) && rule.fields.length > 0) cleaned.fields = textList(rule.fields);
+
+    ids.push(id);
+    return cleaned;
+  });
+
+  return { levels: { High: high, Moderate: moderate }, uncertainWeight, rules };
+}
+
+/**
+ * Versioned triage rules that admins publish, and the rules triage of intake forms.
+ * Each triage result records the rules version it used.
+ */
+class TriageEngine {
+  constructor(store, auditService = null) {
+    this.store = store;
+    this.auditService = auditService;
+    this.defaultReady = null;
+
+    this.logger = createLogger('triage-engine');
+  }
+
+  /**
+   * Publish version 1 of the default rules if none exist yet (once per process)
+   */
+  async ensureDefault() {
+    if (!this.defaultReady) {
+      this.defaultReady = (async () => {
+        if (await this.store.count(COLLECTION) > 0) return;
+        await this.publish(DEFAULT_RULESET, { user: 'system' });
+      })().catch(error => {
+        this.defaultReady = null;
+        throw error;
+      });
+    }
+    return this.defaultReady;
+  }
+
+  /**
+   * The current (latest) ruleset
+   */
+  async getCurrent() {
+    await this.ensureDefault();
+    return this.store.findOne(COLLECTION, {}, { sort: { version: -1 } });
+  }
+
+  /**
+   * Every ruleset version, newest first
+   */
+  async listVersions() {
+    await this.ensureDefault();
+    return this.store.find(COLLECTION, {}, { sort: { version: -1 } });
+  }
+
+  /**
+   * Publish a new ruleset version (an object, or JSON text from the admin page).
+   * Triage results already stored keep the version they were made with.
+   */
+  async publish(ruleset, context = {}) {
+    if (typeof ruleset === 'string') {
+      try {
+        ruleset = JSON.parse(ruleset);
+      } catch (error) {
+        throw new ValidationError(`The triage rules are not valid JSON: ${error.message}`);
+      }
+    }
+    const cleaned = cleanRuleset(ruleset);
+
+    try {
+      const latest = await this.store.findOne(COLLECTION, {}, { sort: { version: -1 } });
+      const published = {
+        id: `rules_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        version: latest ? latest.version + 1 : 1,
+        ...cleaned,
+        publishedBy: context.user || null,
+        publishedAt: new Date().toISOString()
+      };
+
+      await this.store.insertOne(COLLECTION, published);
+      this.logger.info(`Published triage rules version ${published.version}`, { rulesId: published.id, rules: published.rules.length });
+
+      if (this.auditService) {
+        await this.auditService.record({
+          action: 'triage_rules.publish',
+          context: context,
+          details: { rulesId: published.id, version: published.version, rules: published.rules.length }
+        });
+      }
+
+      return published;
+    } catch (error) {
+      this.logger.error('Error publishing triage rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Triage an intake with the current rules (see evaluateTriage)
+   */
+  async evaluate(intake, options = {}) {
+    const result = evaluateTriage(intake, await this.getCurrent(), options);
+    this.logger.info('Rules triage completed', { urgencyLevel: result.urgencyLevel, score: result.score, rulesVersion: result.version });
+    return result;
+  }
+}
+
+module.exports = TriageEngine;
+module.exports.DEFAULT_RULESET = DEFAULT_RULESET;
+module.exports.URGENCY_LEVELS = URGENCY_LEVELS;
+module.exports.MATCH_STATUSES = MATCH_STATUSES;
+module.exports.evaluateTriage = evaluateTriage;
+module.exports.ageOn = ageOn;
+module.exports.riskKeywordsIn = riskKeywordsIn;
+module.exports.combineWithRules = combineWithRules;
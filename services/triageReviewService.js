@@ -0,0 +1,209 @@
+const { createLogger } = require('./logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { ENCOUNTER_STATUSES } = require('./encounterRepository');
+const { URGENCY_LEVELS, MATCH_STATUSES } = require('./triageEngine');
+
+const REVIEW_DECISIONS = {
+  ACCEPTED: 'accepted',
+  OVERRIDDEN: 'overridden'
+};
+
+const MAX_SUMMARY_LENGTH = 2000;
+const MAX_REASON_LENGTH = 1000;
+
+const urgencyRank = (level) => URGENCY_LEVELS.indexOf(level);
+const percent = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 10 : null);
+
+/**
+ * Review tally for one provider or rule
+ */
+const emptyTally = () => ({ reviewed: 0, accepted: 0, overridden: 0, raised: 0, lowered: 0, summaryEdits: 0 });
+
+/**
+ * Add one review to a tally
+ */
+function countReview(tally, review) {
+  const change = urgencyRank(review.urgencyLevel) - urgencyRank(review.original.urgencyLevel);
+  tally.reviewed++;
+  tally[review.decision === REVIEW_DECISIONS.ACCEPTED ? 'accepted' : 'overridden']++;
+  if (change > 0) tally.raised++;
+  if (change < 0) tally.lowered++;
+  if (review.summary !== review.original.summary) tally.summaryEdits++;
+}
+
+/**
+ * A tally with the share of reviews that kept the urgency level
+ */
+const withAgreement = (tally) => ({
+  ...tally,
+  urgencyAgreement: percent(tally.reviewed - tally.raised - tally.lowered, tally.reviewed)
+});
+
+/**
+ * Clinician review of intake triage. Triaged visits wait in a queue, most urgent
+ * first, until a clinician accepts the urgency level and summary or overrides them
+ * with a reason. The triage as it was before the review is kept with the review, so
+ * overrides can be counted per AI provider and per triage rule.
+ */
+class TriageReviewService {
+  constructor(patientRepository, auditService = null) {
+    this.patientRepository = patientRepository;
+    this.encounters = patientRepository.encounters;
+    this.auditService = auditService;
+
+    this.logger = createLogger('triage-review');
+  }
+
+  /**
+   * Triaged visits awaiting review: High first, then oldest first within a level
+   */
+  async queue({ limit } = {}) {
+    // The triage itself is encrypted, so only the ordering by urgency happens here
+    const visits = await this.patientRepository.list({ status: ENCOUNTER_STATUSES.TRIAGED, reviewed: false });
+    const waiting = visits
+      .filter(visit => visit.triage)
+      .sort((a, b) => urgencyRank(b.triage.urgencyLevel) - urgencyRank(a.triage.urgencyLevel) ||
+        String(a.timestamp).localeCompare(String(b.timestamp)));
+    return limit ? waiting.slice(0, limit) : waiting;
+  }
+
+  /**
+   * Number of visits awaiting review
+   */
+  async count() {
+    return this.encounters.count({ status: ENCOUNTER_STATUSES.TRIAGED, reviewedAt: null });
+  }
+
+  /**
+   * Record a clinician's review of an encounter's triage. `decision` is "accept" or
+   * "override"; an override sets `urgencyLevel` and/or `summary` and needs a `reason`.
+   * Returns the updated encounter.
+   */
+  async review(encounterId, { decision, urgencyLevel, summary, reason } = {}, context = {}) {
+    const encounter = await this.encounters.get(encounterId);
+    if (!encounter) {
+      throw new NotFoundError(`Encounter ${encounterId} not found`);
+    }
+    if (!encounter.triage) {
+      throw new ValidationError(`Encounter ${encounterId} has not been triaged yet`);
+    }
+    if (encounter.triage.review) {
+      throw new ConflictError(`The triage for encounter ${encounterId} was already ${encounter.triage.review.decision}`);
+    }
+
+    const triage = encounter.triage;
+    const review = {
+      decision: null,
+      urgencyLevel: triage.urgencyLevel,
+      summary: triage.summary,
+      reason: null,
+      reviewedBy: context.user || null,
+      reviewedAt: new Date().toISOString(),
+      original: {
+        summary: triage.summary,
+        urgencyLevel: triage.urgencyLevel,
+        riskKeywords: triage.riskKeywords,
+        recommendations: triage.recommendations
+      }
+    };
+
+    if (decision === 'accept') {
+      review.decision = REVIEW_DECISIONS.ACCEPTED;
+    } else if (decision === 'override') {
+      review.decision = REVIEW_DECISIONS.OVERRIDDEN;
+      review.urgencyLevel = urgencyLevel || triage.urgencyLevel;
+      review.summary = summary === undefined || summary === null ? triage.summary : String(summary).trim();
+      review.reason = String(reason || '').trim();
+
+      if (!URGENCY_LEVELS.includes(review.urgencyLevel)) {
+        throw new ValidationError(`Urgency level must be one of: ${URGENCY_LEVELS.join(', ')}`);
+      }
+      if (!review.summary || review.summary.length > MAX_SUMMARY_LENGTH) {
+        throw new ValidationError(`The summary must be 1-${MAX_SUMMARY_LENGTH} characters`);
+      }
+      if (!review.reason || review.reason.length > MAX_REASON_LENGTH) {
+        throw new ValidationError(`An override needs a reason of at most ${MAX_REASON_LENGTH} characters`);
+      }
+      if (review.urgencyLevel === triage.urgencyLevel && review.summary === triage.summary) {
+        throw new ValidationError('The override changes neither the urgency level nor the summary - accept the triage instead');
+      }
+    } else {
+      throw new ValidationError('Decision must be "accept" or "override"');
+    }
+
+    try {
+      const updated = await this.encounters.setTriageReview(encounterId, review);
+
+      if (this.auditService) {
+        await this.auditService.record({
+          action: `triage.review_${review.decision}`,
+          context: context,
+          patientIds: [encounter.patientId],
+          details: {
+            encounterId,
+            from: review.original.urgencyLevel,
+            to: review.urgencyLevel,
+            summaryEdited: review.summary !== review.original.summary,
+            provider: triage.provider || null
+          }
+        });
+      }
+
+      this.logger.info(`Triage for encounter ${encounterId} ${review.decision} (${review.original.urgencyLevel} -> ${review.urgencyLevel})`);
+      return updated;
+    } catch (error) {
+      this.logger.error(`Error saving triage review for encounter ${encounterId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Triage accuracy for reviews made between `from` and `to` (ISO timestamps): how often
+   * clinicians kept, raised or lowered the urgency level and edited the summary, overall,
+   * per AI provider and per triage rule that matched (affirmed or uncertain)
+   */
+  async report({ from, to } = {}) {
+    const fromTime = from ? new Date(from) : null;
+    // A bare date for "to" means the whole of that day
+    const toTime = to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : null;
+    if ((fromTime && isNaN(fromTime)) || (toTime && isNaN(toTime))) {
+      throw new ValidationError('"from" and "to" must be dates');
+    }
+
+    const encounters = await this.encounters.list();
+    const reviews = encounters
+      .filter(encounter => encounter.triage && encounter.triage.review)
+      .filter(({ triage }) => (!fromTime || triage.review.reviewedAt >= fromTime.toISOString()) &&
+        (!toTime || triage.review.reviewedAt <= toTime.toISOString()));
+
+    const overall = emptyTally();
+    const providers = new Map();
+    const rules = new Map();
+
+    reviews.forEach(({ triage }) => {
+      countReview(overall, triage.review);
+
+      const provider = triage.provider || 'unknown';
+      if (!providers.has(provider)) providers.set(provider, { provider, ...emptyTally() });
+      countReview(providers.get(provider), triage.review);
+
+      const matched = ((triage.rules && triage.rules.evidence) || []).filter(entry => entry.status !== MATCH_STATUSES.NEGATED);
+      new Map(matched.map(entry => [entry.rule, entry])).forEach(entry => {
+        if (!rules.has(entry.rule)) rules.set(entry.rule, { rule: entry.rule, label: entry.label, ...emptyTally() });
+        countReview(rules.get(entry.rule), triage.review);
+      });
+    });
+
+    const byReviews = (a, b) => b.reviewed - a.reviewed;
+    return {
+      from: from || null,
+      to: to || null,
+      ...withAgreement(overall),
+      providers: Array.from(providers.values()).map(withAgreement).sort(byReviews),
+      rules: Array.from(rules.values()).map(withAgreement).sort(byReviews)
+    };
+  }
+}
+
+module.exports = TriageReviewService;
+module.exports.REVIEW_DECISIONS = REVIEW_DECISIONS;
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+
+// Calendly recommends rejecting signatures older than three minutes
+const DEFAULT_TOLERANCE_SECONDS = 180;
+
+/**
+ * Parse a "t=<unix seconds>,v1=<hex hmac>" signature header
+ */
+function parseSignatureHeader(header) {
+  if (!header || typeof header !== 'string') return null;
+
+  const parts = {};
+  header.split(',').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      parts[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+  });
+
+  const timestamp = parseInt(parts.t);
+  if (isNaN(timestamp) || !parts.v1) return null;
+
+  return { timestamp, signature: parts.v1 };
+}
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<raw body>", hex encoded
+ */
+function signPayload(payload, timestamp, secret) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+/**
+ * Build a signature header for a payload (used by tests and local tooling)
+ */
+function createSignatureHeader(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${signPayload(payload, timestamp, secret)}`;
+}
+
+/**
+ * Verify a signature header against the raw request body.
+ * Returns { valid, reason } so callers can log why a webhook was rejected.
+ */
+function verifySignature({ payload, header, secret, toleranceSeconds }) {
+  const tolerance = toleranceSeconds || parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+
+  if (payload === undefined || payload === null) {
+    return { valid: false, reason: 'Raw request body not available' };
+  }
+
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) {
+    return { valid: false, reason: header ? 'Malformed signature header' : 'Missing signature header' };
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parsed.timestamp);
+  if (age > tolerance) {
+    return { valid: false, reason: `Signature timestamp outside tolerance (${age}s old)` };
+  }
+
+  const expected = Buffer.from(signPayload(payload, parsed.timestamp, secret));
+  const actual = Buffer.from(parsed.signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Whether webhooks may go unsigned when no secret is configured: only with an explicit
+ * WEBHOOK_SIGNATURES_OPTIONAL=true for local development, and never in production
+ */
+function signaturesOptional() {
+  return process.env.WEBHOOK_SIGNATURES_OPTIONAL === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_SECONDS,
+  parseSignatureHeader,
+  signPayload,
+  createSignatureHeader,
+  verifySignature,
+  signaturesOptional
+};
@@ -0,0 +1,205 @@
+const AIService = require('../services/aiService');
+const { providerOrder, createProviders, rawPhiProviders, deidentifyIntake, CircuitBreaker, RulesProvider, validateOutput } = require('../services/ai');
+
+describe('AIService', () => {
+  const ENV_NAMES = ['AI_PROVIDERS', 'USE_LOCAL_AI', 'OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'AI_RAW_PHI_PROVIDERS'];
+  let savedEnv;
+
+  // A provider that answers with `answer` (or its answers in turn, repeating the last),
+  // throwing any that is an Error
+  const fakeProvider = (name, answer, phiPolicy = 'deidentified') => ({
+    name,
+    label: name.toUpperCase(),
+    model: `${name}-model`,
+    phiPolicy,
+    calls: 0,
+    prompts: [],
+    async complete(prompt) {
+      this.calls++;
+      this.prompts.push(prompt);
+      const answers = [].concat(answer);
+      const next = answers[Math.min(this.calls, answers.length) - 1];
+      if (next instanceof Error) throw next;
+      return next;
+    }
+  });
+
+  const triageAnswer = JSON.stringify({ summary: 'Cough for a week', urgencyLevel: 'Low', riskKeywords: [], recommendations: 'Routine visit' });
+  const intake = { fullName: 'Jane Doe', dob: '1990-01-15', reasonForVisit: 'No fever but shortness of breath' };
+
+  beforeEach(() => {
+    savedEnv = {};
+    ENV_NAMES.forEach(name => {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    });
+  });
+
+  afterEach(() => {
+    ENV_NAMES.forEach(name => {
+      if (savedEnv[name] === undefined) delete process.env[name];
+      else process.env[name] = savedEnv[name];
+    });
+  });
+
+  it('should build the fallback order from the settings', () => {
+    expect(providerOrder()).toEqual(['openai', 'rules']);
+    expect(providerOrder('Ollama, anthropic')).toEqual(['ollama', 'anthropic', 'rules']);
+    expect(providerOrder('rules,local')).toEqual(['local', 'rules']);
+    expect(() => providerOrder('openai,gemini')).toThrow('Unknown AI provider "gemini"');
+
+    process.env.USE_LOCAL_AI = 'true';
+    expect(providerOrder()).toEqual(['local', 'rules']);
+
+    // Providers without their API key are left out of the chain
+    expect(createProviders('openai,anthropic,ollama').map(provider => provider.name)).toEqual(['ollama', 'rules']);
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+    expect(createProviders('anthropic').map(provider => provider.name)).toEqual(['anthropic', 'rules']);
+  });
+
+  it('should fall back to the next provider and record which one answered', async () => {
+    const down = fakeProvider('openai', new Error('connect ECONNREFUSED'));
+    const ollama = fakeProvider('ollama', triageAnswer);
+    const aiService = new AIService({ providers: [down, ollama, new RulesProvider()] });
+
+    const summary = await aiService.summarizeIntake(intake);
+
+    expect(summary).toMatchObject({ summary: 'Cough for a week', urgencyLevel: 'Low', provider: 'ollama', model: 'ollama-model', validation: 'validated' });
+    expect(down.calls).toBe(1);
+  });
+
+  it('should triage with the rules when every AI provider is down', async () => {
+    const aiService = new AIService({ providers: [fakeProvider('openai', new Error('timeout of 30000ms exceeded')), new RulesProvider()] });
+
+    const summary = await aiService.summarizeIntake(intake);
+
+    expect(summary).toMatchObject({ urgencyLevel: 'High', riskKeywords: ['Difficulty breathing'], provider: 'rules' });
+    expect(summary.summary).toContain('Rules-based triage: Difficulty breathing');
+    await expect(aiService.ping()).rejects.toThrow('No AI provider answered (openai: timeout of 30000ms exceeded)');
+    await expect(aiService.generateConfirmationEmail({ patientName: 'Jane Doe' }, summary)).resolves.toHaveProperty('subject', 'Appointment Confirmation - Jane Doe');
+  });
+
+  it('should stop calling a failing provider until its circuit resets', async () => {
+    const down = fakeProvider('openai', new Error('503 Service Unavailable'));
+    const aiService = new AIService({ providers: [down, new RulesProvider()] });
+    let now = 0;
+    aiService.breakers.openai = new CircuitBreaker({ failureThreshold: 2, resetSeconds: 60, now: () => now });
+
+    for (let i = 0; i < 4; i++) {
+      expect((await aiService.summarizeIntake(intake)).provider).toBe('rules');
+    }
+    expect(down.calls).toBe(2);
+    expect(aiService.breakers.openai.getStatus()).toMatchObject({ state: 'open', failures: 2 });
+
+    // After the reset time one trial request goes through and closes the circuit
+    now = 60000;
+    down.complete = async function () { this.calls++; return triageAnswer; };
+    expect((await aiService.summarizeIntake(intake)).provider).toBe('openai');
+    expect(aiService.breakers.openai.getStatus()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  it('should hold answers to the declared output schema', () => {
+    const answer = { summary: 'Cough', urgencyLevel: 'Low', riskKeywords: ['cough'], recommendations: '', confidence: 0.9 };
+
+    expect(validateOutput('intake', '```json\n' + JSON.stringify(answer) + '\n```')).toEqual({
+      value: { summary: 'Cough', urgencyLevel: 'Low', riskKeywords: ['cough'], recommendations: '' }
+    });
+    expect(validateOutput('intake', `Here you go: ${JSON.stringify(answer)}`).errors[0]).toMatch(/^The answer is not valid JSON/);
+    expect(validateOutput('intake', JSON.stringify({ ...answer, summary: 'x'.repeat(1001), urgencyLevel: 'urgent', riskKeywords: 'cough' })).errors).toEqual([
+      '"summary" length must be less than or equal to 1000 characters long',
+      '"urgencyLevel" must be one of [Low, Moderate, High]',
+      '"riskKeywords" must be an array'
+    ]);
+    expect(validateOutput('weekly_report', '[]').errors).toEqual(['The answer must be a single JSON object']);
+  });
+
+  it('should re-prompt with the problems and label the repaired answer', async () => {
+    const invalid = JSON.stringify({ summary: 'Cough for a week', urgencyLevel: 'low', riskKeywords: [], recommendations: 'Routine visit' });
+    const openai = fakeProvider('openai', [invalid, triageAnswer]);
+    const aiService = new AIService({ providers: [openai, new RulesProvider()] });
+
+    const summary = await aiService.summarizeIntake(intake);
+
+    expect(summary).toMatchObject({ urgencyLevel: 'Low', provider: 'openai', validation: 'repaired' });
+    expect(openai.calls).toBe(2);
+    expect(openai.prompts[1]).toContain(invalid);
+    expect(openai.prompts[1]).toContain('- "urgencyLevel" must be one of [Low, Moderate, High]');
+  });
+
+  it('should use the rules-only answer once the repair attempts run out', async () => {
+    const openai = fakeProvider('openai', 'Urgency: moderate. Patient has a cough.');
+    const aiService = new AIService({ providers: [openai, new RulesProvider()] });
+
+    const summary = await aiService.summarizeIntake(intake);
+    const report = await aiService.generateWeeklyReport({ totalBookings: 12, completedAppointments: 9, noShows: 3, highRiskTriage: 1, noShowRate: 25, completionRate: 75 });
+
+    expect(openai.calls).toBe(6);
+    expect(summary).toMatchObject({ urgencyLevel: 'High', riskKeywords: ['Difficulty breathing'], provider: 'rules', validation: 'fallback' });
+    expect(report).toMatchObject({ provider: 'rules', validation: 'fallback', alerts: ['1 high-risk triage case(s) this week', 'No-show rate of 25%'] });
+  });
+
+  it('should report the AI provider that answers a ping', async () => {
+    const aiService = new AIService({ providers: [fakeProvider('anthropic', '{"status": "ok"}'), new RulesProvider()] });
+
+    await expect(aiService.ping()).resolves.toEqual({ provider: 'ANTHROPIC', model: 'anthropic-model' });
+  });
+
+  describe('de-identification', () => {
+    const patient = {
+      fullName: 'Jane Q Doe',
+      dob: '1980-06-02',
+      email: 'jane.doe@example.com',
+      phone: '(555) 123-4567',
+      address: '12 Elm Street',
+      zipCode: '90210',
+      reasonForVisit: 'Jane has had a cough since March 3, 2026; call 555-987-6543 or write to jane.doe@example.com'
+    };
+
+    it('should replace identifiers with placeholders and an age band', () => {
+      const { data, deidentifier } = deidentifyIntake(patient, { now: new Date('2026-10-18').getTime() });
+
+      expect(data).toEqual({
+        ageBand: '45-49',
+        fullName: '[NAME_1] Q [NAME_2]',
+        email: '[EMAIL_1]',
+        phone: '[PHONE_1]',
+        address: '[ADDRESS_1]',
+        reasonForVisit: '[NAME_1] has had a cough since [DATE_1]; call [PHONE_2] or write to [EMAIL_1]'
+      });
+      expect(deidentifier.restore({ summary: '[NAME_1] [NAME_2], cough since [DATE_1] ([NAME_9])' })).toEqual({ summary: 'Jane Doe, cough since March 3, 2026 ([NAME_9])' });
+    });
+
+    it('should send external providers a de-identified prompt and re-identify the answer', async () => {
+      const answer = JSON.stringify({ summary: '[NAME_1] [NAME_2] reports a cough since [DATE_1]', urgencyLevel: 'Low', riskKeywords: [], recommendations: 'Call [NAME_1] at [PHONE_1]' });
+      const openai = fakeProvider('openai', answer);
+      const aiService = new AIService({ providers: [openai, new RulesProvider()] });
+
+      const summary = await aiService.summarizeIntake(patient);
+
+      ['Jane', 'Doe', 'jane.doe@example.com', '123-4567', '987-6543', 'Elm Street', '1980', '90210', 'March 3'].forEach(identifier => {
+        expect(openai.prompts[0]).not.toContain(identifier);
+      });
+      expect(openai.prompts[0]).toContain('[NAME_1] has had a cough since [DATE_1]');
+      expect(summary).toMatchObject({
+        summary: 'Jane Doe reports a cough since March 3, 2026',
+        recommendations: 'Call Jane at (555) 123-4567',
+        provider: 'openai'
+      });
+    });
+
+    it('should send raw PHI only to providers allowed to see it', async () => {
+      const ollama = fakeProvider('ollama', triageAnswer, 'raw');
+      const aiService = new AIService({ providers: [ollama, new RulesProvider()] });
+
+      await aiService.summarizeIntake(patient);
+      expect(ollama.prompts[0]).toContain('Jane Q Doe');
+
+      expect(rawPhiProviders()).toEqual(['local', 'ollama', 'rules']);
+      expect(rawPhiProviders('none')).toEqual(['rules']);
+      expect(rawPhiProviders('Ollama, anthropic')).toEqual(['ollama', 'anthropic', 'rules']);
+
+      process.env.AI_RAW_PHI_PROVIDERS = 'none';
+      expect(createProviders('ollama').map(provider => provider.phiPolicy)).toEqual(['deidentified', 'raw']);
+    });
+  });
+});
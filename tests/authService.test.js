@@ -0,0 +1,44 @@
+const AuthService = require('../services/authService');
+const { parseApiKeys, findConfiguredApiKey } = require('../middleware/validation');
+const { MemoryStore } = require('../services/storage');
+
+describe('AuthService', () => {
+  let store, authService;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    authService = new AuthService(store);
+  });
+
+  it('should bump the session version once per revocation, even when they overlap', async () => {
+    await Promise.all([authService.revokeSessions('Dr-Smith'), authService.revokeSessions('dr-smith')]);
+    expect(await store.count('session_versions')).toBe(1);
+    expect(await authService.getSessionVersion('dr-smith')).toBe(2);
+
+    await Promise.all([1, 2, 3].map(() => authService.revokeSessions('dr-smith')));
+    expect(await authService.getSessionVersion('dr-smith')).toBe(5);
+  });
+});
+
+describe('API keys', () => {
+  const originalKeys = process.env.API_KEYS;
+
+  afterEach(() => {
+    process.env.API_KEYS = originalKeys;
+  });
+
+  it('should give each key the role it names', () => {
+    process.env.API_KEYS = 'reports-key-0123456789abcdef:front-desk, ops-key-0123456789abcdef:admin';
+
+    expect(findConfiguredApiKey('reports-key-0123456789abcdef')).toEqual({ name: 'api-key-1', role: 'front-desk' });
+    expect(findConfiguredApiKey('ops-key-0123456789abcdef')).toEqual({ name: 'api-key-2', role: 'admin' });
+    expect(findConfiguredApiKey('unknown-key-0123456789abcdef')).toBeNull();
+  });
+
+  it('should reject keys without a valid role instead of making them admin keys', () => {
+    expect(() => parseApiKeys('reports-key-0123456789abcdef')).toThrow('API_KEYS entry 1 must be "key:role"');
+    expect(() => parseApiKeys('ok-key:clinician,reports-key-0123456789abcdef:superuser')).toThrow('API_KEYS entry 2');
+    // The message names the entry, not the key
+    expect(() => parseApiKeys('reports-key-0123456789abcdef:superuser')).toThrow(/^API_KEYS entry 1 must be "key:role" with a role of: front-desk, clinician, admin$/);
+  });
+});
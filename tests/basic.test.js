@@ -1,7 +1,56 @@
 const request = require('supertest');
+
+process.env.ADMIN_USERNAME = 'test-admin';
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.CALENDLY_WEBHOOK_SECRET = 'test-calendly-secret';
+// Formspree test submissions are unsigned
+process.env.WEBHOOK_SIGNATURES_OPTIONAL = 'true';
+process.env.JOB_WORKER_ENABLED = 'false';
+process.env.SPAM_MIN_FILL_SECONDS = '0';
+
 const app = require('../server');
+const { createSessionToken } = require('../middleware/auth');
+const { createSignatureHeader } = require('../services/webhookSignature');
 
 describe('myPCP Clinic Automation System', () => {
+  const admin = request.agent(app);
+  const patientBrowser = request.agent(app);
+  let csrf;
+
+  // A bearer token for a staff account created through the admin API
+  const staffToken = async (username, role) => {
+    await admin.post('/admin/users').set('X-CSRF-Token', csrf)
+      .send({ username, role, password: 'staff-password-1' }).expect(201);
+    return createSessionToken({ username, role });
+  };
+
+  // Log in from a fresh browser and return the response (with its bearer token)
+  const logIn = async (username, password) => {
+    const browser = request.agent(app);
+    const { csrfToken } = (await browser.get('/auth/csrf').expect(200)).body;
+    return browser.post('/auth/login').set('X-CSRF-Token', csrfToken).send({ username, password }).expect(200);
+  };
+
+  // The spam-check and CSRF tokens signed into the intake form page
+  const formTokens = async () => {
+    const page = await patientBrowser.get('/patient-form').expect(200);
+    return {
+      formToken: page.text.match(/name="formToken" value="([^"]+)"/)[1],
+      _csrf: page.text.match(/name="_csrf" value="([^"]+)"/)[1]
+    };
+  };
+
+  beforeAll(async () => {
+    csrf = (await admin.get('/auth/csrf').expect(200)).body.csrfToken;
+    await admin
+      .post('/auth/login')
+      .set('X-CSRF-Token', csrf)
+      .send({ username: 'test-admin', password: 'test-admin-password' })
+      .expect(200);
+  });
+
   describe('Health Check', () => {
     it('should return health status', async () => {
       const response = await request(app)
@@ -13,9 +62,155 @@ describe('myPCP Clinic Automation System', () => {
     });
   });
 
+  describe('Authentication', () => {
+    it('should reject invalid credentials', async () => {
+      const response = await admin
+        .post('/auth/login')
+        .set('X-CSRF-Token', csrf)
+        .send({ username: 'test-admin', password: 'wrong-password' })
+        .expect(401);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should require a session for patient records', async () => {
+      const response = await request(app)
+        .get('/patient/1001')
+        .expect(401);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should redirect browsers to the login page', async () => {
+      const response = await request(app)
+        .get('/dashboard')
+        .set('Accept', 'text/html')
+        .expect(302);
+
+      expect(response.headers.location).toBe('/login?next=%2Fdashboard');
+    });
+
+    it('should forbid exports for front-desk staff', async () => {
+      const token = await staffToken('desk', 'front-desk');
+
+      await request(app)
+        .get('/export/excel')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+
+    it('should keep diagnostics behind the admin console', async () => {
+      await request(app).get('/admin/diagnostics').expect(401);
+      await request(app).get('/setup-guide').expect(401);
+      await request(app).get('/debug-env').expect(404);
+
+      const token = await staffToken('doc', 'clinician');
+      await request(app)
+        .get('/admin/diagnostics')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      const response = await admin
+        .get('/admin/diagnostics')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.checks.map(check => check.name)).toEqual(['mongo', 'sheets', 'smtp', 'ai', 'calendly']);
+      expect(JSON.stringify(response.body)).not.toContain('test-session-secret');
+    });
+
+    it('should apply deactivation, role changes and logout to existing sessions', async () => {
+      const token = await staffToken('nurse', 'clinician');
+      const asNurse = (req) => req.set('Authorization', `Bearer ${token}`);
+
+      await asNurse(request(app).get('/auth/me')).expect(200);
+
+      // A role change ends the session; a new login gets the new role
+      await admin.patch('/admin/users/nurse').set('X-CSRF-Token', csrf).send({ role: 'front-desk' }).expect(200);
+      await asNurse(request(app).get('/auth/me')).expect(401);
+      const login = await logIn('nurse', 'staff-password-1');
+      const current = (req) => req.set('Authorization', `Bearer ${login.body.token}`);
+      expect((await current(request(app).get('/auth/me')).expect(200)).body.user).toMatchObject({ username: 'nurse', role: 'front-desk' });
+
+      // Logging out revokes bearer tokens too
+      await current(request(app).post('/auth/logout')).send({}).expect(200);
+      await current(request(app).get('/auth/me')).expect(401);
+
+      const again = await logIn('nurse', 'staff-password-1');
+      await admin.patch('/admin/users/nurse').set('X-CSRF-Token', csrf).send({ active: false }).expect(200);
+      await request(app).get('/auth/me').set('Authorization', `Bearer ${again.body.token}`).expect(401);
+    });
+
+    it('should return the current user', async () => {
+      const response = await admin
+        .get('/auth/me')
+        .expect(200);
+
+      expect(response.body.user).toHaveProperty('role', 'admin');
+    });
+  });
+
+  describe('CSRF and CORS', () => {
+    it('should reject browser posts without the token for their session', async () => {
+      const forged = await request(app)
+        .post('/test-form')
+        .type('form')
+        .send({ fullName: 'Eve Doe', email: 'eve@example.com', dob: '1990-01-01', reasonForVisit: 'Checkup' })
+        .expect(403);
+      expect(forged.body.error.message).toMatch(/CSRF token/);
+
+      // A token from another browser doesn't match this session's cookie
+      const { _csrf } = await formTokens();
+      await admin.post('/trigger/reminders').send({ _csrf }).expect(403);
+      await admin.post('/auth/logout').set('Accept', 'text/html').expect(403);
+
+      const dashboard = await admin.get('/dashboard').set('Accept', 'text/html').expect(200);
+      expect(dashboard.text).toContain(`name="_csrf" value="${csrf}"`);
+    });
+
+    it('should only allow listed origins', async () => {
+      const foreign = await request(app).get('/health').set('Origin', 'https://evil.example').expect(200);
+      expect(foreign.headers).not.toHaveProperty('access-control-allow-origin');
+
+      const local = await request(app).options('/test-form').set('Origin', 'http://localhost:3000').expect(200);
+      expect(local.headers).toMatchObject({
+        'access-control-allow-origin': 'http://localhost:3000',
+        'access-control-allow-credentials': 'true'
+      });
+      expect(local.headers['access-control-allow-headers']).toContain('X-CSRF-Token');
+    });
+  });
+
+  describe('Audit Trail', () => {
+    it('should record and return audit entries', async () => {
+      await admin
+        .get('/admin/audit?format=csv')
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+
+      const response = await admin
+        .get('/admin/audit?user=test-admin&action=audit.export')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.entries.length).toBeGreaterThan(0);
+      expect(response.body.entries[0]).toHaveProperty('requestId');
+      expect(response.body.entries[0]).toHaveProperty('ip');
+    });
+
+    it('should forbid the audit trail for clinicians', async () => {
+      const token = await staffToken('clinician', 'clinician');
+
+      await request(app)
+        .get('/admin/audit')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+
   describe('Dashboard', () => {
     it('should return dashboard stats', async () => {
-      const response = await request(app)
+      const response = await admin
         .get('/dashboard')
         .expect(200);
 
@@ -37,9 +232,37 @@ describe('myPCP Clinic Automation System', () => {
       const response = await request(app)
         .post('/webhook/formspree')
         .send(formData)
-        .expect(200);
+        .expect(202);
 
       expect(response.body).toHaveProperty('success', true);
+      expect(response.body).toHaveProperty('jobId');
+
+      const jobs = await admin.get('/admin/jobs?status=queued').expect(200);
+      const job = jobs.body.jobs.find(candidate => candidate.id === response.body.jobId);
+      expect(job).toHaveProperty('reference', String(response.body.submissionId));
+      expect(job).not.toHaveProperty('payload');
+
+      await admin
+        .post(`/admin/jobs/${job.id}/replay`)
+        .set('X-CSRF-Token', csrf)
+        .set('Content-Type', 'application/json')
+        .expect(400);
+
+      const patient = await admin.get(`/patient/${response.body.submissionId}`).expect(200);
+      expect(patient.body.encounters).toEqual([expect.objectContaining({ id: response.body.encounterId, reasonForVisit: 'Annual checkup', status: 'pending' })]);
+
+      const updated = await admin
+        .patch(`/encounters/${response.body.encounterId}/status`)
+        .set('X-CSRF-Token', csrf)
+        .send({ status: 'completed' })
+        .expect(200);
+      expect(updated.body.encounter).toHaveProperty('status', 'completed');
+
+      await admin
+        .patch(`/encounters/${response.body.encounterId}/status`)
+        .set('X-CSRF-Token', csrf)
+        .send({ status: 'finished' })
+        .expect(400);
     });
 
     it('should accept Calendly webhook', async () => {
@@ -58,27 +281,268 @@ describe('myPCP Clinic Automation System', () => {
         }
       };
 
+      const body = JSON.stringify(calendlyData);
       const response = await request(app)
         .post('/webhook/calendly')
-        .send(calendlyData)
+        .set('Content-Type', 'application/json')
+        .set('Calendly-Webhook-Signature', createSignatureHeader(body, 'test-calendly-secret'))
+        .send(body)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
     });
+
+    it('should not process a repeated Calendly delivery twice', async () => {
+      const body = JSON.stringify({
+        event: 'invitee.created',
+        payload: {
+          uuid: 'retry-uuid',
+          name: 'Jane Doe',
+          email: 'jane@example.com',
+          created_at: new Date().toISOString(),
+          uri: 'https://calendly.com/retry'
+        }
+      });
+      const send = () => request(app)
+        .post('/webhook/calendly')
+        .set('Content-Type', 'application/json')
+        .set('Calendly-Webhook-Signature', createSignatureHeader(body, 'test-calendly-secret'))
+        .send(body)
+        .expect(200);
+
+      const first = await send();
+      const repeat = await send();
+
+      expect(repeat.headers['idempotent-replayed']).toBe('true');
+      expect(repeat.body).toEqual(first.body);
+    });
+
+    it('should reject unsigned Calendly webhooks and audit them', async () => {
+      await request(app)
+        .post('/webhook/calendly')
+        .send({ event: 'invitee.created', payload: {} })
+        .expect(401);
+
+      const audit = await admin
+        .get('/admin/audit?action=webhook.signature_rejected')
+        .expect(200);
+
+      expect(audit.body.entries[0].details).toEqual({ source: 'calendly', reason: 'Missing signature header' });
+    });
+
+    it('should reject replayed Calendly webhooks', async () => {
+      const body = JSON.stringify({ event: 'invitee.created', payload: {} });
+      const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600;
+
+      await request(app)
+        .post('/webhook/calendly')
+        .set('Content-Type', 'application/json')
+        .set('Calendly-Webhook-Signature', createSignatureHeader(body, 'test-calendly-secret', tenMinutesAgo))
+        .send(body)
+        .expect(401);
+    });
+  });
+
+  describe('Intake Form Consent', () => {
+    it('should store the signed consent with the patient', async () => {
+      const { body } = await request(app).get('/consents').expect(200);
+      const privacyNotice = body.documents.find(document => document.type === 'privacy_notice');
+      expect(privacyNotice).toMatchObject({ version: 1, required: true });
+
+      const form = { fullName: 'Ruth Roe', email: 'ruth@example.com', dob: '1980-05-05', reasonForVisit: 'Headache', ...await formTokens() };
+      await patientBrowser.post('/test-form').type('form').send({ ...form, consentSignature: 'Ruth Roe' }).expect(400);
+
+      const submitted = await patientBrowser
+        .post('/test-form')
+        .type('form')
+        .send({ ...form, consents: [privacyNotice.id], consentSignature: 'Ruth Roe' })
+        .expect(200);
+
+      const patient = await admin.get(`/patient/${submitted.body.submissionId}`).expect(200);
+      expect(patient.body.consent).toMatchObject({
+        signedName: 'Ruth Roe',
+        ip: expect.any(String),
+        communication: { email: false, sms: false },
+        documents: expect.arrayContaining([expect.objectContaining({ id: privacyNotice.id, version: 1, accepted: true })])
+      });
+      expect(patient.body).not.toHaveProperty('consentSignature');
+    });
+
+    it('should return field-level errors for invalid forms', async () => {
+      const page = await patientBrowser.get('/patient-form').expect(200);
+      expect(page.text).toContain('"name":"fullName"');
+      expect(page.text).not.toMatch(/\{\{[A-Z_]+\}\}/);
+      await request(app).get('/public/intake-form.html').expect(302).expect('Location', '/patient-form');
+
+      const response = await patientBrowser
+        .post('/test-form')
+        .type('form')
+        .send({ fullName: 'Ann Lee', email: 'ann@', dob: '', reasonForVisit: 'Rash', ...await formTokens() })
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        { field: 'email', message: 'Enter a valid email address' },
+        { field: 'dob', message: 'Date of birth is required' }
+      ]);
+    });
+
+    it('should quarantine suspected spam until staff release it', async () => {
+      const { body } = await request(app).get('/consents').expect(200);
+      const privacyNotice = body.documents.find(document => document.type === 'privacy_notice');
+      const form = { fullName: 'Sam Poe', email: 'sam@example.com', dob: '1970-07-07', reasonForVisit: 'Cough', consents: [privacyNotice.id], consentSignature: 'Sam Poe' };
+
+      const { formToken, _csrf } = await formTokens();
+      const held = await patientBrowser.post('/test-form').type('form').send({ ...form, formToken, _csrf, website: 'https://spam.example' }).expect(200);
+      expect(held.body).toHaveProperty('success', true);
+      expect(held.body).not.toHaveProperty('submissionId');
+
+      await patientBrowser.post('/test-form').type('form').send({ ...form, _csrf }).expect(200);
+
+      await request(app).get('/quarantine').expect(401);
+      const desk = createSessionToken({ username: 'desk', role: 'front-desk' });
+      const quarantine = await request(app).get('/quarantine').set('Authorization', `Bearer ${desk}`).expect(200);
+      const [tokenless, honeypot] = quarantine.body.submissions;
+      expect(honeypot).toMatchObject({ source: 'test-form', reasons: ['honeypot'], submission: { fullName: 'Sam Poe' } });
+      expect(tokenless.reasons).toEqual(['missing_token', 'duplicate']);
+
+      const released = await request(app)
+        .post(`/quarantine/${honeypot.id}/release`)
+        .set('Authorization', `Bearer ${desk}`)
+        .expect(200);
+      const patient = await admin.get(`/patient/${released.body.submissionId}`).expect(200);
+      expect(patient.body).toMatchObject({ fullName: 'Sam Poe', consent: { signedName: 'Sam Poe' } });
+
+      await request(app).post(`/quarantine/${tokenless.id}/discard`).set('Authorization', `Bearer ${desk}`).expect(200);
+      await request(app).post(`/quarantine/${tokenless.id}/release`).set('Authorization', `Bearer ${desk}`).expect(400);
+    });
+
+    it('should let admins publish a new consent version', async () => {
+      const published = await admin
+        .post('/admin/consents')
+        .set('X-CSRF-Token', csrf)
+        .send({ type: 'sms_communication', title: 'Text Messages', body: 'New SMS terms' })
+        .expect(201);
+      expect(published.body.document).toHaveProperty('version', 2);
+
+      const { body } = await admin.get('/admin/consents').expect(200);
+      expect(body.current).toContain(published.body.document.id);
+    });
+
+    it('should render and validate the intake form admins publish', async () => {
+      const { body: forms } = await admin.get('/admin/forms').expect(200);
+      const sections = forms.versions[0].sections.concat({
+        title: 'Travel',
+        fields: [
+          { name: 'travelled', label: 'Travelled abroad recently?', type: 'radio', options: ['Yes', 'No'] },
+          { name: 'destination', label: 'Where to?', type: 'text', required: true, showIf: { field: 'travelled', equals: 'Yes' } }
+        ]
+      });
+      await admin.post('/admin/forms').set('X-CSRF-Token', csrf).send({ sections: [{ fields: [] }] }).expect(400);
+      const published = await admin.post('/admin/forms').set('X-CSRF-Token', csrf).send({ sections }).expect(201);
+      const version = published.body.form.version;
+
+      const page = await patientBrowser.get('/patient-form').expect(200);
+      expect(page.text).toContain(`name="formVersion" value="${version}"`);
+      expect(page.text).toContain('<label for="destination">Where to? <span class="required">*</span></label>');
+
+      const { body } = await request(app).get('/consents').expect(200);
+      const form = {
+        fullName: 'Tia Moss', email: 'tia@example.com', dob: '1985-03-03', reasonForVisit: 'Fever',
+        consents: body.documents.filter(document => document.required).map(document => document.id),
+        consentSignature: 'Tia Moss', formVersion: String(version), travelled: 'Yes'
+      };
+      const invalid = await patientBrowser.post('/test-form').type('form').send({ ...form, ...await formTokens() }).expect(400);
+      expect(invalid.body.error.details).toEqual([{ field: 'destination', message: 'Where to? is required' }]);
+
+      const submitted = await patientBrowser.post('/test-form').type('form').send({ ...form, destination: 'Lima', ...await formTokens() }).expect(200);
+      const patient = await admin.get(`/patient/${submitted.body.submissionId}`).expect(200);
+      expect(patient.body.encounters[0]).toMatchObject({ formVersion: version, responses: { travelled: 'Yes', destination: 'Lima' } });
+    });
+
+    it('should publish new triage rules versions', async () => {
+      const { body: rules } = await admin.get('/admin/triage-rules').expect(200);
+      expect(rules).toMatchObject({ success: true, current: 1 });
+
+      const ruleset = { ...rules.versions[0], rules: rules.versions[0].rules.concat({ id: 'dizziness', label: 'Dizziness', keywords: ['dizzy'], score: 20 }) };
+      await admin.post('/admin/triage-rules').set('X-CSRF-Token', csrf).send({ rules: '[]' }).expect(400);
+      const published = await admin.post('/admin/triage-rules').set('X-CSRF-Token', csrf).send(ruleset).expect(201);
+      expect(published.body.rules).toMatchObject({ version: 2, publishedBy: 'test-admin' });
+
+      const page = await admin.get('/admin/triage-rules').set('Accept', 'text/html').expect(200);
+      expect(page.text).toContain('Dizziness (20)');
+    });
+
+    it('should serve the triage review queue and accuracy report', async () => {
+      const queue = await admin.get('/triage/review').expect(200);
+      expect(queue.body).toMatchObject({ success: true, count: 0, visits: [] });
+
+      const page = await admin.get('/triage/review').set('Accept', 'text/html').expect(200);
+      expect(page.text).toContain('No triaged intakes are waiting for review');
+
+      const missing = await admin.post('/triage/review/enc_missing').set('X-CSRF-Token', csrf).send({ decision: 'accept' }).expect(404);
+      expect(missing.body).toMatchObject({ success: false, error: 'Encounter enc_missing not found' });
+
+      const { body } = await admin.get('/triage/report?from=2026-01-01').expect(200);
+      expect(body.report).toMatchObject({ from: '2026-01-01', reviewed: 0, urgencyAgreement: null, providers: [], rules: [] });
+      await admin.get('/triage/report?to=soon').expect(400);
+    });
   });
 
   describe('Manual Triggers', () => {
     it('should trigger reminders', async () => {
-      const response = await request(app)
+      const response = await admin
         .post('/trigger/reminders')
+        .set('X-CSRF-Token', csrf)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
     });
 
+    it('should preview the retention policy and manage legal holds', async () => {
+      const submission = await request(app)
+        .post('/webhook/formspree')
+        .send({ fullName: 'Mary Major', email: 'mary@example.com', dob: '1975-03-02', reasonForVisit: 'Back pain' })
+        .expect(202);
+      const patientId = submission.body.submissionId;
+
+      await admin.post(`/patient/${patientId}/legal-hold`).set('X-CSRF-Token', csrf).send({}).expect(400);
+      const held = await admin
+        .post(`/patient/${patientId}/legal-hold`)
+        .set('X-CSRF-Token', csrf)
+        .send({ reason: 'Litigation hold' })
+        .expect(200);
+      expect(held.body.legalHold).toMatchObject({ reason: 'Litigation hold', placedBy: 'test-admin' });
+
+      const preview = await admin.post('/trigger/retention').set('X-CSRF-Token', csrf).send({}).expect(200);
+      expect(preview.body.report).toMatchObject({ dryRun: true, errors: [] });
+
+      const status = await admin.get('/admin/retention').expect(200);
+      expect(status.body.policy).toHaveProperty('mode', 'report');
+      expect(status.body.runs[0]).toHaveProperty('id', preview.body.report.id);
+      expect(status.body.legalHolds).toEqual([expect.objectContaining({ id: patientId, reason: 'Litigation hold' })]);
+
+      await admin.post(`/patient/${patientId}/legal-hold/release`).set('X-CSRF-Token', csrf).expect(200);
+      await admin.post(`/patient/${patientId}/legal-hold/release`).set('X-CSRF-Token', csrf).expect(400);
+    });
+
+    it('should run due jobs for a scheduler holding CRON_SECRET', async () => {
+      process.env.CRON_SECRET = 'test-cron-secret';
+      try {
+        await request(app).get('/jobs/run').expect(401);
+        await request(app).get('/jobs/run').set('Authorization', 'Bearer wrong-secret').expect(401);
+
+        const response = await request(app).get('/jobs/run').set('Authorization', 'Bearer test-cron-secret').expect(200);
+        expect(response.body).toMatchObject({ success: true, processed: expect.any(Number) });
+        expect(response.body.counts).toHaveProperty('queued');
+      } finally {
+        delete process.env.CRON_SECRET;
+      }
+    });
+
     it('should trigger weekly report', async () => {
-      const response = await request(app)
+      const response = await admin
         .post('/trigger/weekly-report')
+        .set('X-CSRF-Token', csrf)
         .expect(200);
 
       expect(response.body).toHaveProperty('success', true);
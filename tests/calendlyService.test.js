@@ -0,0 +1,137 @@
+const CalendlyService = require('../services/calendlyService');
+const AppointmentRepository = require('../services/appointmentRepository');
+const PatientRepository = require('../services/patientRepository');
+const { MemoryStore } = require('../services/storage');
+
+const { APPOINTMENT_STATUSES } = AppointmentRepository;
+
+function inHours(hours) {
+  return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+}
+
+function inviteePayload(id, startTime, extra = {}) {
+  return {
+    uri: `https://api.calendly.com/scheduled_events/evt-1/invitees/${id}`,
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    scheduled_event: {
+      uri: 'https://api.calendly.com/scheduled_events/evt-1',
+      name: 'New Patient Visit',
+      start_time: startTime,
+      end_time: new Date(new Date(startTime).getTime() + 30 * 60 * 1000).toISOString()
+    },
+    ...extra
+  };
+}
+
+describe('Calendly appointment lifecycle', () => {
+  let store, appointments, googleService, calendlyService;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    appointments = new AppointmentRepository(store);
+    googleService = {
+      createCalendarEvent: jest.fn().mockResolvedValue({ id: 'gcal-1' }),
+      updateCalendarEvent: jest.fn().mockResolvedValue({}),
+      cancelCalendarEvent: jest.fn().mockResolvedValue({}),
+      addAppointment: jest.fn().mockResolvedValue({ success: true }),
+      updateAppointment: jest.fn().mockResolvedValue({ success: true })
+    };
+    calendlyService = new CalendlyService(appointments, googleService);
+  });
+
+  it('should store new bookings and create the calendar event and sheet row', async () => {
+    const startTime = inHours(5);
+    await calendlyService.handleBookingEvent({ event: 'invitee.created', payload: inviteePayload('inv-1', startTime) });
+
+    const [appointment] = await appointments.list();
+    expect(appointment).toMatchObject({
+      calendlyEventId: 'inv-1',
+      patientName: 'Jane Doe',
+      visitType: 'New Patient Visit',
+      status: APPOINTMENT_STATUSES.SCHEDULED,
+      startTime: startTime,
+      googleCalendarEventId: 'gcal-1'
+    });
+    expect(appointment.appointmentDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(appointment.appointmentTime).toMatch(/^\d{2}:\d{2}$/);
+    expect(googleService.addAppointment).toHaveBeenCalledWith(expect.objectContaining({ googleCalendarEventId: 'gcal-1' }));
+  });
+
+  it('should not record a retried webhook twice', async () => {
+    const event = { event: 'invitee.created', payload: inviteePayload('inv-1', inHours(5)) };
+    await calendlyService.handleBookingEvent(event);
+    await calendlyService.handleBookingEvent(event);
+
+    expect(await appointments.list()).toHaveLength(1);
+    expect(googleService.createCalendarEvent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should cancel the existing appointment, sheet row and calendar event', async () => {
+    await calendlyService.handleBookingEvent({ event: 'invitee.created', payload: inviteePayload('inv-1', inHours(5)) });
+    await calendlyService.handleBookingEvent({
+      event: 'invitee.canceled',
+      payload: inviteePayload('inv-1', inHours(5), { cancellation: { reason: 'Feeling better', canceled_by: 'Jane Doe' } })
+    });
+
+    const [appointment] = await appointments.list();
+    expect(appointment).toMatchObject({ status: APPOINTMENT_STATUSES.CANCELED, cancellationReason: 'Feeling better' });
+    expect(appointment.statusHistory.map(entry => entry.status)).toEqual(['Scheduled', 'Canceled']);
+    expect(googleService.updateAppointment).toHaveBeenCalledWith('inv-1', expect.objectContaining({ status: 'Canceled' }));
+    expect(googleService.cancelCalendarEvent).toHaveBeenCalledWith('gcal-1');
+  });
+
+  it('should move the existing appointment when Calendly reschedules it', async () => {
+    const newStart = inHours(30);
+    await calendlyService.handleBookingEvent({ event: 'invitee.created', payload: inviteePayload('inv-1', inHours(5)) });
+
+    // Calendly sends a cancel flagged as a reschedule, then a new invitee pointing at the old one
+    await calendlyService.handleBookingEvent({
+      event: 'invitee.canceled',
+      payload: inviteePayload('inv-1', inHours(5), { rescheduled: true, new_invitee: 'https://api.calendly.com/scheduled_events/evt-2/invitees/inv-2' })
+    });
+    await calendlyService.handleBookingEvent({
+      event: 'invitee.created',
+      payload: inviteePayload('inv-2', newStart, { old_invitee: 'https://api.calendly.com/scheduled_events/evt-1/invitees/inv-1' })
+    });
+
+    const all = await appointments.list();
+    expect(all).toHaveLength(1);
+    expect(all[0]).toMatchObject({
+      calendlyEventId: 'inv-2',
+      previousCalendlyEventIds: ['inv-1'],
+      startTime: newStart,
+      status: APPOINTMENT_STATUSES.RESCHEDULED
+    });
+    expect(googleService.updateAppointment).toHaveBeenCalledWith('inv-1', expect.objectContaining({ calendlyEventId: 'inv-2' }));
+    expect(googleService.updateCalendarEvent).toHaveBeenCalledWith('gcal-1', expect.objectContaining({ startTime: newStart }));
+    expect(googleService.cancelCalendarEvent).not.toHaveBeenCalled();
+  });
+
+  it('should keep the appointment when Google is unavailable', async () => {
+    googleService.createCalendarEvent.mockRejectedValue(new Error('Google down'));
+    await calendlyService.handleBookingEvent({ event: 'invitee.created', payload: inviteePayload('inv-1', inHours(5)) });
+
+    const [appointment] = await appointments.list();
+    expect(appointment.status).toBe(APPOINTMENT_STATUSES.SCHEDULED);
+    expect(appointment.googleCalendarEventId).toBeUndefined();
+  });
+
+  it('should reject unknown statuses', async () => {
+    const appointment = await appointments.create({ patientName: 'Jane Doe', startTime: inHours(5) });
+    await expect(appointments.updateStatus(appointment.id, 'Done')).rejects.toThrow('Status must be one of');
+  });
+
+  it('should compute dashboard appointment stats from stored appointments', async () => {
+    await calendlyService.handleBookingEvent({ event: 'invitee.created', payload: inviteePayload('inv-1', inHours(5)) });
+    await calendlyService.handleBookingEvent({ event: 'invitee.created', payload: inviteePayload('inv-2', inHours(48)) });
+    const past = await appointments.create({ patientName: 'John Roe', startTime: inHours(-3) });
+    await appointments.updateStatus(past.id, APPOINTMENT_STATUSES.COMPLETED);
+
+    const dashboard = await new PatientRepository(store).getDashboardStats();
+
+    expect(dashboard.stats.upcomingAppointments).toBe(1);
+    expect(dashboard.stats.completedAppointments).toBe(1);
+    expect(dashboard.upcomingAppointments[0]).toMatchObject({ patient: 'Jane Doe', type: 'New Patient Visit', status: 'Scheduled' });
+  });
+});
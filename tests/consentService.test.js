@@ -0,0 +1,149 @@
+const ConsentService = require('../services/consentService');
+const PatientRepository = require('../services/patientRepository');
+const ReminderScheduler = require('../automations/reminderScheduler');
+const IntakeWebhook = require('../automations/intakeWebhook');
+const { MemoryStore } = require('../services/storage');
+const { CONSENT_TYPES, allowsContact } = ConsentService;
+
+describe('ConsentService', () => {
+  let store, consentService, audited;
+
+  const intake = (overrides = {}) => ({
+    fullName: 'Jane Doe',
+    dob: '1990-01-15',
+    email: 'jane@example.com',
+    reasonForVisit: 'Annual physical',
+    ...overrides
+  });
+
+  // Form fields for accepting the given document types
+  const accept = async (...types) => (await consentService.listCurrent())
+    .filter(document => types.includes(document.type))
+    .map(document => document.id);
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    audited = [];
+    consentService = new ConsentService(store, { record: async (entry) => audited.push(entry) });
+  });
+
+  it('should publish the default documents once and version new ones', async () => {
+    const current = await consentService.listCurrent();
+    expect(current.map(document => [document.type, document.version, document.required])).toEqual([
+      [CONSENT_TYPES.PRIVACY_NOTICE, 1, true],
+      [CONSENT_TYPES.EMAIL, 1, false],
+      [CONSENT_TYPES.SMS, 1, false]
+    ]);
+
+    const updated = await consentService.publish({ type: CONSENT_TYPES.EMAIL, title: 'Email Communication', body: 'Updated text' }, { user: 'admin' });
+
+    expect(updated).toMatchObject({ version: 2, required: false, publishedBy: 'admin' });
+    expect((await consentService.listCurrent()).find(document => document.type === CONSENT_TYPES.EMAIL).id).toBe(updated.id);
+    expect(await consentService.listDocuments({ type: CONSENT_TYPES.EMAIL })).toHaveLength(2);
+    expect(audited.pop()).toMatchObject({ action: 'consent.publish', details: { type: CONSENT_TYPES.EMAIL, version: 2 } });
+  });
+
+  it('should reject invalid documents', async () => {
+    await expect(consentService.publish({ type: 'marketing', title: 'x', body: 'y' })).rejects.toThrow('Invalid consent type');
+    await expect(consentService.publish({ type: CONSENT_TYPES.SMS, title: 'x' })).rejects.toThrow('title and body');
+    await expect(consentService.publish({ type: CONSENT_TYPES.PRIVACY_NOTICE, title: 'x', body: 'y', required: false })).rejects.toThrow('always required');
+  });
+
+  it('should capture a signed consent with the document versions', async () => {
+    const consents = await accept(CONSENT_TYPES.PRIVACY_NOTICE, CONSENT_TYPES.SMS);
+
+    const { consent, intakeData } = await consentService.capture(
+      { ...intake(), consents, consentSignature: ' jane  DOE ' },
+      { ip: '203.0.113.7', userAgent: 'jest' }
+    );
+
+    expect(intakeData).toEqual(intake());
+    expect(consent).toMatchObject({ signedName: 'jane  DOE', ip: '203.0.113.7', userAgent: 'jest', communication: { email: false, sms: true } });
+    expect(consent.documents).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: CONSENT_TYPES.PRIVACY_NOTICE, version: 1, accepted: true }),
+      expect.objectContaining({ type: CONSENT_TYPES.EMAIL, version: 1, accepted: false })
+    ]));
+  });
+
+  it('should refuse submissions missing required consents or a matching signature', async () => {
+    const consents = await accept(CONSENT_TYPES.PRIVACY_NOTICE);
+
+    await expect(consentService.capture({ ...intake(), consentSignature: 'Jane Doe' })).rejects.toThrow('Please acknowledge the Notice of Privacy Practices');
+    await expect(consentService.capture({ ...intake(), consents })).rejects.toThrow('typing your full name');
+    await expect(consentService.capture({ ...intake(), consents, consentSignature: 'John Doe' })).rejects.toThrow('must match the full name');
+
+    // A form loaded before a new version was published
+    await consentService.publish({ type: CONSENT_TYPES.PRIVACY_NOTICE, title: 'Notice of Privacy Practices', body: 'Revised notice' });
+    await expect(consentService.capture({ ...intake(), consents, consentSignature: 'Jane Doe' })).rejects.toThrow('have been updated');
+  });
+
+  it('should follow the most recently signed consent', () => {
+    const signed = (signedAt, email) => ({ consent: { signedAt, communication: { email, sms: false } } });
+
+    expect(allowsContact([], 'email')).toBe(true);
+    expect(allowsContact([{ id: 1000 }], 'email')).toBe(true);
+    expect(allowsContact([signed('2024-01-01T00:00:00.000Z', true), signed('2024-06-01T00:00:00.000Z', false)], 'email')).toBe(false);
+    expect(allowsContact([signed('2024-06-01T00:00:00.000Z', true)], 'sms')).toBe(false);
+  });
+
+  it('should keep the newest consent when patients are merged, and restore it on undo', async () => {
+    const repository = new PatientRepository(store);
+    const { consent: optedIn } = await consentService.capture({ ...intake(), consents: await accept(CONSENT_TYPES.PRIVACY_NOTICE, CONSENT_TYPES.EMAIL), consentSignature: 'Jane Doe' });
+    const primary = await repository.add({ ...intake(), consent: optedIn });
+    const { consent: optedOut } = await consentService.capture({ ...intake(), consents: await accept(CONSENT_TYPES.PRIVACY_NOTICE), consentSignature: 'Jane Doe' });
+    const duplicate = await repository.add({ ...intake(), consent: { ...optedOut, signedAt: new Date(Date.now() + 1000).toISOString() } });
+
+    const { merge, patient } = await repository.merge(primary.id, [duplicate.id]);
+    expect(patient.consent.communication.email).toBe(false);
+    expect(allowsContact(await repository.findByContact({ email: 'jane@example.com' }), 'email')).toBe(false);
+
+    const { patient: restored } = await repository.undoMerge(merge.id);
+    expect(restored.consent.communication.email).toBe(true);
+  });
+
+  it('should not send reminders or follow-ups to patients who declined email', async () => {
+    const repository = new PatientRepository(store);
+    const { consent } = await consentService.capture({ ...intake(), consents: await accept(CONSENT_TYPES.PRIVACY_NOTICE), consentSignature: 'Jane Doe' });
+    await repository.add({ ...intake(), consent });
+
+    const sent = [];
+    const emailService = {
+      sendReminderEmail: async (data) => sent.push(data),
+      transporter: { sendMail: async (options) => sent.push(options) }
+    };
+    const googleService = { updateReminderStatus: async () => {}, sheets: { spreadsheets: { values: { append: async () => {} } } } };
+    const scheduler = new ReminderScheduler(googleService, emailService, repository);
+    const appointment = { patientName: 'Jane Doe', email: 'JANE@example.com', appointmentDate: '2024-06-01', appointmentTime: '10:00' };
+
+    expect(await scheduler.sendAppointmentReminder(appointment)).toMatchObject({ skipped: 'no_email_consent' });
+    expect(await scheduler.sendFollowUpEmail(appointment)).toMatchObject({ skipped: 'no_email_consent' });
+    expect(sent).toHaveLength(0);
+
+    expect(await scheduler.sendAppointmentReminder({ ...appointment, email: 'someone.else@example.com' })).toMatchObject({ success: true });
+    expect(sent).toHaveLength(1);
+  });
+
+  it('should not send the intake confirmation to patients who declined email', async () => {
+    const repository = new PatientRepository(store);
+    const { consent } = await consentService.capture({ ...intake(), consents: await accept(CONSENT_TYPES.PRIVACY_NOTICE), consentSignature: 'Jane Doe' });
+    const declined = await repository.add({ ...intake(), consent });
+
+    const sent = [];
+    const emailService = { sendConfirmationEmail: async (data) => sent.push(data) };
+    const intakeWebhook = new IntakeWebhook(null, null, emailService, repository.encounters, null, repository);
+    const patientEmail = intakeWebhook.getFormSubmissionSteps().find(step => step.name === 'patient_email');
+    const triage = { summary: 'Physical', urgencyLevel: 'Low', riskKeywords: [] };
+
+    expect(await patientEmail.run({ ...intake(), patientId: declined.id }, { ai_triage: triage })).toEqual({ skipped: 'no_email_consent' });
+    expect(sent).toHaveLength(0);
+
+    // A family member sharing the email who opted in later doesn't override her choice
+    const relative = intake({ fullName: 'John Doe', dob: '1960-03-02' });
+    const { consent: optedIn } = await consentService.capture({ ...relative, consents: await accept(CONSENT_TYPES.PRIVACY_NOTICE, CONSENT_TYPES.EMAIL), consentSignature: 'John Doe' });
+    const family = await repository.add({ ...relative, consent: optedIn });
+
+    expect(await patientEmail.run({ ...intake(), patientId: declined.id }, { ai_triage: triage })).toEqual({ skipped: 'no_email_consent' });
+    await patientEmail.run({ ...relative, patientId: family.id }, { ai_triage: triage });
+    expect(sent).toEqual([expect.objectContaining({ patientName: 'John Doe', email: 'jane@example.com' })]);
+  });
+});
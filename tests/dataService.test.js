@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DataService = require('../services/dataService');
+const { JsonStore } = require('../services/storage');
+
+describe('DataService', () => {
+  let dataService;
+
+  beforeEach(() => {
+    dataService = new DataService();
+    dataService.dataFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mypcp-')), 'clinicData.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(dataService.dataFile), { recursive: true, force: true });
+  });
+
+  it('should throw on a corrupt data file instead of replacing it', async () => {
+    fs.writeFileSync(dataService.dataFile, '{"formSubmissions": [');
+
+    await expect(dataService.loadData()).rejects.toThrow(SyntaxError);
+    expect(fs.readFileSync(dataService.dataFile, 'utf8')).toBe('{"formSubmissions": [');
+  });
+
+  it('should start empty when the data file does not exist yet', async () => {
+    const data = await dataService.loadData();
+
+    expect(data.formSubmissions).toEqual([]);
+    expect(fs.existsSync(dataService.dataFile)).toBe(false);
+  });
+
+  it('should read the file once and serve reads from memory while writes land', async () => {
+    fs.writeFileSync(dataService.dataFile, JSON.stringify({ formSubmissions: [{ id: 1 }] }));
+    const readFile = jest.spyOn(fs.promises, 'readFile');
+    const store = new JsonStore(dataService);
+
+    try {
+      await Promise.all([
+        store.insertOne('patients', { id: 2 }),
+        store.find('patients', {}),
+        store.insertOne('patients', { id: 3 }),
+        store.count('patients', {})
+      ]);
+
+      expect(readFile).toHaveBeenCalledTimes(1);
+      expect(await store.count('patients', {})).toBe(3);
+      expect(JSON.parse(fs.readFileSync(dataService.dataFile, 'utf8')).formSubmissions).toHaveLength(3);
+      expect(fs.readdirSync(path.dirname(dataService.dataFile))).toEqual(['clinicData.json']);
+    } finally {
+      readFile.mockRestore();
+    }
+  });
+
+  it('should rethrow when the data file cannot be written', async () => {
+    await dataService.loadData();
+    dataService.dataFile = path.join(path.dirname(dataService.dataFile), 'missing', 'clinicData.json');
+
+    await expect(dataService.saveData()).rejects.toThrow('ENOENT');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Sample intakes and the triage the default rules should give them. `negated` lists
+ * the rules that were mentioned but ruled out. Dates of birth are relative to NOW.
+ */
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+
+module.exports.NOW = NOW;
+module.exports.TRIAGE_INTAKES = [
+  {
+    name: 'routine physical',
+    intake: { dob: '1990-01-15', reasonForVisit: 'Annual physical', additionalNotes: '' },
+    expected: { urgencyLevel: 'Low', riskKeywords: [], negated: [] }
+  },
+  {
+    name: 'chest pain in an older patient',
+    intake: { dob: '1960-03-02', reasonForVisit: 'Chest pain when climbing stairs' },
+    expected: { urgencyLevel: 'High', riskKeywords: ['Chest pain', 'Chest pain at 40 or older'], negated: [] }
+  },
+  {
+    // Rules that score High on their own only drop to uncertain when negated
+    name: 'chest pain denied',
+    intake: { dob: '1960-03-02', reasonForVisit: 'Follow-up on blood pressure. No chest pain.' },
+    expected: { urgencyLevel: 'Moderate', riskKeywords: ['Chest pain'], negated: ['chest_pain_over_40'], statuses: { chest_pain: 'uncertain' } }
+  },
+  {
+    name: 'negation ends at "but"',
+    intake: { dob: '1990-01-15', reasonForVisit: 'No fever but shortness of breath since last night' },
+    expected: { urgencyLevel: 'High', riskKeywords: ['Difficulty breathing'], negated: ['fever'] }
+  },
+  {
+    name: 'negation listed after the symptom',
+    intake: { dob: '1990-01-15', reasonForVisit: 'Rash on arm', additionalNotes: 'Had chest pain last week - resolved.' },
+    expected: { urgencyLevel: 'Moderate', riskKeywords: ['Chest pain'], negated: [], statuses: { chest_pain: 'uncertain' } }
+  },
+  {
+    name: 'denies list',
+    intake: { dob: '1985-07-20', reasonForVisit: 'Sore throat. Denies fever, chills or difficulty breathing.' },
+    expected: { urgencyLevel: 'Moderate', riskKeywords: ['Difficulty breathing'], negated: ['fever'], statuses: { breathing: 'uncertain' } }
+  },
+  {
+    name: '"never had ... this bad" affirms',
+    intake: { dob: '1950-04-10', reasonForVisit: 'I have never had chest pain this bad' },
+    expected: { urgencyLevel: 'High', riskKeywords: ['Chest pain', 'Chest pain at 40 or older'], negated: [] }
+  },
+  {
+    name: 'negation ends at a comma',
+    intake: { dob: '1990-01-15', reasonForVisit: 'I have not slept, chest pain all night' },
+    expected: { urgencyLevel: 'High', riskKeywords: ['Chest pain'], negated: [] }
+  },
+  {
+    name: 'pseudo-negation still affirms',
+    intake: { dob: '1990-01-15', reasonForVisit: 'Severe pain in lower back, not improving with ibuprofen' },
+    expected: { urgencyLevel: 'Moderate', riskKeywords: ['Severe pain'], negated: [] }
+  },
+  {
+    name: 'uncertain mention scores half',
+    intake: { dob: '1990-01-15', reasonForVisit: 'Possible infection in a cut on my finger' },
+    expected: { urgencyLevel: 'Low', riskKeywords: ['Infection'], negated: [], statuses: { infection: 'uncertain' } }
+  },
+  {
+    name: 'question mark marks uncertainty',
+    intake: { dob: '1990-01-15', reasonForVisit: 'Numb face this morning, was it a stroke?' },
+    expected: { urgencyLevel: 'Moderate', riskKeywords: ['Stroke symptoms'], negated: [], statuses: { stroke: 'uncertain' } }
+  },
+  {
+    name: 'synonym match',
+    intake: { dob: '1990-01-15', reasonForVisit: "Can't breathe well when lying down" },
+    expected: { urgencyLevel: 'High', riskKeywords: ['Difficulty breathing'], negated: [] }
+  },
+  {
+    name: 'self harm',
+    intake: { dob: '2001-11-30', reasonForVisit: 'Feeling low', additionalNotes: 'Having thoughts about hurting myself and feeling suicidal' },
+    expected: { urgencyLevel: 'High', riskKeywords: ['Suicide or self harm'], negated: [] }
+  },
+  {
+    name: 'self harm denied',
+    intake: { dob: '2001-11-30', reasonForVisit: 'Anxiety medication review, not suicidal' },
+    expected: { urgencyLevel: 'Moderate', riskKeywords: ['Suicide or self harm'], negated: [], statuses: { self_harm: 'uncertain' } }
+  },
+  {
+    name: 'contracted negation',
+    intake: { dob: '1990-01-15', reasonForVisit: "Sore throat, I don't have a fever" },
+    expected: { urgencyLevel: 'Low', riskKeywords: [], negated: ['fever'] }
+  },
+  {
+    name: 'contracted negation of a high-risk symptom',
+    intake: { dob: '1990-01-15', reasonForVisit: "Follow-up visit, I haven't had any chest pain" },
+    expected: { urgencyLevel: 'Moderate', riskKeywords: ['Chest pain'], negated: [], statuses: { chest_pain: 'uncertain' } }
+  },
+  {
+    name: 'contraction that does not deny the symptom',
+    intake: { dob: '1990-01-15', reasonForVisit: "Chest pain that doesn't go away" },
+    expected: { urgencyLevel: 'High', riskKeywords: ['Chest pain'], negated: [] }
+  },
+  {
+    name: 'fever in a patient over 65',
+    intake: { dob: '1950-05-05', reasonForVisit: 'Fever and cough for three days' },
+    expected: { urgencyLevel: 'Moderate', riskKeywords: ['Fever', 'Fever at 65 or older'], negated: [] }
+  },
+  {
+    name: 'fever in a younger patient',
+    intake: { dob: '1995-05-05', reasonForVisit: 'Fever and cough for three days' },
+    expected: { urgencyLevel: 'Low', riskKeywords: ['Fever'], negated: [] }
+  },
+  {
+    name: 'allergy history is not a reaction',
+    intake: { dob: '1990-01-15', reasonForVisit: 'Refill inhaler', allergies: 'Allergic reaction to penicillin (hives)' },
+    expected: { urgencyLevel: 'Low', riskKeywords: [], negated: [] }
+  },
+  {
+    name: 'word boundaries',
+    intake: { dob: '1990-01-15', reasonForVisit: 'Feverfew refill and an infectious disease referral' },
+    expected: { urgencyLevel: 'Low', riskKeywords: [], negated: [] }
+  },
+  {
+    name: 'vital sign threshold from a form question',
+    intake: { dob: '1990-01-15', reasonForVisit: 'Cough', responses: { oxygenSaturation: '89', temperature: '99.1' } },
+    expected: { urgencyLevel: 'High', riskKeywords: ['Oxygen saturation of 91% or lower'], negated: [] }
+  }
+];
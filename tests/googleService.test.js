@@ -0,0 +1,48 @@
+const GoogleService = require('../services/googleService');
+
+describe('GoogleService', () => {
+  let googleService, calls, columnCount;
+
+  beforeEach(() => {
+    process.env.GOOGLE_SHEET_ID = 'sheet-1';
+    calls = [];
+    columnCount = 20;
+    googleService = new GoogleService();
+    googleService.sheets = {
+      spreadsheets: {
+        get: async () => ({ data: { sheets: [{ properties: { sheetId: 7, title: 'Patient Intake', gridProperties: { rowCount: 1000, columnCount } } }] } }),
+        batchUpdate: async (request) => {
+          calls.push(['batchUpdate', request.resource.requests[0]]);
+          columnCount += request.resource.requests[0].appendDimension.length;
+        },
+        values: {
+          update: async (request) => {
+            // The Sheets API rejects ranges past the grid
+            if (request.resource.values[0].length > columnCount) throw new Error('Range exceeds grid limits');
+            calls.push(['update', request.range]);
+          },
+          append: async (request) => calls.push(['append', request.range])
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete process.env.GOOGLE_SHEET_ID;
+  });
+
+  it('should widen an older 20-column intake sheet before writing more columns', async () => {
+    const columns = (await googleService.getIntakeColumns())
+      .concat(['smoker', 'pharmacy', 'preferredLanguage'].map(name => ({ name, label: name })));
+
+    await googleService.syncIntakeHeaders(columns);
+
+    expect(calls[0]).toEqual(['batchUpdate', { appendDimension: { sheetId: 7, dimension: 'COLUMNS', length: columns.length + 1 - 20 + 10 } }]);
+    expect(calls[1]).toEqual(['update', expect.stringMatching(/^Patient Intake!A1:[A-Z]+1$/)]);
+
+    // Already wide enough: no second resize
+    googleService.intakeHeaders = null;
+    await googleService.syncIntakeHeaders(columns);
+    expect(calls.filter(([call]) => call === 'batchUpdate')).toHaveLength(1);
+  });
+});
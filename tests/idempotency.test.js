@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+const IdempotencyService = require('../services/idempotencyService');
+const PhiEncryption = require('../services/phiEncryption');
+const { MemoryStore } = require('../services/storage');
+const { captureRawBody, idempotentWebhook } = require('../middleware/validation');
+
+describe('Idempotent webhook ingestion', () => {
+  let store, idempotencyService, app, handler;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    idempotencyService = new IdempotencyService(store);
+    handler = jest.fn((req, res) => res.json({ success: true, submissionId: handler.mock.calls.length }));
+
+    app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.post('/webhook', idempotentWebhook({
+      provider: 'test',
+      idempotencyService,
+      getEventId: (req) => req.body.eventId
+    }), (req, res) => handler(req, res));
+  });
+
+  it('should replay the original response for a repeated delivery', async () => {
+    const first = await request(app).post('/webhook').send({ eventId: 'evt-1' }).expect(200);
+    const repeat = await request(app).post('/webhook').send({ eventId: 'evt-1' }).expect(200);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(repeat.body).toEqual(first.body);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should process different events separately', async () => {
+    await request(app).post('/webhook').send({ eventId: 'evt-1' }).expect(200);
+    await request(app).post('/webhook').send({ eventId: 'evt-2' }).expect(200);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fall back to the body when there is no event ID', async () => {
+    await request(app).post('/webhook').send({ fullName: 'Jane Doe' }).expect(200);
+    await request(app).post('/webhook').send({ fullName: 'Jane Doe' }).expect(200);
+    await request(app).post('/webhook').send({ fullName: 'John Roe' }).expect(200);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should let a retry through after a server error', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(500).json({ success: false }));
+
+    await request(app).post('/webhook').send({ eventId: 'evt-1' }).expect(500);
+    await request(app).post('/webhook').send({ eventId: 'evt-1' }).expect(200);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should ask for a later retry while the first delivery is still processing', async () => {
+    await idempotencyService.begin('test:evt-1');
+
+    const response = await request(app).post('/webhook').send({ eventId: 'evt-1' }).expect(409);
+
+    expect(response.headers['retry-after']).toBe('30');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should let only one of two concurrent deliveries claim a key', async () => {
+    const claims = await Promise.all([idempotencyService.begin('test:evt-1'), idempotencyService.begin('test:evt-1')]);
+
+    expect(claims.map(claim => claim.duplicate).sort()).toEqual([false, true]);
+    expect(await store.count('webhook_events', { key: 'test:evt-1' })).toBe(1);
+  });
+
+  it('should let a retry take over a delivery whose processing lease ran out', async () => {
+    await idempotencyService.begin('test:evt-1', { requestId: 'req-1' });
+    await store.updateOne('webhook_events', { key: 'test:evt-1' }, { startedAt: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+
+    await request(app).post('/webhook').send({ eventId: 'evt-1' }).expect(200);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(await store.findOne('webhook_events', { key: 'test:evt-1' })).toMatchObject({ status: 'completed', statusCode: 200 });
+  });
+
+  it('should encrypt stored responses when PHI encryption is on', async () => {
+    const encryption = new PhiEncryption({ keys: `k1:${crypto.randomBytes(32).toString('base64')}`, indexKey: crypto.randomBytes(32).toString('base64') });
+    idempotencyService = new IdempotencyService(store, encryption);
+
+    await idempotencyService.begin('test:evt-1');
+    await idempotencyService.complete('test:evt-1', 200, { success: true, fullName: 'Jane Doe' });
+
+    expect((await store.findOne('webhook_events', { key: 'test:evt-1' })).response).toMatch(/^enc:v1:k1:/);
+    expect((await idempotencyService.begin('test:evt-1')).record.response).toEqual({ success: true, fullName: 'Jane Doe' });
+  });
+
+  it('should treat expired keys as new events and purge them', async () => {
+    await request(app).post('/webhook').send({ eventId: 'evt-1' }).expect(200);
+    await store.updateOne('webhook_events', { key: 'test:evt-1' }, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect(await idempotencyService.purgeExpired()).toBe(1);
+    await request(app).post('/webhook').send({ eventId: 'evt-1' }).expect(200);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+});
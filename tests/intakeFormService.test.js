@@ -0,0 +1,124 @@
+const XLSX = require('xlsx');
+const IntakeFormService = require('../services/intakeFormService');
+const FormspreeService = require('../services/formspreeService');
+const ExcelService = require('../services/excelService');
+const { MemoryStore } = require('../services/storage');
+const { DEFAULT_FORM, renderIntakeFields } = IntakeFormService;
+
+describe('IntakeFormService', () => {
+  let store, intakeFormService, audited;
+
+  const intake = (overrides = {}) => ({
+    fullName: 'Jane Doe',
+    email: 'jane@example.com',
+    dob: '1990-01-15',
+    reasonForVisit: 'Annual physical',
+    ...overrides
+  });
+
+  // The default form plus a screening section with a follow-up question
+  const withScreening = () => ({
+    sections: DEFAULT_FORM.sections.concat({
+      title: 'Screening',
+      fields: [
+        { name: 'smoker', label: 'Do you smoke?', type: 'radio', options: ['Yes', 'No'], required: true },
+        { name: 'packsPerDay', label: 'Packs per day', type: 'text', required: true, showIf: { field: 'smoker', equals: 'Yes' } }
+      ]
+    })
+  });
+
+  const publishError = async (definition) => {
+    try {
+      await intakeFormService.publish(definition);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  beforeEach(async () => {
+    store = new MemoryStore();
+    audited = [];
+    intakeFormService = new IntakeFormService(store, { record: async (entry) => audited.push(entry) });
+    await intakeFormService.ensureDefault();
+  });
+
+  it('should publish the default form once and version new ones', async () => {
+    const current = await intakeFormService.getCurrent();
+    expect(current).toMatchObject({ version: 1, publishedBy: 'system' });
+    expect(current.sections.map(section => section.title)).toEqual(DEFAULT_FORM.sections.map(section => section.title));
+
+    const updated = await intakeFormService.publish(JSON.stringify(withScreening()), { user: 'admin' });
+
+    expect(updated).toMatchObject({ version: 2, publishedBy: 'admin' });
+    expect((await intakeFormService.getCurrent()).id).toBe(updated.id);
+    expect((await intakeFormService.getVersion(1)).version).toBe(1);
+    expect((await intakeFormService.getVersion('99')).version).toBe(2);
+    expect(audited.map(entry => entry.action)).toEqual(['intake_form.publish', 'intake_form.publish']);
+  });
+
+  it('should reject definitions the intake process cannot use', async () => {
+    const withoutEmail = { sections: [{ fields: [
+      { name: 'fullName', label: 'Name', required: true },
+      { name: 'dob', label: 'DOB', type: 'date', required: true },
+      { name: 'reasonForVisit', label: 'Reason', required: true }
+    ] }] };
+    const screening = withScreening();
+    const laterCondition = { sections: [{ fields: [{ ...screening.sections[5].fields[1], showIf: { field: 'zipCode', equals: '1' } }] }, ...DEFAULT_FORM.sections] };
+
+    expect((await publishError('{ not json')).message).toMatch(/not valid JSON/);
+    expect((await publishError(withoutEmail)).message).toBe('Every form must ask "email" as a required question without a condition');
+    expect((await publishError(laterCondition)).message).toBe('"packsPerDay" can only depend on a field that comes before it');
+    expect((await publishError({ sections: [{ fields: [{ name: 'color', label: 'Color', type: 'select' }] }] })).message)
+      .toBe('The field "color" needs a list of distinct options');
+    expect((await publishError({ sections: [{ fields: [{ name: 'consents', label: 'Consents' }] }] })).name).toBe('ValidationError');
+  });
+
+  it('should validate submissions against their form version and its conditions', async () => {
+    await intakeFormService.publish(withScreening());
+
+    await expect(intakeFormService.validateSubmission(intake())).rejects.toMatchObject({
+      details: [{ field: 'smoker', message: 'Do you smoke? is required' }]
+    });
+    await expect(intakeFormService.validateSubmission(intake({ smoker: 'Yes' }))).rejects.toMatchObject({
+      details: [{ field: 'packsPerDay', message: 'Packs per day is required' }]
+    });
+    await expect(intakeFormService.validateSubmission(intake({ smoker: 'Sometimes' }))).rejects.toMatchObject({
+      details: [{ field: 'smoker', message: 'Choose one of the options for Do you smoke?' }]
+    });
+
+    const hidden = await intakeFormService.validateSubmission(intake({ smoker: 'No', packsPerDay: '2' }));
+    expect(hidden).toMatchObject({ ...intake(), formVersion: 2, responses: { smoker: 'No', packsPerDay: '' } });
+    expect(hidden).not.toHaveProperty('smoker');
+
+    // Forms filled in before the screening questions were added are still accepted
+    expect(await intakeFormService.validateSubmission(intake({ formVersion: '1' }))).toMatchObject({ formVersion: 1, responses: {} });
+  });
+
+  it('should render the form and derive export columns from every version', async () => {
+    await intakeFormService.publish(withScreening());
+    const current = await intakeFormService.publish({
+      sections: [{ ...DEFAULT_FORM.sections[0], title: 'About <You>' }, ...DEFAULT_FORM.sections.slice(1)]
+    });
+
+    const html = renderIntakeFields(await intakeFormService.getVersion(2));
+    expect(html).toContain('<input type="hidden" name="formVersion" value="2">');
+    expect(html).toContain('<input type="radio" id="smoker" name="smoker" value="Yes" required>');
+    expect(html).toContain('data-show-if="{&quot;field&quot;:&quot;smoker&quot;,&quot;equals&quot;:&quot;Yes&quot;}" hidden');
+    expect(renderIntakeFields(current)).toContain('<h3>👤 About &lt;You&gt;</h3>');
+    expect(new FormspreeService().generateFormHTML()).toContain('name="reasonForVisit" required maxlength="2000"');
+
+    // Removed questions keep their columns so earlier submissions still export
+    const columns = await intakeFormService.getColumns();
+    expect(columns.slice(-2)).toEqual([{ name: 'smoker', label: 'Do you smoke?' }, { name: 'packsPerDay', label: 'Packs per day' }]);
+
+    const buffer = new ExcelService().generateExcelFile([
+      { id: 1000, mrn: 'MRN-1000', ...intake(), formVersion: 2, responses: { smoker: 'Yes', packsPerDay: '1' } }
+    ], columns);
+    const [headers, row] = XLSX.utils.sheet_to_json(XLSX.read(buffer).Sheets['Patient Data'], { header: 1 });
+    expect(headers).toEqual(expect.arrayContaining(['Full Name', 'Date of Birth', 'Do you smoke?', 'Form Version']));
+    expect(row[headers.indexOf('Date of Birth')]).toBe('1990-01-15');
+    expect(row[headers.indexOf('Packs per day')]).toBe('1');
+    expect(row[headers.indexOf('Form Version')]).toBe(2);
+  });
+});
@@ -0,0 +1,72 @@
+const { normalizeIntake, validateIntake, validateField, getClientSchema } = require('../services/intakeSchema');
+const FormspreeService = require('../services/formspreeService');
+
+describe('intake schema', () => {
+  const intake = (overrides = {}) => ({
+    fullName: 'Jane Doe',
+    email: 'jane@example.com',
+    dob: '1990-01-15',
+    reasonForVisit: 'Annual physical',
+    ...overrides
+  });
+
+  it('should normalize aliases and formats into the standard fields', () => {
+    const normalized = normalizeIntake({
+      name: '  JANE   DOE ',
+      email: ' Jane@Example.COM',
+      phoneNumber: '305.555.0123',
+      dateOfBirth: 'January 15, 1990',
+      chiefComplaint: 'Cough',
+      website: 'dropped'
+    });
+
+    expect(normalized).toMatchObject({
+      fullName: 'Jane Doe',
+      email: 'jane@example.com',
+      phone: '(305) 555-0123',
+      dob: '1990-01-15',
+      reasonForVisit: 'Cough',
+      visitType: 'General Consultation',
+      allergies: ''
+    });
+    expect(normalized).not.toHaveProperty('website');
+    expect(normalizeIntake({ fullName: 'Ronald McDonald' }).fullName).toBe('Ronald McDonald');
+  });
+
+  it('should report one message per invalid field', () => {
+    let error;
+    try {
+      validateIntake(intake({ email: 'not-an-email', dob: '2999-01-01', reasonForVisit: ' ', zipCode: '123' }));
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.name).toBe('ValidationError');
+    expect(error.details).toEqual([
+      { field: 'email', message: 'Enter a valid email address' },
+      { field: 'dob', message: "Date of birth can't be in the future" },
+      { field: 'zipCode', message: 'Enter a 5-digit ZIP code' },
+      { field: 'reasonForVisit', message: 'Reason for visit is required' }
+    ]);
+    expect(() => validateIntake(intake({ dob: '1990-02-30' }))).toThrow('Please correct the highlighted fields');
+    expect(validateIntake(intake())).toMatchObject(intake());
+  });
+
+  it('should give the browser the same rules and messages', () => {
+    const email = getClientSchema().find(field => field.name === 'email');
+
+    expect(email).toMatchObject({ required: true, maxLength: 254 });
+    expect(new RegExp(email.pattern).test('jane@example.com')).toBe(true);
+    expect(validateField('email', 'nope')).toBe(email.messages.pattern);
+    expect(validateField('fullName', '')).toBe('Full name is required');
+  });
+
+  it('should back the Formspree service checks', () => {
+    const formspreeService = new FormspreeService();
+
+    expect(formspreeService.validateFormData(intake())).toEqual({ isValid: true, errors: [] });
+    expect(formspreeService.validateFormData({ email: 'jane@example.com' }).errors)
+      .toEqual(['Full name is required', 'Date of birth is required', 'Reason for visit is required']);
+    expect(formspreeService.normalizeFormData({ ...intake(), reason: 'ignored' })).toMatchObject({ ...intake(), source: 'Formspree' });
+  });
+});
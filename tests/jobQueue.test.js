@@ -0,0 +1,166 @@
+const JobQueue = require('../services/jobQueue');
+const { JOB_STATUSES } = require('../services/jobQueue');
+const { MemoryStore } = require('../services/storage');
+
+describe('JobQueue', () => {
+  let store, queue, steps, onDeadLetter;
+
+  // Make a retried job due now instead of after its backoff
+  const makeDue = (id) => store.updateOne('jobs', { id }, { nextRunAt: new Date(Date.now() - 1000).toISOString() });
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    queue = new JobQueue(store);
+    steps = {
+      first: jest.fn(async () => ({ value: 42 })),
+      second: jest.fn(async (payload, results) => results.first.value + payload.add),
+      third: jest.fn(async () => {})
+    };
+    onDeadLetter = jest.fn();
+
+    queue.register('test', {
+      steps: Object.entries(steps).map(([name, run]) => ({ name, run })),
+      onDeadLetter
+    });
+  });
+
+  it('should run every step in order and pass earlier results along', async () => {
+    const job = await queue.enqueue('test', { add: 1 }, { reference: 1001 });
+    expect(job.status).toBe(JOB_STATUSES.QUEUED);
+    expect(job.reference).toBe('1001');
+
+    expect(await queue.processDueJobs()).toBe(1);
+
+    const done = await queue.get(job.id);
+    expect(done.status).toBe(JOB_STATUSES.COMPLETED);
+    expect(done.results.second).toBe(43);
+    expect(done.steps.map(step => step.status)).toEqual(['completed', 'completed', 'completed']);
+  });
+
+  it('should back off after a failure and resume at the failed step', async () => {
+    steps.second.mockRejectedValueOnce(new Error('Sheets unavailable'));
+    const job = await queue.enqueue('test', { add: 1 });
+
+    await queue.processDueJobs();
+    const failed = await queue.get(job.id);
+    expect(failed.status).toBe(JOB_STATUSES.QUEUED);
+    expect(failed.attempts).toBe(1);
+    expect(failed.lastError).toBe('second: Sheets unavailable');
+    expect(new Date(failed.nextRunAt).getTime()).toBeGreaterThan(Date.now());
+    expect(failed.steps.map(step => step.status)).toEqual(['completed', 'failed', 'pending']);
+
+    // Not due yet
+    expect(await queue.processDueJobs()).toBe(0);
+
+    await makeDue(job.id);
+    await queue.processDueJobs();
+
+    expect((await queue.get(job.id)).status).toBe(JOB_STATUSES.COMPLETED);
+    expect(steps.first).toHaveBeenCalledTimes(1);
+    expect(steps.second).toHaveBeenCalledTimes(2);
+    expect(steps.third).toHaveBeenCalledTimes(1);
+  });
+
+  it('should move a job to the dead-letter queue when it runs out of attempts', async () => {
+    steps.third.mockRejectedValue(new Error('SMTP down'));
+    const job = await queue.enqueue('test', { add: 1 }, { maxAttempts: 2 });
+
+    await queue.processDueJobs();
+    await makeDue(job.id);
+    await queue.processDueJobs();
+
+    const dead = await queue.get(job.id);
+    expect(dead.status).toBe(JOB_STATUSES.DEAD);
+    expect(dead.attempts).toBe(2);
+    expect(onDeadLetter).toHaveBeenCalledTimes(1);
+    expect(onDeadLetter.mock.calls[0][0].id).toBe(job.id);
+    expect(await queue.getCounts()).toMatchObject({ dead: 1, queued: 0 });
+  });
+
+  it('should replay a dead job without repeating completed steps', async () => {
+    steps.third.mockRejectedValueOnce(new Error('SMTP down'));
+    const job = await queue.enqueue('test', { add: 1 }, { maxAttempts: 1 });
+    await queue.processDueJobs();
+
+    const replayed = await queue.replay(job.id);
+    expect(replayed.status).toBe(JOB_STATUSES.QUEUED);
+    expect(replayed.attempts).toBe(0);
+
+    await queue.processDueJobs();
+    expect((await queue.get(job.id)).status).toBe(JOB_STATUSES.COMPLETED);
+    expect(steps.first).toHaveBeenCalledTimes(1);
+    expect(steps.third).toHaveBeenCalledTimes(2);
+  });
+
+  it('should only replay dead jobs', async () => {
+    const job = await queue.enqueue('test', { add: 1 });
+
+    await expect(queue.replay(job.id)).rejects.toThrow('Only dead jobs can be replayed');
+    await expect(queue.replay('job_missing')).rejects.toThrow('not found');
+  });
+
+  it('should requeue jobs left running by a stopped worker', async () => {
+    const job = await queue.enqueue('test', { add: 1 });
+    await store.updateOne('jobs', { id: job.id }, {
+      status: JOB_STATUSES.RUNNING,
+      lockedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+    });
+
+    await queue.processDueJobs();
+
+    expect(await queue.get(job.id)).toMatchObject({ status: JOB_STATUSES.COMPLETED, attempts: 2 });
+  });
+
+  it('should dead-letter a job whose worker keeps stopping', async () => {
+    const job = await queue.enqueue('test', { add: 1 }, { maxAttempts: 1 });
+    await store.updateOne('jobs', { id: job.id }, {
+      status: JOB_STATUSES.RUNNING,
+      lockedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+    });
+
+    expect(await queue.processDueJobs()).toBe(0);
+
+    expect(await queue.get(job.id)).toMatchObject({ status: JOB_STATUSES.DEAD, attempts: 1, lastError: 'Worker stopped before the job finished' });
+    expect(onDeadLetter).toHaveBeenCalledTimes(1);
+    expect(steps.first).not.toHaveBeenCalled();
+  });
+
+  it('should drop the updates of a worker that lost its claim', async () => {
+    const job = await queue.enqueue('test', { add: 1 });
+
+    // The job is recovered as stale and claimed by another worker while the first step runs
+    const takenOver = new Date(Date.now() + 1000).toISOString();
+    steps.first.mockImplementationOnce(async () => {
+      await store.updateOne('jobs', { id: job.id }, { lockedAt: takenOver });
+      return { value: 42 };
+    });
+
+    await queue.processDueJobs();
+
+    const running = await queue.get(job.id);
+    expect(running).toMatchObject({ status: JOB_STATUSES.RUNNING, lockedAt: takenOver, attempts: 0 });
+    expect(running.steps.map(step => step.status)).toEqual(['pending', 'pending', 'pending']);
+    expect(steps.second).not.toHaveBeenCalled();
+  });
+
+  it('should keep draining due jobs after losing a claim to another worker', async () => {
+    const taken = await queue.enqueue('test', { add: 1 });
+    const mine = await queue.enqueue('test', { add: 2 });
+    await store.updateOne('jobs', { id: taken.id }, { nextRunAt: new Date(Date.now() - 2000).toISOString() });
+
+    // Another worker claims the oldest job between this worker's read and its claim
+    const updateOne = store.updateOne.bind(store);
+    jest.spyOn(store, 'updateOne').mockImplementationOnce(async (collection, filter, changes) => {
+      await updateOne('jobs', { id: taken.id }, { status: JOB_STATUSES.RUNNING, lockedAt: new Date().toISOString() });
+      return updateOne(collection, filter, changes);
+    });
+
+    expect(await queue.processDueJobs()).toBe(1);
+    expect((await queue.get(mine.id)).status).toBe(JOB_STATUSES.COMPLETED);
+    expect((await queue.get(taken.id)).status).toBe(JOB_STATUSES.RUNNING);
+  });
+
+  it('should reject unknown job types', async () => {
+    await expect(queue.enqueue('unknown', {})).rejects.toThrow('Unknown job type');
+  });
+});
@@ -0,0 +1,96 @@
+const { Writable } = require('stream');
+const winston = require('winston');
+const { createLogger, describeSubmission, redactPhi, patientRef } = require('../services/logger');
+
+describe('logger', () => {
+  const formData = {
+    fullName: 'Jane Doe',
+    dob: '1990-01-15',
+    email: 'jane@example.com',
+    phone: '(305) 555-0123',
+    insuranceId: 'XYZ123456',
+    reasonForVisit: 'Chest pain since Monday',
+    visitType: 'new-patient',
+    formId: 'form_1'
+  };
+
+  // Capture what the logger writes, after formatting
+  const capture = (logger) => {
+    const lines = [];
+    logger.clear();
+    logger.add(new winston.transports.Stream({
+      stream: new Writable({
+        write(chunk, encoding, callback) {
+          lines.push(JSON.parse(chunk.toString()));
+          callback();
+        }
+      })
+    }));
+    return lines;
+  };
+
+  afterEach(() => {
+    delete process.env.LOG_REDACT_FIELDS;
+  });
+
+  it('should mask PHI fields and keep a patient reference instead', () => {
+    const redacted = redactPhi({ formData });
+
+    expect(redacted.formData).toMatchObject({
+      fullName: '[REDACTED]',
+      dob: '[REDACTED]',
+      email: '[REDACTED]',
+      phone: '[REDACTED]',
+      insuranceId: '[REDACTED]',
+      reasonForVisit: '[REDACTED]',
+      visitType: 'new-patient',
+      formId: 'form_1'
+    });
+    expect(redacted.formData.patientRef).toMatch(/^pt_[0-9a-f]{16}$/);
+    expect(redacted.formData.patientRef).toBe(patientRef({ email: 'JANE@example.com ' }));
+    expect(formData.fullName).toBe('Jane Doe');
+  });
+
+  it('should mask emails and phone numbers in free text', () => {
+    expect(redactPhi('Reminder sent to jane@example.com / +1 305.555.0123 at 2024-01-15T10:00:00.000Z'))
+      .toBe('Reminder sent to [EMAIL] / [PHONE] at 2024-01-15T10:00:00.000Z');
+  });
+
+  it('should redact extra fields from LOG_REDACT_FIELDS', () => {
+    process.env.LOG_REDACT_FIELDS = 'employer, preferred_pharmacy';
+
+    expect(redactPhi({ employer: 'Acme', preferredPharmacy: 'Main St', urgency: 'routine' }))
+      .toEqual({ employer: '[REDACTED]', preferredPharmacy: '[REDACTED]', urgency: 'routine' });
+  });
+
+  it('should redact every entry a service logger writes', () => {
+    const logger = createLogger('test-service');
+    const lines = capture(logger);
+    const error = new Error('Sheets rejected row for jane@example.com');
+
+    logger.info('Formspree webhook received', { body: formData });
+    logger.error('Error processing intake form submission', { error: error.message, formData, patientName: formData.fullName });
+
+    expect(lines[0]).toMatchObject({ service: 'test-service', level: 'info', body: { fullName: '[REDACTED]', formId: 'form_1' } });
+    expect(lines[1]).toMatchObject({
+      error: 'Sheets rejected row for [EMAIL]',
+      patientName: '[REDACTED]',
+      formData: { email: '[REDACTED]', patientRef: lines[0].body.patientRef }
+    });
+    expect(JSON.stringify(lines)).not.toMatch(/Jane|1990-01-15|555-0123|XYZ123456|Chest pain/);
+  });
+
+  it('should log only field names for submissions with admin-defined questions', () => {
+    const logger = createLogger('test-service');
+    const lines = capture(logger);
+    const submission = { ...formData, pregnancy_status: 'Pregnant, 12 weeks', responses: { hiv_status: 'Positive' } };
+
+    logger.info('Formspree webhook received', describeSubmission(submission));
+    logger.info('Submission answers', { responses: submission.responses });
+
+    expect(lines[0].fields).toEqual(expect.arrayContaining(['pregnancy_status', 'responses', 'fullName']));
+    expect(lines[0].patientRef).toBe(patientRef(formData));
+    expect(lines[1].responses).toBe('[REDACTED]');
+    expect(JSON.stringify(lines)).not.toMatch(/Pregnant|Positive/);
+  });
+});
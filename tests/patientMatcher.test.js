@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const PatientMatcher = require('../services/patientMatcher');
+const PhiEncryption = require('../services/phiEncryption');
+
+describe('PatientMatcher', () => {
+  const matcher = new PatientMatcher();
+
+  it('should normalize names, dates, emails and phone numbers before comparing', () => {
+    expect(matcher.getMatchKeys({
+      fullName: '  JANE   doe ',
+      dob: '1990-01-15',
+      email: ' Jane@Example.com ',
+      phone: '+1 305.555.0123'
+    })).toEqual({ name: 'jane doe', similarName: 'j doe', dob: '1990-01-15', email: 'jane@example.com', phone: '3055550123' });
+  });
+
+  it('should use blind indexes when PHI encryption is configured', () => {
+    const encryption = new PhiEncryption({ keys: `k1:${crypto.randomBytes(32).toString('base64')}`, indexKey: crypto.randomBytes(32).toString('base64') });
+    const blindMatcher = new PatientMatcher(undefined, encryption);
+    const keys = blindMatcher.getMatchKeys({ fullName: 'Jane Doe', dob: '1990-01-15', email: 'jane@example.com' });
+
+    expect(keys.email).toMatch(/^[0-9a-f]{64}$/);
+    expect(keys.email).toBe(blindMatcher.getMatchKeys({ email: ' JANE@example.com' }).email);
+    expect(keys.email).not.toBe(encryption.blindIndex('phone', 'jane@example.com'));
+    expect(keys.phone).toBeNull();
+
+    const [match] = blindMatcher.findMatches(
+      { id: 2, matchKeys: blindMatcher.getMatchKeys({ fullName: 'Jonathan Doe', dob: '1990-01-15', email: 'jane@example.com' }) },
+      [{ id: 1, matchKeys: keys }]
+    );
+    expect(match.reasons).toEqual(['similar_name', 'dob', 'email']);
+  });
+
+  it('should flag the same person submitting again', () => {
+    const [match] = matcher.findMatches(
+      { id: 2, fullName: 'Jane Doe', dob: '1990-01-15', phone: '(305) 555-0123' },
+      [{ id: 1, fullName: 'jane doe', dob: '1990-01-15', phone: '305-555-0123' }]
+    );
+
+    expect(match.reasons).toEqual(['name', 'dob', 'phone']);
+    expect(match.confidence).toBe('high');
+  });
+
+  it('should flag a changed name when DOB and email match', () => {
+    const matches = matcher.findMatches(
+      { id: 2, fullName: 'Jane Smith', dob: '1990-01-15', email: 'jane@example.com' },
+      [{ id: 1, fullName: 'Jane Doe', dob: '1990-01-15', email: 'jane@example.com' }]
+    );
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].confidence).toBe('possible');
+  });
+
+  it('should not flag family members who share contact details', () => {
+    expect(matcher.findMatches(
+      { id: 2, fullName: 'Maria Doe', dob: '2015-06-01', email: 'family@example.com', phone: '3055550123' },
+      [{ id: 1, fullName: 'Jane Doe', dob: '1990-01-15', email: 'family@example.com', phone: '3055550123' }]
+    )).toEqual([]);
+  });
+});
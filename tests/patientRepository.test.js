@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PatientRepository = require('../services/patientRepository');
+const DataService = require('../services/dataService');
+const DatabaseService = require('../services/databaseService');
+const PhiEncryption = require('../services/phiEncryption');
+const { MemoryStore, JsonStore, MongoStore } = require('../services/storage');
+
+// The same suite runs against every backend so they can't drift apart.
+// MongoDB only runs when a test database is configured.
+const backends = [
+  ['memory', async () => new MemoryStore()],
+  ['json', async () => {
+    const dataService = new DataService();
+    dataService.dataFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mypcp-')), 'clinicData.json');
+    return new JsonStore(dataService);
+  }]
+];
+
+if (process.env.TEST_MONGODB_URI) {
+  backends.push(['mongo', async () => {
+    const databaseService = new DatabaseService();
+    databaseService.connectionString = process.env.TEST_MONGODB_URI;
+    databaseService.dbName = `mypcp-test-${Date.now()}`;
+    await databaseService.connect();
+    return new MongoStore(databaseService);
+  }]);
+}
+
+describe.each(backends)('PatientRepository (%s backend)', (backend, createStore) => {
+  let store, repository, audited;
+
+  beforeEach(async () => {
+    store = await createStore();
+    audited = [];
+    repository = new PatientRepository(store, { record: async (entry) => audited.push(entry) });
+  });
+
+  afterEach(async () => {
+    if (store.dataService) {
+      fs.rmSync(path.dirname(store.dataService.dataFile), { recursive: true, force: true });
+    }
+    if (store.databaseService) {
+      await store.databaseService.db.dropDatabase();
+      await store.databaseService.disconnect();
+    }
+  });
+
+  it('should add patients with sequential IDs and common fields', async () => {
+    const first = await repository.add({ fullName: 'Jane Doe', email: 'jane@example.com' });
+    const second = await repository.add({ fullName: 'John Roe', id: 42, status: 'completed' });
+
+    expect(first).toMatchObject({ id: 1000, name: 'Jane Doe', type: 'form_submission' });
+    expect(second).toMatchObject({ id: 1001 });
+    expect(second.encounter.status).toBe('pending');
+    expect(typeof first.timestamp).toBe('string');
+    expect(first).not.toHaveProperty('_id');
+  });
+
+  it('should keep visit details on an encounter rather than the patient', async () => {
+    const added = await repository.add({ fullName: 'Jane Doe', dob: '1990-01-01', reasonForVisit: 'Annual physical', urgency: 'routine' });
+
+    expect(added.encounter).toMatchObject({ patientId: added.id, reasonForVisit: 'Annual physical', urgency: 'routine', status: 'pending', triage: null });
+    const patient = await repository.get(added.id);
+    expect(patient).toMatchObject({ fullName: 'Jane Doe', dob: '1990-01-01' });
+    expect(patient).not.toHaveProperty('reasonForVisit');
+    expect(patient).not.toHaveProperty('status');
+
+    const [visit] = await repository.list();
+    expect(visit).toMatchObject({ id: added.id, encounterId: added.encounter.id, name: 'Jane Doe', reasonForVisit: 'Annual physical', status: 'pending' });
+  });
+
+  it('should create encounters for records saved before encounters existed', async () => {
+    await store.insertOne('patients', { id: 1000, fullName: 'Legacy Jane', reasonForVisit: 'Cough', status: 'completed', timestamp: '2024-01-05T10:00:00.000Z' });
+    await store.insertOne('patients', { id: 1001, fullName: 'Legacy Jane', reasonForVisit: 'Follow-up', status: 'pending', timestamp: '2024-02-05T10:00:00.000Z', mergedInto: 1000 });
+
+    expect(await repository.backfillEncounters()).toBe(2);
+    expect(await repository.backfillEncounters()).toBe(0);
+
+    const visits = await repository.getVisitHistory(1000);
+    expect(visits.map(visit => [visit.reasonForVisit, visit.status, visit.source])).toEqual([
+      ['Cough', 'completed', 'legacy_intake'],
+      ['Follow-up', 'pending', 'legacy_intake']
+    ]);
+    expect(visits[0].timestamp).toBe('2024-01-05T10:00:00.000Z');
+  });
+
+  it('should backfill timestamps on records that only have createdAt', async () => {
+    const thisMonth = new Date().toISOString();
+    await store.insertOne('patients', { id: 1000, fullName: 'Legacy Jane', createdAt: new Date(thisMonth), mergedInto: null });
+    await repository.add({ fullName: 'Jane Doe' });
+
+    const patients = await repository.listPatients();
+    expect(patients.map(patient => patient.fullName)).toEqual(['Jane Doe', 'Legacy Jane']);
+    expect((await store.findOne('patients', { id: 1000 })).timestamp).toBe(thisMonth);
+
+    const dashboard = await repository.getDashboardStats();
+    expect(dashboard.stats.newPatientsThisMonth).toBe(2);
+    expect(await repository.backfillTimestamps()).toBe(0);
+  });
+
+  it('should get a patient by string or numeric ID', async () => {
+    const added = await repository.add({ fullName: 'Jane Doe' });
+
+    expect(await repository.get(String(added.id))).toMatchObject({ id: added.id, fullName: 'Jane Doe' });
+    expect(await repository.get(added.id)).toMatchObject({ id: added.id });
+    expect(await repository.get('9999')).toBeNull();
+    expect(await repository.get('not-a-number')).toBeNull();
+  });
+
+  it('should give concurrent submissions unique IDs and MRNs', async () => {
+    const added = await Promise.all(Array.from({ length: 20 }, (_, index) => repository.add({ fullName: `Patient ${index}` })));
+
+    const ids = added.map(patient => patient.id).sort((a, b) => a - b);
+    expect(ids).toEqual(Array.from({ length: 20 }, (_, index) => 1000 + index));
+    expect(new Set(added.map(patient => patient.mrn)).size).toBe(20);
+    expect(await store.count('patients')).toBe(20);
+  });
+
+  it('should look patients up by MRN and reject a mistyped one', async () => {
+    const added = await repository.add({ fullName: 'Jane Doe' });
+    expect(added.mrn).toBe('MRN-00010009');
+
+    expect(await repository.get(added.mrn)).toMatchObject({ id: added.id });
+    expect(await repository.get('mrn-00010009')).toMatchObject({ id: added.id });
+    expect(await repository.get('MRN-00010008')).toBeNull();
+  });
+
+  it('should continue numbering after existing records', async () => {
+    await store.insertOne('patients', { id: 4321, fullName: 'Legacy', timestamp: new Date().toISOString() });
+
+    const added = await repository.add({ fullName: 'Jane Doe' });
+    expect(added.id).toBe(4322);
+  });
+
+  it('should re-key colliding IDs and assign missing MRNs', async () => {
+    await store.insertOne('patients', { id: 1500, fullName: 'Original', timestamp: '2024-01-01T10:00:00.000Z' });
+    await store.insertOne('patients', { id: 1500, fullName: 'Collision', timestamp: '2024-01-02T10:00:00.000Z' });
+    await store.insertOne('patients', { id: 1200, fullName: 'Unique', timestamp: '2024-01-03T10:00:00.000Z' });
+
+    const plan = await repository.repairIds({ dryRun: true });
+    expect(plan.rekeyed).toEqual([expect.objectContaining({ from: 1500, to: 1501 })]);
+    expect(await store.count('patients', { id: 1500 })).toBe(2);
+
+    const result = await repository.repairIds({ context: { user: 'migration' } });
+    expect(result.rekeyed).toEqual([expect.objectContaining({ from: 1500, to: 1501, mrn: 'MRN-00015016' })]);
+    expect(result.mrnsAssigned).toBe(2);
+
+    expect(await repository.get(1500)).toMatchObject({ fullName: 'Original', mrn: 'MRN-00015008' });
+    expect(await repository.get(1501)).toMatchObject({ fullName: 'Collision', previousIds: [1500] });
+    expect(await repository.get(1200)).toHaveProperty('mrn', 'MRN-00012005');
+    expect(audited).toEqual([expect.objectContaining({ action: 'patient.rekey', patientIds: [1500, 1501] })]);
+
+    // New IDs carry on after the re-keyed ones, and a second run has nothing to do
+    expect((await repository.add({ fullName: 'Next' })).id).toBe(1502);
+    expect((await repository.repairIds()).rekeyed).toHaveLength(0);
+  });
+
+  it('should find probable duplicates of a returning patient', async () => {
+    const first = await repository.add({ fullName: 'Jane Doe', dob: '1990-01-15', email: 'jane@example.com' });
+    await repository.add({ fullName: 'John Roe', dob: '1985-03-02', email: 'john@example.com' });
+    const again = await repository.add({ fullName: 'JANE DOE', dob: '1990-01-15', email: 'JANE@example.com' });
+
+    const duplicates = await repository.findPossibleDuplicates(again.id);
+    expect(duplicates.map(match => match.patient.id)).toEqual([first.id]);
+    expect(duplicates[0]).toMatchObject({ confidence: 'high', reasons: ['name', 'dob', 'email'] });
+  });
+
+  it('should merge duplicates into one patient and undo the merge', async () => {
+    const first = await repository.add({ fullName: 'Jane Doe', dob: '1990-01-15', reasonForVisit: 'Checkup' });
+    const again = await repository.add({ fullName: 'Jane Doe', dob: '1990-01-15', phone: '3055550123', reasonForVisit: 'Flu' });
+
+    const { merge, patient } = await repository.merge(first.id, [again.id], { user: 'frontdesk' });
+    expect(patient).toMatchObject({ id: first.id, phone: '3055550123', mergedFrom: [again.id] });
+    expect(await repository.get(again.id)).toMatchObject({ mergedInto: first.id });
+    expect((await repository.getVisitHistory(first.id)).map(visit => visit.reasonForVisit)).toEqual(['Checkup', 'Flu']);
+    expect(await repository.findPossibleDuplicates(first.id)).toEqual([]);
+    expect((await repository.getDashboardStats()).stats.totalPatients).toBe(1);
+
+    await expect(repository.merge(first.id, [again.id])).rejects.toThrow('already been merged');
+
+    const undone = await repository.undoMerge(merge.id, { user: 'admin' });
+    expect(undone.patient).toMatchObject({ phone: null, mergedFrom: [] });
+    expect(undone.merge).toMatchObject({ undoneBy: 'admin' });
+    expect((await repository.get(again.id)).mergedInto).toBeNull();
+    expect((await repository.getVisitHistory(again.id)).map(visit => visit.reasonForVisit)).toEqual(['Flu']);
+    expect((await repository.findPossibleDuplicates(first.id)).map(match => match.patient.id)).toEqual([again.id]);
+    expect(audited.map(entry => entry.action)).toEqual(['patient.merge', 'patient.merge_undo']);
+
+    await expect(repository.undoMerge(merge.id)).rejects.toThrow('already undone');
+  });
+
+  it('should list visits newest first and filter by encounter status', async () => {
+    await repository.add({ fullName: 'First' });
+    const second = await repository.add({ fullName: 'Second' });
+    await repository.encounters.updateStatus(second.encounter.id, 'completed');
+
+    const all = await repository.list();
+    expect(all.map(patient => patient.fullName)).toEqual(['Second', 'First']);
+
+    const pending = await repository.list({ status: 'pending' });
+    expect(pending.map(patient => patient.fullName)).toEqual(['First']);
+  });
+
+  it('should update encounter status and audit the change', async () => {
+    const added = await repository.add({ fullName: 'Jane Doe' });
+    const updated = await repository.encounters.updateStatus(added.encounter.id, 'completed', { user: 'dr-smith' });
+
+    expect(updated).toMatchObject({ id: added.encounter.id, status: 'completed' });
+    expect(audited).toEqual([expect.objectContaining({
+      action: 'encounter.status_change',
+      patientIds: [added.id],
+      details: { encounterId: added.encounter.id, from: 'pending', to: 'completed' },
+      context: { user: 'dr-smith' }
+    })]);
+    await expect(repository.encounters.updateStatus(added.encounter.id, 'done')).rejects.toThrow('Invalid encounter status');
+    await expect(repository.encounters.updateStatus('enc_missing', 'completed')).rejects.toThrow('not found');
+  });
+
+  it('should mark an encounter triaged when its triage result is saved', async () => {
+    const added = await repository.add({ fullName: 'Jane Doe' });
+    const triaged = await repository.encounters.setTriage(added.encounter.id, { summary: 'Mild cough', urgencyLevel: 'low', riskKeywords: [], recommendations: [] });
+
+    expect(triaged).toMatchObject({ status: 'triaged', triage: { summary: 'Mild cough', urgencyLevel: 'low' } });
+  });
+
+  it('should delete patients and audit the deletion', async () => {
+    const added = await repository.add({ fullName: 'Jane Doe' });
+
+    expect(await repository.delete(added.id)).toBe(true);
+    expect(await repository.delete(added.id)).toBe(false);
+    expect(await repository.get(added.id)).toBeNull();
+    expect(await repository.encounters.count({ patientId: added.id })).toBe(0);
+    expect(audited.map(entry => entry.action)).toEqual(['patient.delete']);
+  });
+
+  it('should build daily history from submission timestamps', async () => {
+    await repository.add({ fullName: 'Jane Doe' });
+    await repository.add({ fullName: 'John Roe' });
+
+    const history = await repository.getDailyPatientHistory(7);
+    const today = new Date().toISOString().split('T')[0];
+
+    expect(history).toHaveLength(7);
+    expect(history[6]).toMatchObject({ date: today, count: 2 });
+    expect(history[0].count).toBe(0);
+
+    const byDay = await repository.groupByDay();
+    expect(Object.keys(byDay)).toEqual([today]);
+    expect(byDay[today].map(patient => patient.name)).toEqual(['Jane Doe', 'John Roe']);
+  });
+
+  it('should return the same dashboard stats shape', async () => {
+    await repository.add({ fullName: 'Jane Doe' });
+    const second = await repository.add({ fullName: 'John Roe' });
+    await repository.encounters.updateStatus(second.encounter.id, 'completed');
+
+    const dashboard = await repository.getDashboardStats();
+
+    expect(dashboard.stats).toMatchObject({
+      totalPatients: 2,
+      totalVisits: 2,
+      newPatientsThisMonth: 2,
+      pendingIntakes: 1,
+      upcomingAppointments: 0
+    });
+    expect(dashboard.todayPatientCount).toBe(2);
+    expect(dashboard.todayPatients).toHaveLength(2);
+    expect(dashboard.dailyHistory).toHaveLength(7);
+    expect(dashboard.recentActivity[0]).toMatchObject({ name: 'John Roe', type: 'Intake Form' });
+    expect(dashboard.systemHealth.storage).toBe(backend);
+  });
+});
+
+describe('PatientRepository with PHI encryption', () => {
+  const newKey = () => crypto.randomBytes(32).toString('base64');
+  const oldKey = newKey();
+  const indexKey = newKey();
+  let store, repository;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    repository = new PatientRepository(store, null, new PhiEncryption({ keys: `2024:${oldKey}`, indexKey }));
+  });
+
+  it('should store sensitive fields encrypted and read them back transparently', async () => {
+    const added = await repository.add({ fullName: 'Jane Doe', dob: '1990-01-15', email: 'jane@example.com', allergies: 'Penicillin', reasonForVisit: 'Chest pain', gender: 'F' });
+
+    const stored = await store.findOne('patients', { id: added.id });
+    expect(stored.dob).toMatch(/^enc:v1:2024:/);
+    expect(stored.gender).toBe('F');
+    expect(JSON.stringify(stored)).not.toMatch(/Jane|1990|Penicillin|jane@example\.com/);
+    expect((await store.findOne('encounters', { id: added.encounter.id })).reasonForVisit).toMatch(/^enc:v1:/);
+
+    expect(await repository.get(added.id)).toMatchObject({ name: 'Jane Doe', dob: '1990-01-15', allergies: 'Penicillin' });
+    expect((await repository.list())[0]).toMatchObject({ name: 'Jane Doe', reasonForVisit: 'Chest pain' });
+  });
+
+  it('should look patients up by email or phone through the blind index', async () => {
+    const jane = await repository.add({ fullName: 'Jane Doe', email: 'jane@example.com', phone: '(305) 555-0123' });
+    await repository.add({ fullName: 'John Roe', email: 'john@example.com' });
+
+    expect((await repository.findByContact({ email: 'JANE@example.com ' })).map(patient => patient.id)).toEqual([jane.id]);
+    expect((await repository.findByContact({ phone: '+1 305 555 0123' }))[0]).toMatchObject({ id: jane.id, name: 'Jane Doe' });
+    await expect(repository.findByContact({})).rejects.toThrow('email address or phone number');
+  });
+
+  it('should still find and merge duplicates', async () => {
+    const first = await repository.add({ fullName: 'Jane Doe', dob: '1990-01-15', reasonForVisit: 'Checkup' });
+    const again = await repository.add({ fullName: 'Jane Doe', dob: '1990-01-15', phone: '3055550123', reasonForVisit: 'Flu' });
+
+    expect((await repository.findPossibleDuplicates(again.id)).map(match => match.patient.id)).toEqual([first.id]);
+
+    const { merge } = await repository.merge(first.id, [again.id]);
+    expect((await store.findOne('patient_merges', { id: merge.id })).previousValues).toMatch(/^enc:v1:/);
+    expect(await repository.get(first.id)).toMatchObject({ phone: '3055550123' });
+
+    const undone = await repository.undoMerge(merge.id);
+    expect(undone.patient.phone).toBeNull();
+  });
+
+  it('should encrypt plaintext records and re-wrap them after a key rotation', async () => {
+    await store.insertOne('patients', { id: 1000, fullName: 'Legacy Jane', email: 'jane@example.com', reasonForVisit: 'Cough', status: 'pending', timestamp: '2024-01-05T10:00:00.000Z' });
+    expect(await repository.backfillEncounters()).toBe(1);
+
+    expect(await repository.encryptStoredRecords()).toEqual({ patients: 1, patientMerges: 0, encounters: 0, appointments: 0 });
+    expect((await store.findOne('patients', { id: 1000 })).fullName).toMatch(/^enc:v1:2024:/);
+    expect(await repository.backfillMatchKeys()).toBe(1);
+    expect((await repository.findByContact({ email: 'jane@example.com' }))[0]).toMatchObject({ id: 1000, name: 'Legacy Jane' });
+
+    const rotated = new PatientRepository(store, null, new PhiEncryption({ keys: `2025:${newKey()},2024:${oldKey}`, indexKey }));
+    expect(await rotated.encryptStoredRecords()).toMatchObject({ patients: 1, encounters: 1 });
+    expect((await store.findOne('patients', { id: 1000 })).fullName).toMatch(/^enc:v1:2025:/);
+    expect(await rotated.get(1000)).toMatchObject({ name: 'Legacy Jane' });
+    expect(await rotated.backfillMatchKeys()).toBe(0);
+  });
+});
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const PhiEncryption = require('../services/phiEncryption');
+
+describe('PhiEncryption', () => {
+  const newKey = () => crypto.randomBytes(32).toString('base64');
+  const oldKey = newKey();
+  const currentKey = newKey();
+  const indexKey = newKey();
+
+  const encryption = new PhiEncryption({ keys: `2024:${oldKey}`, indexKey });
+
+  it('should encrypt listed fields and decrypt them back with their types', () => {
+    const record = { id: 1000, fullName: 'Jane Doe', allergies: ['penicillin'], dob: '1990-01-15', gender: 'F' };
+    const sealed = encryption.seal(record, ['fullName', 'allergies', 'dob']);
+
+    expect(sealed.id).toBe(1000);
+    expect(sealed.gender).toBe('F');
+    expect(sealed.fullName).toMatch(/^enc:v1:2024:/);
+    expect(JSON.stringify(sealed)).not.toContain('Jane');
+    expect(encryption.seal(record, ['fullName']).fullName).not.toBe(sealed.fullName);
+    expect(encryption.open(sealed)).toEqual(record);
+  });
+
+  it('should reject a value moved to another field or tampered with', () => {
+    const sealed = encryption.seal({ dob: '1990-01-15' }, ['dob']);
+
+    expect(() => encryption.decryptValue('email', sealed.dob)).toThrow('Could not decrypt email');
+    const tampered = sealed.dob.slice(0, -4) + (sealed.dob.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+    expect(() => encryption.decryptValue('dob', tampered)).toThrow('Could not decrypt dob');
+  });
+
+  it('should read records sealed with an older key and re-wrap them after rotation', () => {
+    const sealed = encryption.seal({ id: 1, email: 'jane@example.com', phone: '3055550123' }, ['email']);
+    const rotated = new PhiEncryption({ keys: `2025:${currentKey},2024:${oldKey}`, indexKey });
+
+    expect(rotated.activeKeyId).toBe('2025');
+    expect(rotated.open(sealed).email).toBe('jane@example.com');
+
+    const changes = rotated.reseal(sealed, ['email', 'phone']);
+    expect(changes.email).toMatch(/^enc:v1:2025:/);
+    expect(changes.phone).toMatch(/^enc:v1:2025:/);
+    expect(rotated.reseal({ ...sealed, ...changes }, ['email', 'phone'])).toEqual({});
+
+    const retired = new PhiEncryption({ keys: `2025:${currentKey}`, indexKey });
+    expect(retired.open({ ...sealed, ...changes })).toMatchObject({ email: 'jane@example.com', phone: '3055550123' });
+    expect(() => retired.open(sealed)).toThrow('"2024" is not configured');
+  });
+
+  it('should build stable blind indexes per field', () => {
+    expect(encryption.blindIndex('email', 'jane@example.com')).toBe(new PhiEncryption({ keys: `other:${currentKey}`, indexKey }).blindIndex('email', 'jane@example.com'));
+    expect(encryption.blindIndex('email', 'jane@example.com')).not.toBe(encryption.blindIndex('phone', 'jane@example.com'));
+    expect(encryption.blindIndex('email', null)).toBeNull();
+  });
+
+  it('should leave data alone when no keys are configured', () => {
+    const disabled = new PhiEncryption({ keys: '', indexKey: '' });
+
+    expect(disabled.enabled).toBe(false);
+    expect(disabled.seal({ dob: '1990-01-15' }, ['dob'])).toEqual({ dob: '1990-01-15' });
+    expect(disabled.blindIndex('email', 'jane@example.com')).toBe('jane@example.com');
+  });
+
+  it('should validate the key configuration', () => {
+    expect(() => new PhiEncryption({ keys: 'nokey', indexKey })).toThrow('PHI_ENCRYPTION_KEYS entries');
+    expect(() => new PhiEncryption({ keys: `short:${crypto.randomBytes(16).toString('base64')}`, indexKey })).toThrow('must be 32 bytes');
+    expect(() => new PhiEncryption({ keys: `2024:${oldKey}`, activeKeyId: '2025', indexKey })).toThrow('not in PHI_ENCRYPTION_KEYS');
+    expect(() => new PhiEncryption({ keys: `2024:${oldKey}`, indexKey: '' })).toThrow('PHI_BLIND_INDEX_KEY');
+  });
+});
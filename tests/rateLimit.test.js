@@ -0,0 +1,113 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const { createRateLimiter, parsePolicies } = require('../middleware/rateLimit');
+const { MemoryRateLimitStore } = require('../services/rateLimitStore');
+const { createSessionToken } = require('../middleware/auth');
+const { errorHandler } = require('../middleware/errorHandler');
+
+describe('rate limiting', () => {
+  let clock;
+
+  // A small app with the limiter in front of a few routes
+  const createApp = (rules, store = new MemoryRateLimitStore()) => {
+    const app = express();
+    app.set('trust proxy', true);
+    app.use(createRateLimiter(store, {
+      rules,
+      now: () => clock,
+      routes: [
+        { method: 'POST', path: '/test-form', policy: 'intake' },
+        { path: /^\/webhook\//, policy: 'webhooks' }
+      ]
+    }));
+    app.all('*', (req, res) => res.json({ success: true }));
+    app.use(errorHandler);
+    return app;
+  };
+
+  const from = (app, ip, method = 'get', path = '/dashboard') => request(app)[method](path).set('X-Forwarded-For', ip);
+
+  beforeEach(() => {
+    // Start of a minute, so sliding windows begin empty
+    clock = 60 * 1000 * 28000000;
+  });
+
+  it('should count each client separately and send RateLimit headers', async () => {
+    const app = createApp('intake:sliding_window:2:60');
+
+    const first = await from(app, '203.0.113.1', 'post', '/test-form').expect(200);
+    expect(first.headers).toMatchObject({
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '1',
+      'ratelimit-reset': '60',
+      'ratelimit-policy': '2;w=60'
+    });
+
+    await from(app, '203.0.113.1', 'post', '/test-form').expect(200);
+    const rejected = await from(app, '203.0.113.1', 'post', '/test-form').expect(429);
+    expect(rejected.headers['retry-after']).toBe('60');
+    expect(rejected.body.error.message).toBe('Too many requests - try again in 60 seconds');
+
+    // Another client, and another policy for the same client, are unaffected
+    await from(app, '203.0.113.2', 'post', '/test-form').expect(200);
+    await from(app, '203.0.113.1').expect(200);
+  });
+
+  it('should key signed-in users by account rather than IP', async () => {
+    const app = createApp('default:sliding_window:1:60');
+    const token = createSessionToken({ username: 'jdoe', role: 'clinician' });
+
+    await from(app, '203.0.113.1').set('Authorization', `Bearer ${token}`).expect(200);
+    await from(app, '203.0.113.9').set('Authorization', `Bearer ${token}`).expect(429);
+    await from(app, '203.0.113.1').expect(200);
+    // An unknown API key doesn't get its own allowance
+    await from(app, '203.0.113.1').set('X-API-Key', 'made-up-key-to-dodge-the-limit').expect(429);
+  });
+
+  it('should slide the window instead of resetting at its edge', async () => {
+    const app = createApp('default:sliding_window:4:60');
+    for (let i = 0; i < 4; i++) await from(app, '203.0.113.1').expect(200);
+
+    // A quarter into the next window three quarters of the old requests still count
+    clock += 75 * 1000;
+    await from(app, '203.0.113.1').expect(200);
+    await from(app, '203.0.113.1').expect(429);
+
+    clock += 60 * 1000;
+    await from(app, '203.0.113.1').expect(200);
+  });
+
+  it('should allow webhook bursts up to the bucket size and refill over time', async () => {
+    const app = createApp('webhooks:token_bucket:3:30');
+
+    for (let i = 0; i < 3; i++) await from(app, '198.51.100.7', 'post', '/webhook/calendly').expect(200);
+    const rejected = await from(app, '198.51.100.7', 'post', '/webhook/calendly').expect(429);
+    expect(rejected.headers['retry-after']).toBe('10');
+
+    clock += 10 * 1000;
+    const refilled = await from(app, '198.51.100.7', 'post', '/webhook/calendly').expect(200);
+    expect(refilled.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('should let requests through when the store is down', async () => {
+    const store = new MemoryRateLimitStore();
+    store.increment = async () => { throw new Error('connection refused'); };
+
+    const response = await from(createApp('', store), '203.0.113.1').expect(200);
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  it('should apply RATE_LIMIT_RULES over the defaults', () => {
+    const policies = parsePolicies('intake:token_bucket:5:60, dashboard:sliding_window:off');
+
+    expect(policies.intake).toMatchObject({ strategy: 'token_bucket', limit: 5, window: 60 });
+    expect(policies.dashboard).toMatchObject({ limit: 0 });
+    expect(policies.webhooks).toMatchObject({ strategy: 'token_bucket', limit: 60 });
+    expect(() => parsePolicies('uploads:sliding_window:5:60')).toThrow('Unknown rate limit policy "uploads"');
+    expect(() => parsePolicies('intake:leaky_bucket:5:60')).toThrow('must use one of');
+    expect(() => parsePolicies('intake:sliding_window:5')).toThrow('window in seconds');
+  });
+});
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PatientRepository = require('../services/patientRepository');
+const RetentionService = require('../services/retentionService');
+const DataService = require('../services/dataService');
+const EmailService = require('../services/emailService');
+const PhiEncryption = require('../services/phiEncryption');
+const { MemoryStore, JsonStore } = require('../services/storage');
+
+process.env.ADMIN_EMAIL = 'admin@example.com';
+
+describe('RetentionService', () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const intake = (overrides = {}) => ({
+    fullName: 'Jane Doe',
+    dob: '1990-01-15',
+    email: 'jane@example.com',
+    phone: '3055550123',
+    reasonForVisit: 'Annual physical',
+    ...overrides
+  });
+
+  let store, repository, audited, emailed, retention;
+
+  const createRetention = (options = {}) => new RetentionService(store, repository, { record: async (entry) => audited.push(entry) }, {
+    sendRetentionReport: async (report) => emailed.push(report)
+  }, { mode: 'enforce', ...options });
+
+  // Backdate an encounter (and optionally its status) as if it was submitted `days` ago
+  const age = async (encounterId, days, status) => {
+    await store.updateOne('encounters', { id: encounterId }, { timestamp: daysAgo(days), ...(status ? { status } : {}) });
+  };
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    audited = [];
+    emailed = [];
+    repository = new PatientRepository(store, { record: async (entry) => audited.push(entry) });
+    retention = createRetention();
+  });
+
+  it('should only report what would be purged on a dry run', async () => {
+    const stale = await repository.add(intake());
+    await age(stale.encounter.id, 120);
+
+    const report = await retention.run({ dryRun: true });
+
+    expect(report.dryRun).toBe(true);
+    expect(report.rules.find(rule => rule.type === 'incomplete_intakes')).toMatchObject({ matched: 1, processed: 0, patients: 0 });
+    expect(await repository.get(stale.id)).not.toBeNull();
+    expect(await repository.encounters.count()).toBe(1);
+    expect(audited.pop()).toMatchObject({ action: 'retention.dry_run', patientIds: [] });
+  });
+
+  it('should delete stale pending intakes but keep the patients', async () => {
+    const stale = await repository.add(intake());
+    await age(stale.encounter.id, 120);
+    const returning = await repository.add(intake({ fullName: 'John Roe', email: 'john@example.com', phone: '3055550199' }));
+    await age(returning.encounter.id, 120, 'completed');
+    const second = await repository.encounters.create(returning.id, { reasonForVisit: 'Follow-up' });
+    await age(second.id, 120);
+    const recent = await repository.add(intake({ fullName: 'Ann Poe', email: 'ann@example.com', phone: '3055550111' }));
+
+    const report = await retention.run();
+
+    expect(report.rules.find(rule => rule.type === 'incomplete_intakes')).toMatchObject({ action: 'delete', matched: 2, processed: 2, patients: 0 });
+    expect(await repository.get(stale.id)).not.toBeNull();
+    expect(await repository.encounters.listForPatient(stale.id)).toEqual([]);
+    expect((await repository.encounters.listForPatient(returning.id)).map(encounter => encounter.id)).toEqual([returning.encounter.id]);
+    expect(await repository.get(recent.id)).not.toBeNull();
+    expect(await store.count('encounters_archive')).toBe(0);
+
+    expect(await retention.listRuns()).toEqual([report]);
+    expect(emailed).toEqual([report]);
+    expect(audited.pop()).toMatchObject({ action: 'retention.purge', patientIds: [], details: { runId: report.id } });
+  });
+
+  it('should keep triaged intakes, reviewed or not', async () => {
+    const triage = { summary: 'Physical', urgencyLevel: 'Low', riskKeywords: [] };
+    const reviewed = await repository.add(intake());
+    await repository.encounters.setTriage(reviewed.encounter.id, triage);
+    await repository.encounters.setTriageReview(reviewed.encounter.id, { decision: 'accepted', urgencyLevel: 'Low', summary: 'Physical', reviewedAt: daysAgo(119) });
+    await age(reviewed.encounter.id, 120);
+    const unreviewed = await repository.add(intake({ fullName: 'John Roe', email: 'john@example.com', phone: '3055550199' }));
+    await repository.encounters.setTriage(unreviewed.encounter.id, triage);
+    await age(unreviewed.encounter.id, 120);
+
+    const report = await retention.run();
+
+    expect(report.rules.find(rule => rule.type === 'incomplete_intakes')).toMatchObject({ matched: 0, processed: 0 });
+    expect(await repository.encounters.get(reviewed.encounter.id)).toMatchObject({ status: 'triaged' });
+    expect(await repository.encounters.get(unreviewed.encounter.id)).toMatchObject({ status: 'triaged' });
+  });
+
+  it('should archive old encounters and appointments with their fields still encrypted', async () => {
+    const key = crypto.randomBytes(32).toString('base64');
+    const encryption = new PhiEncryption({ keys: `k1:${key}`, indexKey: crypto.randomBytes(32).toString('base64') });
+    repository = new PatientRepository(store, null, encryption);
+    retention = createRetention();
+
+    const patient = await repository.add(intake());
+    await age(patient.encounter.id, 2600, 'completed');
+    await repository.appointments.create({ patientName: 'Jane Doe', email: 'jane@example.com', startTime: daysAgo(2600) });
+    await repository.appointments.create({ patientName: 'Jane Doe', email: 'jane@example.com', startTime: daysAgo(2) });
+
+    const report = await retention.run();
+
+    expect(report.rules.find(rule => rule.type === 'encounters')).toMatchObject({ action: 'archive', processed: 1, patients: 1 });
+    expect(report.rules.find(rule => rule.type === 'appointments')).toMatchObject({ processed: 1 });
+    expect(await store.count('encounters')).toBe(0);
+    expect(await store.count('appointments')).toBe(1);
+
+    const [archived] = await store.find('encounters_archive');
+    expect(archived).toMatchObject({ id: patient.encounter.id, retentionRule: 'encounters' });
+    expect(archived.reasonForVisit).toMatch(/^enc:v1:k1:/);
+    expect(encryption.open(archived).reasonForVisit).toBe('Annual physical');
+    expect((await store.find('patients_archive'))[0].fullName).toMatch(/^enc:v1:k1:/);
+  });
+
+  it('should skip the records of patients under legal hold', async () => {
+    const held = await repository.add(intake());
+    await age(held.encounter.id, 2600);
+    await repository.appointments.create({ patientName: 'Jane Doe', email: 'JANE@example.com', startTime: daysAgo(2600) });
+    await repository.placeLegalHold(held.id, { reason: 'Records request from counsel' }, { user: 'admin' });
+
+    const report = await retention.run();
+
+    expect(report.heldPatients).toBe(1);
+    expect(report.rules.find(rule => rule.type === 'incomplete_intakes')).toMatchObject({ matched: 0, held: 1 });
+    expect(report.rules.find(rule => rule.type === 'appointments')).toMatchObject({ matched: 0, held: 1 });
+    expect(await repository.encounters.count()).toBe(1);
+    await expect(repository.delete(held.id)).rejects.toThrow('under legal hold');
+
+    const released = await repository.releaseLegalHold(held.id, { user: 'admin' });
+    expect(released.legalHold).toBeNull();
+    expect(audited.map(entry => entry.action)).toEqual(expect.arrayContaining(['patient.legal_hold', 'patient.legal_hold_release']));
+    expect((await retention.run()).rules.find(rule => rule.type === 'incomplete_intakes')).toMatchObject({ processed: 1, patients: 0 });
+  });
+
+  it('should require a reason to place a legal hold', async () => {
+    const patient = await repository.add(intake());
+
+    await expect(repository.placeLegalHold(patient.id, {})).rejects.toThrow('A reason is required');
+    await expect(repository.releaseLegalHold(patient.id)).rejects.toThrow('not under legal hold');
+  });
+
+  it('should apply RETENTION_RULES over the defaults', () => {
+    const policy = createRetention({ rules: 'incomplete_intakes:archive:30, completed_jobs:delete:off' }).getPolicy();
+
+    expect(policy.rules.find(rule => rule.type === 'incomplete_intakes')).toMatchObject({ action: 'archive', days: 30, enabled: true });
+    expect(policy.rules.find(rule => rule.type === 'completed_jobs')).toMatchObject({ enabled: false });
+    expect(policy.rules.find(rule => rule.type === 'encounters')).toMatchObject({ action: 'archive', days: 2555 });
+    expect(() => createRetention({ rules: 'visits:delete:30' })).toThrow('Unknown retention record type "visits"');
+    expect(() => createRetention({ rules: 'encounters:shred:30' })).toThrow('must use one of');
+    expect(() => createRetention({ mode: 'yolo' })).toThrow('RETENTION_MODE');
+  });
+
+  it('should drop the legacy dailyPatients copies from the JSON file', async () => {
+    const dataService = new DataService();
+    dataService.dataFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mypcp-')), 'clinicData.json');
+    fs.writeFileSync(dataService.dataFile, JSON.stringify({
+      formSubmissions: [],
+      dailyPatients: { '2024-01-15': [{ id: 1000, fullName: 'Jane Doe' }, { id: 1001, fullName: 'John Roe' }] }
+    }));
+    store = new JsonStore(dataService);
+    repository = new PatientRepository(store);
+
+    try {
+      expect((await createRetention().run({ dryRun: true })).legacy).toEqual([{ collection: 'daily_patients', records: 2, dropped: false }]);
+      expect(JSON.parse(fs.readFileSync(dataService.dataFile, 'utf8')).dailyPatients).toBeDefined();
+
+      expect((await createRetention().run()).legacy).toEqual([{ collection: 'daily_patients', records: 2, dropped: true }]);
+      const data = JSON.parse(fs.readFileSync(dataService.dataFile, 'utf8'));
+      expect(data.dailyPatients).toBeUndefined();
+      expect(data.retention_runs).toHaveLength(2);
+    } finally {
+      fs.rmSync(path.dirname(dataService.dataFile), { recursive: true, force: true });
+    }
+  });
+
+  it('should email admins counts without patient details', async () => {
+    const patient = await repository.add(intake());
+    await age(patient.encounter.id, 120);
+    const report = await retention.run();
+
+    const content = new EmailService().generateRetentionReportEmailContent(report);
+
+    expect(content.subject).toMatch(/^Data Retention Purge Report/);
+    expect(content.text).toContain('incomplete_intakes older than 90 days: 1 deleted, 0 on legal hold, 0 patients removed');
+    expect(content.html + content.text).not.toMatch(/Jane|jane@example.com|Annual physical/);
+  });
+});
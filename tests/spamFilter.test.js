@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+const SpamFilter = require('../services/spamFilter');
+const PatientRepository = require('../services/patientRepository');
+const PhiEncryption = require('../services/phiEncryption');
+const { MemoryStore } = require('../services/storage');
+const { SPAM_REASONS, QUARANTINE_STATUSES } = SpamFilter;
+
+describe('SpamFilter', () => {
+  const intake = (overrides = {}) => ({
+    fullName: 'Jane Doe',
+    dob: '1990-01-15',
+    email: 'jane@example.com',
+    reasonForVisit: 'Annual physical',
+    ...overrides
+  });
+
+  let store, repository, audited, spamFilter;
+
+  const createFilter = (options = {}) => new SpamFilter(store, repository, { record: async (entry) => audited.push(entry) }, undefined, {
+    secret: 'test-form-secret',
+    minFillSeconds: 5,
+    ...options
+  });
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    audited = [];
+    repository = new PatientRepository(store);
+    spamFilter = createFilter();
+  });
+
+  it('should accept a form filled in by hand and strip the spam-check fields', async () => {
+    const loadedAt = Date.now() - 60 * 1000;
+    const formToken = spamFilter.issueFormToken(loadedAt);
+
+    const { reasons, intakeData } = await spamFilter.inspect({ ...intake(), formToken, website: '' });
+
+    expect(reasons).toEqual([]);
+    expect(intakeData).toEqual(intake());
+  });
+
+  it('should flag the honeypot, disposable emails and forms sent too fast', async () => {
+    const { reasons } = await spamFilter.inspect({
+      ...intake({ email: 'bot@mx.Mailinator.com' }),
+      formToken: spamFilter.issueFormToken(Date.now() - 1000),
+      website: 'http://cheap-pills.example'
+    });
+
+    expect(reasons).toEqual([SPAM_REASONS.HONEYPOT, SPAM_REASONS.TOO_FAST, SPAM_REASONS.DISPOSABLE_EMAIL]);
+    expect((await createFilter({ blockedEmailDomains: 'spam.example' }).inspect(intake({ email: 'x@spam.example' }), { requireToken: false })).reasons)
+      .toEqual([SPAM_REASONS.DISPOSABLE_EMAIL]);
+  });
+
+  it('should reject missing, forged and expired form tokens', async () => {
+    const now = Date.now();
+    const [issuedAt, nonce] = spamFilter.issueFormToken(now - 60 * 1000).split('.');
+
+    expect(spamFilter.checkFormToken(undefined, now)).toBe(SPAM_REASONS.MISSING_TOKEN);
+    expect(spamFilter.checkFormToken(`${issuedAt - 60000}.${nonce}.forged`, now)).toBe(SPAM_REASONS.INVALID_TOKEN);
+    expect(createFilter({ secret: 'another-server' }).checkFormToken(spamFilter.issueFormToken(now - 60 * 1000), now)).toBe(SPAM_REASONS.INVALID_TOKEN);
+    expect(spamFilter.checkFormToken(spamFilter.issueFormToken(now - 25 * 60 * 60 * 1000), now)).toBe(SPAM_REASONS.EXPIRED_TOKEN);
+  });
+
+  it('should flag repeated content within the duplicate window', async () => {
+    expect((await spamFilter.inspect(intake(), { requireToken: false })).reasons).toEqual([]);
+    expect((await spamFilter.inspect(intake({ fullName: ' JANE  doe ', _gotcha: '' }), { requireToken: false })).reasons).toEqual([SPAM_REASONS.DUPLICATE]);
+    expect((await spamFilter.inspect(intake({ reasonForVisit: 'Flu shot' }), { requireToken: false })).reasons).toEqual([]);
+
+    const later = Date.now() + 25 * 60 * 60 * 1000;
+    expect((await spamFilter.inspect(intake(), { requireToken: false, now: later })).reasons).toEqual([]);
+  });
+
+  it('should keep quarantined submissions encrypted and release them as patients', async () => {
+    const encryption = new PhiEncryption({ keys: `k1:${crypto.randomBytes(32).toString('base64')}`, indexKey: crypto.randomBytes(32).toString('base64') });
+    repository = new PatientRepository(store, null, encryption);
+    spamFilter = new SpamFilter(store, repository, { record: async (entry) => audited.push(entry) }, encryption, { secret: 'test-form-secret' });
+
+    const consent = { signedName: 'Jane Doe', signedAt: new Date().toISOString(), communication: { email: true, sms: false } };
+    const held = await spamFilter.quarantine(intake(), [SPAM_REASONS.TOO_FAST], { source: 'test-form', consent, ip: '203.0.113.7' });
+
+    const [stored] = await store.find('intake_quarantine');
+    expect(stored.submission).toMatch(/^enc:v1:k1:/);
+    expect(stored.consent).toMatch(/^enc:v1:k1:/);
+    expect(await spamFilter.count()).toBe(1);
+    expect((await spamFilter.list())[0].submission).toEqual(intake());
+
+    const { patient } = await spamFilter.release(held.id, { user: 'desk' });
+
+    expect((await repository.get(patient.id)).consent).toEqual(consent);
+    expect(await spamFilter.count()).toBe(0);
+    expect((await spamFilter.list({ status: QUARANTINE_STATUSES.RELEASED }))[0]).toMatchObject({ patientId: patient.id, reviewedBy: 'desk' });
+    expect(audited.pop()).toMatchObject({ action: 'intake.quarantine_release', patientIds: [patient.id], details: { reasons: [SPAM_REASONS.TOO_FAST] } });
+    await expect(spamFilter.release(held.id)).rejects.toThrow('already released');
+  });
+
+  it('should delete the content of discarded submissions', async () => {
+    const held = await spamFilter.quarantine(intake(), [SPAM_REASONS.HONEYPOT], { source: 'formspree' });
+
+    await spamFilter.discard(held.id, { user: 'desk' });
+
+    const [discarded] = await spamFilter.list({ status: QUARANTINE_STATUSES.DISCARDED });
+    expect(discarded).toMatchObject({ submission: null, reasons: [SPAM_REASONS.HONEYPOT], reviewedBy: 'desk' });
+    expect(await store.count('patients')).toBe(0);
+    expect(audited.pop()).toMatchObject({ action: 'intake.quarantine_discard' });
+    await expect(spamFilter.discard('quarantine_missing')).rejects.toThrow('not found');
+  });
+});
@@ -0,0 +1,101 @@
+const TriageEngine = require('../services/triageEngine');
+const { MemoryStore } = require('../services/storage');
+const { NOW, TRIAGE_INTAKES } = require('./fixtures/triageIntakes');
+const { DEFAULT_RULESET, evaluateTriage, riskKeywordsIn, combineWithRules } = TriageEngine;
+
+describe('TriageEngine', () => {
+  let store, triageEngine, audited;
+
+  const publishError = async (ruleset) => {
+    try {
+      await triageEngine.publish(ruleset);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  beforeEach(async () => {
+    store = new MemoryStore();
+    audited = [];
+    triageEngine = new TriageEngine(store, { record: async (entry) => audited.push(entry) });
+    await triageEngine.ensureDefault();
+  });
+
+  describe('sample intakes', () => {
+    it.each(TRIAGE_INTAKES.map(sample => [sample.name, sample]))('%s', (name, { intake, expected }) => {
+      const result = evaluateTriage(intake, DEFAULT_RULESET, { now: NOW });
+      const negated = result.evidence.filter(entry => entry.status === 'negated').map(entry => entry.rule);
+
+      expect(result.urgencyLevel).toBe(expected.urgencyLevel);
+      expect(result.riskKeywords.sort()).toEqual(expected.riskKeywords.slice().sort());
+      expect(negated.sort()).toEqual(expected.negated.slice().sort());
+      Object.entries(expected.statuses || {}).forEach(([rule, status]) => {
+        expect(result.evidence.find(entry => entry.rule === rule).status).toBe(status);
+      });
+    });
+  });
+
+  it('should score with the evidence behind each match', () => {
+    const result = evaluateTriage({ dob: '1960-03-02', reasonForVisit: 'No fever. Tightness in my chest since this morning' }, DEFAULT_RULESET, { now: NOW });
+
+    expect(result.score).toBe(60);
+    expect(result.evidence).toEqual(expect.arrayContaining([
+      { rule: 'chest_pain', label: 'Chest pain', status: 'affirmed', score: 40, field: 'reasonForVisit', term: 'tightness in my chest', excerpt: 'Tightness in my chest since this morning' },
+      { rule: 'fever', label: 'Fever', status: 'negated', score: 0, field: 'reasonForVisit', term: 'fever', excerpt: 'No fever' },
+      expect.objectContaining({ rule: 'chest_pain_over_40', age: 66 })
+    ]));
+
+    const denied = evaluateTriage({ dob: '1990-01-15', reasonForVisit: 'No chest pain' }, DEFAULT_RULESET, { now: NOW });
+    expect(denied.evidence).toEqual([expect.objectContaining({ rule: 'chest_pain', status: 'uncertain', negated: true, score: 20 })]);
+  });
+
+  it('should publish versioned rules and triage with the current version', async () => {
+    const current = await triageEngine.getCurrent();
+    expect(current).toMatchObject({ version: 1, publishedBy: 'system', levels: DEFAULT_RULESET.levels });
+
+    const updated = await triageEngine.publish(JSON.stringify({
+      levels: { High: 30, Moderate: 10 },
+      rules: [{ id: 'dizziness', label: 'Dizziness', keywords: ['dizzy'], synonyms: ['lightheaded', 'vertigo'], score: 30 }]
+    }), { user: 'admin' });
+
+    expect(updated).toMatchObject({ version: 2, publishedBy: 'admin', uncertainWeight: 0.5 });
+    expect(await triageEngine.evaluate({ reasonForVisit: 'Lightheaded when standing; no chest pain' })).toMatchObject({
+      urgencyLevel: 'High',
+      riskKeywords: ['Dizziness'],
+      version: 2
+    });
+    expect((await triageEngine.listVersions()).map(ruleset => ruleset.version)).toEqual([2, 1]);
+    expect(audited.map(entry => entry.action)).toEqual(['triage_rules.publish', 'triage_rules.publish']);
+  });
+
+  it('should reject rulesets it cannot run', async () => {
+    const rule = { id: 'dizziness', label: 'Dizziness', keywords: ['dizzy'], score: 30 };
+
+    expect((await publishError('{ not json')).message).toMatch(/not valid JSON/);
+    expect((await publishError({ rules: [] })).message).toBe('A triage ruleset needs a "rules" list');
+    expect((await publishError({ levels: { High: 10, Moderate: 20 }, rules: [rule] })).name).toBe('ValidationError');
+    expect((await publishError({ rules: [rule, rule] })).message).toBe('The rule "dizziness" appears more than once');
+    expect((await publishError({ rules: [{ ...rule, keywords: [] }] })).message).toBe('The rule "dizziness" needs keywords or thresholds');
+    expect((await publishError({ rules: [{ ...rule, thresholds: [{ field: 'heartRate' }] }] })).message)
+      .toBe('the "heartRate" threshold of "dizziness" needs "atLeast" and/or "atMost"');
+    expect((await triageEngine.getCurrent()).version).toBe(1);
+  });
+
+  it('should keep the more urgent level when combined with an AI summary', () => {
+    const rules = evaluateTriage({ reasonForVisit: 'Shortness of breath, no fever' }, DEFAULT_RULESET);
+    const combined = combineWithRules({ summary: 'Breathing complaint', urgencyLevel: 'Moderate', riskKeywords: ['asthma'] }, rules);
+
+    expect(combined).toMatchObject({
+      summary: 'Breathing complaint',
+      urgencyLevel: 'High',
+      riskKeywords: ['Difficulty breathing', 'asthma'],
+      rules: { version: null, urgencyLevel: 'High', score: 40 }
+    });
+    expect(combineWithRules({ urgencyLevel: 'High', riskKeywords: [] }, evaluateTriage({ reasonForVisit: 'Checkup' })).urgencyLevel).toBe('High');
+  });
+
+  it('should find risk keywords in free text without flagging negated terms', () => {
+    expect(riskKeywordsIn('Patient reports chest pain. No suicidal ideation. Not an emergency.')).toEqual(['Chest pain']);
+  });
+});
@@ -0,0 +1,136 @@
+const TriageReviewService = require('../services/triageReviewService');
+const PatientRepository = require('../services/patientRepository');
+const { MemoryStore } = require('../services/storage');
+const { DEFAULT_RULESET, evaluateTriage, combineWithRules } = require('../services/triageEngine');
+
+describe('TriageReviewService', () => {
+  let repository, reviews, audited;
+
+  // Add a patient with a triaged intake, the way the intake job saves it
+  const triaged = async (fullName, reasonForVisit, aiSummary) => {
+    const added = await repository.add({ fullName, reasonForVisit });
+    const triage = combineWithRules(aiSummary, evaluateTriage({ reasonForVisit }, DEFAULT_RULESET));
+    await repository.encounters.setTriage(added.encounter.id, triage);
+    return added.encounter.id;
+  };
+
+  const reviewError = async (...args) => {
+    try {
+      await reviews.review(...args);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  beforeEach(() => {
+    audited = [];
+    repository = new PatientRepository(new MemoryStore(), { record: async (entry) => audited.push(entry) });
+    reviews = new TriageReviewService(repository, { record: async (entry) => audited.push(entry) });
+  });
+
+  it('should queue triaged intakes most urgent first until they are reviewed', async () => {
+    const cough = await triaged('Ann Lee', 'Cough', { summary: 'Cough', urgencyLevel: 'Low', riskKeywords: [], provider: 'openai' });
+    const chest = await triaged('Bo Chen', 'Chest pain since noon', { summary: 'Chest pain', urgencyLevel: 'Moderate', riskKeywords: [], provider: 'openai' });
+    await repository.add({ fullName: 'Cy Diaz', reasonForVisit: 'Not triaged yet' });
+
+    expect((await reviews.queue()).map(visit => [visit.fullName, visit.triage.urgencyLevel])).toEqual([['Bo Chen', 'High'], ['Ann Lee', 'Low']]);
+    expect(await reviews.count()).toBe(2);
+
+    await reviews.review(chest, { decision: 'accept' }, { user: 'dr-smith' });
+    expect((await reviews.queue()).map(visit => visit.encounterId)).toEqual([cough]);
+    expect((await reviews.review(cough, { decision: 'accept' })).triage.review).toMatchObject({ decision: 'accepted', urgencyLevel: 'Low', reason: null });
+    expect(await reviews.count()).toBe(0);
+  });
+
+  it('should filter the queue in the store rather than loading every triaged visit', async () => {
+    await triaged('Ann Lee', 'Cough', { summary: 'Cough', urgencyLevel: 'Low', riskKeywords: [], provider: 'openai' });
+    const find = jest.spyOn(repository.store, 'find');
+    const count = jest.spyOn(repository.store, 'count');
+
+    await reviews.queue();
+    await reviews.count();
+
+    expect(find).toHaveBeenCalledWith('encounters', { status: 'triaged', reviewedAt: null }, expect.anything());
+    expect(count).toHaveBeenCalledWith('encounters', { status: 'triaged', reviewedAt: null });
+  });
+
+  it('should store the override with the triage as it was', async () => {
+    const id = await triaged('Ann Lee', 'Cough and a mild fever', { summary: 'Cough with fever', urgencyLevel: 'Low', riskKeywords: ['fever'], provider: 'anthropic' });
+
+    const encounter = await reviews.review(id, { decision: 'override', urgencyLevel: 'Moderate', summary: 'Cough, fever for 5 days', reason: 'Fever has lasted five days' }, { user: 'dr-smith' });
+
+    expect(encounter.triage).toMatchObject({
+      urgencyLevel: 'Moderate',
+      summary: 'Cough, fever for 5 days',
+      provider: 'anthropic',
+      review: {
+        decision: 'overridden',
+        reason: 'Fever has lasted five days',
+        reviewedBy: 'dr-smith',
+        original: { summary: 'Cough with fever', urgencyLevel: 'Low', riskKeywords: ['Fever', 'fever'] }
+      }
+    });
+    expect(audited.find(entry => entry.action === 'triage.review_overridden')).toMatchObject({
+      patientIds: [encounter.patientId],
+      details: { encounterId: id, from: 'Low', to: 'Moderate', summaryEdited: true, provider: 'anthropic' }
+    });
+
+    // A re-run of the intake job keeps the reviewed triage
+    await repository.encounters.setTriage(id, { summary: 'Re-run', urgencyLevel: 'Low', riskKeywords: [] });
+    expect((await repository.encounters.get(id)).triage.urgencyLevel).toBe('Moderate');
+  });
+
+  it('should reject reviews it cannot record', async () => {
+    const id = await triaged('Ann Lee', 'Cough', { summary: 'Cough', urgencyLevel: 'Low', riskKeywords: [] });
+    const pending = await repository.add({ fullName: 'Bo Chen' });
+
+    expect((await reviewError('enc_missing', { decision: 'accept' })).name).toBe('NotFoundError');
+    expect((await reviewError(pending.encounter.id, { decision: 'accept' })).message).toMatch(/has not been triaged yet/);
+    expect((await reviewError(id, { decision: 'maybe' })).message).toBe('Decision must be "accept" or "override"');
+    expect((await reviewError(id, { decision: 'override', urgencyLevel: 'High' })).message).toMatch(/needs a reason/);
+    expect((await reviewError(id, { decision: 'override', urgencyLevel: 'Urgent', reason: 'x' })).message).toMatch(/Urgency level must be one of/);
+    expect((await reviewError(id, { decision: 'override', urgencyLevel: 'Low', summary: 'Cough', reason: 'x' })).message).toMatch(/accept the triage instead/);
+
+    await reviews.review(id, { decision: 'accept' });
+    expect((await reviewError(id, { decision: 'accept' })).message).toMatch(/was already accepted/);
+  });
+
+  it('should save only the first of two concurrent reviews', async () => {
+    const id = await triaged('Ann Lee', 'Cough', { summary: 'Cough', urgencyLevel: 'Low', riskKeywords: [] });
+
+    const results = await Promise.all([
+      reviewError(id, { decision: 'accept' }, { user: 'dr-smith' }),
+      reviewError(id, { decision: 'override', urgencyLevel: 'Moderate', reason: 'Cough for weeks' }, { user: 'dr-jones' })
+    ]);
+
+    expect(results[0]).toBeNull();
+    expect(results[1]).toMatchObject({ name: 'ConflictError' });
+    expect((await repository.encounters.get(id)).triage).toMatchObject({ urgencyLevel: 'Low', review: { decision: 'accepted', reviewedBy: 'dr-smith' } });
+    expect(audited.filter(entry => entry.action.startsWith('triage.review'))).toHaveLength(1);
+  });
+
+  it('should report overrides per AI provider and per triage rule', async () => {
+    const first = await triaged('Ann Lee', 'Shortness of breath', { summary: 'Breathless', urgencyLevel: 'Moderate', riskKeywords: [], provider: 'openai' });
+    const second = await triaged('Bo Chen', 'Shortness of breath climbing stairs', { summary: 'Breathless on exertion', urgencyLevel: 'Low', riskKeywords: [], provider: 'openai' });
+    const third = await triaged('Cy Diaz', 'Rash', { summary: 'Rash', urgencyLevel: 'Low', riskKeywords: [], provider: 'rules' });
+
+    await reviews.review(first, { decision: 'accept' });
+    await reviews.review(second, { decision: 'override', urgencyLevel: 'Moderate', reason: 'Stable, exertional only' });
+    await reviews.review(third, { decision: 'override', urgencyLevel: 'Moderate', summary: 'Spreading rash', reason: 'Rash is spreading' });
+
+    const report = await reviews.report();
+
+    expect(report).toMatchObject({ reviewed: 3, accepted: 1, overridden: 2, raised: 1, lowered: 1, summaryEdits: 1, urgencyAgreement: 33.3 });
+    expect(report.providers).toEqual([
+      { provider: 'openai', reviewed: 2, accepted: 1, overridden: 1, raised: 0, lowered: 1, summaryEdits: 0, urgencyAgreement: 50 },
+      { provider: 'rules', reviewed: 1, accepted: 0, overridden: 1, raised: 1, lowered: 0, summaryEdits: 1, urgencyAgreement: 0 }
+    ]);
+    expect(report.rules).toEqual([
+      { rule: 'breathing', label: 'Difficulty breathing', reviewed: 2, accepted: 1, overridden: 1, raised: 0, lowered: 1, summaryEdits: 0, urgencyAgreement: 50 }
+    ]);
+
+    expect((await reviews.report({ to: '2000-01-01' })).reviewed).toBe(0);
+    await expect(reviews.report({ from: 'last week' })).rejects.toThrow('"from" and "to" must be dates');
+  });
+});
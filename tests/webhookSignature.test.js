@@ -0,0 +1,68 @@
+const { createSignatureHeader, parseSignatureHeader, verifySignature } = require('../services/webhookSignature');
+const FormspreeService = require('../services/formspreeService');
+
+describe('Webhook signatures', () => {
+  const secret = 'test-secret';
+  const payload = JSON.stringify({ event: 'invitee.created' });
+
+  it('should parse t= and v1= from the signature header', () => {
+    expect(parseSignatureHeader('t=1492774577,v1=abc123')).toEqual({ timestamp: 1492774577, signature: 'abc123' });
+    expect(parseSignatureHeader('v1=abc123')).toBeNull();
+    expect(parseSignatureHeader(undefined)).toBeNull();
+  });
+
+  it('should accept a fresh signature over the raw body', () => {
+    const header = createSignatureHeader(payload, secret);
+    expect(verifySignature({ payload, header, secret })).toEqual({ valid: true });
+  });
+
+  it('should reject a tampered body or wrong secret', () => {
+    const header = createSignatureHeader(payload, secret);
+
+    expect(verifySignature({ payload: payload.replace('created', 'canceled'), header, secret }))
+      .toEqual({ valid: false, reason: 'Signature mismatch' });
+    expect(verifySignature({ payload, header, secret: 'other-secret' }).valid).toBe(false);
+  });
+
+  it('should reject signatures outside the timestamp tolerance', () => {
+    const fiveMinutesAgo = Math.floor(Date.now() / 1000) - 300;
+    const header = createSignatureHeader(payload, secret, fiveMinutesAgo);
+
+    expect(verifySignature({ payload, header, secret }).valid).toBe(false);
+    expect(verifySignature({ payload, header, secret, toleranceSeconds: 600 }).valid).toBe(true);
+  });
+
+  it('should verify Formspree webhooks when a secret is configured', () => {
+    process.env.FORMSPREE_WEBHOOK_SECRET = secret;
+    const formspreeService = new FormspreeService();
+    delete process.env.FORMSPREE_WEBHOOK_SECRET;
+
+    expect(formspreeService.validateWebhookSignature(payload, createSignatureHeader(payload, secret)).valid).toBe(true);
+    expect(formspreeService.validateWebhookSignature(payload, undefined))
+      .toEqual({ valid: false, reason: 'Missing signature header' });
+  });
+
+  it('should reject unsigned webhooks without a secret unless explicitly allowed outside production', () => {
+    const formspreeService = new FormspreeService();
+    const environment = { optional: process.env.WEBHOOK_SIGNATURES_OPTIONAL, nodeEnv: process.env.NODE_ENV };
+
+    try {
+      delete process.env.WEBHOOK_SIGNATURES_OPTIONAL;
+      expect(formspreeService.validateWebhookSignature(payload, undefined))
+        .toEqual({ valid: false, reason: 'Webhook secret not configured' });
+
+      process.env.WEBHOOK_SIGNATURES_OPTIONAL = 'true';
+      expect(formspreeService.validateWebhookSignature(payload, undefined)).toEqual({ valid: true });
+
+      process.env.NODE_ENV = 'production';
+      expect(formspreeService.validateWebhookSignature(payload, undefined).valid).toBe(false);
+    } finally {
+      process.env.NODE_ENV = environment.nodeEnv;
+      if (environment.optional === undefined) {
+        delete process.env.WEBHOOK_SIGNATURES_OPTIONAL;
+      } else {
+        process.env.WEBHOOK_SIGNATURES_OPTIONAL = environment.optional;
+      }
+    }
+  });
+});